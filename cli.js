@@ -1,114 +1,958 @@
 #!/usr/bin/env node
 
 import fs from "fs";
-import { detectPackageManager } from "./lib/package-manager.js";
-import { getUserPreferences } from "./lib/user-input.js";
-import { generateCIWorkflow } from "./lib/workflow-generator.js";
+import path from "path";
+import {
+  detectPackageManager,
+  findLockFileDirectory,
+  findDeclaredPackages,
+  uninstallPackages,
+  getPackageManagerCommand,
+} from "./lib/package-manager.js";
+import {
+  getUserPreferences,
+  askForWorkspaceApps,
+  askToDiscardChanges,
+} from "./lib/user-input.js";
+import {
+  generateCIWorkflow,
+  generateWorkspaceCIWorkflow,
+  detectCIProvider,
+} from "./lib/workflow-generator.js";
 import { setupAccessibilityLinting } from "./lib/eslint-config.js";
+import { setupComponentTests } from "./lib/component-tests.js";
+import {
+  setupStorybookTests,
+  writeStorybookTestRunner,
+} from "./lib/storybook.js";
+import { setupDevAudit, writeDevAuditFiles } from "./lib/dev-audit.js";
 import { logMessage } from "./lib/logger.js";
-import { MESSAGE_TYPES } from "./lib/constants.js";
+import {
+  MESSAGE_TYPES,
+  FRAMEWORK_PROFILES,
+  CLI_COMMANDS,
+  ACCESSIBILITY_TOOLS,
+  DEFAULT_REPORT_FORMATS,
+  REPORT_OUTPUT_DIRECTORY,
+  BASELINE_FILE_NAME,
+  MANIFEST_FILE_NAME,
+  LOCK_FILES,
+  CI_PROVIDERS,
+  CI_PROVIDER_PROFILES,
+  DEFAULT_ACCESSIBILITY_STANDARD,
+  LINT_PLUGINS,
+} from "./lib/constants.js";
+import {
+  runAccessibilityTests,
+  getRunExitCode,
+} from "./lib/test-runner.js";
+import {
+  buildReport,
+  writeReports,
+  readReport,
+  readToolExitCodes,
+  compareReports,
+} from "./lib/report.js";
+import {
+  readBaseline,
+  writeBaseline,
+  pruneBaseline,
+  applyBaseline,
+} from "./lib/baseline.js";
+import {
+  detectFramework,
+  detectComponentLibrary,
+  detectTestRunner,
+  detectStorybook,
+} from "./lib/framework-detector.js";
+import { detectServerPort, getLocalBaseUrl } from "./lib/server-config.js";
+import { discoverRoutes } from "./lib/route-discovery.js";
+import {
+  parseCliArguments,
+  resolvePresetAnswers,
+  parseReportFormats,
+  displayUsage,
+} from "./lib/cli-options.js";
+import { enableDryRun, isDryRun, displayPlanSummary } from "./lib/change-planner.js";
+import {
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} from "./lib/transaction.js";
 import {
   installSelectedTools,
+  writeToolConfigs,
   updatePackageJsonWithScripts,
+  writeAccessibilityScripts,
+  displayExistingSetup,
   displayConfigurationSummary,
   displayNextSteps,
 } from "./lib/setup-manager.js";
+import {
+  readManifest,
+  detectExistingSetup,
+  beginGeneratedChanges,
+  resolveConflicts,
+  saveManifest,
+  revertGeneratedChanges,
+  deleteManifest,
+  logWriteResult,
+} from "./lib/manifest.js";
+import {
+  findWorkspace,
+  findWorkspacePackage,
+  listWorkspacePackages,
+  listWorkspaceApps,
+  runInWorkspacePackage,
+} from "./lib/workspace.js";
 
-function validateReactViteProject() {
+/**
+ * Validates that the current directory holds a supported project
+ * @returns {Object} The detected framework profile and package.json content
+ */
+function validateProject() {
   if (!fs.existsSync("package.json")) {
     logMessage(
       "No package.json found. Please run this command in a Node.js project directory.",
       MESSAGE_TYPES.ERROR
     );
     logMessage(
-      "To create a new React + Vite project, run:",
+      "To create a new Vite project, run:",
       MESSAGE_TYPES.INFO
     );
     logMessage("npm create vite", MESSAGE_TYPES.COMMAND);
     process.exit(1);
   }
 
+  let packageData;
+
   try {
-    const packageData = JSON.parse(fs.readFileSync("package.json", "utf-8"));
+    packageData = JSON.parse(fs.readFileSync("package.json", "utf-8"));
+  } catch (error) {
+    logMessage(
+      "Could not read package.json. Please ensure it's valid JSON.",
+      MESSAGE_TYPES.ERROR
+    );
+    process.exit(1);
+  }
+
+  const framework = detectFramework(packageData);
 
-    const hasReact =
-      packageData.dependencies?.react || packageData.devDependencies?.react;
+  if (!framework) {
+    logMessage(
+      `Unsupported project. Supported frameworks: ${Object.values(FRAMEWORK_PROFILES)
+        .map((profile) => profile.name)
+        .join(", ")}.`,
+      MESSAGE_TYPES.ERROR
+    );
+    logMessage(
+      "To create a new Vite project, run:",
+      MESSAGE_TYPES.INFO
+    );
+    logMessage("npm create vite", MESSAGE_TYPES.COMMAND);
+    process.exit(1);
+  }
 
-    const hasVite =
-      packageData.dependencies?.vite || packageData.devDependencies?.vite;
+  logMessage(`Detected ${framework.name} project`, MESSAGE_TYPES.SUCCESS);
 
-    if (!hasReact || !hasVite) {
-      logMessage(
-        "This tool only works with React + Vite projects.",
-        MESSAGE_TYPES.ERROR
-      );
-      logMessage(
-        "To create a new React + Vite project, run:",
-        MESSAGE_TYPES.INFO
-      );
-      logMessage("npm create vite", MESSAGE_TYPES.COMMAND);
-      process.exit(1);
-    }
+  return { framework, packageData };
+}
 
-    logMessage("Detected React + Vite project", MESSAGE_TYPES.SUCCESS);
+/**
+ * Runs one step of the setup, naming the step in the error when it fails
+ * @param {string} stepName - Name of the step shown to the user
+ * @param {Function} step - The step, may be async
+ */
+async function runSetupStep(stepName, step) {
+  try {
+    await step();
   } catch (error) {
+    throw new Error(`Setup failed at "${stepName}": ${error.message}`);
+  }
+}
+
+/**
+ * Reverts every file the setup changed and lists what was rolled back
+ */
+function rollBackSetup() {
+  const rolledBackFiles = rollbackTransaction();
+
+  logMessage("Rolling back the setup", MESSAGE_TYPES.SECTION);
+
+  if (rolledBackFiles.length === 0) {
+    logMessage("No files were changed", MESSAGE_TYPES.INFO);
+  }
+  rolledBackFiles.forEach(({ path, action }) => {
     logMessage(
-      "Could not read package.json. Please ensure it's valid JSON.",
-      MESSAGE_TYPES.ERROR
+      `${action === "removed" ? "Removed" : "Restored"} ${path}`,
+      MESSAGE_TYPES.INFO
     );
-    process.exit(1);
+  });
+
+  logMessage(
+    "Packages that were already downloaded stay in node_modules until your next install.",
+    MESSAGE_TYPES.INFO
+  );
+}
+
+/**
+ * Checks whether the current directory is the root of a workspace
+ * @returns {Object|null} The workspace from findWorkspace, or null
+ */
+function findWorkspaceAtRoot() {
+  const workspace = findWorkspace();
+  return workspace?.root === process.cwd() ? workspace : null;
+}
+
+/**
+ * Reads the name and setup answers of workspace packages from their manifests
+ * @param {Object} workspace - Workspace from findWorkspace
+ * @param {string[]} directories - Package directories relative to the workspace root
+ * @returns {Promise<Object[]>} Packages with their name, directory and answers
+ */
+async function readWorkspaceSetups(workspace, directories) {
+  const workspacePackages = listWorkspacePackages(workspace).filter(
+    ({ directory }) => directories.includes(directory)
+  );
+  const setups = [];
+
+  for (const { name, directory } of workspacePackages) {
+    const manifest = await runInWorkspacePackage(workspace, directory, () =>
+      readManifest()
+    );
+    setups.push({ name, directory, answers: manifest?.answers ?? {} });
   }
+
+  return setups;
 }
 
-async function runApplication() {
+/**
+ * Generates the CI workflow of a workspace for the apps that asked for CI
+ * @param {Object[]} setups - Packages from readWorkspaceSetups
+ */
+function writeWorkspaceWorkflow(setups) {
+  const ciSetups = setups.filter(
+    ({ answers }) => answers.ci && answers.tools?.length > 0
+  );
+
+  if (ciSetups.length === 0) return;
+
+  const ciProvider = ciSetups[0].answers.ciProvider ?? CI_PROVIDERS.GITHUB;
+
+  if (ciProvider !== CI_PROVIDERS.GITHUB) {
+    logMessage(
+      `Warning: Workspaces get a GitHub Actions workflow with a matrix over their apps; ${CI_PROVIDER_PROFILES[ciProvider].name} is not supported for workspaces yet, so no CI config was generated.`,
+      MESSAGE_TYPES.WARNING
+    );
+    return;
+  }
+
+  logMessage(
+    "Setting up CI/CD workflow for accessibility testing",
+    MESSAGE_TYPES.SECTION
+  );
+  const result = generateWorkspaceCIWorkflow(
+    ciSetups.map(({ name, directory, answers }) => ({
+      name,
+      directory,
+      tools: answers.tools,
+      storybook: answers.storybook,
+      lighthouseOptions: answers.lighthouseOptions,
+      auth: answers.auth,
+    })),
+    { packageManager: detectPackageManager() }
+  );
+  logWriteResult(result, {
+    written: `Accessibility workflow generated for ${ciSetups.map(({ name }) => name).join(", ")}`,
+    unchanged: "The accessibility workflow is unchanged",
+  });
+}
+
+/**
+ * Runs the interactive setup wizard
+ * @param {Object} options - Parsed CLI options
+ */
+async function runSetup(options) {
+  if (options["dry-run"]) {
+    enableDryRun();
+  }
+
+  logMessage("Welcome to Ally Wizard!", MESSAGE_TYPES.HEADER);
+
+  if (isDryRun()) {
+    logMessage(
+      "Dry run: changes will be previewed but nothing will be written or installed.",
+      MESSAGE_TYPES.WARNING,
+    );
+  }
+
+  const presets = resolvePresetAnswers(options);
+  const workspace = findWorkspaceAtRoot();
+
+  if (workspace) {
+    await setUpWorkspace(workspace, options, presets);
+  } else {
+    await setUpProject(options, presets);
+  }
+
+  if (isDryRun()) {
+    displayPlanSummary();
+  }
+}
+
+/**
+ * Sets up the apps of a workspace the user picks, one after another, then
+ * generates one CI workflow for every app set up in the workspace
+ * @param {Object} workspace - Workspace from findWorkspace
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} presets - Preset answers from resolvePresetAnswers, used for every app
+ */
+async function setUpWorkspace(workspace, options, { presetAnswers, assumeYes }) {
+  const apps = listWorkspaceApps(workspace);
+
+  if (apps.length === 0) {
+    throw new Error(
+      `No apps found in the workspace packages (${workspace.patterns.join(", ")}). Supported frameworks: ${Object.values(FRAMEWORK_PROFILES)
+        .map((profile) => profile.name)
+        .join(", ")}.`
+    );
+  }
+
+  logMessage(
+    `Detected a workspace with ${apps.length} apps`,
+    MESSAGE_TYPES.SUCCESS
+  );
+
+  const selectedApps = await askForWorkspaceApps(apps, presetAnswers.packages, {
+    assumeYes,
+  });
+
+  for (const { name, directory } of selectedApps) {
+    logMessage(`Setting up ${name} (${directory})`, MESSAGE_TYPES.HEADER);
+    await runInWorkspacePackage(workspace, directory, () =>
+      setUpProject(options, { presetAnswers, assumeYes, inWorkspace: true })
+    );
+  }
+
+  logMessage("Setting up the workspace", MESSAGE_TYPES.HEADER);
+
+  const manifest = readManifest();
+  const directories = [
+    ...new Set([
+      ...(manifest?.answers.packages ?? []),
+      ...selectedApps.map(({ directory }) => directory),
+    ]),
+  ];
+
+  beginGeneratedChanges(manifest);
+  beginTransaction();
+
   try {
-    logMessage("Welcome to Ally Wizard!", MESSAGE_TYPES.HEADER);
+    await runSetupStep("Generating the CI workflow", async () =>
+      writeWorkspaceWorkflow(await readWorkspaceSetups(workspace, directories))
+    );
 
-    validateReactViteProject();
+    await runSetupStep("Saving the setup manifest", async () => {
+      await resolveConflicts((conflict) =>
+        askToDiscardChanges(conflict, { assumeYes, force: options.force })
+      );
+      saveManifest({ packages: directories });
+    });
 
-    const packageManager = detectPackageManager();
-    const { selectedTools, ci, lint } = await getUserPreferences();
+    commitTransaction();
+  } catch (error) {
+    rollBackSetup();
+    throw error;
+  }
+}
+
+/**
+ * Sets up accessibility testing in the project in the current directory
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} presets - Preset answers from resolvePresetAnswers
+ * @param {boolean} presets.inWorkspace - Whether the project is set up as
+ * one of the apps of a workspace setup, which generates the CI workflow itself
+ */
+async function setUpProject(
+  options,
+  { presetAnswers, assumeYes, inWorkspace = false }
+) {
+  const { framework, packageData } = validateProject();
+
+  const manifest = readManifest();
+  displayExistingSetup(detectExistingSetup(manifest));
+  beginGeneratedChanges(manifest);
 
-    displayConfigurationSummary(selectedTools, ci, lint);
+  // The CI workflow of a workspace lives in its root and covers every app
+  const workspacePackage = findWorkspacePackage();
+  const packageManager = detectPackageManager();
+  const testRunner = detectTestRunner(packageData);
+  const hasStorybook = detectStorybook();
+  const {
+    selectedTools,
+    ci,
+    ciProvider,
+    lint,
+    lintOptions,
+    componentTests,
+    storybook,
+    devAudit,
+    devAuditMode,
+    routes,
+    baseUrl,
+    standard,
+    lighthouseOptions,
+    pa11yOptions,
+    auth,
+  } = await getUserPreferences(
+    presetAnswers,
+    {
+      assumeYes,
+      lintPlugin: framework.lintPlugin,
+      discoveredRoutes: discoverRoutes(),
+      defaultBaseUrl: getLocalBaseUrl(
+        detectServerPort(framework, packageData)
+      ),
+      defaultComponentLibrary: detectComponentLibrary(packageData),
+      defaultCIProvider: detectCIProvider(workspacePackage?.root),
+      testRunner,
+      hasStorybook,
+      devAudit: framework.devAudit,
+    },
+  );
 
-    installSelectedTools(selectedTools, packageManager);
+  const project = {
+    packageManager,
+    framework,
+    baseUrl,
+    routes,
+    standard,
+    lighthouseOptions,
+    pa11yOptions,
+    auth,
+    lintOptions,
+    ciProvider,
+    testRunner,
+    componentTests,
+    hasStorybook,
+    storybook,
+    devAudit,
+    devAuditMode,
+  };
 
-    let packageManagerCommand = "";
+  displayConfigurationSummary(selectedTools, ci, lint, project);
 
-    if (selectedTools.length > 0) {
+  const packageManagerCommand = getPackageManagerCommand(packageManager);
+
+  // The package manager edits package.json and the lock file itself, so
+  // they are backed up before anything is installed
+  const lockFileDirectory = findLockFileDirectory() ?? process.cwd();
+  beginTransaction([
+    "package.json",
+    ...LOCK_FILES[packageManager].map((lockFile) =>
+      path.join(lockFileDirectory, lockFile)
+    ),
+  ]);
+
+  try {
+    await runSetupStep("Installing the testing tools", () =>
+      installSelectedTools(selectedTools, project)
+    );
+
+    if (selectedTools.length > 0 || storybook) {
+      await runSetupStep("Adding scripts to package.json", () => {
+        logMessage(
+          "Adding accessibility scripts to package.json",
+          MESSAGE_TYPES.SECTION
+        );
+
+        logWriteResult(updatePackageJsonWithScripts(selectedTools, project), {
+          written: "Successfully added accessibility scripts to package.json",
+          unchanged: "The accessibility scripts in package.json are unchanged",
+        });
+      });
+    }
+
+    if (ci && selectedTools.length > 0 && workspacePackage && !inWorkspace) {
       logMessage(
-        "Adding accessibility scripts to package.json",
-        MESSAGE_TYPES.SECTION
+        `The CI workflow of a workspace covers all its apps. Run "ally-wizard" in ${workspacePackage.root} to generate it.`,
+        MESSAGE_TYPES.INFO
+      );
+    } else if (ci && selectedTools.length > 0 && !workspacePackage) {
+      await runSetupStep("Generating the CI workflow", () => {
+        logMessage(
+          "Setting up CI/CD workflow for accessibility testing",
+          MESSAGE_TYPES.SECTION
+        );
+        logWriteResult(generateCIWorkflow(selectedTools, project), {
+          written: "Accessibility workflow generated successfully!",
+          unchanged: "The accessibility workflow is unchanged",
+        });
+      });
+    }
+
+    if (lint) {
+      await runSetupStep("Setting up accessibility linting", () =>
+        setupAccessibilityLinting(packageManager, framework, lintOptions)
       );
+    }
 
-      packageManagerCommand = updatePackageJsonWithScripts(
-        selectedTools,
-        packageManager
+    if (componentTests) {
+      await runSetupStep("Setting up component tests", () =>
+        setupComponentTests(packageManager, testRunner)
       );
+    }
 
-      logMessage(
-        "Successfully added accessibility scripts to package.json",
-        MESSAGE_TYPES.SUCCESS
+    if (storybook) {
+      await runSetupStep("Setting up Storybook checks", () =>
+        setupStorybookTests(packageManager)
       );
     }
 
-    if (ci && selectedTools.length > 0) {
-      logMessage(
-        "Setting up CI/CD workflow for accessibility testing",
-        MESSAGE_TYPES.SECTION
+    if (devAudit) {
+      await runSetupStep("Setting up the development audit", () =>
+        setupDevAudit(packageManager, framework, devAuditMode)
       );
-      generateCIWorkflow(selectedTools);
+    }
+
+    await runSetupStep("Saving the setup manifest", async () => {
+      await resolveConflicts((conflict) =>
+        askToDiscardChanges(conflict, { assumeYes, force: options.force })
+      );
+      saveManifest({
+        tools: selectedTools,
+        baseUrl,
+        routes,
+        standard,
+        lighthouseOptions,
+        pa11yOptions,
+        auth,
+        ci,
+        ciProvider,
+        lint,
+        lintOptions,
+        componentTests,
+        storybook,
+        devAudit,
+        devAuditMode,
+      });
+    });
+
+    commitTransaction();
+  } catch (error) {
+    rollBackSetup();
+    throw error;
+  }
+
+  if (isDryRun()) return;
+
+  displayNextSteps(
+    selectedTools,
+    packageManagerCommand,
+    ci,
+    lint,
+    framework,
+    componentTests,
+    storybook,
+    devAudit,
+    auth,
+    ciProvider
+  );
+}
+
+/**
+ * Regenerates the files and scripts of a previous setup from the latest
+ * templates, merging the template changes into files the user edited
+ * @param {Object} options - Parsed CLI options
+ */
+async function runUpdate(options) {
+  if (options["dry-run"]) {
+    enableDryRun();
+  }
+
+  logMessage("Updating your Ally Wizard setup", MESSAGE_TYPES.HEADER);
+
+  const workspace = findWorkspaceAtRoot();
+  const workspaceManifest = workspace && readManifest();
+
+  if (workspaceManifest?.answers.packages) {
+    await updateWorkspace(workspace, workspaceManifest, options);
+  } else {
+    await updateProject(options);
+  }
+
+  if (isDryRun()) {
+    displayPlanSummary();
+  }
+}
+
+/**
+ * Updates every app of a workspace setup, then regenerates the CI workflow
+ * in the workspace root
+ * @param {Object} workspace - Workspace from findWorkspace
+ * @param {Object} manifest - Manifest of the workspace root
+ * @param {Object} options - Parsed CLI options
+ */
+async function updateWorkspace(workspace, manifest, options) {
+  const { packages } = manifest.answers;
+
+  for (const directory of packages) {
+    logMessage(`Updating ${directory}`, MESSAGE_TYPES.HEADER);
+    await runInWorkspacePackage(workspace, directory, () =>
+      updateProject(options)
+    );
+  }
+
+  logMessage("Updating the workspace", MESSAGE_TYPES.HEADER);
+
+  beginGeneratedChanges(manifest, { update: true });
+  writeWorkspaceWorkflow(await readWorkspaceSetups(workspace, packages));
+
+  await resolveConflicts((conflict) =>
+    askToDiscardChanges(conflict, { assumeYes: options.yes, force: options.force })
+  );
+  saveManifest(manifest.answers);
+}
+
+/**
+ * Updates the setup of the project in the current directory
+ * @param {Object} options - Parsed CLI options
+ */
+async function updateProject(options) {
+  const { framework } = validateProject();
+  const manifest = readManifest();
+
+  if (!manifest) {
+    throw new Error(
+      `No ${MANIFEST_FILE_NAME} found. Run "ally-wizard" to set up accessibility testing first.`
+    );
+  }
+
+  const {
+    tools = [],
+    baseUrl,
+    routes = [],
+    standard = DEFAULT_ACCESSIBILITY_STANDARD,
+    lighthouseOptions,
+    pa11yOptions,
+    auth,
+    ci,
+    ciProvider,
+    lint,
+    lintOptions,
+    componentTests,
+    storybook,
+    devAudit,
+    devAuditMode,
+  } = manifest.answers;
+  const project = {
+    packageManager: detectPackageManager(),
+    framework,
+    baseUrl,
+    routes,
+    standard,
+    lighthouseOptions,
+    pa11yOptions,
+    auth,
+    lintOptions,
+    ciProvider,
+    storybook,
+  };
+
+  beginGeneratedChanges(manifest, { update: true });
+
+  writeToolConfigs(tools, project);
+  writeAccessibilityScripts(tools, project);
+
+  if (storybook) {
+    writeStorybookTestRunner();
+  }
+
+  if (devAudit) {
+    writeDevAuditFiles(devAuditMode);
+  }
+
+  // Workspace apps are covered by the CI workflow in the workspace root
+  if (ci && tools.length > 0 && !findWorkspacePackage()) {
+    generateCIWorkflow(tools, project);
+  }
+
+  const keptConflicts = await resolveConflicts((conflict) =>
+    askToDiscardChanges(conflict, { assumeYes: options.yes, force: options.force })
+  );
+  saveManifest(manifest.answers);
+
+  if (isDryRun()) return;
+
+  logMessage(
+    keptConflicts.length > 0
+      ? `Update finished, but your versions of these still differ from the generated setup: ${keptConflicts.map(({ label }) => label).join(", ")}. Rerun with --force to replace them.`
+      : "Your setup is up to date.",
+    keptConflicts.length > 0 ? MESSAGE_TYPES.WARNING : MESSAGE_TYPES.SUCCESS
+  );
+
+  if (lint) {
+    logMessage(
+      framework.lintPlugin === LINT_PLUGINS.JSX_A11Y
+        ? 'Your ESLint config is not touched by "update"; rerun "ally-wizard" with --lint-level or --component-library to change the jsx-a11y rules.'
+        : 'Your ESLint config is not touched by "update"; edit it to change the accessibility rules.',
+      MESSAGE_TYPES.INFO
+    );
+  }
+
+  if (componentTests) {
+    logMessage(
+      'Your test setup file and the sample component test are not touched by "update".',
+      MESSAGE_TYPES.INFO
+    );
+  }
+}
+
+/**
+ * Reverts everything the wizard added: scripts, generated files, ESLint
+ * config edits and installed packages
+ * @param {Object} options - Parsed CLI options
+ */
+async function runRemove(options) {
+  if (options["dry-run"]) {
+    enableDryRun();
+  }
+
+  logMessage("Removing your Ally Wizard setup", MESSAGE_TYPES.HEADER);
+
+  const workspace = findWorkspaceAtRoot();
+  const workspaceManifest = workspace && readManifest();
+
+  if (workspaceManifest?.answers.packages) {
+    await removeWorkspace(workspace, workspaceManifest, options);
+  } else {
+    validateProject();
+    await removeProject(readManifest(), options);
+  }
+
+  if (isDryRun()) {
+    displayPlanSummary();
+  }
+}
+
+/**
+ * Removes the setup of every app of a workspace and the CI workflow in the
+ * workspace root
+ * @param {Object} workspace - Workspace from findWorkspace
+ * @param {Object} manifest - Manifest of the workspace root
+ * @param {Object} options - Parsed CLI options
+ */
+async function removeWorkspace(workspace, manifest, options) {
+  for (const directory of manifest.answers.packages) {
+    logMessage(`Removing the setup of ${directory}`, MESSAGE_TYPES.HEADER);
+    await runInWorkspacePackage(workspace, directory, () => {
+      validateProject();
+      return removeProject(readManifest(), options);
+    });
+  }
+
+  logMessage("Removing the workspace setup", MESSAGE_TYPES.HEADER);
+  await removeProject(manifest, options);
+}
+
+/**
+ * Reverts the wizard's changes recorded in a manifest of the current directory
+ * @param {Object|null} manifest - Manifest from readManifest
+ * @param {Object} options - Parsed CLI options
+ */
+async function removeProject(manifest, options) {
+  if (!manifest) {
+    throw new Error(
+      `No ${MANIFEST_FILE_NAME} found, so there is no record of what the wizard added.`
+    );
+  }
+
+  const keptChanges = await revertGeneratedChanges(manifest, (change) =>
+    askToDiscardChanges(change, { assumeYes: options.yes, force: options.force })
+  );
+
+  const packages = findDeclaredPackages(manifest.packages ?? []);
+  if (packages.length > 0) {
+    logMessage("Uninstalling packages", MESSAGE_TYPES.SECTION);
+    uninstallPackages(packages, detectPackageManager());
+  }
+
+  keptChanges.forEach((label) => {
+    logMessage(`Kept ${label} because you changed it`, MESSAGE_TYPES.WARNING);
+  });
+
+  if (keptChanges.length === 0) {
+    deleteManifest();
+  }
+
+  if (isDryRun()) return;
+
+  logMessage(
+    keptChanges.length > 0
+      ? `Removed the setup except for your changes. Run "ally-wizard remove --force" to remove those too.`
+      : "Removed everything ally-wizard added.",
+    keptChanges.length > 0 ? MESSAGE_TYPES.WARNING : MESSAGE_TYPES.SUCCESS
+  );
+}
+
+/**
+ * Builds, serves and tests the app with the installed accessibility tools
+ * @param {Object} options - Parsed CLI options
+ */
+async function runTests(options) {
+  const { presetAnswers } = resolvePresetAnswers(options);
+
+  process.exitCode = await runAccessibilityTests(presetAnswers, {
+    parallel: options.parallel,
+    skipBuild: options["skip-build"],
+    baselinePath: options.baseline,
+  });
+}
+
+/**
+ * Collects the result paths passed as flags
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Result path per tool
+ */
+function getResultPathsFromOptions(options) {
+  return Object.fromEntries(
+    Object.values(ACCESSIBILITY_TOOLS)
+      .filter((tool) => options[`${tool}-results`])
+      .map((tool) => [tool, options[`${tool}-results`]])
+  );
+}
+
+/**
+ * Builds the report from the saved tool results, using the result paths from the flags
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Report from buildReport
+ */
+function buildReportFromOptions(options) {
+  const report = buildReport(getResultPathsFromOptions(options));
+
+  if (report.tools.length === 0) {
+    throw new Error(
+      "No tool results found. Run your accessibility tests first or pass the result paths."
+    );
+  }
+
+  return report;
+}
+
+/**
+ * Combines the saved tool results into one report
+ * @param {Object} options - Parsed CLI options
+ */
+function runReport(options) {
+  const formats = options.format
+    ? parseReportFormats(options.format)
+    : DEFAULT_REPORT_FORMATS;
+
+  let report = buildReportFromOptions(options);
+
+  if (options.compare) {
+    const baseReport = readReport(options.compare);
+
+    if (baseReport) {
+      report.comparison = compareReports(report, baseReport);
+    } else {
       logMessage(
-        "Accessibility workflow generated successfully!",
-        MESSAGE_TYPES.SUCCESS
+        `No base report found at ${options.compare}, skipping the comparison`,
+        MESSAGE_TYPES.WARNING
       );
     }
+  }
 
-    if (lint) {
-      setupAccessibilityLinting(packageManager);
+  const baseline = readBaseline(options.baseline);
+  if (baseline) {
+    report = applyBaseline(report, baseline);
+  }
+
+  const reportPaths = writeReports(
+    report,
+    options.output ?? REPORT_OUTPUT_DIRECTORY,
+    formats
+  );
+
+  logMessage(
+    `Found ${report.summary.total} unique accessibility issues across ${report.tools.join(", ")}`,
+    report.summary.total === 0 ? MESSAGE_TYPES.SUCCESS : MESSAGE_TYPES.WARNING
+  );
+  reportPaths.forEach((reportPath) => {
+    logMessage(`Report written to ${reportPath}`, MESSAGE_TYPES.INFO);
+  });
+
+  // Tools that failed in CI jobs which kept going fail the report instead,
+  // by the same rules as "ally-wizard run"
+  const exitCodes = readToolExitCodes(getResultPathsFromOptions(options));
+  Object.entries(exitCodes).forEach(([tool, exitCode]) => {
+    logMessage(`${tool}: failed (exit code ${exitCode})`, MESSAGE_TYPES.ERROR);
+  });
+
+  process.exitCode = getRunExitCode(exitCodes, report);
+}
+
+/**
+ * Records the current issues in the baseline file, or prunes fixed entries
+ * @param {Object} options - Parsed CLI options
+ */
+function runBaseline(options) {
+  const baselinePath = options.baseline ?? BASELINE_FILE_NAME;
+  const report = buildReportFromOptions(options);
+
+  if (options.prune) {
+    const baseline = readBaseline(baselinePath);
+    if (!baseline) {
+      throw new Error(`No baseline found at ${baselinePath}. Run "ally-wizard baseline" first.`);
+    }
+
+    const remainingIssues = pruneBaseline(baseline, report);
+    writeBaseline(remainingIssues, baselinePath);
+    logMessage(
+      `Removed ${baseline.issues.length - remainingIssues.length} fixed issues from ${baselinePath}`,
+      MESSAGE_TYPES.SUCCESS
+    );
+    return;
+  }
+
+  writeBaseline(report.issues, baselinePath);
+  logMessage(
+    `Recorded ${report.issues.length} known issues in ${baselinePath}`,
+    MESSAGE_TYPES.SUCCESS
+  );
+  logMessage(
+    "Commit this file; from now on only issues that are not in it fail the tests.",
+    MESSAGE_TYPES.INFO
+  );
+}
+
+async function runApplication() {
+  try {
+    const { options, positionals } = parseCliArguments();
+    const [command = CLI_COMMANDS.SETUP] = positionals;
+
+    if (options.help) {
+      displayUsage();
+      return;
     }
 
-    displayNextSteps(selectedTools, packageManagerCommand, ci, lint);
+    if (command === CLI_COMMANDS.SETUP) {
+      await runSetup(options);
+    } else if (command === CLI_COMMANDS.RUN) {
+      await runTests(options);
+    } else if (command === CLI_COMMANDS.REPORT) {
+      runReport(options);
+    } else if (command === CLI_COMMANDS.BASELINE) {
+      runBaseline(options);
+    } else if (command === CLI_COMMANDS.UPDATE) {
+      await runUpdate(options);
+    } else if (command === CLI_COMMANDS.REMOVE) {
+      await runRemove(options);
+    } else {
+      throw new Error(
+        `Unknown command "${command}". Run "ally-wizard --help" for usage.`
+      );
+    }
   } catch (error) {
     logMessage(error.message, MESSAGE_TYPES.ERROR);
     logMessage("Please check your setup and try again.", MESSAGE_TYPES.INFO);
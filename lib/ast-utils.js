@@ -0,0 +1,438 @@
+import { parse, parseExpression } from "@babel/parser";
+
+const TYPESCRIPT_EXTENSIONS = [".ts", ".mts", ".cts"];
+
+/**
+ * Parses a JavaScript or TypeScript module. Edits are made as text
+ * insertions at node positions, so the rest of the file keeps its formatting
+ * @param {string} source - Module source
+ * @param {string} fileName - File name, used to decide whether to enable TypeScript
+ * @returns {Object} Babel AST (a File node)
+ */
+export function parseModule(source, fileName = "") {
+  const isTsx = fileName.endsWith(".tsx");
+  const typescript =
+    isTsx ||
+    TYPESCRIPT_EXTENSIONS.some((extension) => fileName.endsWith(extension));
+
+  return parse(source, {
+    sourceType: "module",
+    allowReturnOutsideFunction: true,
+    plugins: typescript ? ["typescript", ...(isTsx ? ["jsx"] : [])] : ["jsx"],
+  });
+}
+
+/**
+ * Parses a JSON document that may contain comments (like .eslintrc.json)
+ * @param {string} source - Document source
+ * @returns {Object} ObjectExpression node of the document
+ */
+export function parseJsonObject(source) {
+  const node = parseExpression(source);
+
+  if (node.type !== "ObjectExpression") {
+    throw new Error("the file does not contain a JSON object.");
+  }
+
+  return node;
+}
+
+/**
+ * Checks whether a node is a `require("...")` call
+ * @param {Object} node - AST node
+ * @param {string} packageName - Required module, or undefined for any module
+ * @returns {boolean} True for a matching require call
+ */
+function isRequireCall(node, packageName) {
+  return (
+    node?.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments[0]?.type === "StringLiteral" &&
+    (packageName === undefined || node.arguments[0].value === packageName)
+  );
+}
+
+/**
+ * Checks whether a statement is a top level require, with or without a binding
+ * @param {Object} statement - Top level statement
+ * @returns {boolean} True for a require statement
+ */
+function isRequireStatement(statement) {
+  return (
+    (statement.type === "ExpressionStatement" &&
+      isRequireCall(statement.expression)) ||
+    (statement.type === "VariableDeclaration" &&
+      statement.declarations.some((entry) => isRequireCall(entry.init)))
+  );
+}
+
+/**
+ * Checks whether a statement imports a module (import or top level require)
+ * @param {Object} statement - Top level statement
+ * @returns {boolean} True for an import statement
+ */
+function isImportStatement(statement) {
+  return statement.type === "ImportDeclaration" || isRequireStatement(statement);
+}
+
+/**
+ * Checks whether a statement is `module.exports = ...`
+ * @param {Object} statement - Top level statement
+ * @returns {boolean} True for a module.exports assignment
+ */
+function isModuleExportsAssignment(statement) {
+  const expression = statement.expression;
+  return (
+    statement.type === "ExpressionStatement" &&
+    expression.type === "AssignmentExpression" &&
+    expression.left.type === "MemberExpression" &&
+    expression.left.object.name === "module" &&
+    expression.left.property.name === "exports"
+  );
+}
+
+/**
+ * Finds the local name a module is imported under (default import or require)
+ * @param {Object} ast - AST from parseModule
+ * @param {string} packageName - Imported module
+ * @returns {string|null} Local name, or null when the module is not imported
+ */
+export function findImportedName(ast, packageName) {
+  for (const statement of ast.program.body) {
+    if (
+      statement.type === "ImportDeclaration" &&
+      statement.source.value === packageName
+    ) {
+      const specifier = statement.specifiers.find(
+        (entry) =>
+          entry.type === "ImportDefaultSpecifier" ||
+          entry.type === "ImportNamespaceSpecifier",
+      );
+      if (specifier) return specifier.local.name;
+    }
+
+    if (statement.type === "VariableDeclaration") {
+      const declarator = statement.declarations.find(
+        (entry) =>
+          entry.id.type === "Identifier" && isRequireCall(entry.init, packageName),
+      );
+      if (declarator) return declarator.id.name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a module is imported in any form (import statement or
+ * top level require, with or without bindings)
+ * @param {Object} ast - AST from parseModule
+ * @param {string} packageName - Imported module
+ * @returns {boolean} True when the module is imported
+ */
+export function isModuleImported(ast, packageName) {
+  return ast.program.body.some((statement) => {
+    if (statement.type === "ImportDeclaration") {
+      return statement.source.value === packageName;
+    }
+    if (statement.type === "ExpressionStatement") {
+      return isRequireCall(statement.expression, packageName);
+    }
+    return (
+      statement.type === "VariableDeclaration" &&
+      statement.declarations.some((entry) => isRequireCall(entry.init, packageName))
+    );
+  });
+}
+
+/**
+ * Finds the exported value (`export default` or `module.exports =`)
+ * @param {Object} ast - AST from parseModule
+ * @returns {Object|null} The exported expression
+ */
+export function findExportedValue(ast) {
+  for (const statement of ast.program.body) {
+    if (statement.type === "ExportDefaultDeclaration") {
+      return statement.declaration;
+    }
+
+    if (isModuleExportsAssignment(statement)) {
+      return statement.expression.right;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds a top level variable declarator by name
+ * @param {Object} ast - AST from parseModule
+ * @param {string} name - Variable name
+ * @returns {Object|null} The declarator, or null when not found
+ */
+export function findVariableDeclarator(ast, name) {
+  for (const statement of ast.program.body) {
+    const declaration =
+      statement.type === "ExportNamedDeclaration"
+        ? statement.declaration
+        : statement;
+
+    if (declaration?.type === "VariableDeclaration") {
+      const declarator = declaration.declarations.find(
+        (entry) => entry.id.type === "Identifier" && entry.id.name === name,
+      );
+      if (declarator) return declarator;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the config object of a config module. Handles exported objects,
+ * `defineConfig(...)` / `mergeConfig(...)` calls, config functions and variables
+ * @param {Object} node - Exported expression
+ * @param {Object} ast - The config module
+ * @returns {Object|null} The ObjectExpression holding the config
+ */
+export function resolveConfigObject(node, ast) {
+  switch (node?.type) {
+    case "TSAsExpression":
+    case "TSSatisfiesExpression":
+    case "ParenthesizedExpression":
+      return resolveConfigObject(node.expression, ast);
+    case "Identifier":
+      return resolveConfigObject(
+        findVariableDeclarator(ast, node.name)?.init,
+        ast,
+      );
+    case "CallExpression":
+      return (
+        node.arguments
+          .map((argument) => resolveConfigObject(argument, ast))
+          .findLast(Boolean) ?? null
+      );
+    case "ArrowFunctionExpression":
+    case "FunctionExpression":
+      return node.body.type === "BlockStatement"
+        ? resolveConfigObject(
+            node.body.body.findLast(
+              (statement) => statement.type === "ReturnStatement",
+            )?.argument,
+            ast,
+          )
+        : resolveConfigObject(node.body, ast);
+    case "ObjectExpression":
+      return node;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Finds a property of an object literal by key
+ * @param {Object} objectNode - ObjectExpression node
+ * @param {string} key - Property name
+ * @returns {Object|null} The property, or null when not found
+ */
+export function findProperty(objectNode, key) {
+  return (
+    objectNode.properties.find(
+      (property) => (property.key?.name ?? property.key?.value) === key,
+    ) ?? null
+  );
+}
+
+/**
+ * Rewrites the double-quoted strings in generated code to the file's quote style
+ * @param {string} code - Generated code using double quotes
+ * @param {string} source - Source of the file the code goes into
+ * @returns {string} Code using the file's quote style
+ */
+export function matchQuoteStyle(code, source) {
+  const singleQuotes = (source.match(/'/g) ?? []).length;
+  const doubleQuotes = (source.match(/"/g) ?? []).length;
+
+  return singleQuotes > doubleQuotes
+    ? code.replace(/"([^"'\\]*)"/g, "'$1'")
+    : code;
+}
+
+/**
+ * Returns the indentation of the line a position is on
+ * @param {string} source - File source
+ * @param {number} position - Offset in the source
+ * @returns {string} Leading whitespace of the line
+ */
+function getLineIndent(source, position) {
+  const lineStart = source.lastIndexOf("\n", position - 1) + 1;
+  return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Builds the edit that adds a default import after the existing imports,
+ * as `import` in ES modules and as `require` in CommonJS files
+ * @param {Object} ast - AST from parseModule
+ * @param {string} source - Module source
+ * @param {string|null} localName - Name to import the module as, or null to import it only for its side effects
+ * @param {string} packageName - Module to import
+ * @returns {Object} Text edit
+ */
+export function buildImportEdit(ast, source, localName, packageName) {
+  const body = ast.program.body;
+  const isCommonJs =
+    !body.some(
+      (statement) =>
+        statement.type.startsWith("Export") ||
+        statement.type === "ImportDeclaration",
+    ) &&
+    (body.some(isModuleExportsAssignment) || body.some(isRequireStatement));
+  const lastImport = body.findLast(isImportStatement);
+  const referenceStatement = lastImport ?? body[0];
+  const usesSemicolons =
+    !referenceStatement ||
+    source.slice(referenceStatement.start, referenceStatement.end).endsWith(";");
+
+  const requireCall = `require("${packageName}")`;
+  const statement = matchQuoteStyle(
+    isCommonJs
+      ? localName
+        ? `const ${localName} = ${requireCall}`
+        : requireCall
+      : `import ${localName ? `${localName} from ` : ""}"${packageName}"`,
+    source,
+  );
+  const line = `${statement}${usesSemicolons ? ";" : ""}`;
+
+  return lastImport
+    ? { start: lastImport.end, end: lastImport.end, text: `\n${line}` }
+    : { start: 0, end: 0, text: `${line}\n\n` };
+}
+
+/**
+ * Returns the items of an array, call argument list or object
+ * @param {Object} listNode - ArrayExpression, CallExpression or ObjectExpression
+ * @returns {Object[]} Elements, arguments or properties
+ */
+function getListItems(listNode) {
+  return {
+    ArrayExpression: listNode.elements,
+    CallExpression: listNode.arguments,
+    ObjectExpression: listNode.properties,
+  }[listNode.type];
+}
+
+/**
+ * Builds the edit that appends an item to an array, call argument list or
+ * object, following the list's existing layout (one line or one item per line)
+ * @param {string} source - File source
+ * @param {Object} listNode - ArrayExpression, CallExpression or ObjectExpression
+ * @param {string} code - Item to append
+ * @param {Object} options - Edit options
+ * @param {boolean} options.trailingComma - Add a trailing comma when the list is empty
+ * @returns {Object} Text edit
+ */
+export function buildAppendEdit(
+  source,
+  listNode,
+  code,
+  { trailingComma = true } = {},
+) {
+  const items = getListItems(listNode);
+  const closingPosition = listNode.end - 1;
+  const indentCode = (indent) => code.replace(/\n/g, `\n${indent}`);
+
+  if (items.length === 0) {
+    const indent = getLineIndent(source, listNode.start);
+    const openingPosition =
+      listNode.type === "CallExpression"
+        ? source.indexOf("(", listNode.callee.end)
+        : listNode.start;
+
+    return {
+      start: openingPosition + 1,
+      end: closingPosition,
+      text: `\n${indent}  ${indentCode(`${indent}  `)}${trailingComma ? "," : ""}\n${indent}`,
+    };
+  }
+
+  const lastItem = items[items.length - 1];
+  const trailingCommaMatch = source
+    .slice(lastItem.end, closingPosition)
+    .match(/^\s*,/);
+  const isMultiline = source.slice(listNode.start, items[0].start).includes("\n");
+
+  if (!isMultiline) {
+    const indent = getLineIndent(source, lastItem.end);
+    return { start: lastItem.end, end: lastItem.end, text: `, ${indentCode(indent)}` };
+  }
+
+  const indent = getLineIndent(source, items[0].start);
+
+  if (trailingCommaMatch) {
+    const position = lastItem.end + trailingCommaMatch[0].length;
+    return { start: position, end: position, text: `\n${indent}${indentCode(indent)},` };
+  }
+
+  return {
+    start: lastItem.end,
+    end: lastItem.end,
+    text: `,\n${indent}${indentCode(indent)}`,
+  };
+}
+
+/**
+ * Builds the edit that replaces a node, indenting the new code like the line
+ * the node starts on
+ * @param {string} source - File source
+ * @param {Object} node - Node to replace
+ * @param {string} code - Replacement code
+ * @returns {Object} Text edit
+ */
+export function buildReplaceEdit(source, node, code) {
+  const indent = getLineIndent(source, node.start);
+  return {
+    start: node.start,
+    end: node.end,
+    text: code.replace(/\n/g, `\n${indent}`),
+  };
+}
+
+/**
+ * Builds the edit that removes an item from an array, call argument list or
+ * object, together with the comma that separates it from its neighbour
+ * @param {Object} listNode - ArrayExpression, CallExpression or ObjectExpression
+ * @param {Object} item - Item to remove
+ * @returns {Object} Text edit
+ */
+export function buildRemoveEdit(listNode, item) {
+  const items = getListItems(listNode);
+  const index = items.indexOf(item);
+
+  if (index > 0) {
+    return { start: items[index - 1].end, end: item.end, text: "" };
+  }
+
+  return items.length > 1
+    ? { start: item.start, end: items[1].start, text: "" }
+    : { start: item.start, end: item.end, text: "" };
+}
+
+/**
+ * Applies text edits to a source, last edit first so offsets stay valid.
+ * Edits at the same position end up in the order they were given
+ * @param {string} source - Original source
+ * @param {Object[]} edits - Edits with start, end and replacement text
+ * @returns {string} Updated source
+ */
+export function applyEdits(source, edits) {
+  return edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((first, second) => second.start - first.start || second.index - first.index)
+    .reduce(
+      (content, { start, end, text }) =>
+        content.slice(0, start) + text + content.slice(end),
+      source,
+    );
+}
@@ -0,0 +1,235 @@
+import {
+  AUTH_METHODS,
+  AUTH_SCRIPT_PATH,
+  AUTH_PROFILE_DIRECTORY,
+  AUTH_STORAGE_STATE_PATH,
+  AUTH_SECRETS,
+} from "./constants.js";
+import { writeGeneratedFile } from "./manifest.js";
+import { normalizeRoute } from "./route-discovery.js";
+
+/**
+ * Normalizes the page with the login form: a route of the app, or a full
+ * URL when the login happens on another host
+ * @param {string} loginUrl - Route or URL
+ * @returns {string} Normalized route or URL
+ */
+export function normalizeLoginUrl(loginUrl) {
+  return /^https?:\/\//.test(loginUrl.trim())
+    ? loginUrl.trim()
+    : normalizeRoute(loginUrl);
+}
+
+/**
+ * Builds the command that signs in before a tool runs
+ * @param {string} baseUrl - Base URL the app is served on, or a quoted shell variable holding it
+ * @returns {string} Shell command
+ */
+export function buildLoginCommand(baseUrl) {
+  return `node ${AUTH_SCRIPT_PATH} ${baseUrl}`;
+}
+
+/**
+ * Builds the login function that fills in the login form. The credentials
+ * are read from environment variables, so they stay out of the repository
+ * @param {Object} auth - Login URL and form selectors
+ * @returns {string} Script source
+ */
+function buildFormLogin({
+  loginUrl,
+  usernameSelector,
+  passwordSelector,
+  submitSelector,
+}) {
+  const [usernameVariable, passwordVariable] = AUTH_SECRETS[AUTH_METHODS.FORM];
+
+  return `const LOGIN_FORM = ${JSON.stringify(
+    { loginUrl, usernameSelector, passwordSelector, submitSelector },
+    null,
+    2,
+  )};
+
+// The credentials come from the environment, e.g. from CI secrets
+async function logIn(page, baseUrl) {
+  const username = process.env.${usernameVariable};
+  const password = process.env.${passwordVariable};
+  if (!username || !password) {
+    throw new Error("Set ${usernameVariable} and ${passwordVariable} to log in.");
+  }
+
+  const loginUrl = new URL(LOGIN_FORM.loginUrl, baseUrl).href;
+  await page.goto(loginUrl, { waitUntil: "networkidle2" });
+  await page.waitForSelector(LOGIN_FORM.usernameSelector);
+  await page.type(LOGIN_FORM.usernameSelector, username);
+  await page.type(LOGIN_FORM.passwordSelector, password);
+  await Promise.all([
+    // Single-page apps may sign in without a navigation
+    page.waitForNavigation({ waitUntil: "networkidle2" }).catch(() => {}),
+    page.click(LOGIN_FORM.submitSelector),
+  ]);
+
+  if (page.url() === loginUrl) {
+    throw new Error(
+      \`Still on \${loginUrl} after submitting the login form. Check the credentials and selectors.\`,
+    );
+  }
+}`;
+}
+
+/**
+ * Builds the login function that restores a saved session: the cookies and
+ * local storage of a Playwright storage state file
+ * @param {Object} auth - Path of the storage state file
+ * @returns {string} Script source
+ */
+function buildStorageStateLogin({ storageState }) {
+  const [storageStateVariable] = AUTH_SECRETS[AUTH_METHODS.STORAGE_STATE];
+
+  return `const STORAGE_STATE_FILE = ${JSON.stringify(storageState)};
+
+// The session comes from ${storageStateVariable} (e.g. a CI secret) or the file
+// saved with "npx playwright codegen --save-storage"
+function readStorageState() {
+  if (process.env.${storageStateVariable}) {
+    return JSON.parse(process.env.${storageStateVariable});
+  }
+  if (!fs.existsSync(STORAGE_STATE_FILE)) {
+    throw new Error(
+      \`Set ${storageStateVariable} or save the session to \${STORAGE_STATE_FILE} to log in.\`,
+    );
+  }
+  return JSON.parse(fs.readFileSync(STORAGE_STATE_FILE, "utf-8"));
+}
+
+async function logIn(page, baseUrl) {
+  const { cookies = [], origins = [] } = readStorageState();
+
+  // Session cookies are saved with an expiry of -1
+  await page.setCookie(
+    ...cookies.map(({ expires, ...cookie }) =>
+      expires > 0 ? { ...cookie, expires } : cookie,
+    ),
+  );
+
+  for (const { origin, localStorage: items = [] } of origins) {
+    await page.goto(origin);
+    await page.evaluate((entries) => {
+      entries.forEach(({ name, value }) => localStorage.setItem(name, value));
+    }, items);
+  }
+
+  await page.goto(baseUrl, { waitUntil: "networkidle2" });
+}`;
+}
+
+/**
+ * Builds the login script. Run with a base URL it signs in a Chrome profile
+ * and saves the session for the other tools; Lighthouse requires it as its
+ * puppeteerScript
+ * @param {Object} auth - Login settings from the answers
+ * @returns {string} Script source
+ */
+function buildLoginScript(auth) {
+  return `// Signs in to the app before the accessibility tools test it. Generated by
+// ally-wizard from the "auth" settings.
+//
+//   node ${AUTH_SCRIPT_PATH} <base URL>
+//
+// signs in the Chrome profile axe and Pa11y open the pages in and saves the
+// session the Playwright specs start with. Lighthouse runs this file as its
+// puppeteerScript and signs in within its own browser.
+const fs = require("fs");
+const path = require("path");
+
+const PROFILE_DIRECTORY = ${JSON.stringify(AUTH_PROFILE_DIRECTORY)};
+const STORAGE_STATE_PATH = ${JSON.stringify(AUTH_STORAGE_STATE_PATH)};
+
+${auth.method === AUTH_METHODS.FORM ? buildFormLogin(auth) : buildStorageStateLogin(auth)}
+
+// Saves the cookies and local storage of the page as a Playwright storage state
+async function saveStorageState(page) {
+  const session = await page.target().createCDPSession();
+  const { cookies } = await session.send("Network.getAllCookies");
+  const localStorage = await page.evaluate(() =>
+    Object.entries(window.localStorage).map(([name, value]) => ({
+      name,
+      value,
+    })),
+  );
+
+  fs.mkdirSync(path.dirname(STORAGE_STATE_PATH), { recursive: true });
+  fs.writeFileSync(
+    STORAGE_STATE_PATH,
+    JSON.stringify(
+      {
+        cookies: cookies.map((cookie) => ({
+          name: cookie.name,
+          value: cookie.value,
+          domain: cookie.domain,
+          path: cookie.path,
+          expires: cookie.expires,
+          httpOnly: cookie.httpOnly,
+          secure: cookie.secure,
+          sameSite: cookie.sameSite ?? "Lax",
+        })),
+        origins: [{ origin: new URL(page.url()).origin, localStorage }],
+      },
+      null,
+      2,
+    ),
+  );
+}
+
+let loggedIn = false;
+
+// Lighthouse calls this before every page it collects; the browser keeps the
+// session after the first login
+module.exports = async (browser, { url }) => {
+  if (loggedIn) return;
+
+  const page = await browser.newPage();
+  await logIn(page, new URL(url).origin);
+  await page.close();
+  loggedIn = true;
+};
+
+if (require.main === module) {
+  const baseUrl = process.argv[2];
+
+  (async () => {
+    if (!baseUrl) {
+      throw new Error("Pass the base URL of the app.");
+    }
+
+    const puppeteer = require("puppeteer");
+    fs.rmSync(PROFILE_DIRECTORY, { recursive: true, force: true });
+    const browser = await puppeteer.launch({
+      userDataDir: PROFILE_DIRECTORY,
+      args: ["--no-sandbox", "--disable-dev-shm-usage"],
+    });
+
+    try {
+      const page = await browser.newPage();
+      await logIn(page, baseUrl);
+      await saveStorageState(page);
+    } finally {
+      await browser.close();
+    }
+
+    console.log(\`Logged in to \${baseUrl}\`);
+  })().catch((error) => {
+    console.error(\`Login failed: \${error.message}\`);
+    process.exit(1);
+  });
+}
+`;
+}
+
+/**
+ * Writes the login script the tools sign in with
+ * @param {Object} auth - Login settings from the answers
+ * @returns {string} One of WRITE_RESULTS
+ */
+export function writeLoginScript(auth) {
+  return writeGeneratedFile(AUTH_SCRIPT_PATH, buildLoginScript(auth));
+}
@@ -0,0 +1,98 @@
+import fs from "fs";
+import { BASELINE_FILE_NAME } from "./constants.js";
+import { writeFile } from "./file-utils.js";
+import { getPagePath, getPageIssueKey } from "./report.js";
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Converts report issues into baseline entries
+ * @param {Object[]} issues - De-duplicated issues
+ * @returns {Object[]} Baseline entries sorted by page and rule
+ */
+function toBaselineEntries(issues) {
+  return issues
+    .map(({ ruleId, wcag, impact, selector, page }) => ({
+      ruleId,
+      wcag,
+      impact,
+      page: getPagePath(page),
+      selector,
+    }))
+    .sort(
+      (first, second) =>
+        first.page.localeCompare(second.page) ||
+        first.ruleId.localeCompare(second.ruleId) ||
+        first.selector.localeCompare(second.selector),
+    );
+}
+
+/**
+ * Reads the baseline file
+ * @param {string} filePath - Path to the baseline file
+ * @returns {Object|null} The baseline, or null when the file does not exist
+ */
+export function readBaseline(filePath = BASELINE_FILE_NAME) {
+  if (!fs.existsSync(filePath)) return null;
+
+  const baseline = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  if (!Array.isArray(baseline.issues)) {
+    throw new Error(`${filePath} is not a valid baseline file: "issues" must be an array.`);
+  }
+
+  return baseline;
+}
+
+/**
+ * Writes the baseline file
+ * @param {Object[]} issues - Issues to record as known
+ * @param {string} filePath - Path to the baseline file
+ * @returns {Object} The written baseline
+ */
+export function writeBaseline(issues, filePath = BASELINE_FILE_NAME) {
+  const baseline = {
+    version: BASELINE_VERSION,
+    updatedAt: new Date().toISOString(),
+    issues: toBaselineEntries(issues),
+  };
+
+  writeFile(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+  return baseline;
+}
+
+/**
+ * Removes baseline entries that no longer occur in the report
+ * @param {Object} baseline - Current baseline
+ * @param {Object} report - Report from buildReport
+ * @returns {Object[]} Baseline entries that are still present
+ */
+export function pruneBaseline(baseline, report) {
+  const currentKeys = new Set(report.issues.map(getPageIssueKey));
+  return baseline.issues.filter((entry) => currentKeys.has(getPageIssueKey(entry)));
+}
+
+/**
+ * Marks the report issues that are recorded in the baseline
+ * @param {Object} report - Report from buildReport
+ * @param {Object} baseline - Baseline from readBaseline
+ * @returns {Object} Report with "baselined" flags and baseline counts
+ */
+export function applyBaseline(report, baseline) {
+  const baselineKeys = new Set(baseline.issues.map(getPageIssueKey));
+  const issues = report.issues.map((issue) => ({
+    ...issue,
+    baselined: baselineKeys.has(getPageIssueKey(issue)),
+  }));
+  const knownCount = issues.filter((issue) => issue.baselined).length;
+
+  return {
+    ...report,
+    issues,
+    baseline: {
+      known: knownCount,
+      new: issues.length - knownCount,
+      fixed: baseline.issues.length - pruneBaseline(baseline, report).length,
+    },
+  };
+}
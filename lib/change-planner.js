@@ -0,0 +1,164 @@
+import fs from "fs";
+import path from "path";
+import { createTwoFilesPatch } from "diff";
+import { COLORS, MESSAGE_TYPES } from "./constants.js";
+import { logMessage } from "./logger.js";
+
+const plannedFiles = new Map();
+const plannedCommands = [];
+let dryRunEnabled = false;
+
+/**
+ * Enables dry-run mode so file writes and commands are only planned
+ */
+export function enableDryRun() {
+  dryRunEnabled = true;
+}
+
+/**
+ * Checks whether dry-run mode is enabled
+ * @returns {boolean} True when changes should only be previewed
+ */
+export function isDryRun() {
+  return dryRunEnabled;
+}
+
+/**
+ * Returns the content planned for a file during a dry run
+ * @param {string} filePath - Path to the file
+ * @returns {string|null|undefined} Planned content, null if the file would be
+ * deleted, or undefined if the file was not planned
+ */
+export function getPlannedContent(filePath) {
+  return plannedFiles.get(path.resolve(filePath));
+}
+
+/**
+ * Records a file write and prints it as a unified diff
+ * @param {string} filePath - Path to the file that would be written
+ * @param {string} content - Content that would be written
+ */
+export function planFileWrite(filePath, content) {
+  const absolutePath = path.resolve(filePath);
+  const displayPath = path.relative(process.cwd(), absolutePath);
+
+  let previousContent = plannedFiles.get(absolutePath);
+  if (previousContent === undefined && fs.existsSync(absolutePath)) {
+    previousContent = fs.readFileSync(absolutePath, "utf-8");
+  }
+
+  plannedFiles.set(absolutePath, content);
+
+  if (previousContent === content) {
+    logMessage(`${displayPath} would not change`, MESSAGE_TYPES.INFO);
+    return;
+  }
+
+  logMessage(
+    `${previousContent === undefined ? "Would create" : "Would update"} ${displayPath}:`,
+    MESSAGE_TYPES.INFO,
+  );
+  console.log(
+    formatDiff(
+      createTwoFilesPatch(
+        previousContent === undefined ? "/dev/null" : `a/${displayPath}`,
+        `b/${displayPath}`,
+        previousContent ?? "",
+        content,
+      ),
+    ),
+  );
+}
+
+/**
+ * Records a file deletion and prints the removed content as a diff
+ * @param {string} filePath - Path to the file that would be deleted
+ */
+export function planFileDelete(filePath) {
+  const absolutePath = path.resolve(filePath);
+  const displayPath = path.relative(process.cwd(), absolutePath);
+
+  let previousContent = plannedFiles.get(absolutePath);
+  if (previousContent === undefined && fs.existsSync(absolutePath)) {
+    previousContent = fs.readFileSync(absolutePath, "utf-8");
+  }
+
+  plannedFiles.set(absolutePath, null);
+
+  if (previousContent === undefined || previousContent === null) return;
+
+  logMessage(`Would delete ${displayPath}:`, MESSAGE_TYPES.INFO);
+  console.log(
+    formatDiff(
+      createTwoFilesPatch(`a/${displayPath}`, "/dev/null", previousContent, ""),
+    ),
+  );
+}
+
+/**
+ * Records a command that would be executed
+ * @param {string} command - The command that would be run
+ */
+export function planCommand(command) {
+  plannedCommands.push(command);
+  logMessage("Would run:", MESSAGE_TYPES.INFO);
+  logMessage(command, MESSAGE_TYPES.COMMAND);
+}
+
+/**
+ * Adds terminal colors to a unified diff
+ * @param {string} patch - Unified diff produced by the diff package
+ * @returns {string} Colored diff
+ */
+function formatDiff(patch) {
+  return patch
+    .split("\n")
+    .filter((line) => !/^=+$/.test(line))
+    .map((line) => {
+      if (line.startsWith("+++") || line.startsWith("---")) {
+        return `${COLORS.BRIGHT}${line}${COLORS.RESET}`;
+      }
+      if (line.startsWith("+")) return `${COLORS.GREEN}${line}${COLORS.RESET}`;
+      if (line.startsWith("-")) return `${COLORS.RED}${line}${COLORS.RESET}`;
+      if (line.startsWith("@@")) return `${COLORS.CYAN}${line}${COLORS.RESET}`;
+      return line;
+    })
+    .join("\n");
+}
+
+/**
+ * Displays a summary of everything a dry run would have changed
+ */
+export function displayPlanSummary() {
+  logMessage("Dry run completed - nothing was changed", MESSAGE_TYPES.HEADER);
+
+  const writtenFiles = [...plannedFiles.keys()].filter(
+    (filePath) => plannedFiles.get(filePath) !== null,
+  );
+  const deletedFiles = [...plannedFiles.keys()].filter(
+    (filePath) => plannedFiles.get(filePath) === null,
+  );
+
+  logMessage("Files that would be written:", MESSAGE_TYPES.SECTION);
+  if (writtenFiles.length === 0) {
+    logMessage("none", MESSAGE_TYPES.INFO);
+  }
+  writtenFiles.forEach((filePath) => {
+    logMessage(path.relative(process.cwd(), filePath), MESSAGE_TYPES.INFO);
+  });
+
+  if (deletedFiles.length > 0) {
+    logMessage("Files that would be deleted:", MESSAGE_TYPES.SECTION);
+    deletedFiles.forEach((filePath) => {
+      logMessage(path.relative(process.cwd(), filePath), MESSAGE_TYPES.INFO);
+    });
+  }
+
+  logMessage("Commands that would be run:", MESSAGE_TYPES.SECTION);
+  if (plannedCommands.length === 0) {
+    logMessage("none", MESSAGE_TYPES.INFO);
+  }
+  plannedCommands.forEach((command) => {
+    logMessage(command, MESSAGE_TYPES.COMMAND);
+  });
+}
@@ -0,0 +1,151 @@
+import { REPORT_OUTPUT_DIRECTORY } from "../constants.js";
+import {
+  findLockFile,
+  indentScript,
+  getResultDirectory,
+  buildInstallScript,
+  buildBuildScript,
+  buildToolScript,
+  buildReportScript,
+  buildStorybookTestScript,
+} from "./shell-scripts.js";
+
+// Hosted Ubuntu agents come with Chrome and a matching ChromeDriver
+const BROWSER_SETUP = `export CHROME_PATH=/usr/bin/google-chrome CHROMEDRIVER_PATH="$CHROMEWEBDRIVER/chromedriver"`;
+
+/**
+ * Generates the Node.js setup and dependency cache steps every job starts with
+ * @param {string} packageManager - The package manager in use
+ * @returns {string} Steps YAML
+ */
+function generateSetupSteps(packageManager) {
+  return `      - task: NodeTool@0
+        displayName: Use Node.js 20
+        inputs:
+          versionSpec: "20.x"
+
+      - task: Cache@2
+        displayName: Cache dependencies
+        inputs:
+          key: 'a11y | "$(Agent.OS)" | ${findLockFile(packageManager)}'
+          path: node_modules`;
+}
+
+/**
+ * Generates a job that runs one tool and publishes its results
+ * @param {string} tool - Accessibility tool
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Job YAML
+ */
+function generateToolJob(tool, project) {
+  const { framework, packageManager } = project;
+  const resultDirectory = getResultDirectory(tool);
+
+  return `  - job: ${tool}
+    displayName: ${tool} accessibility testing
+    dependsOn: build
+    steps:
+${generateSetupSteps(packageManager)}
+
+      - task: DownloadPipelineArtifact@2
+        displayName: Download build output
+        inputs:
+          artifact: build-output
+          path: $(System.DefaultWorkingDirectory)/${framework.outputDirectory}
+
+      - script: |
+${indentScript(`${buildInstallScript(packageManager)}\n${buildToolScript(tool, project, BROWSER_SETUP)}`, "          ")}
+        displayName: Run ${tool}
+
+      - publish: ${resultDirectory}
+        artifact: ${tool}-results
+        displayName: Upload ${tool} results`;
+}
+
+/**
+ * Generates the job that builds Storybook and checks every story
+ * @param {string} packageManager - The package manager in use
+ * @returns {string} Job YAML
+ */
+function generateStorybookJob(packageManager) {
+  return `  - job: storybook
+    displayName: Storybook accessibility testing
+    steps:
+${generateSetupSteps(packageManager)}
+
+      - script: |
+${indentScript(`${buildInstallScript(packageManager)}\n${buildStorybookTestScript()}`, "          ")}
+        displayName: Run Storybook accessibility tests`;
+}
+
+/**
+ * Generates the Azure Pipelines definition for accessibility testing
+ * @param {string[]} selectedTools - Array of selected accessibility tools
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Complete azure-pipelines.yml content
+ */
+export function generateAzurePipeline(selectedTools, project) {
+  const { framework, packageManager } = project;
+
+  const downloadSteps = selectedTools.map(
+    (tool) => `      - task: DownloadPipelineArtifact@2
+        displayName: Download ${tool} results
+        inputs:
+          artifact: ${tool}-results
+          path: $(System.DefaultWorkingDirectory)/${getResultDirectory(tool)}`,
+  );
+
+  return `# Accessibility testing generated by ally-wizard. Set the A11Y_BASE_URL
+# pipeline variable to test a deployed preview instead of a local build.
+
+trigger:
+  branches:
+    include: [main]
+
+pr:
+  branches:
+    include: [main]
+
+pool:
+  vmImage: ubuntu-latest
+
+jobs:
+  - job: build
+    displayName: Setup and build
+    steps:
+${generateSetupSteps(packageManager)}
+
+      - script: |
+${indentScript(buildBuildScript(packageManager), "          ")}
+        displayName: Install dependencies and build
+
+      - publish: ${framework.outputDirectory}
+        artifact: build-output
+        displayName: Upload build output
+
+${selectedTools.map((tool) => generateToolJob(tool, project)).join("\n\n")}${
+  project.storybook ? `\n\n${generateStorybookJob(packageManager)}` : ""
+}
+
+  - job: report
+    displayName: Accessibility report
+    dependsOn: [${selectedTools.join(", ")}]
+    steps:
+${generateSetupSteps(packageManager)}
+
+${downloadSteps.join("\n\n")}
+
+      - script: |
+${indentScript(`${buildInstallScript(packageManager)}\n${buildReportScript()}`, "          ")}
+        displayName: Build accessibility report
+
+      - script: echo "##vso[task.uploadsummary]$(System.DefaultWorkingDirectory)/${REPORT_OUTPUT_DIRECTORY}/accessibility-report.md"
+        displayName: Add report to the run summary
+        condition: succeededOrFailed()
+
+      - publish: ${REPORT_OUTPUT_DIRECTORY}
+        artifact: accessibility-report
+        displayName: Upload accessibility report
+        condition: succeededOrFailed()
+`;
+}
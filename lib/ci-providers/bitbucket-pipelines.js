@@ -0,0 +1,111 @@
+import { REPORT_OUTPUT_DIRECTORY } from "../constants.js";
+import {
+  findLockFile,
+  indentScript,
+  getResultDirectory,
+  buildInstallScript,
+  buildBuildScript,
+  buildToolScript,
+  buildReportScript,
+  buildStorybookTestScript,
+} from "./shell-scripts.js";
+
+const NODE_IMAGE = "node:20";
+
+// The node image has no browser; Debian's Chromium comes with a matching ChromeDriver
+const BROWSER_SETUP = `apt-get update && apt-get install -y --no-install-recommends chromium chromium-driver
+export CHROME_PATH=/usr/bin/chromium CHROMEDRIVER_PATH=/usr/bin/chromedriver`;
+
+/**
+ * Generates a step that runs one tool and keeps its results as artifacts
+ * @param {string} tool - Accessibility tool
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Step YAML
+ */
+function generateToolStep(tool, project) {
+  return `- step:
+    name: Run ${tool}
+    caches:
+      - a11y-node-modules
+    script:
+      - |
+${indentScript(`${buildInstallScript(project.packageManager)}\n${buildToolScript(tool, project, BROWSER_SETUP)}`, "        ")}
+    artifacts:
+      - ${getResultDirectory(tool)}/**`;
+}
+
+/**
+ * Generates the step that builds Storybook and checks every story. It runs
+ * after the report, as a failed step stops the pipeline
+ * @param {string} packageManager - The package manager in use
+ * @returns {string} Step YAML
+ */
+function generateStorybookStep(packageManager) {
+  return `- step:
+    name: Run Storybook accessibility tests
+    caches:
+      - a11y-node-modules
+    script:
+      - |
+${indentScript(`${buildInstallScript(packageManager)}\n${buildStorybookTestScript()}`, "        ")}`;
+}
+
+/**
+ * Generates the Bitbucket Pipelines definition for accessibility testing
+ * @param {string[]} selectedTools - Array of selected accessibility tools
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Complete bitbucket-pipelines.yml content
+ */
+export function generateBitbucketPipeline(selectedTools, project) {
+  const { framework, packageManager } = project;
+  // Bitbucket only accepts parallel groups of two or more steps
+  const toolSteps = selectedTools.map((tool) => generateToolStep(tool, project));
+
+  return `# Accessibility testing generated by ally-wizard. Set the A11Y_BASE_URL
+# repository variable to test a deployed preview instead of a local build.
+
+image: ${NODE_IMAGE}
+
+definitions:
+  caches:
+    a11y-node-modules:
+      key:
+        files:
+          - ${findLockFile(packageManager)}
+      path: node_modules
+
+pipelines:
+  default:
+    - step:
+        name: Setup and build
+        caches:
+          - a11y-node-modules
+        script:
+          - |
+${indentScript(buildBuildScript(packageManager), "            ")}
+        artifacts:
+          - ${framework.outputDirectory}/**
+
+${
+  toolSteps.length > 1
+    ? `    - parallel:\n${indentScript(toolSteps.join("\n"), "        ")}`
+    : indentScript(toolSteps[0], "    ")
+}
+
+    - step:
+        name: Accessibility report
+        caches:
+          - a11y-node-modules
+        script:
+          - |
+${indentScript(`${buildInstallScript(packageManager)}\n${buildReportScript()}`, "            ")}
+        artifacts:
+          - ${REPORT_OUTPUT_DIRECTORY}/**
+${
+  project.storybook
+    ? `
+${indentScript(generateStorybookStep(packageManager), "    ")}
+`
+    : ""
+}`;
+}
@@ -0,0 +1,154 @@
+import { ACCESSIBILITY_TOOLS, REPORT_OUTPUT_DIRECTORY } from "../constants.js";
+import {
+  findLockFile,
+  indentScript,
+  getResultDirectory,
+  buildInstallScript,
+  buildBuildScript,
+  buildToolScript,
+  buildReportScript,
+  buildStorybookTestScript,
+} from "./shell-scripts.js";
+
+const NODE_IMAGE = "cimg/node:20.18-browsers";
+
+const BROWSER_TOOLS_ORB = "circleci/browser-tools@1.4.8";
+
+// Chrome and ChromeDriver are installed by the browser-tools orb; Playwright
+// downloads its own browser
+const BROWSER_SETUP = `export CHROME_PATH="$(command -v google-chrome)" CHROMEDRIVER_PATH="$(command -v chromedriver)"`;
+
+/**
+ * Generates a job that runs one tool and adds its results to the workspace
+ * @param {string} tool - Accessibility tool
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Job YAML
+ */
+function generateToolJob(tool, project) {
+  return `  a11y-${tool}:
+    executor: a11y-node
+    steps:
+      - checkout
+      - attach_workspace:
+          at: .${
+        tool === ACCESSIBILITY_TOOLS.PLAYWRIGHT
+          ? ""
+          : `
+      - browser-tools/install-chrome
+      - browser-tools/install-chromedriver`
+      }
+      - run:
+          name: Run ${tool}
+          command: |
+${indentScript(`${buildInstallScript(project.packageManager, { sudo: true })}\n${buildToolScript(tool, project, BROWSER_SETUP)}`, "            ")}
+      - persist_to_workspace:
+          root: .
+          paths:
+            - ${getResultDirectory(tool)}`;
+}
+
+/**
+ * Generates the job that builds Storybook and checks every story
+ * @param {string} packageManager - The package manager in use
+ * @returns {string} Job YAML
+ */
+function generateStorybookJob(packageManager) {
+  return `  a11y-storybook:
+    executor: a11y-node
+    steps:
+      - checkout
+      - attach_workspace:
+          at: .
+      - run:
+          name: Run Storybook accessibility tests
+          command: |
+${indentScript(`${buildInstallScript(packageManager, { sudo: true })}\n${buildStorybookTestScript()}`, "            ")}`;
+}
+
+/**
+ * Generates the CircleCI config for accessibility testing
+ * @param {string[]} selectedTools - Array of selected accessibility tools
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Complete .circleci/config.yml content
+ */
+export function generateCircleCIConfig(selectedTools, project) {
+  const { framework, packageManager } = project;
+  const cacheKey = `a11y-deps-{{ checksum "${findLockFile(packageManager)}" }}`;
+  const toolJobs = selectedTools.map((tool) => `a11y-${tool}`);
+
+  return `# Accessibility testing generated by ally-wizard. Set the A11Y_BASE_URL
+# environment variable of the project to test a deployed preview instead of a local build.
+
+version: 2.1
+
+orbs:
+  browser-tools: ${BROWSER_TOOLS_ORB}
+
+executors:
+  a11y-node:
+    docker:
+      - image: ${NODE_IMAGE}
+
+jobs:
+  a11y-build:
+    executor: a11y-node
+    steps:
+      - checkout
+      - restore_cache:
+          keys:
+            - ${cacheKey}
+      - run:
+          name: Install dependencies and build
+          command: |
+${indentScript(buildBuildScript(packageManager, { sudo: true }), "            ")}
+      - save_cache:
+          key: ${cacheKey}
+          paths:
+            - node_modules
+      - persist_to_workspace:
+          root: .
+          paths:
+            - node_modules
+            - ${framework.outputDirectory}
+
+${selectedTools.map((tool) => generateToolJob(tool, project)).join("\n\n")}${
+  project.storybook ? `\n\n${generateStorybookJob(packageManager)}` : ""
+}
+
+  a11y-report:
+    executor: a11y-node
+    steps:
+      - checkout
+      - attach_workspace:
+          at: .
+      - run:
+          name: Build accessibility report
+          command: |
+${indentScript(`${buildInstallScript(packageManager, { sudo: true })}\n${buildReportScript()}`, "            ")}
+      - store_artifacts:
+          path: ${REPORT_OUTPUT_DIRECTORY}
+          destination: accessibility-report
+
+workflows:
+  accessibility:
+    jobs:
+      - a11y-build
+${toolJobs
+  .map(
+    (job) => `      - ${job}:
+          requires:
+            - a11y-build`,
+  )
+  .join("\n")}
+      - a11y-report:
+          requires:
+${toolJobs.map((job) => `            - ${job}`).join("\n")}${
+  project.storybook
+    ? `
+      - a11y-storybook:
+          requires:
+            - a11y-build`
+    : ""
+}
+`;
+}
@@ -0,0 +1,730 @@
+import {
+  ACCESSIBILITY_TOOLS,
+  PACKAGE_MANAGERS,
+  PACKAGE_MANAGER_CI_SETTINGS,
+  LOCK_FILES,
+  PA11Y_CONFIG_FILE_NAME,
+  PA11Y_RUNTIME_CONFIG_PATH,
+  PLAYWRIGHT_CONFIG_FILE_NAME,
+  TOOL_RESULT_PATHS,
+  EXIT_CODE_FILE_NAME,
+  REPORT_FORMATS,
+  DEFAULT_REPORT_FORMATS,
+  REPORT_OUTPUT_DIRECTORY,
+  PR_COMMENT_MARKER,
+  RUNNER_PACKAGE_NAME,
+  BASELINE_FILE_NAME,
+  STORYBOOK_OUTPUT_DIRECTORY,
+  STORYBOOK_PORT,
+  LIGHTHOUSE_UPLOAD_TARGETS,
+  ACCESSIBILITY_STANDARD_PROFILES,
+  AUTH_PROFILE_DIRECTORY,
+  AUTH_SECRETS,
+} from "../constants.js";
+import { buildLoginCommand } from "../auth-config.js";
+import { readPackageJson } from "../file-utils.js";
+import {
+  buildServeCommand,
+  isLocalBaseUrl,
+  getBaseUrlPort,
+} from "../server-config.js";
+import {
+  buildFrozenInstallCommand,
+  getPackageManagerCommand,
+  detectPnpmVersion,
+} from "../package-manager.js";
+
+// With a committed baseline the tool steps may report known issues; the
+// report job then fails only on issues that are not in the baseline and on
+// tools that failed without results. Lighthouse is left out: its score
+// assertions are not issues the baseline can hold
+const BASELINE_CONDITION = `hashFiles('${BASELINE_FILE_NAME}') != ''`;
+
+const COLLECT_TEST_URLS = `URLS=()
+          for page in $TEST_PAGES; do
+            URLS+=("$TEST_BASE_URL$page")
+          done`;
+
+/**
+ * Generates the step that serves the build locally, skipped when
+ * TEST_BASE_URL points at a deployed preview
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl)
+ * @returns {string} Step YAML
+ */
+function generateServeStep({ framework, packageManager, baseUrl }) {
+  const port = isLocalBaseUrl(baseUrl)
+    ? getBaseUrlPort(baseUrl)
+    : framework.defaultPort;
+
+  return `      - name: Start preview server
+        if: startsWith(env.TEST_BASE_URL, 'http://localhost') || startsWith(env.TEST_BASE_URL, 'http://127.0.0.1')
+        run: |
+          ${buildServeCommand(framework, getPackageManagerCommand(packageManager), port)} &
+          npx wait-on "$TEST_BASE_URL" --timeout 60000`;
+}
+
+/**
+ * Generates env entries that read repository secrets
+ * @param {string[]} names - Names of the secrets and environment variables
+ * @param {string} indent - Indentation of the entries
+ * @returns {string} Env YAML lines, each starting with a line break
+ */
+function generateSecretEnvironment(names, indent = "          ") {
+  return names
+    .map((name) => `\n${indent}${name}: \${{ secrets.${name} }}`)
+    .join("");
+}
+
+/**
+ * Generates the step that signs in with the login credentials or session
+ * from the repository secrets, so the next step tests the pages as a
+ * signed-in user
+ * @param {Object|null} auth - Login settings, if the pages are behind a login
+ * @returns {string} Step YAML followed by a blank line, or nothing without a login
+ */
+function generateLoginStep(auth) {
+  if (!auth) return "";
+
+  return `      - name: Log in
+        env:
+          PUPPETEER_EXECUTABLE_PATH: /usr/bin/google-chrome-stable${generateSecretEnvironment(AUTH_SECRETS[auth.method])}
+        run: ${buildLoginCommand('"$TEST_BASE_URL"')}
+
+`;
+}
+
+/**
+ * Generates the step that saves the exit code of a failed tool step next to
+ * its results, for the report job to pick up
+ * @param {string} stepId - Id of the tool step
+ * @param {string} resultDirectory - Directory the tool saves its results in
+ * @returns {string} Step YAML followed by a blank line
+ */
+function generateExitCodeStep(stepId, resultDirectory) {
+  return `      - name: Save exit code
+        if: always() && steps.${stepId}.outcome == 'failure'
+        run: mkdir -p ${resultDirectory} && echo 1 > ${resultDirectory}/${EXIT_CODE_FILE_NAME}
+
+`;
+}
+
+/**
+ * Generates the checkout, package manager and Node.js setup steps
+ * @param {Object} project - Detected project settings
+ * @param {string} project.packageManager - The package manager in use
+ * @returns {string} Steps YAML
+ */
+function generateSetupSteps({ packageManager }) {
+  const { setupAction, nodeCache } = PACKAGE_MANAGER_CI_SETTINGS[packageManager];
+  const needsPnpmVersion =
+    packageManager === PACKAGE_MANAGERS.PNPM &&
+    !readPackageJson().packageManager;
+
+  return `      - uses: actions/checkout@v4${
+    setupAction
+      ? `
+      - uses: ${setupAction}`
+      : ""
+  }${
+    needsPnpmVersion
+      ? `
+        with:
+          version: ${detectPnpmVersion()}`
+      : ""
+  }
+      - uses: actions/setup-node@v4
+        with:
+          node-version: 20${
+            nodeCache
+              ? `
+          cache: "${nodeCache}"`
+              : ""
+          }`;
+}
+
+/**
+ * Generates the GitHub Actions workflow for accessibility testing
+ * @param {string[]} selectedTools - Array of selected accessibility tools
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Complete workflow YAML content
+ */
+export function generateGitHubActionsWorkflow(selectedTools, project) {
+  const { framework, packageManager } = project;
+  const runCommand = getPackageManagerCommand(packageManager);
+  const lockFileHash = `hashFiles(${LOCK_FILES[packageManager]
+    .map((lockFile) => `'${lockFile}'`)
+    .join(", ")})`;
+  const toolJobs = selectedTools.map((tool) =>
+    tool === ACCESSIBILITY_TOOLS.AXE ? "axe-core" : tool,
+  );
+
+  return `name: Accessibility Testing
+
+on:
+  push:
+    branches: [main]
+  pull_request:
+    branches: [main]
+  workflow_dispatch:
+    inputs:
+      base_url:
+        description: "Deployed preview URL to test instead of a local build"
+        required: false
+
+env:
+  TEST_BASE_URL: \${{ inputs.base_url || vars.A11Y_BASE_URL || '${project.baseUrl}' }}
+  TEST_PAGES: "${project.routes.join(" ")}"
+
+jobs:
+  setup:
+    name: Setup and build
+    runs-on: ubuntu-latest
+    outputs:
+      cache-key: \${{ steps.cache-key.outputs.key }}
+    steps:
+${generateSetupSteps(project)}
+
+      - name: Generate cache key
+        id: cache-key
+        run: echo "key=\${{ runner.os }}-a11y-node20-\${{ ${lockFileHash} }}" >> $GITHUB_OUTPUT
+
+      - name: Cache dependencies
+        uses: actions/cache@v4
+        with:
+          path: node_modules
+          key: \${{ steps.cache-key.outputs.key }}
+          restore-keys: |
+            \${{ runner.os }}-a11y-node20-
+
+      - name: Install dependencies
+        run: ${buildFrozenInstallCommand(packageManager)}
+
+      - name: Build site
+        run: ${runCommand} build
+
+      - name: Cache build output
+        uses: actions/cache@v4
+        with:
+          path: ${framework.outputDirectory}
+          key: \${{ runner.os }}-build-\${{ github.sha }}
+
+${selectedTools.includes(ACCESSIBILITY_TOOLS.AXE) ? generateAxeJob(project) : ""}
+${selectedTools.includes(ACCESSIBILITY_TOOLS.LIGHTHOUSE) ? generateLighthouseJob(project) : ""}
+${selectedTools.includes(ACCESSIBILITY_TOOLS.PA11Y) ? generatePa11yJob(project) : ""}
+${selectedTools.includes(ACCESSIBILITY_TOOLS.PLAYWRIGHT) ? generatePlaywrightJob(project) : ""}${project.storybook ? generateStorybookJob(project) : ""}
+
+  accessibility-report:
+    name: Accessibility Report
+    runs-on: ubuntu-latest
+    needs: [setup, ${toolJobs.join(", ")}]
+    if: always() && needs.setup.result == 'success'
+    permissions:
+      actions: read
+      contents: read
+      pull-requests: write
+    steps:
+${generateSetupSteps(project)}
+
+      - name: Restore dependencies
+        uses: actions/cache@v4
+        with:
+          path: node_modules
+          key: \${{ needs.setup.outputs.cache-key }}
+
+      - name: Download tool results
+        uses: actions/download-artifact@v4
+        with:
+          path: tool-results
+
+      - name: Download base branch report
+        if: github.event_name == 'pull_request'
+        continue-on-error: true
+        uses: dawidd6/action-download-artifact@v6
+        with:
+          workflow: accessibility.yml
+          branch: \${{ github.base_ref }}
+          name: accessibility-report
+          path: base-report
+          if_no_artifact_found: warn
+
+      - name: Build accessibility report
+        run: |
+          npx ${RUNNER_PACKAGE_NAME} report \\
+            --output ${REPORT_OUTPUT_DIRECTORY} \\
+            --format ${[...DEFAULT_REPORT_FORMATS, REPORT_FORMATS.COMMENT].join(",")} \\
+            --axe-results tool-results/axe-accessibility-results/axe-results.json \\
+            --pa11y-results tool-results/pa11y-accessibility-results/pa11y-results.json \\
+            --lighthouse-results tool-results/lighthouse-results \\
+            --playwright-results tool-results/playwright-accessibility-results \\
+            --compare base-report/accessibility-report.json
+
+      - name: Write job summary
+        if: always() && hashFiles('${REPORT_OUTPUT_DIRECTORY}/accessibility-report.md') != ''
+        run: cat ${REPORT_OUTPUT_DIRECTORY}/accessibility-report.md >> $GITHUB_STEP_SUMMARY
+
+      - name: Upload accessibility report
+        uses: actions/upload-artifact@v4
+        if: always()
+        with:
+          name: accessibility-report
+          path: ${REPORT_OUTPUT_DIRECTORY}/
+
+      - name: Comment on pull request
+        if: always() && github.event_name == 'pull_request' && hashFiles('${REPORT_OUTPUT_DIRECTORY}/pr-comment.md') != ''
+        uses: actions/github-script@v7
+        with:
+          github-token: \${{ secrets.GITHUB_TOKEN }}
+          script: |
+            const fs = require('fs');
+            const marker = '${PR_COMMENT_MARKER}';
+            const body = fs.readFileSync('${REPORT_OUTPUT_DIRECTORY}/pr-comment.md', 'utf8');
+
+            const comments = await github.paginate(github.rest.issues.listComments, {
+              issue_number: context.issue.number,
+              owner: context.repo.owner,
+              repo: context.repo.repo,
+            });
+            const existingComment = comments.find((comment) => comment.body.includes(marker));
+
+            if (existingComment) {
+              await github.rest.issues.updateComment({
+                owner: context.repo.owner,
+                repo: context.repo.repo,
+                comment_id: existingComment.id,
+                body,
+              });
+            } else {
+              await github.rest.issues.createComment({
+                issue_number: context.issue.number,
+                owner: context.repo.owner,
+                repo: context.repo.repo,
+                body,
+              });
+            }`
+}
+
+/**
+ * Generates the Axe Core job configuration
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes, standard, auth)
+ * @returns {string} Axe job YAML configuration
+ */
+function generateAxeJob(project) {
+  const { framework, standard, auth } = project;
+  // Behind a login, axe opens the pages in the profile the login step signed
+  // in. Chrome may not open a profile written by another version, so axe
+  // uses the runner's Chrome like the login step, with its ChromeDriver
+  const browserOptions = auth
+    ? ` --chrome-path /usr/bin/google-chrome-stable --chromedriver-path "$CHROMEWEBDRIVER/chromedriver" --chrome-options="user-data-dir=${AUTH_PROFILE_DIRECTORY}"`
+    : "";
+  const installStep = auth
+    ? `      - name: Install Axe CLI
+        run: npm install -g @axe-core/cli`
+    : `      - name: Install Axe CLI and browser drivers
+        run: |
+          npm install -g @axe-core/cli
+          npx browser-driver-manager install chrome`;
+
+  return `
+  axe-core:
+    name: Axe Core Accessibility Testing
+    runs-on: ubuntu-latest
+    needs: setup
+    steps:
+${generateSetupSteps(project)}
+
+      - name: Restore dependencies
+        uses: actions/cache@v4
+        with:
+          path: node_modules
+          key: \${{ needs.setup.outputs.cache-key }}
+
+      - name: Restore build output
+        uses: actions/cache@v4
+        with:
+          path: ${framework.outputDirectory}
+          key: \${{ runner.os }}-build-\${{ github.sha }}
+
+${generateServeStep(project)}
+
+${installStep}
+
+${generateLoginStep(auth)}      - name: Run Axe accessibility tests
+        id: axe
+        continue-on-error: \${{ ${BASELINE_CONDITION} }}
+        run: |
+          mkdir -p axe-results
+          ${COLLECT_TEST_URLS}
+          axe "$(IFS=,; echo "\${URLS[*]}")" --save axe-results/axe-results.json --tags ${ACCESSIBILITY_STANDARD_PROFILES[standard].axeTags.join(",")}${browserOptions} --exit
+
+${generateExitCodeStep("axe", "axe-results")}      - name: Upload Axe results
+        uses: actions/upload-artifact@v4
+        if: always()
+        with:
+          name: axe-accessibility-results
+          path: axe-results/`;
+}
+
+/**
+ * Generates the Lighthouse job configuration
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes, lighthouseOptions, auth)
+ * @returns {string} Lighthouse job YAML configuration
+ */
+function generateLighthouseJob(project) {
+  const { framework, lighthouseOptions, auth } = project;
+  // The build token of an LHCI server and the login credentials come from
+  // repository secrets; Lighthouse signs in through its puppeteerScript
+  const secrets = [
+    ...(lighthouseOptions?.upload === LIGHTHOUSE_UPLOAD_TARGETS.LHCI_SERVER
+      ? ["LHCI_TOKEN"]
+      : []),
+    ...(auth ? AUTH_SECRETS[auth.method] : []),
+  ];
+  const secretEnvironment =
+    secrets.length > 0
+      ? `
+        env:${generateSecretEnvironment(secrets)}`
+      : "";
+
+  return `
+  lighthouse:
+    name: Lighthouse Accessibility & Performance
+    runs-on: ubuntu-latest
+    needs: setup
+    steps:
+${generateSetupSteps(project)}
+
+      - name: Restore dependencies
+        uses: actions/cache@v4
+        with:
+          path: node_modules
+          key: \${{ needs.setup.outputs.cache-key }}
+
+      - name: Restore build output
+        uses: actions/cache@v4
+        with:
+          path: ${framework.outputDirectory}
+          key: \${{ runner.os }}-build-\${{ github.sha }}
+
+      - name: Install Lighthouse CI
+        run: npm install -g @lhci/cli${auth ? " puppeteer" : ""}
+
+${generateServeStep(project)}
+
+      - name: Run Lighthouse CI${secretEnvironment}
+        run: |
+          ${COLLECT_TEST_URLS}
+          lhci autorun "\${URLS[@]/#/--collect.url=}"
+
+      - name: Collect Lighthouse artifacts
+        if: always()
+        run: |
+          mkdir -p lighthouse-results
+          if [ -d ".lighthouseci" ]; then
+            cp -r .lighthouseci/* lighthouse-results/ 2>/dev/null || true
+          fi
+          if [ -d "lhci_reports" ]; then
+            cp -r lhci_reports/* lighthouse-results/ 2>/dev/null || true
+          fi
+
+      - name: Upload Lighthouse results
+        uses: actions/upload-artifact@v4
+        if: always()
+        with:
+          name: lighthouse-results
+          path: lighthouse-results/`;
+}
+
+/**
+ * Generates the Pa11y job configuration
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes, auth)
+ * @returns {string} Pa11y job YAML configuration
+ */
+function generatePa11yJob(project) {
+  const { framework, baseUrl, auth } = project;
+
+  return `
+  pa11y:
+    name: Pa11y Accessibility Testing
+    runs-on: ubuntu-latest
+    needs: setup
+    steps:
+${generateSetupSteps(project)}
+
+      - name: Restore dependencies
+        uses: actions/cache@v4
+        with:
+          path: node_modules
+          key: \${{ needs.setup.outputs.cache-key }}
+
+      - name: Restore build output
+        uses: actions/cache@v4
+        with:
+          path: ${framework.outputDirectory}
+          key: \${{ runner.os }}-build-\${{ github.sha }}
+
+      - name: Install Pa11y CI
+        run: npm install -g pa11y-ci
+
+${generateServeStep(project)}
+
+${generateLoginStep(auth)}      - name: Run Pa11y accessibility tests
+        id: pa11y
+        continue-on-error: \${{ ${BASELINE_CONDITION} }}
+        env:
+          PUPPETEER_EXECUTABLE_PATH: /usr/bin/google-chrome-stable
+        run: |
+          mkdir -p pa11y-results
+          export PUPPETEER_LAUNCH_ARGS="--no-sandbox --disable-setuid-sandbox --disable-dev-shm-usage --disable-gpu --headless"
+          # Test the pages of ${PA11Y_CONFIG_FILE_NAME} on TEST_BASE_URL
+          sed "s|${baseUrl}|$TEST_BASE_URL|g" ${PA11Y_CONFIG_FILE_NAME} > ${PA11Y_RUNTIME_CONFIG_PATH}
+          pa11y-ci --config ${PA11Y_RUNTIME_CONFIG_PATH}
+
+${generateExitCodeStep("pa11y", "pa11y-results")}      - name: Upload Pa11y results
+        uses: actions/upload-artifact@v4
+        if: always()
+        with:
+          name: pa11y-accessibility-results
+          path: pa11y-results/`;
+}
+
+/**
+ * Generates the Playwright job configuration
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes, auth)
+ * @returns {string} Playwright job YAML configuration
+ */
+function generatePlaywrightJob(project) {
+  const { framework, auth } = project;
+
+  return `
+  playwright:
+    name: Playwright Accessibility Testing
+    runs-on: ubuntu-latest
+    needs: setup
+    steps:
+${generateSetupSteps(project)}
+
+      - name: Restore dependencies
+        uses: actions/cache@v4
+        with:
+          path: node_modules
+          key: \${{ needs.setup.outputs.cache-key }}
+
+      - name: Restore build output
+        uses: actions/cache@v4
+        with:
+          path: ${framework.outputDirectory}
+          key: \${{ runner.os }}-build-\${{ github.sha }}
+
+      - name: Install Playwright browsers
+        run: npx playwright install --with-deps chromium
+
+${generateServeStep(project)}
+
+${generateLoginStep(auth)}      - name: Run Playwright accessibility tests
+        id: playwright
+        continue-on-error: \${{ ${BASELINE_CONDITION} }}
+        env:
+          A11Y_BASE_URL: \${{ env.TEST_BASE_URL }}
+        run: npx playwright test --config ${PLAYWRIGHT_CONFIG_FILE_NAME}
+
+${generateExitCodeStep("playwright", TOOL_RESULT_PATHS[ACCESSIBILITY_TOOLS.PLAYWRIGHT])}      - name: Upload Playwright results
+        uses: actions/upload-artifact@v4
+        if: always()
+        with:
+          name: playwright-accessibility-results
+          path: ${TOOL_RESULT_PATHS[ACCESSIBILITY_TOOLS.PLAYWRIGHT]}/`;
+}
+
+/**
+ * Generates the job that builds Storybook and checks every story with the
+ * test-runner. Its results are not part of the report, so it fails on
+ * violations itself
+ * @param {Object} project - Project settings (packageManager)
+ * @returns {string} Storybook job YAML configuration
+ */
+function generateStorybookJob(project) {
+  return `
+  storybook:
+    name: Storybook Accessibility Testing
+    runs-on: ubuntu-latest
+    needs: setup
+    steps:
+${generateSetupSteps(project)}
+
+      - name: Restore dependencies
+        uses: actions/cache@v4
+        with:
+          path: node_modules
+          key: \${{ needs.setup.outputs.cache-key }}
+
+      - name: Install Playwright browsers
+        run: npx playwright install --with-deps chromium
+
+      - name: Build Storybook
+        run: npx storybook build --quiet --output-dir ${STORYBOOK_OUTPUT_DIRECTORY}
+
+      - name: Serve Storybook
+        run: |
+          npx http-server ${STORYBOOK_OUTPUT_DIRECTORY} --port ${STORYBOOK_PORT} --silent &
+          npx wait-on tcp:127.0.0.1:${STORYBOOK_PORT} --timeout 60000
+
+      - name: Run Storybook accessibility tests
+        run: npx test-storybook --url http://127.0.0.1:${STORYBOOK_PORT}`;
+}
+
+/**
+ * Generates the matrix entry of one workspace app
+ * @param {Object} app - App settings (name, directory, tools, storybook)
+ * @returns {string} Matrix include entry YAML
+ */
+function generateMatrixEntry({ name, directory, tools, storybook }) {
+  return `          - name: ${JSON.stringify(name)}
+            id: ${directory.replace(/[^\w.-]+/g, "-")}
+            directory: ${directory}
+            tools: "${tools.join(",")}"
+            storybook: ${Boolean(storybook)}`;
+}
+
+/**
+ * Generates the GitHub Actions workflow of a workspace. A matrix runs one
+ * job per app, which tests the app with its a11y:all and a11y:storybook
+ * scripts and reports on the pull request in a comment of its own
+ * @param {Object[]} apps - Apps to test, each with its name, directory
+ * relative to the workspace root, selected tools, Lighthouse options, login
+ * settings and whether Storybook is checked
+ * @param {Object} project - Workspace settings (packageManager)
+ * @returns {string} Complete workflow YAML content
+ */
+export function generateGitHubActionsWorkspaceWorkflow(apps, project) {
+  const { packageManager } = project;
+  const runCommand = getPackageManagerCommand(packageManager);
+  const reportPath = `\${{ matrix.directory }}/${REPORT_OUTPUT_DIRECTORY}`;
+  const usesLighthouseServer = apps.some(
+    ({ lighthouseOptions }) =>
+      lighthouseOptions?.upload === LIGHTHOUSE_UPLOAD_TARGETS.LHCI_SERVER,
+  );
+  // a11y:all runs the login script of apps behind a login itself. axe then
+  // uses the runner's Chrome too, as Chrome may not open a profile written
+  // by another version
+  const hasLogin = apps.some(({ auth }) => auth);
+  const secrets = [
+    ...(usesLighthouseServer ? ["LHCI_TOKEN"] : []),
+    ...new Set(
+      apps.flatMap(({ auth }) => (auth ? AUTH_SECRETS[auth.method] : [])),
+    ),
+  ];
+
+  return `name: Accessibility Testing
+
+on:
+  push:
+    branches: [main]
+  pull_request:
+    branches: [main]
+  workflow_dispatch:
+
+jobs:
+  accessibility:
+    name: Accessibility Testing (\${{ matrix.name }})
+    runs-on: ubuntu-latest
+    permissions:
+      actions: read
+      contents: read
+      pull-requests: write
+    strategy:
+      fail-fast: false
+      matrix:
+        include:
+${apps.map(generateMatrixEntry).join("\n")}
+    defaults:
+      run:
+        working-directory: \${{ matrix.directory }}
+    steps:
+${generateSetupSteps(project)}
+
+      - name: Install dependencies
+        working-directory: .
+        run: ${buildFrozenInstallCommand(packageManager)}
+
+      - name: Install browser drivers
+        if: contains(matrix.tools, '${ACCESSIBILITY_TOOLS.AXE}')
+        run: npx browser-driver-manager install chrome
+
+      - name: Install Playwright browsers
+        if: contains(matrix.tools, '${ACCESSIBILITY_TOOLS.PLAYWRIGHT}') || matrix.storybook
+        run: npx playwright install --with-deps chromium
+
+      - name: Run accessibility tests
+        env:
+          PUPPETEER_EXECUTABLE_PATH: /usr/bin/google-chrome-stable${hasLogin ? "\n          CHROME_PATH: /usr/bin/google-chrome-stable" : ""}${generateSecretEnvironment(secrets)}
+        run: ${hasLogin ? 'CHROMEDRIVER_PATH="$CHROMEWEBDRIVER/chromedriver" ' : ""}${runCommand} a11y:all
+
+      - name: Run Storybook accessibility tests
+        if: always() && matrix.storybook
+        run: ${runCommand} a11y:storybook
+
+      - name: Download base branch report
+        if: always() && github.event_name == 'pull_request'
+        continue-on-error: true
+        uses: dawidd6/action-download-artifact@v6
+        with:
+          workflow: accessibility.yml
+          branch: \${{ github.base_ref }}
+          name: accessibility-report-\${{ matrix.id }}
+          path: \${{ matrix.directory }}/base-report
+          if_no_artifact_found: warn
+
+      - name: Build accessibility report
+        if: always()
+        run: |
+          npx ${RUNNER_PACKAGE_NAME} report \\
+            --output ${REPORT_OUTPUT_DIRECTORY} \\
+            --format ${[...DEFAULT_REPORT_FORMATS, REPORT_FORMATS.COMMENT].join(",")} \\
+            --compare base-report/accessibility-report.json
+
+      - name: Write job summary
+        if: always() && hashFiles(format('{0}/${REPORT_OUTPUT_DIRECTORY}/accessibility-report.md', matrix.directory)) != ''
+        run: cat ${REPORT_OUTPUT_DIRECTORY}/accessibility-report.md >> $GITHUB_STEP_SUMMARY
+
+      - name: Upload accessibility report
+        uses: actions/upload-artifact@v4
+        if: always()
+        with:
+          name: accessibility-report-\${{ matrix.id }}
+          path: ${reportPath}/
+
+      - name: Comment on pull request
+        if: always() && github.event_name == 'pull_request' && hashFiles(format('{0}/${REPORT_OUTPUT_DIRECTORY}/pr-comment.md', matrix.directory)) != ''
+        uses: actions/github-script@v7
+        with:
+          github-token: \${{ secrets.GITHUB_TOKEN }}
+          script: |
+            const fs = require('fs');
+            // Every app has its own comment, found by this marker
+            const marker = '<!-- ally-wizard:app:\${{ matrix.id }} -->';
+            const report = fs.readFileSync('${reportPath}/pr-comment.md', 'utf8');
+            const body = marker + '\\n**\${{ matrix.name }}** (\`\${{ matrix.directory }}\`)\\n\\n' + report;
+
+            const comments = await github.paginate(github.rest.issues.listComments, {
+              issue_number: context.issue.number,
+              owner: context.repo.owner,
+              repo: context.repo.repo,
+            });
+            const existingComment = comments.find((comment) => comment.body.includes(marker));
+
+            if (existingComment) {
+              await github.rest.issues.updateComment({
+                owner: context.repo.owner,
+                repo: context.repo.repo,
+                comment_id: existingComment.id,
+                body,
+              });
+            } else {
+              await github.rest.issues.createComment({
+                issue_number: context.issue.number,
+                owner: context.repo.owner,
+                repo: context.repo.repo,
+                body,
+              });
+            }`
+}
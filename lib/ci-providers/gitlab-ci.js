@@ -0,0 +1,116 @@
+import { REPORT_OUTPUT_DIRECTORY } from "../constants.js";
+import {
+  findLockFile,
+  indentScript,
+  getResultDirectory,
+  buildInstallScript,
+  buildBuildScript,
+  buildToolScript,
+  buildReportScript,
+  buildStorybookTestScript,
+} from "./shell-scripts.js";
+
+const NODE_IMAGE = "node:20";
+
+// The node image has no browser; Debian's Chromium comes with a matching ChromeDriver
+const BROWSER_SETUP = `apt-get update && apt-get install -y --no-install-recommends chromium chromium-driver
+export CHROME_PATH=/usr/bin/chromium CHROMEDRIVER_PATH=/usr/bin/chromedriver`;
+
+/**
+ * Generates a test job that runs one tool and keeps its results as artifacts
+ * @param {string} tool - Accessibility tool
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Job YAML
+ */
+function generateToolJob(tool, project) {
+  return `a11y:${tool}:
+  extends: .a11y-node
+  stage: test
+  needs: [a11y:build]
+  script:
+    - |
+${indentScript(buildToolScript(tool, project, BROWSER_SETUP), "      ")}
+  artifacts:
+    when: always
+    paths:
+      - ${getResultDirectory(tool)}/
+    expire_in: 1 week`;
+}
+
+/**
+ * Generates the job that builds Storybook and checks every story
+ * @returns {string} Job YAML
+ */
+function generateStorybookJob() {
+  return `a11y:storybook:
+  extends: .a11y-node
+  stage: test
+  needs: [a11y:build]
+  script:
+    - |
+${indentScript(buildStorybookTestScript(), "      ")}`;
+}
+
+/**
+ * Generates the GitLab CI/CD pipeline for accessibility testing
+ * @param {string[]} selectedTools - Array of selected accessibility tools
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes)
+ * @returns {string} Complete .gitlab-ci.yml content
+ */
+export function generateGitLabPipeline(selectedTools, project) {
+  const { framework, packageManager } = project;
+  const toolJobs = selectedTools.map((tool) => `a11y:${tool}`);
+
+  return `# Accessibility testing generated by ally-wizard. Set the A11Y_BASE_URL
+# CI/CD variable to test a deployed preview instead of a local build.
+
+stages:
+  - build
+  - test
+  - report
+
+.a11y-node:
+  image: ${NODE_IMAGE}
+  cache:
+    key:
+      files:
+        - ${findLockFile(packageManager)}
+    paths:
+      - node_modules/
+    policy: pull
+  before_script:
+    - |
+${indentScript(buildInstallScript(packageManager), "      ")}
+
+a11y:build:
+  extends: .a11y-node
+  stage: build
+  cache:
+    policy: pull-push
+  before_script: []
+  script:
+    - |
+${indentScript(buildBuildScript(packageManager), "      ")}
+  artifacts:
+    paths:
+      - ${framework.outputDirectory}/
+    expire_in: 1 day
+
+${selectedTools.map((tool) => generateToolJob(tool, project)).join("\n\n")}${
+  project.storybook ? `\n\n${generateStorybookJob()}` : ""
+}
+
+a11y:report:
+  extends: .a11y-node
+  stage: report
+  needs: [${toolJobs.join(", ")}]
+  script:
+    - |
+${indentScript(buildReportScript(), "      ")}
+  artifacts:
+    when: always
+    paths:
+      - ${REPORT_OUTPUT_DIRECTORY}/
+    expire_in: 1 month
+`;
+}
@@ -0,0 +1,211 @@
+import fs from "fs";
+import path from "path";
+import {
+  ACCESSIBILITY_TOOLS,
+  PACKAGE_MANAGER_CI_SETTINGS,
+  LOCK_FILES,
+  PA11Y_CONFIG_FILE_NAME,
+  PA11Y_RUNTIME_CONFIG_PATH,
+  PLAYWRIGHT_CONFIG_FILE_NAME,
+  TOOL_RESULT_PATHS,
+  EXIT_CODE_FILE_NAME,
+  REPORT_OUTPUT_DIRECTORY,
+  RUNNER_PACKAGE_NAME,
+  STORYBOOK_OUTPUT_DIRECTORY,
+  STORYBOOK_PORT,
+  ACCESSIBILITY_STANDARD_PROFILES,
+  AUTH_PROFILE_DIRECTORY,
+} from "../constants.js";
+import { buildLoginCommand } from "../auth-config.js";
+import {
+  buildServeCommand,
+  isLocalBaseUrl,
+  getBaseUrlPort,
+} from "../server-config.js";
+import {
+  buildFrozenInstallCommand,
+  getPackageManagerCommand,
+} from "../package-manager.js";
+
+const CHROME_FLAGS = "--no-sandbox --disable-dev-shm-usage --headless";
+
+// Playwright downloads its own browser instead of using the CI provider's
+const PLAYWRIGHT_BROWSER_SETUP = "npx playwright install --with-deps chromium";
+
+// Every command is built from the project settings and expects the test URLs
+// in URLS (Pa11y moves the pages of its config to TEST_BASE_URL instead) and,
+// apart from Playwright which downloads its own browser, CHROME_PATH and
+// CHROMEDRIVER_PATH from the browser setup of the CI provider
+const TOOL_COMMANDS = {
+  [ACCESSIBILITY_TOOLS.AXE]: ({ standard, auth }) => `npx axe $(echo $URLS | tr " " ",") \\
+  --save ${TOOL_RESULT_PATHS[ACCESSIBILITY_TOOLS.AXE]} \\
+  --tags ${ACCESSIBILITY_STANDARD_PROFILES[standard].axeTags.join(",")} \\
+  --chrome-path "$CHROME_PATH" \\
+  --chromedriver-path "$CHROMEDRIVER_PATH" \\
+  --chrome-options="no-sandbox,disable-dev-shm-usage${auth ? `,user-data-dir=${AUTH_PROFILE_DIRECTORY}` : ""}" \\
+  --exit`,
+  [ACCESSIBILITY_TOOLS.PA11Y]: ({ baseUrl }) => `sed "s|${baseUrl}|$TEST_BASE_URL|g" ${PA11Y_CONFIG_FILE_NAME} > ${PA11Y_RUNTIME_CONFIG_PATH}
+PUPPETEER_EXECUTABLE_PATH="$CHROME_PATH" \\
+PUPPETEER_LAUNCH_ARGS="${CHROME_FLAGS}" \\
+  npx pa11y-ci --config ${PA11Y_RUNTIME_CONFIG_PATH}`,
+  [ACCESSIBILITY_TOOLS.LIGHTHOUSE]: () => `npx lhci autorun $(printf -- "--collect.url=%s " $URLS) \\
+  --collect.chromePath="$CHROME_PATH" \\
+  --collect.settings.chromeFlags="${CHROME_FLAGS}"`,
+  [ACCESSIBILITY_TOOLS.PLAYWRIGHT]: () => `A11Y_BASE_URL="$TEST_BASE_URL" npx playwright test --config ${PLAYWRIGHT_CONFIG_FILE_NAME}`,
+};
+
+/**
+ * Returns the directory a tool saves its results in
+ * @param {string} tool - Accessibility tool
+ * @returns {string} Result directory, relative to the project
+ */
+export function getResultDirectory(tool) {
+  const resultPath = TOOL_RESULT_PATHS[tool];
+  return path.posix.extname(resultPath)
+    ? path.posix.dirname(resultPath)
+    : resultPath;
+}
+
+/**
+ * Finds the lock file of the package manager, used to key dependency caches
+ * @param {string} packageManager - The package manager in use
+ * @param {string} workingDirectory - Project directory
+ * @returns {string} Existing lock file, or the usual one when there is none
+ */
+export function findLockFile(packageManager, workingDirectory = process.cwd()) {
+  const lockFiles = LOCK_FILES[packageManager];
+  return (
+    lockFiles.find((lockFile) =>
+      fs.existsSync(path.join(workingDirectory, lockFile)),
+    ) ?? lockFiles[0]
+  );
+}
+
+/**
+ * Indents every non-empty line of a script, for embedding it in a YAML block
+ * @param {string} script - Shell script
+ * @param {string} indent - Indentation to add
+ * @returns {string} Indented script
+ */
+export function indentScript(script, indent) {
+  return script
+    .split("\n")
+    .map((line) => (line ? `${indent}${line}` : line))
+    .join("\n");
+}
+
+/**
+ * Builds the script that installs dependencies, skipped when node_modules
+ * was restored from a cache
+ * @param {string} packageManager - The package manager in use
+ * @param {Object} options - Script options
+ * @param {boolean} options.sudo - Run the package manager setup with sudo
+ * @returns {string} Shell script
+ */
+export function buildInstallScript(packageManager, { sudo = false } = {}) {
+  const { setupCommand } = PACKAGE_MANAGER_CI_SETTINGS[packageManager];
+
+  return [
+    setupCommand && `${sudo ? "sudo " : ""}${setupCommand}`,
+    `[ -d node_modules ] || ${buildFrozenInstallCommand(packageManager)}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Builds the script that installs dependencies and builds the app
+ * @param {string} packageManager - The package manager in use
+ * @param {Object} options - Options passed to buildInstallScript
+ * @returns {string} Shell script
+ */
+export function buildBuildScript(packageManager, options) {
+  return `${buildInstallScript(packageManager, options)}
+${getPackageManagerCommand(packageManager)} build`;
+}
+
+/**
+ * Builds the script that runs one tool against every route. The build is
+ * served locally unless A11Y_BASE_URL points at a deployed preview. Behind a
+ * login, the login script signs in first with the credentials from the CI
+ * variables and the same Chrome as the tool. The tool only runs once the
+ * login succeeded; a failed login counts as a failed tool
+ * @param {string} tool - Accessibility tool to run
+ * @param {Object} project - Project settings (framework, packageManager, baseUrl, routes, standard, auth)
+ * @param {string} browserSetup - Script that provides Chrome and ChromeDriver on the CI provider
+ * @returns {string} Shell script
+ */
+export function buildToolScript(
+  tool,
+  { framework, packageManager, baseUrl, routes, standard, auth },
+  browserSetup,
+) {
+  const port = isLocalBaseUrl(baseUrl)
+    ? getBaseUrlPort(baseUrl)
+    : framework.defaultPort;
+  const resultDirectory = getResultDirectory(tool);
+  const browserSetupScript =
+    tool === ACCESSIBILITY_TOOLS.PLAYWRIGHT
+      ? PLAYWRIGHT_BROWSER_SETUP
+      : browserSetup;
+  // Tool jobs never fail: the exit code of a failed tool is saved next to its
+  // results, so the report is always built and the report job fails instead
+  const exitCodePath = `${resultDirectory}/${EXIT_CODE_FILE_NAME}`;
+  const toolScript = `${TOOL_COMMANDS[tool]({ baseUrl, standard, auth })} \\
+  || echo "$?" > ${exitCodePath}`;
+  // Lighthouse signs in through its puppeteerScript
+  const loginCommand =
+    auth && tool !== ACCESSIBILITY_TOOLS.LIGHTHOUSE
+      ? `${tool === ACCESSIBILITY_TOOLS.PLAYWRIGHT ? "" : 'PUPPETEER_EXECUTABLE_PATH="$CHROME_PATH" '}${buildLoginCommand('"$TEST_BASE_URL"')}`
+      : null;
+
+  return `${browserSetupScript}
+
+TEST_BASE_URL="\${A11Y_BASE_URL:-${baseUrl}}"
+URLS=""
+for page in ${routes.join(" ")}; do
+  URLS="$URLS $TEST_BASE_URL$page"
+done
+
+case "$TEST_BASE_URL" in
+  http://localhost*|http://127.0.0.1*)
+    ${buildServeCommand(framework, getPackageManagerCommand(packageManager), port)} &
+    npx wait-on "$TEST_BASE_URL" --timeout 60000
+    ;;
+esac
+
+mkdir -p ${resultDirectory}
+${
+  loginCommand
+    ? `if ${loginCommand}; then
+  ${toolScript.replace(/\n/g, "\n  ")}
+else
+  echo "$?" > ${exitCodePath}
+fi`
+    : toolScript
+}`;
+}
+
+/**
+ * Builds the script that builds Storybook, serves it and checks every story
+ * with the test-runner. It fails on violations directly as the test-runner
+ * results are not part of the report
+ * @returns {string} Shell script
+ */
+export function buildStorybookTestScript() {
+  return `npx playwright install --with-deps chromium
+npx storybook build --quiet --output-dir ${STORYBOOK_OUTPUT_DIRECTORY}
+npx http-server ${STORYBOOK_OUTPUT_DIRECTORY} --port ${STORYBOOK_PORT} --silent &
+npx wait-on tcp:127.0.0.1:${STORYBOOK_PORT} --timeout 60000
+npx test-storybook --url http://127.0.0.1:${STORYBOOK_PORT}`;
+}
+
+/**
+ * Builds the script that combines the tool results into the report. The
+ * report command reads the exit codes the tool jobs saved, so it fails the
+ * job the same way "ally-wizard run" would
+ * @returns {string} Shell script
+ */
+export function buildReportScript() {
+  return `npx ${RUNNER_PACKAGE_NAME} report --output ${REPORT_OUTPUT_DIRECTORY}`;
+}
@@ -0,0 +1,1023 @@
+import path from "path";
+import { parseArgs } from "util";
+import {
+  ACCESSIBILITY_TOOLS,
+  CONFIG_FILE_NAME,
+  BASELINE_FILE_NAME,
+  LINT_LEVELS,
+  ACCESSIBILITY_STANDARDS,
+  DEFAULT_ACCESSIBILITY_STANDARD,
+  COMPONENT_LIBRARIES,
+  CI_PROVIDERS,
+  DEV_AUDIT_MODES,
+  JSX_A11Y_RULES,
+  LIGHTHOUSE_CATEGORIES,
+  LIGHTHOUSE_PRESETS,
+  LIGHTHOUSE_DEVICES,
+  LIGHTHOUSE_UPLOAD_TARGETS,
+  PA11Y_RUNNERS,
+  AUTH_METHODS,
+  DEFAULT_LOGIN_FORM,
+  REPORT_FORMATS,
+  REPORT_OUTPUT_DIRECTORY,
+} from "./constants.js";
+import { fileExists, readFile } from "./file-utils.js";
+import { normalizeRoute } from "./route-discovery.js";
+import { normalizeBaseUrl } from "./server-config.js";
+import { isPa11yAction } from "./pa11y-config.js";
+import { normalizeLoginUrl } from "./auth-config.js";
+
+const CLI_OPTIONS = {
+  tools: { type: "string", short: "t" },
+  routes: { type: "string", short: "r" },
+  "base-url": { type: "string" },
+  standard: { type: "string" },
+  packages: { type: "string" },
+  "lighthouse-preset": { type: "string" },
+  "lighthouse-thresholds": { type: "string" },
+  "lighthouse-runs": { type: "string" },
+  "lighthouse-device": { type: "string" },
+  "lighthouse-upload": { type: "string" },
+  "lighthouse-server": { type: "string" },
+  "pa11y-runners": { type: "string" },
+  "pa11y-ignore": { type: "string" },
+  "pa11y-viewport": { type: "string" },
+  "pa11y-timeout": { type: "string" },
+  "pa11y-wait": { type: "string" },
+  "auth-login-url": { type: "string" },
+  "auth-username-selector": { type: "string" },
+  "auth-password-selector": { type: "string" },
+  "auth-submit-selector": { type: "string" },
+  "auth-storage-state": { type: "string" },
+  "no-auth": { type: "boolean" },
+  ci: { type: "boolean" },
+  "no-ci": { type: "boolean" },
+  "ci-provider": { type: "string" },
+  lint: { type: "boolean" },
+  "no-lint": { type: "boolean" },
+  "lint-level": { type: "string" },
+  "component-library": { type: "string" },
+  "component-tests": { type: "boolean" },
+  "no-component-tests": { type: "boolean" },
+  storybook: { type: "boolean" },
+  "no-storybook": { type: "boolean" },
+  "dev-audit": { type: "boolean" },
+  "no-dev-audit": { type: "boolean" },
+  "dev-audit-mode": { type: "string" },
+  yes: { type: "boolean", short: "y" },
+  config: { type: "string", short: "c" },
+  "dry-run": { type: "boolean" },
+  force: { type: "boolean", short: "f" },
+  parallel: { type: "boolean" },
+  "skip-build": { type: "boolean" },
+  output: { type: "string", short: "o" },
+  format: { type: "string" },
+  "axe-results": { type: "string" },
+  "pa11y-results": { type: "string" },
+  "lighthouse-results": { type: "string" },
+  "playwright-results": { type: "string" },
+  compare: { type: "string" },
+  baseline: { type: "string" },
+  prune: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Preference names and the flags that turn them on (--<flag>) and off (--no-<flag>)
+const BOOLEAN_PREFERENCES = {
+  ci: "ci",
+  lint: "lint",
+  componentTests: "component-tests",
+  storybook: "storybook",
+  devAudit: "dev-audit",
+};
+
+// Keys the config file may set, so a typo stops the run instead of being ignored
+const CONFIG_FILE_KEYS = [
+  "tools",
+  "routes",
+  "baseUrl",
+  "standard",
+  "packages",
+  "lighthousePreset",
+  "lighthouseThresholds",
+  "lighthouseRuns",
+  "lighthouseDevice",
+  "lighthouseUpload",
+  "lighthouseServer",
+  "pa11yRunners",
+  "pa11yIgnore",
+  "pa11yViewport",
+  "pa11yTimeout",
+  "pa11yWait",
+  "pa11yActions",
+  "auth",
+  "ciProvider",
+  "devAuditMode",
+  "lintLevel",
+  "componentLibrary",
+  "lintRules",
+  ...Object.keys(BOOLEAN_PREFERENCES),
+];
+
+const RULE_SEVERITIES = ["off", "warn", "error", 0, 1, 2];
+
+/**
+ * Parses command line arguments into CLI options
+ * @param {string[]} argv - Raw arguments (defaults to process.argv without node and script)
+ * @returns {Object} Parsed options and positional arguments
+ */
+export function parseCliArguments(argv = process.argv.slice(2)) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: CLI_OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    throw new Error(`${error.message}. Run "ally-wizard --help" for usage.`);
+  }
+
+  return {
+    options: parsed.values,
+    positionals: parsed.positionals,
+  };
+}
+
+/**
+ * Splits a comma separated tool list and validates every entry
+ * @param {string|string[]} value - Tool list from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {string[]} Array of selected accessibility tools
+ */
+export function parseToolList(value, source) {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value)
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter((entry) => entry.length > 0);
+
+  if (entries.length === 1 && entries[0] === "none") {
+    return [];
+  }
+
+  const knownTools = Object.values(ACCESSIBILITY_TOOLS);
+  const unknownTools = entries.filter((entry) => !knownTools.includes(entry));
+
+  if (unknownTools.length > 0) {
+    throw new Error(
+      `Unknown tool(s) in ${source}: ${unknownTools.join(", ")}. Available tools: ${knownTools.join(", ")}.`,
+    );
+  }
+
+  return [...new Set(entries)];
+}
+
+/**
+ * Splits a comma separated report format list and validates every entry
+ * @param {string} value - Format list from the --format flag
+ * @returns {string[]} Report formats
+ */
+export function parseReportFormats(value) {
+  const knownFormats = Object.values(REPORT_FORMATS);
+  const formats = String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .map((entry) => (entry === "md" ? REPORT_FORMATS.MARKDOWN : entry));
+
+  const unknownFormats = formats.filter((format) => !knownFormats.includes(format));
+
+  if (unknownFormats.length > 0) {
+    throw new Error(
+      `Unknown report format(s): ${unknownFormats.join(", ")}. Available formats: ${knownFormats.join(", ")}.`,
+    );
+  }
+
+  return [...new Set(formats)];
+}
+
+/**
+ * Validates a value that must be one of a fixed set of choices
+ * @param {string} value - Value from a flag or config file
+ * @param {Object} choices - Allowed values (a constants map such as LINT_LEVELS)
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {string} The validated value
+ */
+export function parseChoice(value, choices, source) {
+  const allowedValues = Object.values(choices);
+
+  if (!allowedValues.includes(value)) {
+    throw new Error(
+      `Invalid value "${value}" for ${source}. Expected one of: ${allowedValues.join(", ")}.`,
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Validates jsx-a11y rule overrides from the config file
+ * @param {Object} value - Map of rule names to severities
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {Object} Rules keyed by their full name (e.g. "jsx-a11y/no-autofocus")
+ */
+export function parseLintRules(value, source) {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    throw new Error(`"lintRules" in ${source} must be an object of rule names and severities.`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([ruleName, setting]) => {
+      const shortName = ruleName.replace(/^jsx-a11y\//, "");
+      const severity = Array.isArray(setting) ? setting[0] : setting;
+
+      if (!(shortName in JSX_A11Y_RULES)) {
+        throw new Error(`Unknown jsx-a11y rule "${ruleName}" in ${source}.`);
+      }
+      if (!RULE_SEVERITIES.includes(severity)) {
+        throw new Error(
+          `Invalid severity for "${ruleName}" in ${source}. Use "off", "warn" or "error".`,
+        );
+      }
+
+      return [`jsx-a11y/${shortName}`, setting];
+    }),
+  );
+}
+
+/**
+ * Splits a comma separated route list and validates every entry
+ * @param {string|string[]} value - Route list from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {string[]} Normalized routes
+ */
+export function parseRouteList(value, source) {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value)
+        .split(",")
+        .filter((entry) => entry.trim().length > 0);
+
+  const invalidRoutes = entries.filter(
+    (entry) => typeof entry !== "string" || /\s|:\/\//.test(entry.trim()),
+  );
+
+  if (invalidRoutes.length > 0) {
+    throw new Error(
+      `Invalid route(s) in ${source}: ${invalidRoutes.join(", ")}. Routes are paths such as "/" or "/about".`,
+    );
+  }
+
+  if (entries.length === 0) {
+    throw new Error(`${source} must list at least one route.`);
+  }
+
+  return [...new Set(entries.map(normalizeRoute))];
+}
+
+/**
+ * Splits a comma separated list of workspace packages
+ * @param {string|string[]} value - Package names or directories from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {string[]} Package names or directories
+ */
+export function parsePackageList(value, source) {
+  const entries = (Array.isArray(value) ? value : String(value).split(","))
+    .map((entry) => String(entry).trim().replace(/\/+$/, ""))
+    .filter((entry) => entry.length > 0);
+
+  if (entries.length === 0) {
+    throw new Error(`${source} must list at least one package.`);
+  }
+
+  return [...new Set(entries)];
+}
+
+/**
+ * Parses minimum Lighthouse category scores, given as "category=score" pairs
+ * or an object. A score of 0 turns the assertion of the category off
+ * @param {string|Object} value - Thresholds from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {Object} Scores from 0 to 100 keyed by category
+ */
+export function parseLighthouseThresholds(value, source) {
+  const entries =
+    typeof value === "object" && value !== null && !Array.isArray(value)
+      ? Object.entries(value)
+      : String(value)
+          .split(",")
+          .filter((entry) => entry.trim().length > 0)
+          .map((entry) => entry.split("=").map((part) => part.trim()));
+  const categories = Object.values(LIGHTHOUSE_CATEGORIES);
+
+  if (entries.length === 0) {
+    throw new Error(`${source} must set at least one category score.`);
+  }
+
+  return Object.fromEntries(
+    entries.map(([category, score]) => {
+      const minScore = Number(score);
+
+      if (!categories.includes(category)) {
+        throw new Error(
+          `Unknown Lighthouse category "${category}" in ${source}. Expected one of: ${categories.join(", ")}.`,
+        );
+      }
+      if (
+        score === "" ||
+        !Number.isInteger(minScore) ||
+        minScore < 0 ||
+        minScore > 100
+      ) {
+        throw new Error(
+          `Invalid score for "${category}" in ${source}. Use a whole number from 0 to 100.`,
+        );
+      }
+
+      return [category, minScore];
+    }),
+  );
+}
+
+/**
+ * Validates the number of Lighthouse runs per page
+ * @param {string|number} value - Number of runs from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {number} Number of runs
+ */
+export function parseLighthouseRuns(value, source) {
+  const runs = Number(value);
+
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new Error(`${source} must be a whole number of at least 1.`);
+  }
+
+  return runs;
+}
+
+/**
+ * Validates the URL of an LHCI server
+ * @param {string} value - Server URL from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {string} The URL without a trailing slash
+ */
+export function parseServerUrl(value, source) {
+  try {
+    return normalizeBaseUrl(value);
+  } catch {
+    throw new Error(
+      `Invalid server URL "${value}" for ${source}. Use a full http or https URL such as https://lhci.example.com.`,
+    );
+  }
+}
+
+// Login settings and the flags that set them
+const AUTH_FLAGS = {
+  loginUrl: "auth-login-url",
+  usernameSelector: "auth-username-selector",
+  passwordSelector: "auth-password-selector",
+  submitSelector: "auth-submit-selector",
+  storageState: "auth-storage-state",
+};
+
+/**
+ * Validates the login settings. A storageState file selects a saved session,
+ * a loginUrl the login form, whose selectors default to common ones
+ * @param {Object|boolean|null} value - Login settings, or false when the pages are public
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {Object|null} Login settings with their method, or null without a login
+ */
+export function parseAuthOptions(value, source) {
+  if (value === false || value === null) return null;
+
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(
+      `${source} must be false or an object with a loginUrl or storageState.`,
+    );
+  }
+
+  const unknownKeys = Object.keys(value).filter((key) => !AUTH_FLAGS[key]);
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `Unknown login setting(s) in ${source}: ${unknownKeys.join(", ")}. Use ${Object.keys(AUTH_FLAGS).join(", ")}.`,
+    );
+  }
+
+  const invalidKeys = Object.entries(value)
+    .filter(([, setting]) => typeof setting !== "string" || !setting.trim())
+    .map(([key]) => key);
+  if (invalidKeys.length > 0) {
+    throw new Error(
+      `${invalidKeys.join(", ")} in ${source} must be non-empty text.`,
+    );
+  }
+
+  const { storageState, loginUrl, ...selectors } = value;
+
+  if (storageState !== undefined) {
+    if (loginUrl !== undefined || Object.keys(selectors).length > 0) {
+      throw new Error(
+        `${source} can set up a login form or a storageState file, not both.`,
+      );
+    }
+    return {
+      method: AUTH_METHODS.STORAGE_STATE,
+      storageState: storageState.trim(),
+    };
+  }
+
+  if (loginUrl === undefined) {
+    throw new Error(
+      `${source} needs the loginUrl of the login form or a storageState file.`,
+    );
+  }
+
+  return {
+    method: AUTH_METHODS.FORM,
+    ...DEFAULT_LOGIN_FORM,
+    ...selectors,
+    loginUrl: normalizeLoginUrl(loginUrl),
+  };
+}
+
+/**
+ * Splits a comma separated list of Pa11y runners and validates every entry
+ * @param {string|string[]} value - Runners from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {string[]} Pa11y runners
+ */
+export function parsePa11yRunners(value, source) {
+  const runners = (Array.isArray(value) ? value : String(value).split(","))
+    .map((entry) => String(entry).trim())
+    .filter((entry) => entry.length > 0);
+
+  if (runners.length === 0) {
+    throw new Error(`${source} must list at least one runner.`);
+  }
+
+  return [
+    ...new Set(
+      runners.map((runner) => parseChoice(runner, PA11Y_RUNNERS, source)),
+    ),
+  ];
+}
+
+/**
+ * Splits a comma separated list of rule codes and issue types Pa11y should ignore
+ * @param {string|string[]} value - Rules from a flag or config file
+ * @returns {string[]} Rule codes such as "color-contrast" or "WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail"
+ */
+export function parsePa11yIgnore(value) {
+  return [
+    ...new Set(
+      (Array.isArray(value) ? value : String(value).split(","))
+        .map((entry) => String(entry).trim())
+        .filter((entry) => entry.length > 0),
+    ),
+  ];
+}
+
+/**
+ * Parses a viewport given as "<width>x<height>" or an object
+ * @param {string|Object} value - Viewport from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {Object} Viewport width and height in pixels
+ */
+export function parseViewport(value, source) {
+  const [width, height] =
+    typeof value === "object" && value !== null
+      ? [value.width, value.height]
+      : String(value).split("x").map(Number);
+
+  if (![width, height].every((size) => Number.isInteger(size) && size > 0)) {
+    throw new Error(
+      `Invalid viewport for ${source}. Use width and height in pixels, e.g. 1280x1024.`,
+    );
+  }
+
+  return { width, height };
+}
+
+/**
+ * Validates a duration in milliseconds
+ * @param {string|number} value - Duration from a flag or config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {number} Milliseconds
+ */
+export function parseMilliseconds(value, source) {
+  const milliseconds = Number(value);
+
+  if (!Number.isInteger(milliseconds) || milliseconds < 0) {
+    throw new Error(`${source} must be a whole number of milliseconds.`);
+  }
+
+  return milliseconds;
+}
+
+/**
+ * Validates the Pa11y actions to run on pages before they are tested
+ * @param {Object} value - Lists of actions keyed by route
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {Object} Actions keyed by normalized route
+ */
+export function parsePa11yActions(value, source) {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    throw new Error(
+      `${source} must be an object of routes and their lists of actions.`,
+    );
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([route, actions]) => {
+      if (!Array.isArray(actions)) {
+        throw new Error(
+          `The actions for "${route}" in ${source} must be a list.`,
+        );
+      }
+
+      const unknownActions = actions.filter(
+        (action) => typeof action !== "string" || !isPa11yAction(action),
+      );
+      if (unknownActions.length > 0) {
+        throw new Error(
+          `Unknown Pa11y action(s) for "${route}" in ${source}: ${unknownActions.join(", ")}. See https://github.com/pa11y/pa11y#actions.`,
+        );
+      }
+
+      return [normalizeRoute(route), actions];
+    }),
+  );
+}
+
+/**
+ * Loads pre-answered preferences from a config file
+ * @param {string|undefined} configPath - Explicit config path, or undefined to look for the default file
+ * @returns {Object} Preferences found in the config file
+ */
+export function loadConfigFile(configPath) {
+  const resolvedPath = path.resolve(process.cwd(), configPath || CONFIG_FILE_NAME);
+
+  if (!fileExists(resolvedPath)) {
+    if (configPath) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return {};
+  }
+
+  let configData;
+
+  try {
+    configData = JSON.parse(readFile(resolvedPath));
+  } catch (error) {
+    throw new Error(
+      `Could not parse ${path.basename(resolvedPath)}: ${error.message}`,
+    );
+  }
+
+  const source = path.basename(resolvedPath);
+  const preferences = {};
+
+  const unknownKey = Object.keys(configData).find(
+    (key) => !CONFIG_FILE_KEYS.includes(key),
+  );
+  if (unknownKey) {
+    throw new Error(
+      `Unknown key "${unknownKey}" in ${source}. Valid keys: ${CONFIG_FILE_KEYS.join(", ")}.`,
+    );
+  }
+
+  if (configData.tools !== undefined) {
+    preferences.tools = parseToolList(configData.tools, source);
+  }
+
+  if (configData.routes !== undefined) {
+    preferences.routes = parseRouteList(configData.routes, source);
+  }
+
+  if (configData.baseUrl !== undefined) {
+    preferences.baseUrl = normalizeBaseUrl(configData.baseUrl);
+  }
+
+  if (configData.standard !== undefined) {
+    preferences.standard = parseChoice(
+      configData.standard,
+      ACCESSIBILITY_STANDARDS,
+      `"standard" in ${source}`,
+    );
+  }
+
+  if (configData.packages !== undefined) {
+    preferences.packages = parsePackageList(configData.packages, source);
+  }
+
+  if (configData.lighthousePreset !== undefined) {
+    preferences.lighthousePreset = parseChoice(
+      configData.lighthousePreset,
+      LIGHTHOUSE_PRESETS,
+      `"lighthousePreset" in ${source}`,
+    );
+  }
+
+  if (configData.lighthouseThresholds !== undefined) {
+    preferences.lighthouseThresholds = parseLighthouseThresholds(
+      configData.lighthouseThresholds,
+      `"lighthouseThresholds" in ${source}`,
+    );
+  }
+
+  if (configData.lighthouseRuns !== undefined) {
+    preferences.lighthouseRuns = parseLighthouseRuns(
+      configData.lighthouseRuns,
+      `"lighthouseRuns" in ${source}`,
+    );
+  }
+
+  if (configData.lighthouseDevice !== undefined) {
+    preferences.lighthouseDevice = parseChoice(
+      configData.lighthouseDevice,
+      LIGHTHOUSE_DEVICES,
+      `"lighthouseDevice" in ${source}`,
+    );
+  }
+
+  if (configData.lighthouseUpload !== undefined) {
+    preferences.lighthouseUpload = parseChoice(
+      configData.lighthouseUpload,
+      LIGHTHOUSE_UPLOAD_TARGETS,
+      `"lighthouseUpload" in ${source}`,
+    );
+  }
+
+  if (configData.lighthouseServer !== undefined) {
+    preferences.lighthouseServer = parseServerUrl(
+      configData.lighthouseServer,
+      `"lighthouseServer" in ${source}`,
+    );
+  }
+
+  if (configData.pa11yRunners !== undefined) {
+    preferences.pa11yRunners = parsePa11yRunners(
+      configData.pa11yRunners,
+      `"pa11yRunners" in ${source}`,
+    );
+  }
+
+  if (configData.pa11yIgnore !== undefined) {
+    preferences.pa11yIgnore = parsePa11yIgnore(configData.pa11yIgnore);
+  }
+
+  if (configData.pa11yViewport !== undefined) {
+    preferences.pa11yViewport = parseViewport(
+      configData.pa11yViewport,
+      `"pa11yViewport" in ${source}`,
+    );
+  }
+
+  if (configData.pa11yTimeout !== undefined) {
+    preferences.pa11yTimeout = parseMilliseconds(
+      configData.pa11yTimeout,
+      `"pa11yTimeout" in ${source}`,
+    );
+  }
+
+  if (configData.pa11yWait !== undefined) {
+    preferences.pa11yWait = parseMilliseconds(
+      configData.pa11yWait,
+      `"pa11yWait" in ${source}`,
+    );
+  }
+
+  if (configData.pa11yActions !== undefined) {
+    preferences.pa11yActions = parsePa11yActions(
+      configData.pa11yActions,
+      `"pa11yActions" in ${source}`,
+    );
+  }
+
+  if (configData.auth !== undefined) {
+    preferences.auth = parseAuthOptions(configData.auth, `"auth" in ${source}`);
+  }
+
+  if (configData.ciProvider !== undefined) {
+    preferences.ciProvider = parseChoice(
+      configData.ciProvider,
+      CI_PROVIDERS,
+      `"ciProvider" in ${source}`,
+    );
+  }
+
+  if (configData.devAuditMode !== undefined) {
+    preferences.devAuditMode = parseChoice(
+      configData.devAuditMode,
+      DEV_AUDIT_MODES,
+      `"devAuditMode" in ${source}`,
+    );
+  }
+
+  if (configData.lintLevel !== undefined) {
+    preferences.lintLevel = parseChoice(
+      configData.lintLevel,
+      LINT_LEVELS,
+      `"lintLevel" in ${source}`,
+    );
+  }
+
+  if (configData.componentLibrary !== undefined) {
+    preferences.componentLibrary = parseChoice(
+      configData.componentLibrary,
+      COMPONENT_LIBRARIES,
+      `"componentLibrary" in ${source}`,
+    );
+  }
+
+  if (configData.lintRules !== undefined) {
+    preferences.lintRules = parseLintRules(configData.lintRules, source);
+  }
+
+  Object.keys(BOOLEAN_PREFERENCES).forEach((name) => {
+    if (configData[name] === undefined) return;
+
+    if (typeof configData[name] !== "boolean") {
+      throw new Error(`"${name}" in ${source} must be true or false.`);
+    }
+    preferences[name] = configData[name];
+  });
+
+  return preferences;
+}
+
+/**
+ * Combines config file values and CLI flags into pre-answered preferences.
+ * Flags take precedence over the config file.
+ * @param {Object} options - Options returned by parseCliArguments
+ * @returns {Object} Pre-answered preferences and the assumeYes flag
+ */
+export function resolvePresetAnswers(options) {
+  const presetAnswers = loadConfigFile(options.config);
+
+  if (options.tools !== undefined) {
+    presetAnswers.tools = parseToolList(options.tools, "--tools");
+  }
+
+  if (options.routes !== undefined) {
+    presetAnswers.routes = parseRouteList(options.routes, "--routes");
+  }
+
+  if (options["base-url"] !== undefined) {
+    presetAnswers.baseUrl = normalizeBaseUrl(options["base-url"]);
+  }
+
+  if (options.standard !== undefined) {
+    presetAnswers.standard = parseChoice(
+      options.standard,
+      ACCESSIBILITY_STANDARDS,
+      "--standard",
+    );
+  }
+
+  if (options.packages !== undefined) {
+    presetAnswers.packages = parsePackageList(options.packages, "--packages");
+  }
+
+  if (options["lighthouse-preset"] !== undefined) {
+    presetAnswers.lighthousePreset = parseChoice(
+      options["lighthouse-preset"],
+      LIGHTHOUSE_PRESETS,
+      "--lighthouse-preset",
+    );
+  }
+
+  if (options["lighthouse-thresholds"] !== undefined) {
+    presetAnswers.lighthouseThresholds = parseLighthouseThresholds(
+      options["lighthouse-thresholds"],
+      "--lighthouse-thresholds",
+    );
+  }
+
+  if (options["lighthouse-runs"] !== undefined) {
+    presetAnswers.lighthouseRuns = parseLighthouseRuns(
+      options["lighthouse-runs"],
+      "--lighthouse-runs",
+    );
+  }
+
+  if (options["lighthouse-device"] !== undefined) {
+    presetAnswers.lighthouseDevice = parseChoice(
+      options["lighthouse-device"],
+      LIGHTHOUSE_DEVICES,
+      "--lighthouse-device",
+    );
+  }
+
+  if (options["lighthouse-upload"] !== undefined) {
+    presetAnswers.lighthouseUpload = parseChoice(
+      options["lighthouse-upload"],
+      LIGHTHOUSE_UPLOAD_TARGETS,
+      "--lighthouse-upload",
+    );
+  }
+
+  if (options["lighthouse-server"] !== undefined) {
+    presetAnswers.lighthouseServer = parseServerUrl(
+      options["lighthouse-server"],
+      "--lighthouse-server",
+    );
+  }
+
+  if (options["pa11y-runners"] !== undefined) {
+    presetAnswers.pa11yRunners = parsePa11yRunners(
+      options["pa11y-runners"],
+      "--pa11y-runners",
+    );
+  }
+
+  if (options["pa11y-ignore"] !== undefined) {
+    presetAnswers.pa11yIgnore = parsePa11yIgnore(options["pa11y-ignore"]);
+  }
+
+  if (options["pa11y-viewport"] !== undefined) {
+    presetAnswers.pa11yViewport = parseViewport(
+      options["pa11y-viewport"],
+      "--pa11y-viewport",
+    );
+  }
+
+  if (options["pa11y-timeout"] !== undefined) {
+    presetAnswers.pa11yTimeout = parseMilliseconds(
+      options["pa11y-timeout"],
+      "--pa11y-timeout",
+    );
+  }
+
+  if (options["pa11y-wait"] !== undefined) {
+    presetAnswers.pa11yWait = parseMilliseconds(
+      options["pa11y-wait"],
+      "--pa11y-wait",
+    );
+  }
+
+  const authFlags = Object.fromEntries(
+    Object.entries(AUTH_FLAGS)
+      .filter(([, flag]) => options[flag] !== undefined)
+      .map(([name, flag]) => [name, options[flag]]),
+  );
+
+  if (options["no-auth"]) {
+    if (Object.keys(authFlags).length > 0) {
+      throw new Error("--no-auth cannot be used with the other --auth flags.");
+    }
+    presetAnswers.auth = null;
+  } else if (Object.keys(authFlags).length > 0) {
+    // Flags override single settings of a login form from the config file
+    const configuredForm =
+      presetAnswers.auth?.method === AUTH_METHODS.FORM &&
+      authFlags.storageState === undefined
+        ? Object.fromEntries(
+            Object.keys(DEFAULT_LOGIN_FORM).map((name) => [
+              name,
+              presetAnswers.auth[name],
+            ]),
+          )
+        : {};
+    presetAnswers.auth = parseAuthOptions(
+      { ...configuredForm, ...authFlags },
+      "the --auth flags",
+    );
+  }
+
+  if (options["ci-provider"] !== undefined) {
+    presetAnswers.ciProvider = parseChoice(
+      options["ci-provider"],
+      CI_PROVIDERS,
+      "--ci-provider",
+    );
+  }
+
+  if (options["dev-audit-mode"] !== undefined) {
+    presetAnswers.devAuditMode = parseChoice(
+      options["dev-audit-mode"],
+      DEV_AUDIT_MODES,
+      "--dev-audit-mode",
+    );
+  }
+
+  if (options["lint-level"] !== undefined) {
+    presetAnswers.lintLevel = parseChoice(
+      options["lint-level"],
+      LINT_LEVELS,
+      "--lint-level",
+    );
+  }
+
+  if (options["component-library"] !== undefined) {
+    presetAnswers.componentLibrary = parseChoice(
+      options["component-library"],
+      COMPONENT_LIBRARIES,
+      "--component-library",
+    );
+  }
+
+  Object.entries(BOOLEAN_PREFERENCES).forEach(([name, flag]) => {
+    if (options[flag] && options[`no-${flag}`]) {
+      throw new Error(`--${flag} and --no-${flag} cannot be used together.`);
+    }
+    if (options[flag]) presetAnswers[name] = true;
+    if (options[`no-${flag}`]) presetAnswers[name] = false;
+  });
+
+  return {
+    presetAnswers,
+    assumeYes: Boolean(options.yes),
+  };
+}
+
+/**
+ * Prints usage information for the CLI
+ */
+export function displayUsage() {
+  console.log(`Usage: ally-wizard [command] [options]
+
+Commands:
+  setup                 Set up accessibility testing (default)
+  run                   Build and serve the app, run the accessibility tools and stop the server
+  report                Combine axe, pa11y and Lighthouse results into one HTML, Markdown and JSON report
+  baseline              Record the current issues as known so only new issues fail
+  update                Upgrade generated files and scripts to the latest templates, keeping your changes
+  remove                Uninstall the packages and revert the files and scripts the wizard added
+
+Options:
+  -t, --tools <list>    Comma separated tools to set up (${Object.values(ACCESSIBILITY_TOOLS).join(", ")}) or "none"
+      --base-url <url>  URL the app is served on (default: localhost on the detected port);
+                        a deployed preview URL skips starting a local server in CI
+  -r, --routes <list>   Comma separated routes to test (e.g. /,/about); defaults to discovered routes
+      --standard <name> Conformance target every tool checks (default: ${DEFAULT_ACCESSIBILITY_STANDARD}):
+                        ${Object.values(ACCESSIBILITY_STANDARDS).join(", ")}
+      --packages <list> In a workspace root: comma separated app packages to set up, by name
+                        or directory (e.g. web,apps/admin)
+      --lighthouse-preset <name>
+                        Lighthouse assertions: ${Object.values(LIGHTHOUSE_PRESETS).join(", ")} (default: balanced)
+      --lighthouse-thresholds <list>
+                        Minimum category scores from 0 to 100, overriding the preset; 0 turns a
+                        category off (e.g. accessibility=95,seo=0)
+      --lighthouse-runs <n>
+                        Lighthouse runs per page; the median run is asserted (default: 1)
+      --lighthouse-device <name>
+                        Device Lighthouse emulates: ${Object.values(LIGHTHOUSE_DEVICES).join(", ")} (default: mobile)
+      --lighthouse-upload <target>
+                        Where Lighthouse reports go: ${Object.values(LIGHTHOUSE_UPLOAD_TARGETS).join(", ")}
+      --lighthouse-server <url>
+                        LHCI server for --lighthouse-upload lhci; the token is read from LHCI_TOKEN
+      --pa11y-runners <list>
+                        Pa11y runners: ${Object.values(PA11Y_RUNNERS).join(", ")} (default: both)
+      --pa11y-ignore <list>
+                        Comma separated rule codes or issue types (warning, notice) Pa11y ignores
+      --pa11y-viewport <size>
+                        Viewport Pa11y tests in (default: 1280x1024)
+      --pa11y-timeout <ms>, --pa11y-wait <ms>
+                        Time limit per page and delay before testing it (default: 30000, 2000)
+      --auth-login-url <url>
+                        Log in with the form on this page first; credentials are read from A11Y_USERNAME and A11Y_PASSWORD
+      --auth-username-selector, --auth-password-selector, --auth-submit-selector <selector>
+                        Fields and button of the login form (default: email or username field, password field, submit button)
+      --auth-storage-state <file>
+                        Restore the session saved in this Playwright storage state file (or A11Y_STORAGE_STATE) instead
+      --no-auth         The pages can be tested without logging in
+      --ci, --no-ci     Enable or disable the CI workflow
+      --ci-provider <name>
+                        CI service to generate the config for: ${Object.values(CI_PROVIDERS).join(", ")}
+                        (default: detected from existing CI config or the git remote)
+      --lint, --no-lint Enable or disable accessibility linting
+      --lint-level <level>
+                        jsx-a11y rule set: ${Object.values(LINT_LEVELS).join(", ")}
+      --component-library <name>
+                        Map component library elements for jsx-a11y: ${Object.values(COMPONENT_LIBRARIES).join(", ")}
+      --component-tests, --no-component-tests
+                        Enable or disable axe checks in Vitest or Jest component tests
+      --storybook, --no-storybook
+                        Enable or disable the Storybook a11y addon and axe checks of every story
+      --dev-audit, --no-dev-audit
+                        Enable or disable logging violations to the browser console in development (React)
+      --dev-audit-mode <mode>
+                        How the development audit is loaded: ${Object.values(DEV_AUDIT_MODES).join(", ")}
+  -y, --yes             Accept the default answer for every question not answered by flags or config
+  -c, --config <path>   Read answers from a JSON config file (default: ${CONFIG_FILE_NAME} if present)
+      --dry-run         Preview file changes as diffs and print install commands without running anything
+  -f, --force           setup, update, remove: discard your changes to generated files and scripts without asking
+      --parallel        run: run the tools in parallel instead of one after another
+      --skip-build      run: reuse the existing build output
+  -o, --output <dir>    report: output directory (default: ${REPORT_OUTPUT_DIRECTORY})
+      --format <list>   report: comma separated formats (${Object.values(REPORT_FORMATS).join(", ")})
+      --axe-results <file>, --pa11y-results <file>, --lighthouse-results <dir>, --playwright-results <dir>
+                        report, baseline: read tool results from non-default locations
+      --compare <file>  report: accessibility-report.json of the base branch to compare against
+      --baseline <file> run, report, baseline: baseline file (default: ${BASELINE_FILE_NAME})
+      --prune           baseline: only remove entries that are fixed, without adding new ones
+  -h, --help            Show this help
+
+Questions that are not answered by flags or the config file are asked
+interactively. When stdin is not a TTY, missing answers are an error
+unless --yes is passed.`);
+}
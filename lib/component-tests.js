@@ -0,0 +1,437 @@
+import path from "path";
+import {
+  fileExists,
+  readFile,
+  readPackageJson,
+  writePackageJson,
+  listFiles,
+} from "./file-utils.js";
+import {
+  writeGeneratedFile,
+  writeTrackedFile,
+  recordPackageJsonField,
+} from "./manifest.js";
+import { installPackages, findDeclaredPackages } from "./package-manager.js";
+import { findConfigFile, containsJsx } from "./framework-detector.js";
+import { logMessage } from "./logger.js";
+import {
+  MESSAGE_TYPES,
+  TEST_RUNNERS,
+  TEST_RUNNER_PROFILES,
+  TESTING_LIBRARIES,
+} from "./constants.js";
+import {
+  parseModule,
+  isModuleImported,
+  findExportedValue,
+  resolveConfigObject,
+  findProperty,
+  matchQuoteStyle,
+  buildImportEdit,
+  buildAppendEdit,
+  applyEdits,
+} from "./ast-utils.js";
+
+const SETUP_FILE_BASE_PATH = "src/setupTests";
+const COMPONENT_DIRECTORIES = ["src/components", "components", "src", "app"];
+const NON_COMPONENT_FILE_PATTERN = /\.(test|spec|stories|d)\.[^.]+$/;
+
+/**
+ * Adds axe checks to the project's component tests: installs vitest-axe or
+ * jest-axe, registers the toHaveNoViolations matcher in the test setup file
+ * and writes a sample test next to a component
+ * @param {string} packageManager - The package manager to use for installation
+ * @param {string} testRunner - The detected test runner (from TEST_RUNNERS)
+ */
+export function setupComponentTests(packageManager, testRunner) {
+  const profile = TEST_RUNNER_PROFILES[testRunner];
+  const typescript = fileExists(path.join(process.cwd(), "tsconfig.json"));
+  const component = findComponent();
+  const testingLibrary =
+    TESTING_LIBRARIES[path.extname(component?.filePath ?? ".jsx")];
+
+  logMessage(
+    "Setting up accessibility checks in component tests",
+    MESSAGE_TYPES.SECTION,
+  );
+
+  const packages = [
+    profile.packageName,
+    ...(typescript && profile.typesPackageName
+      ? [profile.typesPackageName]
+      : []),
+    testingLibrary,
+  ];
+  const declaredPackages = findDeclaredPackages(packages);
+  installPackages(
+    packages.filter((packageName) => !declaredPackages.includes(packageName)),
+    true,
+    packageManager,
+  );
+
+  const matcherModule = `${profile.packageName}/extend-expect`;
+
+  try {
+    const setupFile = registerMatcher(testRunner, matcherModule, typescript);
+    logMessage(
+      `Registered the toHaveNoViolations matcher in ${setupFile}`,
+      MESSAGE_TYPES.SUCCESS,
+    );
+  } catch (error) {
+    logMessage(
+      `Warning: Could not register the matcher: ${error.message} Please add import "${matcherModule}" to your ${profile.name} setup file manually.`,
+      MESSAGE_TYPES.WARNING,
+    );
+  }
+
+  if (!component) {
+    logMessage(
+      "No component found to write a sample test for. Call axe(container) on a rendered component and expect toHaveNoViolations() in any test.",
+      MESSAGE_TYPES.INFO,
+    );
+    return;
+  }
+
+  const testFile = writeSampleTest(
+    component,
+    profile,
+    testingLibrary,
+    typescript,
+  );
+  logMessage(`Created the sample test ${testFile}`, MESSAGE_TYPES.SUCCESS);
+}
+
+/**
+ * Finds a component to write the sample test for: the first PascalCase file
+ * in the usual component directories that exports a component
+ * @returns {Object|null} Component file path, name and whether it is the default export
+ */
+function findComponent() {
+  const extensions = Object.keys(TESTING_LIBRARIES);
+
+  for (const directory of COMPONENT_DIRECTORIES) {
+    const candidates = listFiles(path.join(process.cwd(), directory), extensions)
+      .filter((filePath) => {
+        const fileName = path.basename(filePath);
+        return (
+          /^[A-Z]/.test(fileName) && !NON_COMPONENT_FILE_PATTERN.test(fileName)
+        );
+      })
+      .sort();
+
+    for (const filePath of candidates) {
+      const component = readComponentExport(filePath);
+      if (component) return component;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Works out how a component file exports its component. Vue and Svelte
+ * components are always default exports
+ * @param {string} filePath - Absolute path of the component file
+ * @returns {Object|null} Component details, or null when the file has no component export
+ */
+function readComponentExport(filePath) {
+  const extension = path.extname(filePath);
+  const baseName = path.basename(filePath, extension);
+
+  if (extension === ".vue" || extension === ".svelte") {
+    return { filePath, name: baseName, isDefaultExport: true };
+  }
+
+  const source = readFile(filePath);
+  if (!containsJsx(source)) return null;
+
+  let ast;
+  try {
+    ast = parseModule(source, filePath);
+  } catch {
+    return null;
+  }
+
+  if (findExportedValue(ast)) {
+    return { filePath, name: baseName, isDefaultExport: true };
+  }
+
+  const exportedNames = ast.program.body
+    .filter((statement) => statement.type === "ExportNamedDeclaration")
+    .flatMap(({ declaration }) =>
+      declaration?.type === "VariableDeclaration"
+        ? declaration.declarations.map((entry) => entry.id.name)
+        : [declaration?.id?.name],
+    )
+    .filter((name) => /^[A-Z]/.test(name ?? ""));
+
+  if (exportedNames.length === 0) return null;
+
+  return {
+    filePath,
+    name: exportedNames.includes(baseName) ? baseName : exportedNames[0],
+    isDefaultExport: false,
+  };
+}
+
+/**
+ * Finds the setup file the test runner already loads
+ * @param {string} testRunner - The detected test runner (from TEST_RUNNERS)
+ * @returns {Object} Setup file path (null when none is configured), the
+ * config to list a new one in and whether the runner loads it without config
+ */
+function findSetupFile(testRunner) {
+  const { configBaseNames, setupProperty, setupPathPrefix } =
+    TEST_RUNNER_PROFILES[testRunner];
+  const toProjectPath = (setupPath) =>
+    path.normalize(setupPath.replace(setupPathPrefix, ""));
+
+  // react-scripts loads src/setupTests.* itself and ignores the Jest config
+  if (findDeclaredPackages(["react-scripts"]).length > 0) {
+    const setupPath = ["js", "ts", "jsx", "tsx"]
+      .map((extension) => `${SETUP_FILE_BASE_PATH}.${extension}`)
+      .find((candidate) => fileExists(path.join(process.cwd(), candidate)));
+    return { setupPath: setupPath ?? null, config: null, implicit: true };
+  }
+
+  const configFile = configBaseNames
+    .map((baseName) => findConfigFile(baseName))
+    .find(Boolean);
+
+  if (configFile) {
+    const source = readFile(path.join(process.cwd(), configFile));
+    const ast = parseModule(source, configFile);
+    const testOptions = findTestOptions(ast, testRunner);
+    const setupFiles =
+      testOptions && findProperty(testOptions, setupProperty)?.value;
+    const setupPath = [setupFiles, ...(setupFiles?.elements ?? [])].find(
+      (node) => node?.type === "StringLiteral",
+    )?.value;
+
+    return {
+      setupPath: setupPath ? toProjectPath(setupPath) : null,
+      config: configFile,
+    };
+  }
+
+  const setupPath = [].concat(readPackageJson().jest?.[setupProperty] ?? [])[0];
+  return {
+    setupPath: setupPath ? toProjectPath(setupPath) : null,
+    config: testRunner === TEST_RUNNERS.JEST ? "package.json" : null,
+  };
+}
+
+/**
+ * Finds the object holding the test options: the "test" property for Vitest,
+ * the config itself for Jest
+ * @param {Object} ast - The config module
+ * @param {string} testRunner - The detected test runner (from TEST_RUNNERS)
+ * @returns {Object|null} ObjectExpression of the test options, or null when there is none
+ */
+function findTestOptions(ast, testRunner) {
+  const config = resolveConfigObject(findExportedValue(ast), ast);
+
+  if (testRunner === TEST_RUNNERS.JEST || !config) return config;
+
+  const testProperty = findProperty(config, "test");
+  return testProperty?.value.type === "ObjectExpression"
+    ? testProperty.value
+    : null;
+}
+
+/**
+ * Registers the toHaveNoViolations matcher in the test setup file, creating
+ * the setup file and adding it to the test runner config when there is none
+ * @param {string} testRunner - The detected test runner (from TEST_RUNNERS)
+ * @param {string} matcherModule - Module that extends expect with the matcher
+ * @param {boolean} typescript - Whether the project uses TypeScript
+ * @returns {string} Path of the setup file
+ */
+function registerMatcher(testRunner, matcherModule, typescript) {
+  const existingSetup = findSetupFile(testRunner);
+  const setupPath =
+    existingSetup.setupPath ??
+    `${SETUP_FILE_BASE_PATH}.${typescript ? "ts" : "js"}`;
+  const setupFilePath = path.join(process.cwd(), setupPath);
+
+  if (!fileExists(setupFilePath)) {
+    writeGeneratedFile(setupFilePath, `import "${matcherModule}";\n`);
+  } else {
+    const source = readFile(setupFilePath);
+    const ast = parseModule(source, setupPath);
+
+    if (!isModuleImported(ast, matcherModule)) {
+      writeTrackedFile(
+        setupFilePath,
+        applyEdits(source, [buildImportEdit(ast, source, null, matcherModule)]),
+      );
+    }
+  }
+
+  if (!existingSetup.setupPath && !existingSetup.implicit) {
+    addSetupFileToConfig(testRunner, existingSetup.config, setupPath);
+  }
+
+  return setupPath;
+}
+
+/**
+ * Adds the setup file to the test runner config: the Vitest or Jest config
+ * file, the "jest" field of package.json, or a new vitest.config.mjs
+ * @param {string} testRunner - The detected test runner (from TEST_RUNNERS)
+ * @param {string|null} configFile - Config file name, or null when there is none
+ * @param {string} setupPath - Setup file path relative to the project
+ */
+function addSetupFileToConfig(testRunner, configFile, setupPath) {
+  const { setupProperty, setupPathPrefix } = TEST_RUNNER_PROFILES[testRunner];
+  const setupEntry = `${setupPathPrefix}${setupPath.split(path.sep).join("/")}`;
+
+  if (configFile === "package.json") {
+    const packageData = readPackageJson();
+    recordPackageJsonField("jest", packageData.jest);
+    packageData.jest = {
+      ...packageData.jest,
+      [setupProperty]: [
+        ...(packageData.jest?.[setupProperty] ?? []),
+        setupEntry,
+      ],
+    };
+    writePackageJson(packageData);
+    return;
+  }
+
+  if (!configFile) {
+    writeGeneratedFile(
+      path.join(process.cwd(), "vitest.config.mjs"),
+      `import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    ${setupProperty}: ["${setupEntry}"],
+  },
+});
+`,
+    );
+    return;
+  }
+
+  const configPath = path.join(process.cwd(), configFile);
+  const source = readFile(configPath);
+  const ast = parseModule(source, configFile);
+  const config = resolveConfigObject(findExportedValue(ast), ast);
+
+  if (!config) {
+    throw new Error(
+      `the config exported by ${configFile} is not an object or defineConfig call.`,
+    );
+  }
+
+  const entryCode = matchQuoteStyle(`"${setupEntry}"`, source);
+  const edits = [];
+  let testOptions = config;
+
+  if (testRunner === TEST_RUNNERS.VITEST) {
+    const testProperty = findProperty(config, "test");
+
+    if (!testProperty) {
+      edits.push(
+        buildAppendEdit(
+          source,
+          config,
+          `test: {\n  ${setupProperty}: [${entryCode}],\n}`,
+        ),
+      );
+    } else if (testProperty.value.type !== "ObjectExpression") {
+      throw new Error(`the "test" option in ${configFile} is not an object.`);
+    }
+
+    // vite's defineConfig types do not know the test option without this
+    if (/\.m?ts$/.test(configFile) && !source.includes("vitest")) {
+      edits.push({
+        start: 0,
+        end: 0,
+        text: '/// <reference types="vitest/config" />\n',
+      });
+    }
+
+    testOptions = testProperty?.value;
+  }
+
+  if (testOptions) {
+    const setupFiles = findProperty(testOptions, setupProperty)?.value;
+
+    if (!setupFiles) {
+      edits.push(
+        buildAppendEdit(source, testOptions, `${setupProperty}: [${entryCode}]`),
+      );
+    } else if (setupFiles.type === "ArrayExpression") {
+      edits.push(buildAppendEdit(source, setupFiles, entryCode));
+    } else if (setupFiles.type === "StringLiteral") {
+      edits.push({
+        start: setupFiles.start,
+        end: setupFiles.end,
+        text: `[${source.slice(setupFiles.start, setupFiles.end)}, ${entryCode}]`,
+      });
+    } else {
+      throw new Error(
+        `the "${setupProperty}" option in ${configFile} is not a list.`,
+      );
+    }
+  }
+
+  writeTrackedFile(configPath, applyEdits(source, edits));
+}
+
+/**
+ * Writes a sample test next to the component that renders it and checks it with axe
+ * @param {Object} component - Component from findComponent
+ * @param {Object} profile - Test runner profile
+ * @param {string} testingLibrary - Testing Library package to render the component with
+ * @param {boolean} typescript - Whether the project uses TypeScript
+ * @returns {string} Path of the test file, relative to the project
+ */
+function writeSampleTest(
+  { filePath, name, isDefaultExport },
+  profile,
+  testingLibrary,
+  typescript,
+) {
+  const extension = path.extname(filePath);
+  const isSingleFileComponent = extension === ".vue" || extension === ".svelte";
+  const testExtension = isSingleFileComponent
+    ? typescript
+      ? ".ts"
+      : ".js"
+    : extension;
+  const testPath = path.join(
+    path.dirname(filePath),
+    `${path.basename(filePath, extension)}.a11y.test${testExtension}`,
+  );
+
+  // Single file components are imported with their extension
+  const importPath = `./${path.basename(filePath, isSingleFileComponent ? "" : extension)}`;
+  const imports = [
+    `import { render } from "${testingLibrary}";`,
+    `import { axe } from "${profile.packageName}";`,
+    profile.globalsModule &&
+      `import { describe, expect, it } from "${profile.globalsModule}";`,
+    `import ${isDefaultExport ? name : `{ ${name} }`} from "${importPath}";`,
+  ].filter(Boolean);
+
+  writeGeneratedFile(
+    testPath,
+    `${imports.join("\n")}
+
+describe("${name}", () => {
+  it("has no accessibility violations", async () => {
+    // Pass the props ${name} needs to render its usual content
+    const { container } = render(${isSingleFileComponent ? name : `<${name} />`});
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+`,
+  );
+
+  return path.relative(process.cwd(), testPath);
+}
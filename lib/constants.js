@@ -2,26 +2,93 @@ export const PACKAGE_MANAGERS = {
   YARN: "yarn",
   PNPM: "pnpm",
   NPM: "npm",
+  BUN: "bun",
 };
 
 export const LOCK_FILES = {
-  [PACKAGE_MANAGERS.YARN]: "yarn.lock",
-  [PACKAGE_MANAGERS.PNPM]: "pnpm-lock.yaml",
-  [PACKAGE_MANAGERS.NPM]: "package-lock.json",
+  [PACKAGE_MANAGERS.YARN]: ["yarn.lock"],
+  [PACKAGE_MANAGERS.PNPM]: ["pnpm-lock.yaml"],
+  [PACKAGE_MANAGERS.NPM]: ["package-lock.json"],
+  [PACKAGE_MANAGERS.BUN]: ["bun.lock", "bun.lockb"],
+};
+
+// pnpm lists its workspace packages here instead of in package.json
+export const PNPM_WORKSPACE_FILE_NAME = "pnpm-workspace.yaml";
+
+// pnpm major version that reads each major lockfile version, for CI setups of
+// projects that do not pin pnpm through "packageManager"
+export const PNPM_LOCKFILE_VERSIONS = { 5: 7, 6: 8, 9: 9 };
+export const DEFAULT_PNPM_VERSION = 9;
+
+export const PACKAGE_MANAGER_CI_SETTINGS = {
+  [PACKAGE_MANAGERS.YARN]: {
+    setupAction: null,
+    setupCommand: "corepack enable",
+    nodeCache: "yarn",
+  },
+  [PACKAGE_MANAGERS.PNPM]: {
+    setupAction: "pnpm/action-setup@v4",
+    setupCommand: "corepack enable",
+    nodeCache: "pnpm",
+  },
+  [PACKAGE_MANAGERS.NPM]: {
+    setupAction: null,
+    setupCommand: null,
+    nodeCache: "npm",
+  },
+  [PACKAGE_MANAGERS.BUN]: {
+    setupAction: "oven-sh/setup-bun@v2",
+    setupCommand: "npm install -g bun",
+    nodeCache: null,
+  },
 };
 
 export const ACCESSIBILITY_TOOLS = {
   AXE: "axe",
   PA11Y: "pa11y",
   LIGHTHOUSE: "lighthouse",
+  PLAYWRIGHT: "playwright",
 };
 
 export const TOOL_DEPENDENCIES = {
-  [ACCESSIBILITY_TOOLS.PA11Y]: "pa11y",
-  [ACCESSIBILITY_TOOLS.AXE]: "@axe-core/cli",
-  [ACCESSIBILITY_TOOLS.LIGHTHOUSE]: "@lhci/cli",
+  [ACCESSIBILITY_TOOLS.PA11Y]: ["pa11y-ci"],
+  [ACCESSIBILITY_TOOLS.AXE]: ["@axe-core/cli"],
+  [ACCESSIBILITY_TOOLS.LIGHTHOUSE]: ["@lhci/cli"],
+  [ACCESSIBILITY_TOOLS.PLAYWRIGHT]: ["@playwright/test", "@axe-core/playwright"],
+};
+
+export const IMPACT_LEVELS = ["critical", "serious", "moderate", "minor"];
+
+export const TOOL_RESULT_PATHS = {
+  [ACCESSIBILITY_TOOLS.AXE]: "axe-results/axe-results.json",
+  [ACCESSIBILITY_TOOLS.PA11Y]: "pa11y-results/pa11y-results.json",
+  [ACCESSIBILITY_TOOLS.LIGHTHOUSE]: ".lighthouseci",
+  [ACCESSIBILITY_TOOLS.PLAYWRIGHT]: "playwright-results",
 };
 
+// CI jobs that keep going after a tool fails save its exit code next to its
+// results, for the report command to pick up
+export const EXIT_CODE_FILE_NAME = "exit-code";
+
+export const REPORT_FORMATS = {
+  HTML: "html",
+  MARKDOWN: "markdown",
+  JSON: "json",
+  COMMENT: "comment",
+};
+
+export const DEFAULT_REPORT_FORMATS = [
+  REPORT_FORMATS.HTML,
+  REPORT_FORMATS.MARKDOWN,
+  REPORT_FORMATS.JSON,
+];
+
+export const REPORT_OUTPUT_DIRECTORY = "a11y-report";
+
+export const BASELINE_FILE_NAME = ".a11y-baseline.json";
+
+export const PR_COMMENT_MARKER = "<!-- ally-wizard:accessibility-report -->";
+
 export const COLORS = {
   RESET: "\x1b[0m",
   BRIGHT: "\x1b[1m",
@@ -45,11 +112,679 @@ export const MESSAGE_TYPES = {
   EXTERNAL: "external",
 };
 
+export const PA11Y_CONFIG_FILE_NAME = ".pa11yci.json";
+
+// Copy of the Pa11y config with the URLs moved to the base URL the app is
+// tested on, written by "ally-wizard run" and the CI jobs
+export const PA11Y_RUNTIME_CONFIG_PATH = TOOL_RESULT_PATHS[
+  ACCESSIBILITY_TOOLS.PA11Y
+].replace(/[^/]+$/, PA11Y_CONFIG_FILE_NAME);
+
+export const PA11Y_RUNNERS = {
+  AXE: "axe",
+  HTMLCS: "htmlcs",
+};
+
+export const DEFAULT_PA11Y_OPTIONS = {
+  runners: [PA11Y_RUNNERS.AXE, PA11Y_RUNNERS.HTMLCS],
+  ignore: [],
+  viewport: { width: 1280, height: 1024 },
+  timeout: 30000,
+  wait: 2000,
+  actions: {},
+};
+
+// The actions Pa11y can run before testing a page
+export const PA11Y_ACTION_PATTERNS = [
+  /^navigate to .+$/,
+  /^click element .+$/,
+  /^set field .+ to .*$/,
+  /^clear field .+$/,
+  /^(check|uncheck) field .+$/,
+  /^screen capture .+$/,
+  /^wait for (fragment|path|url) to (not )?be .+$/,
+  /^wait for element .+ to (be added|be removed|be visible|be hidden)$/,
+  /^wait for element .+ to emit .+$/,
+];
+
+export const LIGHTHOUSE_CONFIG_FILE_NAME = "lighthouserc.json";
+
+// Config files lhci picks up, in the order it looks for them
+export const LIGHTHOUSE_CONFIG_FILE_NAMES = [
+  ".lighthouserc.js",
+  "lighthouserc.js",
+  ".lighthouserc.cjs",
+  "lighthouserc.cjs",
+  ".lighthouserc.json",
+  "lighthouserc.json",
+  ".lighthouserc.yml",
+  "lighthouserc.yml",
+  ".lighthouserc.yaml",
+  "lighthouserc.yaml",
+];
+
+export const LIGHTHOUSE_CATEGORIES = {
+  ACCESSIBILITY: "accessibility",
+  BEST_PRACTICES: "best-practices",
+  SEO: "seo",
+  PERFORMANCE: "performance",
+};
+
+export const LIGHTHOUSE_PRESETS = {
+  ACCESSIBILITY: "accessibility",
+  BALANCED: "balanced",
+  STRICT: "strict",
+};
+
+// Minimum category scores (0-100) with the assertion level used when a page
+// scores below them, and limits for single metrics
+export const LIGHTHOUSE_PRESET_PROFILES = {
+  [LIGHTHOUSE_PRESETS.ACCESSIBILITY]: {
+    name: "Accessibility only",
+    categories: {
+      [LIGHTHOUSE_CATEGORIES.ACCESSIBILITY]: { level: "error", minScore: 90 },
+    },
+    metrics: {},
+  },
+  [LIGHTHOUSE_PRESETS.BALANCED]: {
+    name: "Balanced - accessibility and best practices fail, SEO and performance warn",
+    categories: {
+      [LIGHTHOUSE_CATEGORIES.ACCESSIBILITY]: { level: "error", minScore: 85 },
+      [LIGHTHOUSE_CATEGORIES.BEST_PRACTICES]: { level: "error", minScore: 85 },
+      [LIGHTHOUSE_CATEGORIES.SEO]: { level: "warn", minScore: 90 },
+      [LIGHTHOUSE_CATEGORIES.PERFORMANCE]: { level: "warn", minScore: 70 },
+    },
+    metrics: {
+      "first-contentful-paint": { level: "warn", maxNumericValue: 4000 },
+      "largest-contentful-paint": { level: "warn", maxNumericValue: 5000 },
+      "cumulative-layout-shift": { level: "warn", maxNumericValue: 0.15 },
+    },
+  },
+  [LIGHTHOUSE_PRESETS.STRICT]: {
+    name: "Strict - every category and the Core Web Vitals fail",
+    categories: {
+      [LIGHTHOUSE_CATEGORIES.ACCESSIBILITY]: { level: "error", minScore: 100 },
+      [LIGHTHOUSE_CATEGORIES.BEST_PRACTICES]: { level: "error", minScore: 90 },
+      [LIGHTHOUSE_CATEGORIES.SEO]: { level: "error", minScore: 90 },
+      [LIGHTHOUSE_CATEGORIES.PERFORMANCE]: { level: "error", minScore: 90 },
+    },
+    metrics: {
+      "first-contentful-paint": { level: "error", maxNumericValue: 2000 },
+      "largest-contentful-paint": { level: "error", maxNumericValue: 2500 },
+      "cumulative-layout-shift": { level: "error", maxNumericValue: 0.1 },
+    },
+  },
+};
+
+export const LIGHTHOUSE_DEVICES = {
+  MOBILE: "mobile",
+  DESKTOP: "desktop",
+};
+
+// Values are the lhci upload target names
+export const LIGHTHOUSE_UPLOAD_TARGETS = {
+  TEMPORARY_PUBLIC_STORAGE: "temporary-public-storage",
+  FILESYSTEM: "filesystem",
+  LHCI_SERVER: "lhci",
+};
+
+export const LIGHTHOUSE_REPORT_DIRECTORY = "lhci_reports";
+
+// Lighthouse accessibility audits that check criteria above level A or newer
+// than WCAG 2.0, with the axe tag of their criterion. They are skipped when
+// the target standard does not include that tag
+export const LIGHTHOUSE_WCAG_AUDITS = {
+  "color-contrast": "wcag2aa",
+  "meta-viewport": "wcag2aa",
+  "identical-links-same-purpose": "wcag2aaa",
+  "autocomplete-valid": "wcag21aa",
+  "target-size": "wcag22aa",
+};
+
+export const DEFAULT_LIGHTHOUSE_OPTIONS = {
+  preset: LIGHTHOUSE_PRESETS.BALANCED,
+  runs: 1,
+  device: LIGHTHOUSE_DEVICES.MOBILE,
+  upload: LIGHTHOUSE_UPLOAD_TARGETS.TEMPORARY_PUBLIC_STORAGE,
+};
+
+export const PLAYWRIGHT_CONFIG_FILE_NAME = "playwright-a11y.config.mjs";
+
+export const PLAYWRIGHT_TEST_DIRECTORY = "tests/a11y";
+
+export const AUTH_METHODS = {
+  FORM: "form",
+  STORAGE_STATE: "storage-state",
+};
+
+// The login script signs in before the tools test the pages; Lighthouse
+// also runs it as its puppeteerScript
+export const AUTH_SCRIPT_PATH = "a11y-auth/login.cjs";
+
+// The signed-in Chrome profile axe and Pa11y reuse and the session the
+// Playwright specs start with. node_modules keeps them out of git
+export const AUTH_PROFILE_DIRECTORY = "node_modules/.cache/a11y-auth/profile";
+
+export const AUTH_STORAGE_STATE_PATH =
+  "node_modules/.cache/a11y-auth/storage-state.json";
+
+// Environment variables (and CI secrets) the login script reads
+export const AUTH_SECRETS = {
+  [AUTH_METHODS.FORM]: ["A11Y_USERNAME", "A11Y_PASSWORD"],
+  [AUTH_METHODS.STORAGE_STATE]: ["A11Y_STORAGE_STATE"],
+};
+
+export const DEFAULT_LOGIN_FORM = {
+  loginUrl: "/login",
+  usernameSelector:
+    'input[type="email"], input[name="email"], input[name="username"]',
+  passwordSelector: 'input[type="password"]',
+  submitSelector: '[type="submit"]',
+};
+
+export const AUTH_DEPENDENCIES = ["puppeteer"];
+
+export const WORKFLOW_FILE_PATH = ".github/workflows/accessibility.yml";
+
+export const CI_PROVIDERS = {
+  GITHUB: "github",
+  GITLAB: "gitlab",
+  AZURE: "azure",
+  CIRCLECI: "circleci",
+  BITBUCKET: "bitbucket",
+};
+
+// configPaths point at an existing CI setup; remotePattern matches the git
+// remote URL of repositories hosted there (CircleCI has no hosting of its own)
+export const CI_PROVIDER_PROFILES = {
+  [CI_PROVIDERS.GITHUB]: {
+    name: "GitHub Actions",
+    filePath: WORKFLOW_FILE_PATH,
+    configPaths: [".github/workflows"],
+    remotePattern: /github\.com[:/]/,
+    secrets: "repository secrets",
+    secretsDocs:
+      "https://docs.github.com/en/actions/security-guides/encrypted-secrets",
+  },
+  [CI_PROVIDERS.GITLAB]: {
+    name: "GitLab CI/CD",
+    filePath: ".gitlab-ci.yml",
+    configPaths: [".gitlab-ci.yml"],
+    remotePattern: /gitlab/,
+    secrets: "masked CI/CD variables",
+    secretsDocs: "https://docs.gitlab.com/ee/ci/variables/",
+  },
+  [CI_PROVIDERS.AZURE]: {
+    name: "Azure Pipelines",
+    filePath: "azure-pipelines.yml",
+    configPaths: ["azure-pipelines.yml", "azure-pipelines.yaml"],
+    remotePattern: /dev\.azure\.com|\.visualstudio\.com/,
+    secrets: "secret pipeline variables",
+    secretsDocs:
+      "https://learn.microsoft.com/en-us/azure/devops/pipelines/process/set-secret-variables",
+  },
+  [CI_PROVIDERS.CIRCLECI]: {
+    name: "CircleCI",
+    filePath: ".circleci/config.yml",
+    configPaths: [".circleci/config.yml"],
+    remotePattern: null,
+    secrets: "project environment variables",
+    secretsDocs: "https://circleci.com/docs/set-environment-variable/",
+  },
+  [CI_PROVIDERS.BITBUCKET]: {
+    name: "Bitbucket Pipelines",
+    filePath: "bitbucket-pipelines.yml",
+    configPaths: ["bitbucket-pipelines.yml"],
+    remotePattern: /bitbucket\.org[:/]/,
+    secrets: "secured repository variables",
+    secretsDocs:
+      "https://support.atlassian.com/bitbucket-cloud/docs/variables-and-secrets/",
+  },
+};
+
+// With a login, axe opens the pages in the Chrome profile the login script
+// signed in, optionally with the given Chrome and ChromeDriver
+const axeProfileOption = (
+  authenticated,
+  { chromePath, chromedriverPath } = {},
+) =>
+  authenticated
+    ? `${chromePath ? ` --chrome-path "${chromePath}"` : ""}${chromedriverPath ? ` --chromedriver-path "${chromedriverPath}"` : ""} --chrome-options="user-data-dir=${AUTH_PROFILE_DIRECTORY}"`
+    : "";
+
 export const SCRIPT_MAPPINGS = {
-  [ACCESSIBILITY_TOOLS.AXE]: "axe http://localhost:3000 --exit",
-  [ACCESSIBILITY_TOOLS.PA11Y]:
-    "pa11y --standard WCAG2AA --timeout 30000 --wait 2000 --include-warnings http://localhost:3000",
-  [ACCESSIBILITY_TOOLS.LIGHTHOUSE]: "lhci autorun",
+  [ACCESSIBILITY_TOOLS.AXE]: (urls, standard, authenticated) =>
+    `axe ${urls.join(",")} --tags ${ACCESSIBILITY_STANDARD_PROFILES[standard].axeTags.join(",")}${axeProfileOption(authenticated)} --exit`,
+  [ACCESSIBILITY_TOOLS.PA11Y]: () =>
+    `pa11y-ci --config ${PA11Y_CONFIG_FILE_NAME}`,
+  [ACCESSIBILITY_TOOLS.LIGHTHOUSE]: () => "lhci autorun",
+  [ACCESSIBILITY_TOOLS.PLAYWRIGHT]: () =>
+    `playwright test --config ${PLAYWRIGHT_CONFIG_FILE_NAME}`,
+};
+
+const quoteUrls = (urls) => urls.map((url) => `"${url}"`);
+
+export const RUNNER_COMMANDS = {
+  [ACCESSIBILITY_TOOLS.AXE]: (urls, standard, authenticated, browser) =>
+    `axe ${quoteUrls(urls).join(",")} --save ${TOOL_RESULT_PATHS[ACCESSIBILITY_TOOLS.AXE]} --tags ${ACCESSIBILITY_STANDARD_PROFILES[standard].axeTags.join(",")}${axeProfileOption(authenticated, browser)} --exit`,
+  // The runner writes the config with the URLs it serves the app on first
+  [ACCESSIBILITY_TOOLS.PA11Y]: () =>
+    `pa11y-ci --config ${PA11Y_RUNTIME_CONFIG_PATH}`,
+  [ACCESSIBILITY_TOOLS.LIGHTHOUSE]: (urls) =>
+    `lhci autorun ${quoteUrls(urls)
+      .map((url) => `--collect.url=${url}`)
+      .join(" ")}`,
+  // The specs visit their routes themselves; the runner passes the base URL
+  // in A11Y_BASE_URL
+  [ACCESSIBILITY_TOOLS.PLAYWRIGHT]: () =>
+    `playwright test --config ${PLAYWRIGHT_CONFIG_FILE_NAME}`,
+};
+
+export const FRAMEWORKS = {
+  REACT_VITE: "react-vite",
+  VUE_VITE: "vue-vite",
+  SVELTE_VITE: "svelte-vite",
+  VITE: "vite",
+  NEXT: "next",
+  CREATE_REACT_APP: "create-react-app",
+  REMIX: "remix",
+};
+
+export const LINT_PLUGINS = {
+  JSX_A11Y: "jsx-a11y",
+  VUE_A11Y: "vuejs-accessibility",
+  SVELTE: "svelte",
+};
+
+export const LINT_PLUGIN_CONFIGS = {
+  [LINT_PLUGINS.JSX_A11Y]: {
+    packageName: "eslint-plugin-jsx-a11y",
+    importName: "jsxA11y",
+  },
+  [LINT_PLUGINS.VUE_A11Y]: {
+    packageName: "eslint-plugin-vuejs-accessibility",
+    importName: "pluginVueA11y",
+    flatConfig: '...pluginVueA11y.configs["flat/recommended"]',
+    legacyExtends: "plugin:vuejs-accessibility/recommended",
+  },
+  [LINT_PLUGINS.SVELTE]: {
+    packageName: "eslint-plugin-svelte",
+    importName: "svelte",
+    flatConfig: '...svelte.configs["flat/recommended"]',
+    legacyExtends: "plugin:svelte/recommended",
+  },
+};
+
+export const LINT_LEVELS = {
+  RECOMMENDED: "recommended",
+  STRICT: "strict",
+  CUSTOM: "custom",
+};
+
+// Conformance targets the tools are configured for. Section 508 refers to
+// WCAG 2.0 AA, EN 301 549 to WCAG 2.1 AA
+export const ACCESSIBILITY_STANDARDS = {
+  WCAG20_A: "wcag2a",
+  WCAG20_AA: "wcag2aa",
+  WCAG20_AAA: "wcag2aaa",
+  WCAG21_A: "wcag21a",
+  WCAG21_AA: "wcag21aa",
+  WCAG21_AAA: "wcag21aaa",
+  WCAG22_A: "wcag22a",
+  WCAG22_AA: "wcag22aa",
+  WCAG22_AAA: "wcag22aaa",
+  SECTION_508: "section508",
+  EN_301_549: "en301549",
+};
+
+export const DEFAULT_ACCESSIBILITY_STANDARD = ACCESSIBILITY_STANDARDS.WCAG21_AA;
+
+// How each target translates to the tools: the axe rule tags to run (axe has
+// no tags for WCAG 2.1 AAA or WCAG 2.2 A and AAA criteria), the HTML
+// CodeSniffer standard of Pa11y and the jsx-a11y rule set offered by default
+export const ACCESSIBILITY_STANDARD_PROFILES = {
+  [ACCESSIBILITY_STANDARDS.WCAG20_A]: {
+    name: "WCAG 2.0 A",
+    axeTags: ["wcag2a"],
+    pa11yStandard: "WCAG2A",
+    lintLevel: LINT_LEVELS.RECOMMENDED,
+  },
+  [ACCESSIBILITY_STANDARDS.WCAG20_AA]: {
+    name: "WCAG 2.0 AA",
+    axeTags: ["wcag2a", "wcag2aa"],
+    pa11yStandard: "WCAG2AA",
+    lintLevel: LINT_LEVELS.RECOMMENDED,
+  },
+  [ACCESSIBILITY_STANDARDS.WCAG20_AAA]: {
+    name: "WCAG 2.0 AAA",
+    axeTags: ["wcag2a", "wcag2aa", "wcag2aaa"],
+    pa11yStandard: "WCAG2AAA",
+    lintLevel: LINT_LEVELS.STRICT,
+  },
+  [ACCESSIBILITY_STANDARDS.WCAG21_A]: {
+    name: "WCAG 2.1 A",
+    axeTags: ["wcag2a", "wcag21a"],
+    pa11yStandard: "WCAG2A",
+    lintLevel: LINT_LEVELS.RECOMMENDED,
+  },
+  [ACCESSIBILITY_STANDARDS.WCAG21_AA]: {
+    name: "WCAG 2.1 AA",
+    axeTags: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"],
+    pa11yStandard: "WCAG2AA",
+    lintLevel: LINT_LEVELS.RECOMMENDED,
+  },
+  [ACCESSIBILITY_STANDARDS.WCAG21_AAA]: {
+    name: "WCAG 2.1 AAA",
+    axeTags: ["wcag2a", "wcag2aa", "wcag2aaa", "wcag21a", "wcag21aa"],
+    pa11yStandard: "WCAG2AAA",
+    lintLevel: LINT_LEVELS.STRICT,
+  },
+  [ACCESSIBILITY_STANDARDS.WCAG22_A]: {
+    name: "WCAG 2.2 A",
+    axeTags: ["wcag2a", "wcag21a"],
+    pa11yStandard: "WCAG2A",
+    lintLevel: LINT_LEVELS.RECOMMENDED,
+  },
+  [ACCESSIBILITY_STANDARDS.WCAG22_AA]: {
+    name: "WCAG 2.2 AA",
+    axeTags: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "wcag22aa"],
+    pa11yStandard: "WCAG2AA",
+    lintLevel: LINT_LEVELS.RECOMMENDED,
+  },
+  [ACCESSIBILITY_STANDARDS.WCAG22_AAA]: {
+    name: "WCAG 2.2 AAA",
+    axeTags: [
+      "wcag2a",
+      "wcag2aa",
+      "wcag2aaa",
+      "wcag21a",
+      "wcag21aa",
+      "wcag22aa",
+    ],
+    pa11yStandard: "WCAG2AAA",
+    lintLevel: LINT_LEVELS.STRICT,
+  },
+  [ACCESSIBILITY_STANDARDS.SECTION_508]: {
+    name: "Section 508",
+    axeTags: ["wcag2a", "wcag2aa", "section508"],
+    pa11yStandard: "WCAG2AA",
+    lintLevel: LINT_LEVELS.RECOMMENDED,
+  },
+  [ACCESSIBILITY_STANDARDS.EN_301_549]: {
+    name: "EN 301 549",
+    axeTags: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "EN-301-549"],
+    pa11yStandard: "WCAG2AA",
+    lintLevel: LINT_LEVELS.RECOMMENDED,
+  },
+};
+
+// jsx-a11y rules (without deprecated ones) and whether the recommended preset enables them
+export const JSX_A11Y_RULES = {
+  "alt-text": true,
+  "anchor-ambiguous-text": false,
+  "anchor-has-content": true,
+  "anchor-is-valid": true,
+  "aria-activedescendant-has-tabindex": true,
+  "aria-props": true,
+  "aria-proptypes": true,
+  "aria-role": true,
+  "aria-unsupported-elements": true,
+  "autocomplete-valid": true,
+  "click-events-have-key-events": true,
+  "control-has-associated-label": false,
+  "heading-has-content": true,
+  "html-has-lang": true,
+  "iframe-has-title": true,
+  "img-redundant-alt": true,
+  "interactive-supports-focus": true,
+  "label-has-associated-control": true,
+  lang: false,
+  "media-has-caption": true,
+  "mouse-events-have-key-events": true,
+  "no-access-key": true,
+  "no-aria-hidden-on-focusable": false,
+  "no-autofocus": true,
+  "no-distracting-elements": true,
+  "no-interactive-element-to-noninteractive-role": true,
+  "no-noninteractive-element-interactions": true,
+  "no-noninteractive-element-to-interactive-role": true,
+  "no-noninteractive-tabindex": true,
+  "no-redundant-roles": true,
+  "no-static-element-interactions": true,
+  "prefer-tag-over-role": false,
+  "role-has-required-aria-props": true,
+  "role-supports-aria-props": true,
+  scope: true,
+  "tabindex-no-positive": true,
+};
+
+export const COMPONENT_LIBRARIES = {
+  MUI: "mui",
+  CHAKRA: "chakra",
+  RADIX: "radix",
+  NONE: "none",
+};
+
+// Maps each library's components to the DOM element they render, so
+// jsx-a11y checks <Button> like <button> and <Image> like <img>
+export const COMPONENT_LIBRARY_PROFILES = {
+  [COMPONENT_LIBRARIES.MUI]: {
+    name: "MUI",
+    packagePrefixes: ["@mui/material", "@mui/joy"],
+    polymorphicPropName: "component",
+    components: {
+      Button: "button",
+      IconButton: "button",
+      Fab: "button",
+      Link: "a",
+      Input: "input",
+      Checkbox: "input",
+      Radio: "input",
+      Switch: "input",
+      Select: "select",
+      TextareaAutosize: "textarea",
+    },
+  },
+  [COMPONENT_LIBRARIES.CHAKRA]: {
+    name: "Chakra UI",
+    packagePrefixes: ["@chakra-ui/react"],
+    polymorphicPropName: "as",
+    components: {
+      Button: "button",
+      IconButton: "button",
+      Link: "a",
+      Image: "img",
+      Img: "img",
+      Input: "input",
+      Textarea: "textarea",
+      Select: "select",
+      Heading: "h2",
+    },
+  },
+  [COMPONENT_LIBRARIES.RADIX]: {
+    name: "Radix UI",
+    packagePrefixes: ["@radix-ui/"],
+    polymorphicPropName: null,
+    components: {
+      Button: "button",
+      IconButton: "button",
+      Link: "a",
+      TextArea: "textarea",
+      Heading: "h1",
+    },
+  },
+};
+
+export const ESLINT_FLAT_CONFIG_FILES = [
+  "eslint.config.js",
+  "eslint.config.mjs",
+  "eslint.config.cjs",
+  "eslint.config.ts",
+  "eslint.config.mts",
+  "eslint.config.cts",
+];
+
+export const ESLINT_LEGACY_CONFIG_FILES = [
+  ".eslintrc.js",
+  ".eslintrc.cjs",
+  ".eslintrc.yaml",
+  ".eslintrc.yml",
+  ".eslintrc.json",
+  ".eslintrc",
+];
+
+export const TEST_RUNNERS = {
+  VITEST: "vitest",
+  JEST: "jest",
+};
+
+// configBaseNames are tried in order; setupProperty is the config option
+// listing files that run before every test file, and globalsModule the module
+// describe/it/expect are imported from (Jest provides them as globals)
+export const TEST_RUNNER_PROFILES = {
+  [TEST_RUNNERS.VITEST]: {
+    name: "Vitest",
+    packageName: "vitest-axe",
+    typesPackageName: null,
+    configBaseNames: ["vitest.config", "vite.config"],
+    setupProperty: "setupFiles",
+    setupPathPrefix: "./",
+    globalsModule: "vitest",
+  },
+  [TEST_RUNNERS.JEST]: {
+    name: "Jest",
+    packageName: "jest-axe",
+    typesPackageName: "@types/jest-axe",
+    configBaseNames: ["jest.config"],
+    setupProperty: "setupFilesAfterEnv",
+    setupPathPrefix: "<rootDir>/",
+    globalsModule: null,
+  },
+};
+
+// Testing Library package to render components with, by component file extension
+export const TESTING_LIBRARIES = {
+  ".jsx": "@testing-library/react",
+  ".tsx": "@testing-library/react",
+  ".js": "@testing-library/react",
+  ".vue": "@testing-library/vue",
+  ".svelte": "@testing-library/svelte",
+};
+
+export const STORYBOOK_CONFIG_DIRECTORY = ".storybook";
+
+export const STORYBOOK_A11Y_ADDON = "@storybook/addon-a11y";
+
+// The test-runner visits every story and axe-playwright checks it; the
+// a11y:storybook script builds, serves and tests Storybook with the rest
+export const STORYBOOK_TEST_DEPENDENCIES = [
+  "@storybook/test-runner",
+  "axe-playwright",
+  "concurrently",
+  "http-server",
+  "wait-on",
+];
+
+export const STORYBOOK_OUTPUT_DIRECTORY = "storybook-static";
+
+export const STORYBOOK_PORT = 6006;
+
+export const DEV_AUDIT_MODES = {
+  ENTRY: "entry",
+  VITE_PLUGIN: "vite-plugin",
+};
+
+export const DEV_AUDIT_MODULE_NAME = "a11y-dev-audit";
+
+export const DEV_AUDIT_VITE_PLUGIN_NAME = "vite-plugin-a11y-dev-audit";
+
+// @axe-core/react calls ReactDOM.findDOMNode, which React 19 removed; newer
+// versions get an audit that runs axe-core on DOM changes instead
+export const AXE_REACT_LAST_SUPPORTED_VERSION = 18;
+
+const VITE_PROFILE = {
+  buildCommand: "vite build",
+  serveScript: "preview",
+  serveCommand: "vite preview",
+  portFlag: "--port",
+  readsPortVariable: false,
+  defaultPort: 4173,
+  outputDirectory: "dist",
+  serveDependencies: [],
+  devAudit: null,
+};
+
+// readsPortVariable is set for servers that take their port from PORT too;
+// devAudit.condition is only true in development builds, so the bundler
+// drops the console audit from production; null when the framework has no
+// single client entry to add the audit to
+export const FRAMEWORK_PROFILES = {
+  [FRAMEWORKS.REACT_VITE]: {
+    ...VITE_PROFILE,
+    name: "React + Vite",
+    lintPlugin: LINT_PLUGINS.JSX_A11Y,
+    devAudit: {
+      condition: "import.meta.env.DEV",
+      modes: [DEV_AUDIT_MODES.ENTRY, DEV_AUDIT_MODES.VITE_PLUGIN],
+    },
+  },
+  [FRAMEWORKS.VUE_VITE]: {
+    ...VITE_PROFILE,
+    name: "Vue + Vite",
+    lintPlugin: LINT_PLUGINS.VUE_A11Y,
+  },
+  [FRAMEWORKS.SVELTE_VITE]: {
+    ...VITE_PROFILE,
+    name: "Svelte + Vite",
+    lintPlugin: LINT_PLUGINS.SVELTE,
+  },
+  [FRAMEWORKS.VITE]: {
+    ...VITE_PROFILE,
+    name: "Vite",
+    lintPlugin: null,
+  },
+  [FRAMEWORKS.NEXT]: {
+    name: "Next.js",
+    buildCommand: "next build",
+    serveScript: "start",
+    serveCommand: "next start",
+    portFlag: "-p",
+    readsPortVariable: true,
+    defaultPort: 3000,
+    outputDirectory: ".next",
+    serveDependencies: [],
+    lintPlugin: LINT_PLUGINS.JSX_A11Y,
+    devAudit: null,
+  },
+  [FRAMEWORKS.CREATE_REACT_APP]: {
+    name: "Create React App",
+    buildCommand: "react-scripts build",
+    serveScript: "preview",
+    serveCommand: "serve -s build",
+    portFlag: "-l",
+    readsPortVariable: true,
+    defaultPort: 3000,
+    outputDirectory: "build",
+    serveDependencies: ["serve"],
+    lintPlugin: LINT_PLUGINS.JSX_A11Y,
+    devAudit: {
+      condition: 'process.env.NODE_ENV === "development"',
+      modes: [DEV_AUDIT_MODES.ENTRY],
+    },
+  },
+  [FRAMEWORKS.REMIX]: {
+    name: "Remix",
+    buildCommand: "remix vite:build",
+    serveScript: "start",
+    serveCommand: "remix-serve ./build/server/index.js",
+    portFlag: null,
+    readsPortVariable: true,
+    defaultPort: 3000,
+    outputDirectory: "build",
+    serveDependencies: [],
+    lintPlugin: LINT_PLUGINS.JSX_A11Y,
+    devAudit: null,
+  },
 };
 
 export const RESOURCE_LINKS = {
@@ -57,7 +792,42 @@ export const RESOURCE_LINKS = {
   [ACCESSIBILITY_TOOLS.PA11Y]: "Pa11y: https://pa11y.org/",
   [ACCESSIBILITY_TOOLS.LIGHTHOUSE]:
     "Lighthouse: https://developers.google.com/web/tools/lighthouse",
+  [ACCESSIBILITY_TOOLS.PLAYWRIGHT]:
+    "Playwright accessibility testing: https://playwright.dev/docs/accessibility-testing",
+  STORYBOOK:
+    "Storybook accessibility testing: https://storybook.js.org/docs/writing-tests/accessibility-testing",
   WCAG: "WCAG Guidelines: https://www.w3.org/WAI/WCAG21/quickref/",
   GITHUB_SECRETS:
     "https://docs.github.com/en/actions/security-guides/encrypted-secrets",
 };
+
+export const CLI_COMMANDS = {
+  SETUP: "setup",
+  RUN: "run",
+  REPORT: "report",
+  BASELINE: "baseline",
+  UPDATE: "update",
+  REMOVE: "remove",
+};
+
+export const RUNNER_PACKAGE_NAME = "ally-wizard";
+
+export const CONFIG_FILE_NAME = "ally-wizard.config.json";
+
+export const MANIFEST_FILE_NAME = ".ally-wizard-manifest.json";
+
+export const GENERATED_FILE_STATES = {
+  MISSING: "missing",
+  UNCHANGED: "unchanged",
+  MODIFIED: "modified",
+  UNTRACKED: "untracked",
+};
+
+// What happened to generated files and scripts on this run. Merged files and
+// the user's versions that were kept are reported by the manifest itself
+export const WRITE_RESULTS = {
+  WRITTEN: "written",
+  MERGED: "merged",
+  UNCHANGED: "unchanged",
+  KEPT: "kept",
+};
@@ -0,0 +1,366 @@
+import path from "path";
+import { fileExists, readFile, readPackageJson } from "./file-utils.js";
+import { writeGeneratedFile, writeTrackedFile } from "./manifest.js";
+import { installPackages, findDeclaredPackages } from "./package-manager.js";
+import {
+  findConfigFile,
+  detectReactMajorVersion,
+} from "./framework-detector.js";
+import { logMessage } from "./logger.js";
+import {
+  MESSAGE_TYPES,
+  DEV_AUDIT_MODES,
+  DEV_AUDIT_MODULE_NAME,
+  DEV_AUDIT_VITE_PLUGIN_NAME,
+  AXE_REACT_LAST_SUPPORTED_VERSION,
+} from "./constants.js";
+import {
+  parseModule,
+  findExportedValue,
+  resolveConfigObject,
+  findProperty,
+  matchQuoteStyle,
+  buildImportEdit,
+  buildAppendEdit,
+  applyEdits,
+} from "./ast-utils.js";
+
+const ENTRY_CANDIDATES = ["src/main", "src/index"];
+const ENTRY_EXTENSIONS = ["tsx", "jsx", "ts", "js"];
+const MODULE_SCRIPT_PATTERN = /<script\b[^>]*\btype=["']module["'][^>]*>/gi;
+const SCRIPT_SOURCE_PATTERN = /\bsrc=["']([^"']+)["']/i;
+const VITE_PLUGIN_IMPORT_NAME = "a11yDevAudit";
+
+/**
+ * Logs accessibility violations to the browser console while developing:
+ * installs @axe-core/react (axe-core for React versions it does not
+ * support) and loads a generated audit module from the app entry or
+ * through a Vite plugin, only in development builds
+ * @param {string} packageManager - The package manager to use for installation
+ * @param {Object} framework - The detected framework profile
+ * @param {string} mode - How the audit is loaded (from DEV_AUDIT_MODES)
+ */
+export function setupDevAudit(packageManager, framework, mode) {
+  logMessage(
+    "Setting up accessibility auditing in development",
+    MESSAGE_TYPES.SECTION,
+  );
+
+  const useAxeReact = supportsAxeReact();
+  const packageName = useAxeReact ? "@axe-core/react" : "axe-core";
+
+  if (!useAxeReact) {
+    logMessage(
+      `@axe-core/react only supports React ${AXE_REACT_LAST_SUPPORTED_VERSION} and earlier, so the audit runs axe-core on DOM changes instead`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
+
+  if (findDeclaredPackages([packageName]).length === 0) {
+    installPackages([packageName], true, packageManager);
+  }
+
+  const auditFiles = writeDevAuditFiles(mode);
+
+  if (!auditFiles) {
+    logMessage(
+      `Warning: Could not find the app entry in index.html or ${ENTRY_CANDIDATES.join("/")}.*. Import a development-only audit module from your entry manually.`,
+      MESSAGE_TYPES.WARNING,
+    );
+    return;
+  }
+
+  try {
+    const editedFile =
+      mode === DEV_AUDIT_MODES.VITE_PLUGIN
+        ? registerVitePlugin(auditFiles.pluginPath)
+        : importFromEntry(auditFiles.entryPath, framework.devAudit.condition);
+    logMessage(
+      editedFile
+        ? `Added the audit to ${editedFile}; violations are logged to the browser console in development`
+        : "The audit is already loaded in development",
+      MESSAGE_TYPES.SUCCESS,
+    );
+  } catch (error) {
+    logMessage(
+      `Warning: Could not load the audit: ${error.message} Please import ${auditFiles.modulePath} from your app entry in development only.`,
+      MESSAGE_TYPES.WARNING,
+    );
+  }
+}
+
+/**
+ * Checks whether @axe-core/react works with the project's React version.
+ * An unknown version (e.g. "latest") is treated as a new one
+ * @returns {boolean} True for React 18 and earlier
+ */
+function supportsAxeReact() {
+  const reactVersion = detectReactMajorVersion(readPackageJson());
+  return (
+    reactVersion !== null && reactVersion <= AXE_REACT_LAST_SUPPORTED_VERSION
+  );
+}
+
+/**
+ * Finds the app entry: the module script of index.html, or the usual
+ * src/main.* and src/index.* files
+ * @returns {string|null} Entry path relative to the project, or null when there is none
+ */
+function findAppEntry() {
+  const indexPath = path.join(process.cwd(), "index.html");
+
+  if (fileExists(indexPath)) {
+    const scriptTags = readFile(indexPath).match(MODULE_SCRIPT_PATTERN) ?? [];
+    const entry = scriptTags
+      .map((tag) => tag.match(SCRIPT_SOURCE_PATTERN)?.[1])
+      .find((source) => source && !/^(https?:)?\/\//.test(source));
+
+    if (entry && fileExists(path.join(process.cwd(), entry))) {
+      return path.normalize(entry.replace(/^\//, ""));
+    }
+  }
+
+  const candidates = ENTRY_CANDIDATES.flatMap((basePath) =>
+    ENTRY_EXTENSIONS.map((extension) => `${basePath}.${extension}`),
+  );
+  return (
+    candidates.find((candidate) =>
+      fileExists(path.join(process.cwd(), candidate)),
+    ) ?? null
+  );
+}
+
+/**
+ * Writes the audit module next to the app entry and, in Vite plugin mode,
+ * the plugin that loads it. The module uses @axe-core/react for the React
+ * versions it supports and axe-core otherwise
+ * @param {string} mode - How the audit is loaded (from DEV_AUDIT_MODES)
+ * @returns {Object|null} Entry, module and plugin paths, or null when there is no app entry
+ */
+export function writeDevAuditFiles(mode) {
+  const entryPath = findAppEntry();
+
+  if (!entryPath) return null;
+
+  const typescript = /\.tsx?$/.test(entryPath);
+  const modulePath = path.join(
+    path.dirname(entryPath),
+    `${DEV_AUDIT_MODULE_NAME}.${typescript ? "ts" : "js"}`,
+  );
+
+  writeGeneratedFile(
+    path.join(process.cwd(), modulePath),
+    supportsAxeReact() ? buildAxeReactModule() : buildAxeCoreModule(typescript),
+  );
+
+  if (mode !== DEV_AUDIT_MODES.VITE_PLUGIN) {
+    return { entryPath, modulePath, pluginPath: null };
+  }
+
+  const viteConfig = findConfigFile("vite.config");
+  const pluginPath = `${DEV_AUDIT_VITE_PLUGIN_NAME}.${viteConfig && /ts$/.test(viteConfig) ? "ts" : "mjs"}`;
+  writeGeneratedFile(
+    path.join(process.cwd(), pluginPath),
+    buildVitePlugin(modulePath, pluginPath.endsWith(".ts")),
+  );
+
+  return { entryPath, modulePath, pluginPath };
+}
+
+/**
+ * Builds the audit module for React 18 and earlier
+ * @returns {string} Module source
+ */
+function buildAxeReactModule() {
+  return `import React from "react";
+import ReactDOM from "react-dom";
+import axe from "@axe-core/react";
+
+// Logs accessibility violations to the browser console, checking again one
+// second after components update. Only loaded in development
+axe(React, ReactDOM, 1000);
+`;
+}
+
+/**
+ * Builds the audit module for React versions @axe-core/react does not
+ * support: axe-core checks the page once the DOM stops changing and logs
+ * each violation once
+ * @param {boolean} typescript - Whether the module is TypeScript
+ * @returns {string} Module source
+ */
+function buildAxeCoreModule(typescript) {
+  return `import axe from "axe-core";
+
+// Logs accessibility violations to the browser console, checking again one
+// second after the page stops changing. Only loaded in development
+const AUDIT_DELAY = 1000;
+const reportedViolations = new Set${typescript ? "<string>" : ""}();
+let auditTimer${typescript ? ": ReturnType<typeof setTimeout> | undefined" : ""};
+let auditRunning = false;
+
+function scheduleAudit() {
+  clearTimeout(auditTimer);
+  auditTimer = setTimeout(auditPage, AUDIT_DELAY);
+}
+
+async function auditPage() {
+  // axe refuses to start while a previous run is still going
+  if (auditRunning) {
+    scheduleAudit();
+    return;
+  }
+
+  auditRunning = true;
+  try {
+    const { violations } = await axe.run(document, {
+      resultTypes: ["violations"],
+    });
+
+    violations.forEach((violation) => {
+      const newNodes = violation.nodes.filter((node) => {
+        const key = \`\${violation.id} \${node.target.join(" ")}\`;
+        if (reportedViolations.has(key)) return false;
+        reportedViolations.add(key);
+        return true;
+      });
+
+      if (newNodes.length === 0) return;
+
+      console.groupCollapsed(\`[a11y] \${violation.impact}: \${violation.help}\`);
+      newNodes.forEach((node) => {
+        console.log(node.target.join(" "), node.failureSummary);
+      });
+      console.log(violation.helpUrl);
+      console.groupEnd();
+    });
+  } finally {
+    auditRunning = false;
+  }
+}
+
+new MutationObserver(scheduleAudit).observe(document.body, {
+  attributes: true,
+  childList: true,
+  subtree: true,
+});
+scheduleAudit();
+`;
+}
+
+/**
+ * Builds the Vite plugin that adds the audit module to the page served by
+ * the dev server, leaving the app source and production build untouched
+ * @param {string} modulePath - Audit module path relative to the project
+ * @param {boolean} typescript - Whether the plugin is TypeScript
+ * @returns {string} Plugin source
+ */
+function buildVitePlugin(modulePath, typescript) {
+  const moduleUrl = `/${modulePath.split(path.sep).join("/")}`;
+
+  return `${typescript ? 'import type { Plugin } from "vite";\n\n' : ""}// Loads the accessibility audit in the dev server only
+export default function ${VITE_PLUGIN_IMPORT_NAME}()${typescript ? ": Plugin" : ""} {
+  return {
+    name: "${DEV_AUDIT_MODULE_NAME}",
+    apply: "serve",
+    transformIndexHtml() {
+      return [
+        {
+          tag: "script",
+          attrs: { type: "module", src: "${moduleUrl}" },
+          injectTo: "body",
+        },
+      ];
+    },
+  };
+}
+`;
+}
+
+/**
+ * Imports the audit module from the app entry behind a development-only
+ * condition, so the bundler leaves it out of production builds
+ * @param {string} entryPath - Entry path relative to the project
+ * @param {string} condition - Condition that is only true in development builds
+ * @returns {string|null} The edited entry, or null when it already loads the audit
+ */
+function importFromEntry(entryPath, condition) {
+  const filePath = path.join(process.cwd(), entryPath);
+  const source = readFile(filePath);
+
+  if (source.includes(DEV_AUDIT_MODULE_NAME)) return null;
+
+  const ast = parseModule(source, entryPath);
+  const lastImport = ast.program.body.findLast(
+    (statement) => statement.type === "ImportDeclaration",
+  );
+  const semicolon =
+    !lastImport || source.slice(lastImport.start, lastImport.end).endsWith(";")
+      ? ";"
+      : "";
+  const code = matchQuoteStyle(
+    `if (${condition}) {\n  import("./${DEV_AUDIT_MODULE_NAME}")${semicolon}\n}`,
+    source,
+  );
+
+  writeTrackedFile(
+    filePath,
+    applyEdits(source, [
+      lastImport
+        ? { start: lastImport.end, end: lastImport.end, text: `\n\n${code}` }
+        : { start: 0, end: 0, text: `${code}\n\n` },
+    ]),
+  );
+
+  return entryPath;
+}
+
+/**
+ * Adds the audit plugin to the plugins of vite.config.*
+ * @param {string} pluginPath - Plugin path relative to the project
+ * @returns {string|null} The edited config file, or null when the plugin is already registered
+ */
+function registerVitePlugin(pluginPath) {
+  const configFile = findConfigFile("vite.config");
+
+  if (!configFile) {
+    throw new Error("no vite.config file found.");
+  }
+
+  const configPath = path.join(process.cwd(), configFile);
+  const source = readFile(configPath);
+
+  if (source.includes(DEV_AUDIT_VITE_PLUGIN_NAME)) return null;
+
+  const ast = parseModule(source, configFile);
+  const config = resolveConfigObject(findExportedValue(ast), ast);
+
+  if (!config) {
+    throw new Error(
+      `the config exported by ${configFile} is not an object or defineConfig call.`,
+    );
+  }
+
+  const plugins = findProperty(config, "plugins")?.value;
+
+  if (plugins && plugins.type !== "ArrayExpression") {
+    throw new Error(`the "plugins" option in ${configFile} is not a list.`);
+  }
+
+  const pluginCall = `${VITE_PLUGIN_IMPORT_NAME}()`;
+  const importPath = pluginPath.endsWith(".ts")
+    ? `./${DEV_AUDIT_VITE_PLUGIN_NAME}`
+    : `./${pluginPath}`;
+
+  writeTrackedFile(
+    configPath,
+    applyEdits(source, [
+      buildImportEdit(ast, source, VITE_PLUGIN_IMPORT_NAME, importPath),
+      plugins
+        ? buildAppendEdit(source, plugins, pluginCall)
+        : buildAppendEdit(source, config, `plugins: [${pluginCall}]`),
+    ]),
+  );
+
+  return configFile;
+}
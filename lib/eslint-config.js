@@ -1,69 +1,703 @@
 import path from "path";
-import { fileExists, readFile, writeFile } from "./file-utils.js";
+import YAML from "yaml";
+import {
+  fileExists,
+  readFile,
+  readPackageJson,
+  writePackageJson,
+} from "./file-utils.js";
+import { writeTrackedFile, recordPackageJsonField } from "./manifest.js";
 import { installPackages } from "./package-manager.js";
 import { logMessage } from "./logger.js";
-import { MESSAGE_TYPES } from "./constants.js";
+import {
+  MESSAGE_TYPES,
+  LINT_PLUGINS,
+  LINT_PLUGIN_CONFIGS,
+  LINT_LEVELS,
+  COMPONENT_LIBRARY_PROFILES,
+  ESLINT_FLAT_CONFIG_FILES,
+  ESLINT_LEGACY_CONFIG_FILES,
+} from "./constants.js";
+import { detectJsxFilePatterns } from "./framework-detector.js";
+import {
+  parseModule,
+  parseJsonObject,
+  findImportedName,
+  findExportedValue,
+  findVariableDeclarator,
+  findProperty,
+  matchQuoteStyle,
+  buildImportEdit,
+  buildAppendEdit,
+  buildReplaceEdit,
+  buildRemoveEdit,
+  applyEdits,
+} from "./ast-utils.js";
+
+const ESLINT_CONFIG_TYPES = {
+  FLAT: "flat",
+  LEGACY: "legacy",
+  PACKAGE_JSON: "package-json",
+};
+
+const JSX_A11Y_PRESETS = ["recommended", "strict"];
+
+// jsx-a11y settings that come from the component library
+const COMPONENT_LIBRARY_SETTINGS = ["polymorphicPropName", "components"];
 
 /**
- * Sets up accessibility linting with eslint-plugin-jsx-a11y
+ * Sets up accessibility linting with the framework's accessibility plugin
+ * (jsx-a11y for React, vuejs-accessibility for Vue, svelte for Svelte)
  * @param {string} packageManager - The package manager to use for installation
+ * @param {Object} framework - The detected framework profile
+ * @param {Object} lintOptions - jsx-a11y level, component library and rule overrides
  */
-export function setupAccessibilityLinting(packageManager) {
+export function setupAccessibilityLinting(packageManager, framework, lintOptions) {
+  const pluginName = framework.lintPlugin;
+  const plugin = LINT_PLUGIN_CONFIGS[pluginName];
+  const lintPreset = buildLintPreset(pluginName, lintOptions);
+  const eslintConfig = findEslintConfig();
+
   logMessage("Setting up accessibility linting", MESSAGE_TYPES.SECTION);
-  installPackages(["eslint-plugin-jsx-a11y"], true, packageManager);
+  installPackages(
+    eslintConfig ? [plugin.packageName] : ["eslint", plugin.packageName],
+    true,
+    packageManager
+  );
 
-  const eslintConfigPath = path.join(process.cwd(), "eslint.config.js");
-  if (fileExists(eslintConfigPath)) {
-    updateEslintConfig(eslintConfigPath);
+  if (!eslintConfig) {
+    const fileName = createFlatConfig(lintPreset);
     logMessage(
-      "Updated eslint.config.js with jsx-a11y plugin",
+      `Created ${fileName} with ${pluginName} plugin`,
       MESSAGE_TYPES.SUCCESS
     );
-  } else {
+    return;
+  }
+
+  const updaters = {
+    [ESLINT_CONFIG_TYPES.FLAT]: updateFlatConfig,
+    [ESLINT_CONFIG_TYPES.LEGACY]: updateLegacyConfig,
+    [ESLINT_CONFIG_TYPES.PACKAGE_JSON]: updatePackageJsonConfig,
+  };
+
+  try {
+    const updated = updaters[eslintConfig.type](eslintConfig.fileName, lintPreset);
     logMessage(
-      "Warning: No eslint.config.js found. Please configure eslint-plugin-jsx-a11y manually.",
+      updated
+        ? `Updated ${eslintConfig.fileName} with ${pluginName} plugin`
+        : `${eslintConfig.fileName} already uses ${plugin.packageName}`,
+      MESSAGE_TYPES.SUCCESS
+    );
+  } catch (error) {
+    logMessage(
+      `Warning: Could not update ${eslintConfig.fileName}: ${error.message} Please configure ${plugin.packageName} manually.`,
       MESSAGE_TYPES.WARNING
     );
   }
 }
 
 /**
- * Updates an existing ESLint configuration to include jsx-a11y plugin
- * @param {string} eslintConfigPath - Path to the ESLint config file
+ * Formats a value for generated config code: JSON as is, or a JavaScript
+ * literal with unquoted keys and trailing commas
+ * @param {*} value - JSON-compatible value
+ * @param {string} indent - Indentation of the line the value starts on
+ * @param {boolean} isJson - Whether the value goes into a JSON file
+ * @returns {string} Formatted value
  */
-function updateEslintConfig(eslintConfigPath) {
-  let content = readFile(eslintConfigPath);
+function formatValue(value, indent, isJson = false) {
+  const json = JSON.stringify(value, null, 2);
+  const code = isJson
+    ? json
+    : json
+        .replace(/^(\s*)"([A-Za-z_$][\w$]*)":/gm, "$1$2:")
+        .replace(/([^{[,\s])(?=\n\s*[}\]])/g, "$1,");
 
-  if (!content.includes('import jsxA11y from "eslint-plugin-jsx-a11y"')) {
-    content = content.replace(
-      /(import.*?from.*?['"].*['"];?\s*)/s,
-      `import jsxA11y from "eslint-plugin-jsx-a11y";\n$1`
-    );
+  return code.replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * Works out what to add to the ESLint config for the plugin: the flat config
+ * entry, the legacy preset, jsx-a11y settings and rule overrides. For
+ * jsx-a11y it also says how to recognize what an earlier run added, so a
+ * different level or component library replaces it
+ * @param {string} pluginName - The plugin to add (from LINT_PLUGINS)
+ * @param {Object} lintOptions - jsx-a11y level, component library and rule overrides
+ * @returns {Object} Lint preset
+ */
+function buildLintPreset(pluginName, lintOptions = {}) {
+  const { packageName, importName, flatConfig, legacyExtends } =
+    LINT_PLUGIN_CONFIGS[pluginName];
+
+  if (pluginName !== LINT_PLUGINS.JSX_A11Y) {
+    return {
+      packageName,
+      importName,
+      buildFlatConfig: (localName) =>
+        flatConfig.replace(new RegExp(`\\b${importName}\\b`, "g"), localName),
+      legacyExtends,
+      replacedLegacyExtends: [],
+      flatConfigPattern: null,
+      settings: null,
+      rules: {},
+    };
+  }
+
+  const { level = LINT_LEVELS.RECOMMENDED, componentLibrary, rules = {} } = lintOptions;
+  const presetName = level === LINT_LEVELS.STRICT ? "strict" : "recommended";
+  const library = COMPONENT_LIBRARY_PROFILES[componentLibrary];
+  const settings = library
+    ? {
+        "jsx-a11y": {
+          ...(library.polymorphicPropName && {
+            polymorphicPropName: library.polymorphicPropName,
+          }),
+          components: library.components,
+        },
+      }
+    : null;
+  const files = detectJsxFilePatterns();
+
+  return {
+    packageName,
+    importName,
+    buildFlatConfig: (localName) => {
+      const presetReference = `${localName}.flatConfigs.${presetName}`;
+      const lines = [
+        "{",
+        `  files: ${JSON.stringify(files)},`,
+        `  ...${presetReference},`,
+      ];
+
+      if (settings) {
+        lines.push(`  settings: ${formatValue(settings, "  ")},`);
+      }
+
+      if (Object.keys(rules).length > 0) {
+        lines.push(
+          "  rules: {",
+          `    ...${presetReference}.rules,`,
+          ...Object.entries(rules).map(
+            ([rule, setting]) => `    "${rule}": ${JSON.stringify(setting)},`
+          ),
+          "  },"
+        );
+      }
+
+      return [...lines, "}"].join("\n");
+    },
+    legacyExtends: `plugin:jsx-a11y/${presetName}`,
+    replacedLegacyExtends: JSX_A11Y_PRESETS.filter(
+      (preset) => preset !== presetName
+    ).map((preset) => `plugin:jsx-a11y/${preset}`),
+    flatConfigPattern: (localName) =>
+      new RegExp(`^${localName}\\.flatConfigs\\.(${JSX_A11Y_PRESETS.join("|")})$`),
+    settings,
+    rules,
+  };
+}
+
+/**
+ * Finds the project's ESLint config, preferring flat configs over legacy ones
+ * @returns {Object|null} Config type and file name, or null if there is none
+ */
+function findEslintConfig() {
+  const flatConfig = ESLINT_FLAT_CONFIG_FILES.find((fileName) =>
+    fileExists(path.join(process.cwd(), fileName))
+  );
+  if (flatConfig) {
+    return { type: ESLINT_CONFIG_TYPES.FLAT, fileName: flatConfig };
+  }
+
+  const legacyConfig = ESLINT_LEGACY_CONFIG_FILES.find((fileName) =>
+    fileExists(path.join(process.cwd(), fileName))
+  );
+  if (legacyConfig) {
+    return { type: ESLINT_CONFIG_TYPES.LEGACY, fileName: legacyConfig };
+  }
+
+  if (readPackageJson().eslintConfig) {
+    return { type: ESLINT_CONFIG_TYPES.PACKAGE_JSON, fileName: "package.json" };
+  }
+
+  return null;
+}
+
+/**
+ * Creates a flat ESLint config that only contains the accessibility plugin
+ * @param {Object} lintPreset - Lint preset from buildLintPreset
+ * @returns {string} Name of the created file
+ */
+function createFlatConfig(lintPreset) {
+  const fileName =
+    readPackageJson().type === "module" ? "eslint.config.js" : "eslint.config.mjs";
+
+  writeTrackedFile(
+    path.join(process.cwd(), fileName),
+    addPluginToFlatConfig("export default [];\n", fileName, lintPreset)
+  );
+  return fileName;
+}
+
+/**
+ * Finds the list of config objects in a flat config. Handles exported arrays,
+ * `defineConfig(...)` / `tseslint.config(...)` calls, variables and single
+ * config objects
+ * @param {Object} node - Exported expression
+ * @param {Object} ast - The config module
+ * @returns {Object|null} The array, call or object node to add the plugin config to
+ */
+function resolveFlatConfigList(node, ast) {
+  switch (node?.type) {
+    case "TSAsExpression":
+    case "TSSatisfiesExpression":
+    case "ParenthesizedExpression":
+      return resolveFlatConfigList(node.expression, ast);
+    case "Identifier":
+      return resolveFlatConfigList(findVariableDeclarator(ast, node.name)?.init, ast);
+    case "CallExpression":
+      return node.arguments.length === 1 &&
+        node.arguments[0].type === "ArrayExpression"
+        ? node.arguments[0]
+        : node;
+    case "ArrayExpression":
+    case "ObjectExpression":
+      return node;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Finds the config object an earlier run generated: the one that spreads a
+ * jsx-a11y preset
+ * @param {string} source - Config file content
+ * @param {Object} configList - Array, call or object from resolveFlatConfigList
+ * @param {RegExp} presetPattern - Matches the preset reference
+ * @returns {Object|null} The config object, or null if there is none
+ */
+function findGeneratedFlatConfig(source, configList, presetPattern) {
+  const items =
+    configList.type === "CallExpression"
+      ? configList.arguments
+      : configList.elements ?? [];
+
+  return (
+    items.find(
+      (item) =>
+        item?.type === "ObjectExpression" &&
+        item.properties.some(
+          (property) =>
+            property.type === "SpreadElement" &&
+            presetPattern.test(
+              source.slice(property.argument.start, property.argument.end)
+            )
+        )
+    ) ?? null
+  );
+}
+
+/**
+ * Compares code while ignoring the formatting a formatter may have changed:
+ * whitespace, quotes and trailing commas
+ * @param {string} code - Code from the file
+ * @param {string} otherCode - Generated code
+ * @returns {boolean} True if the code is the same
+ */
+function isSameCode(code, otherCode) {
+  const normalize = (text) =>
+    text
+      .replace(/\s+/g, "")
+      .replace(/'/g, '"')
+      .replace(/,(?=[}\]])/g, "");
+
+  return normalize(code) === normalize(otherCode);
+}
+
+/**
+ * Adds the plugin's import and config object to flat config source. A
+ * jsx-a11y config object generated by an earlier run is replaced instead
+ * @param {string} source - Config file content
+ * @param {string} fileName - Config file name
+ * @param {Object} lintPreset - Lint preset from buildLintPreset
+ * @returns {string|null} Updated source, or null if the plugin is already configured
+ */
+function addPluginToFlatConfig(source, fileName, lintPreset) {
+  const { packageName, importName, buildFlatConfig, flatConfigPattern } =
+    lintPreset;
+  const ast = parseModule(source, fileName);
+  const configList = resolveFlatConfigList(findExportedValue(ast), ast);
+
+  if (!configList) {
+    throw new Error("the exported config is not an array, object or config helper call.");
   }
 
-  if (!/plugins\s*:\s*{/.test(content)) {
-    content = content.replace(
-      /export\s+default\s+{/,
-      `export default {\n    plugins: {\n      "jsx-a11y": jsxA11y,\n    },`
+  const localName = findImportedName(ast, packageName);
+  const generatedConfig =
+    localName && flatConfigPattern
+      ? findGeneratedFlatConfig(source, configList, flatConfigPattern(localName))
+      : null;
+
+  if (generatedConfig) {
+    const edit = buildReplaceEdit(
+      source,
+      generatedConfig,
+      matchQuoteStyle(buildFlatConfig(localName), source)
     );
-  } else if (!content.includes('"jsx-a11y": jsxA11y')) {
-    content = content.replace(
-      /(plugins\s*:\s*{)/s,
-      `$1\n      "jsx-a11y": jsxA11y,`
+
+    return isSameCode(source.slice(edit.start, edit.end), edit.text)
+      ? null
+      : applyEdits(source, [edit]);
+  }
+
+  const configSource = source.slice(configList.start, configList.end);
+  if (localName && new RegExp(`\\b${localName}\\b`).test(configSource)) {
+    return null;
+  }
+
+  const configCode = matchQuoteStyle(buildFlatConfig(localName ?? importName), source);
+  const edits = [
+    configList.type === "ObjectExpression"
+      ? {
+          start: configList.start,
+          end: configList.end,
+          text: `[${configSource}, ${configCode}]`,
+        }
+      : buildAppendEdit(source, configList, configCode),
+  ];
+
+  if (!localName) {
+    edits.push(buildImportEdit(ast, source, importName, packageName));
+  }
+
+  return applyEdits(source, edits);
+}
+
+/**
+ * Updates a flat ESLint config (eslint.config.*) to include an accessibility plugin
+ * @param {string} fileName - Config file name
+ * @param {Object} lintPreset - Lint preset from buildLintPreset
+ * @returns {boolean} True if the file was changed
+ */
+function updateFlatConfig(fileName, lintPreset) {
+  const configPath = path.join(process.cwd(), fileName);
+  const content = addPluginToFlatConfig(readFile(configPath), fileName, lintPreset);
+
+  if (content === null) return false;
+
+  writeTrackedFile(configPath, content);
+  return true;
+}
+
+/**
+ * Merges the preset, settings and rules into a plain legacy config object
+ * (from YAML or package.json). The other jsx-a11y preset and the mapping of
+ * another component library are replaced; other settings and rules are kept
+ * @param {Object} config - Legacy config object, changed in place
+ * @param {Object} lintPreset - Lint preset from buildLintPreset
+ * @returns {boolean} True if the config was changed
+ */
+function mergeLegacyConfig(
+  config,
+  { legacyExtends, replacedLegacyExtends, settings, rules }
+) {
+  let changed = false;
+  const presets = [].concat(config.extends ?? []);
+
+  if (!presets.includes(legacyExtends)) {
+    const replacedIndex = presets.findIndex((preset) =>
+      replacedLegacyExtends.includes(preset)
     );
+    config.extends =
+      replacedIndex === -1
+        ? [...presets, legacyExtends]
+        : presets.map((preset, index) =>
+            index === replacedIndex ? legacyExtends : preset
+          );
+    changed = true;
+  }
+
+  if (settings) {
+    const currentSettings = config.settings?.["jsx-a11y"] ?? {};
+    const jsxA11ySettings = {
+      ...Object.fromEntries(
+        Object.entries(currentSettings).filter(
+          ([key]) => !COMPONENT_LIBRARY_SETTINGS.includes(key)
+        )
+      ),
+      ...settings["jsx-a11y"],
+    };
+
+    if (JSON.stringify(jsxA11ySettings) !== JSON.stringify(currentSettings)) {
+      config.settings = { ...config.settings, "jsx-a11y": jsxA11ySettings };
+      changed = true;
+    }
   }
 
-  if (!/rules\s*:\s*{/.test(content)) {
-    content = content.replace(
-      /export\s+default\s+{/,
-      `export default {\n    rules: {\n      ...jsxA11y.configs.recommended.rules,\n    },`
+  const changedRules = Object.keys(rules).filter(
+    (rule) => JSON.stringify(config.rules?.[rule]) !== JSON.stringify(rules[rule])
+  );
+  if (changedRules.length > 0) {
+    config.rules = {
+      ...config.rules,
+      ...Object.fromEntries(changedRules.map((rule) => [rule, rules[rule]])),
+    };
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Builds the edit that adds a preset to the "extends" property of a config
+ * object, or swaps it for the other jsx-a11y preset
+ * @param {string} source - Config file content
+ * @param {Object} configObject - ObjectExpression of the config
+ * @param {Object} lintPreset - Lint preset from buildLintPreset
+ * @param {boolean} isJson - Whether the file is JSON (quoted keys, no trailing commas)
+ * @returns {Object|null} Text edit, or null if the preset is already there
+ */
+function buildLegacyExtendsEdit(
+  source,
+  configObject,
+  { legacyExtends: preset, replacedLegacyExtends },
+  isJson
+) {
+  const extendsProperty = findProperty(configObject, "extends");
+  const presetCode = isJson
+    ? JSON.stringify(preset)
+    : matchQuoteStyle(JSON.stringify(preset), source);
+
+  if (!extendsProperty) {
+    return buildAppendEdit(
+      source,
+      configObject,
+      `${isJson ? '"extends"' : "extends"}: [${presetCode}]`,
+      { trailingComma: !isJson }
     );
-  } else if (!content.includes("...jsxA11y.configs.recommended.rules")) {
-    content = content.replace(
-      /(rules\s*:\s*{)/s,
-      `$1\n      ...jsxA11y.configs.recommended.rules,`
+  }
+
+  const value = extendsProperty.value;
+
+  if (value.type === "StringLiteral") {
+    if (value.value === preset) return null;
+    if (replacedLegacyExtends.includes(value.value)) {
+      return { start: value.start, end: value.end, text: presetCode };
+    }
+    return {
+      start: value.start,
+      end: value.end,
+      text: `[${source.slice(value.start, value.end)}, ${presetCode}]`,
+    };
+  }
+
+  if (value.type === "ArrayExpression") {
+    if (value.elements.some((element) => element?.value === preset)) return null;
+
+    const replacedElement = value.elements.find((element) =>
+      replacedLegacyExtends.includes(element?.value)
     );
+    if (replacedElement) {
+      return {
+        start: replacedElement.start,
+        end: replacedElement.end,
+        text: presetCode,
+      };
+    }
+    return buildAppendEdit(source, value, presetCode, { trailingComma: !isJson });
+  }
+
+  throw new Error('its "extends" value is not a string or an array.');
+}
+
+/**
+ * Builds the edits that add jsx-a11y settings and rule overrides to a config
+ * object. The component library mapping and the chosen rules replace what is
+ * there; other settings and rules are left alone
+ * @param {string} source - Config file content
+ * @param {Object} configObject - ObjectExpression of the config
+ * @param {Object} lintPreset - Lint preset from buildLintPreset
+ * @param {boolean} isJson - Whether the file is JSON (quoted keys, no trailing commas)
+ * @returns {Object[]} Text edits
+ */
+function buildLegacySettingsEdits(source, configObject, { settings, rules }, isJson) {
+  const formatKey = (key) =>
+    isJson || !/^[A-Za-z_$][\w$]*$/.test(key) ? JSON.stringify(key) : key;
+  const formatCode = (code) => (isJson ? code : matchQuoteStyle(code, source));
+  const appendOptions = { trailingComma: !isJson };
+  const buildPropertyEdits = (
+    objectNode,
+    keys,
+    values,
+    formatSetting = (value) => formatValue(value, "", isJson)
+  ) =>
+    keys.flatMap((key) => {
+      const property = findProperty(objectNode, key);
+
+      if (values[key] === undefined) {
+        return property ? [buildRemoveEdit(objectNode, property)] : [];
+      }
+
+      const code = formatCode(formatSetting(values[key]));
+
+      if (!property) {
+        return [
+          buildAppendEdit(
+            source,
+            objectNode,
+            formatCode(`${formatKey(key)}: ${code}`),
+            appendOptions
+          ),
+        ];
+      }
+
+      return isSameCode(source.slice(property.value.start, property.value.end), code)
+        ? []
+        : [buildReplaceEdit(source, property.value, code)];
+    });
+  const edits = [];
+
+  if (settings) {
+    const settingsProperty = findProperty(configObject, "settings");
+    const jsxA11yProperty =
+      settingsProperty?.value.type === "ObjectExpression"
+        ? findProperty(settingsProperty.value, "jsx-a11y")
+        : null;
+
+    if (!settingsProperty) {
+      edits.push(
+        buildAppendEdit(
+          source,
+          configObject,
+          formatCode(`${formatKey("settings")}: ${formatValue(settings, "", isJson)}`),
+          appendOptions
+        )
+      );
+    } else if (settingsProperty.value.type === "ObjectExpression" && !jsxA11yProperty) {
+      edits.push(
+        buildAppendEdit(
+          source,
+          settingsProperty.value,
+          formatCode(`"jsx-a11y": ${formatValue(settings["jsx-a11y"], "", isJson)}`),
+          appendOptions
+        )
+      );
+    } else if (jsxA11yProperty?.value.type === "ObjectExpression") {
+      edits.push(
+        ...buildPropertyEdits(
+          jsxA11yProperty.value,
+          COMPONENT_LIBRARY_SETTINGS,
+          settings["jsx-a11y"]
+        )
+      );
+    }
+  }
+
+  if (Object.keys(rules).length > 0) {
+    const rulesProperty = findProperty(configObject, "rules");
+
+    if (!rulesProperty) {
+      edits.push(
+        buildAppendEdit(
+          source,
+          configObject,
+          formatCode(`${formatKey("rules")}: ${formatValue(rules, "", isJson)}`),
+          appendOptions
+        )
+      );
+    } else if (rulesProperty.value.type === "ObjectExpression") {
+      edits.push(
+        ...buildPropertyEdits(
+          rulesProperty.value,
+          Object.keys(rules),
+          rules,
+          JSON.stringify
+        )
+      );
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Updates a legacy ESLint config (.eslintrc.*) to extend an accessibility preset
+ * @param {string} fileName - Config file name
+ * @param {Object} lintPreset - Lint preset from buildLintPreset
+ * @returns {boolean} True if the file was changed
+ */
+function updateLegacyConfig(fileName, lintPreset) {
+  const configPath = path.join(process.cwd(), fileName);
+  const source = readFile(configPath);
+  const extension = path.extname(fileName);
+
+  if (extension === ".yaml" || extension === ".yml" || !isJsonLike(source, extension)) {
+    const document = YAML.parseDocument(source);
+    const config = document.toJS() ?? {};
+    const originalConfig = JSON.stringify(config);
+
+    if (!mergeLegacyConfig(config, lintPreset)) return false;
+
+    const original = JSON.parse(originalConfig);
+    ["extends", "settings", "rules"]
+      .filter((key) => JSON.stringify(config[key]) !== JSON.stringify(original[key]))
+      .forEach((key) => document.set(key, config[key]));
+    writeTrackedFile(configPath, String(document));
+    return true;
+  }
+
+  const isJson = extension !== ".js" && extension !== ".cjs";
+  let configObject;
+  if (isJson) {
+    configObject = parseJsonObject(source);
+  } else {
+    const ast = parseModule(source, fileName);
+    const exported = findExportedValue(ast);
+    configObject =
+      exported?.type === "Identifier"
+        ? findVariableDeclarator(ast, exported.name)?.init
+        : exported;
   }
 
-  writeFile(eslintConfigPath, content);
+  if (configObject?.type !== "ObjectExpression") {
+    throw new Error("the exported config is not an object.");
+  }
+
+  const edits = [
+    buildLegacyExtendsEdit(source, configObject, lintPreset, isJson),
+    ...buildLegacySettingsEdits(source, configObject, lintPreset, isJson),
+  ].filter(Boolean);
+
+  if (edits.length === 0) return false;
+
+  writeTrackedFile(configPath, applyEdits(source, edits));
+  return true;
+}
+
+/**
+ * Checks whether a legacy config is JavaScript or JSON rather than YAML
+ * (.eslintrc without an extension may be either)
+ * @param {string} source - Config file content
+ * @param {string} extension - Config file extension
+ * @returns {boolean} True unless the file is YAML
+ */
+function isJsonLike(source, extension) {
+  return extension !== "" || source.trimStart().startsWith("{");
+}
+
+/**
+ * Updates the "eslintConfig" field of package.json to extend an accessibility preset
+ * @param {string} fileName - Always package.json
+ * @param {Object} lintPreset - Lint preset from buildLintPreset
+ * @returns {boolean} True if package.json was changed
+ */
+function updatePackageJsonConfig(fileName, lintPreset) {
+  const packageData = readPackageJson();
+
+  const originalConfig = structuredClone(packageData.eslintConfig);
+
+  if (!mergeLegacyConfig(packageData.eslintConfig, lintPreset)) return false;
+
+  recordPackageJsonField("eslintConfig", originalConfig);
+  writePackageJson(packageData);
+  return true;
 }
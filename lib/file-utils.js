@@ -1,31 +1,12 @@
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-/**
- * Copies a template file from the template-files directory to the target location
- * @param {string} sourceFileName - Name of the source file in template-files
- * @param {string} destinationDirectory - Target directory (relative to cwd)
- */
-export function copyTemplateFile(sourceFileName, destinationDirectory = ".") {
-  const sourcePath = path.join(
-    __dirname,
-    "..",
-    "template-files",
-    sourceFileName,
-  );
-  const targetPath = path.join(
-    process.cwd(),
-    destinationDirectory,
-    path.basename(sourceFileName),
-  );
-
-  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
-  fs.copyFileSync(sourcePath, targetPath);
-}
+import {
+  isDryRun,
+  getPlannedContent,
+  planFileWrite,
+  planFileDelete,
+} from "./change-planner.js";
+import { backupFile, recordCreatedDirectory } from "./transaction.js";
 
 /**
  * Reads and parses package.json from the current working directory
@@ -33,7 +14,7 @@ export function copyTemplateFile(sourceFileName, destinationDirectory = ".") {
  */
 export function readPackageJson() {
   const packageJsonPath = path.join(process.cwd(), "package.json");
-  return JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
+  return JSON.parse(readFile(packageJsonPath));
 }
 
 /**
@@ -42,34 +23,60 @@ export function readPackageJson() {
  */
 export function writePackageJson(packageData) {
   const packageJsonPath = path.join(process.cwd(), "package.json");
-  fs.writeFileSync(packageJsonPath, JSON.stringify(packageData, null, 2));
+  writeFile(packageJsonPath, JSON.stringify(packageData, null, 2));
 }
 
 /**
- * Creates a directory recursively if it doesn't exist
+ * Creates a directory recursively if it doesn't exist. Directories created
+ * during a setup transaction are removed again on rollback
  * @param {string} dirPath - Path to the directory to create
  */
 export function ensureDirectoryExists(dirPath) {
-  fs.mkdirSync(dirPath, { recursive: true });
+  recordCreatedDirectory(fs.mkdirSync(dirPath, { recursive: true }));
 }
 
 /**
- * Writes content to a file, creating directories as needed
+ * Writes content to a file, creating directories as needed.
+ * In dry-run mode the write is only planned and shown as a diff.
  * @param {string} filePath - Path to the file to write
  * @param {string} content - Content to write to the file
  */
 export function writeFile(filePath, content) {
+  if (isDryRun()) {
+    planFileWrite(filePath, content);
+    return;
+  }
+
+  backupFile(filePath);
   ensureDirectoryExists(path.dirname(filePath));
   fs.writeFileSync(filePath, content);
 }
 
+/**
+ * Deletes a file if it exists.
+ * In dry-run mode the deletion is only planned and shown as a diff.
+ * @param {string} filePath - Path to the file to delete
+ */
+export function deleteFile(filePath) {
+  if (isDryRun()) {
+    planFileDelete(filePath);
+    return;
+  }
+
+  backupFile(filePath);
+  fs.rmSync(filePath, { force: true });
+}
+
 /**
  * Checks if a file exists
  * @param {string} filePath - Path to the file to check
  * @returns {boolean} True if the file exists
  */
 export function fileExists(filePath) {
-  return fs.existsSync(filePath);
+  const plannedContent = getPlannedContent(filePath);
+  return plannedContent === undefined
+    ? fs.existsSync(filePath)
+    : plannedContent !== null;
 }
 
 /**
@@ -78,5 +85,32 @@ export function fileExists(filePath) {
  * @returns {string} File content
  */
 export function readFile(filePath) {
-  return fs.readFileSync(filePath, "utf-8");
+  return getPlannedContent(filePath) ?? fs.readFileSync(filePath, "utf-8");
+}
+
+/**
+ * Recursively lists files below a directory
+ * @param {string} directory - Directory to walk
+ * @param {string[]} extensions - File extensions to include
+ * @param {string[]} ignoredDirectories - Directory names to skip
+ * @returns {string[]} Absolute file paths
+ */
+export function listFiles(
+  directory,
+  extensions,
+  ignoredDirectories = ["node_modules", "dist", "build", ".git"],
+) {
+  if (!fs.existsSync(directory)) return [];
+
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+
+    if (entry.isDirectory()) {
+      return ignoredDirectories.includes(entry.name)
+        ? []
+        : listFiles(entryPath, extensions, ignoredDirectories);
+    }
+
+    return extensions.includes(path.extname(entry.name)) ? [entryPath] : [];
+  });
 }
@@ -0,0 +1,204 @@
+import fs from "fs";
+import path from "path";
+import {
+  FRAMEWORKS,
+  FRAMEWORK_PROFILES,
+  COMPONENT_LIBRARIES,
+  COMPONENT_LIBRARY_PROFILES,
+  TEST_RUNNERS,
+  STORYBOOK_CONFIG_DIRECTORY,
+} from "./constants.js";
+import { listFiles } from "./file-utils.js";
+
+const CONFIG_EXTENSIONS = ["js", "mjs", "cjs", "ts", "mts"];
+const JSX_SOURCE_DIRECTORIES = ["src", "app", "pages", "components"];
+const JSX_PATTERN = /<\/[A-Za-z][\w.]*>|<[A-Za-z][\w.]*(\s[^<>]*)?\/>/;
+
+/**
+ * Finds a config file with any common extension
+ * @param {string} baseName - Config file name without extension (e.g. "vite.config")
+ * @param {string} workingDirectory - The directory to look in
+ * @returns {string|null} Name of the config file, or null if there is none
+ */
+export function findConfigFile(baseName, workingDirectory = process.cwd()) {
+  const extension = CONFIG_EXTENSIONS.find((candidate) =>
+    fs.existsSync(path.join(workingDirectory, `${baseName}.${candidate}`)),
+  );
+
+  return extension ? `${baseName}.${extension}` : null;
+}
+
+/**
+ * Checks whether a config file with any common extension exists
+ * @param {string} baseName - Config file name without extension (e.g. "vite.config")
+ * @param {string} workingDirectory - The directory to look in
+ * @returns {boolean} True if a matching config file exists
+ */
+function hasConfigFile(baseName, workingDirectory) {
+  return findConfigFile(baseName, workingDirectory) !== null;
+}
+
+/**
+ * Detects the framework used by the project from package.json and config files
+ * @param {Object} packageData - Parsed package.json content
+ * @param {string} workingDirectory - The working directory to check
+ * @returns {Object|null} The framework profile with its id, or null if unsupported
+ */
+export function detectFramework(
+  packageData,
+  workingDirectory = process.cwd(),
+) {
+  const dependencies = {
+    ...packageData.dependencies,
+    ...packageData.devDependencies,
+  };
+
+  let framework = null;
+
+  if (dependencies.next || hasConfigFile("next.config", workingDirectory)) {
+    framework = FRAMEWORKS.NEXT;
+  } else if (dependencies["@remix-run/react"] || dependencies["@remix-run/dev"]) {
+    framework = FRAMEWORKS.REMIX;
+  } else if (dependencies["react-scripts"]) {
+    framework = FRAMEWORKS.CREATE_REACT_APP;
+  } else if (dependencies.vite || hasConfigFile("vite.config", workingDirectory)) {
+    if (dependencies.react) {
+      framework = FRAMEWORKS.REACT_VITE;
+    } else if (dependencies.vue) {
+      framework = FRAMEWORKS.VUE_VITE;
+    } else if (dependencies.svelte) {
+      framework = FRAMEWORKS.SVELTE_VITE;
+    } else {
+      framework = FRAMEWORKS.VITE;
+    }
+  }
+
+  return framework ? { id: framework, ...FRAMEWORK_PROFILES[framework] } : null;
+}
+
+/**
+ * Detects the unit test runner of the project. Create React App runs Jest
+ * through react-scripts
+ * @param {Object} packageData - Parsed package.json content
+ * @param {string} workingDirectory - The working directory to check
+ * @returns {string|null} Test runner (from TEST_RUNNERS), or null if there is none
+ */
+export function detectTestRunner(packageData, workingDirectory = process.cwd()) {
+  const dependencies = {
+    ...packageData.dependencies,
+    ...packageData.devDependencies,
+  };
+
+  if (dependencies.vitest || hasConfigFile("vitest.config", workingDirectory)) {
+    return TEST_RUNNERS.VITEST;
+  }
+
+  if (
+    dependencies.jest ||
+    dependencies["react-scripts"] ||
+    packageData.jest ||
+    hasConfigFile("jest.config", workingDirectory)
+  ) {
+    return TEST_RUNNERS.JEST;
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether the project has a Storybook setup
+ * @param {string} workingDirectory - The working directory to check
+ * @returns {boolean} True if the Storybook config directory exists
+ */
+export function detectStorybook(workingDirectory = process.cwd()) {
+  return fs.existsSync(path.join(workingDirectory, STORYBOOK_CONFIG_DIRECTORY));
+}
+
+/**
+ * Detects the major version of React, preferring the installed version over
+ * the range in package.json
+ * @param {Object} packageData - Parsed package.json content
+ * @param {string} workingDirectory - The working directory to check
+ * @returns {number|null} Major version, or null when it cannot be told (e.g. "latest")
+ */
+export function detectReactMajorVersion(
+  packageData,
+  workingDirectory = process.cwd(),
+) {
+  const installedPackagePath = path.join(
+    workingDirectory,
+    "node_modules",
+    "react",
+    "package.json",
+  );
+  const version = fs.existsSync(installedPackagePath)
+    ? JSON.parse(fs.readFileSync(installedPackagePath, "utf8")).version
+    : (packageData.dependencies?.react ?? packageData.devDependencies?.react);
+  const majorVersion = version?.match(/^\D*(\d+)/);
+
+  return majorVersion ? Number(majorVersion[1]) : null;
+}
+
+/**
+ * Detects the UI component library used by the project
+ * @param {Object} packageData - Parsed package.json content
+ * @returns {string} Component library (from COMPONENT_LIBRARIES)
+ */
+export function detectComponentLibrary(packageData) {
+  const dependencyNames = Object.keys({
+    ...packageData.dependencies,
+    ...packageData.devDependencies,
+  });
+
+  const library = Object.entries(COMPONENT_LIBRARY_PROFILES).find(
+    ([, { packagePrefixes }]) =>
+      dependencyNames.some((dependency) =>
+        packagePrefixes.some((prefix) => dependency.startsWith(prefix)),
+      ),
+  );
+
+  return library ? library[0] : COMPONENT_LIBRARIES.NONE;
+}
+
+/**
+ * Checks whether source code contains JSX elements
+ * @param {string} source - File content
+ * @returns {boolean} True if the source contains JSX
+ */
+export function containsJsx(source) {
+  return JSX_PATTERN.test(source);
+}
+
+/**
+ * Works out which file extensions contain JSX, so lint rules only run on them
+ * (.jsx and .tsx files, plus .js files that contain JSX as in Create React App)
+ * @param {string} workingDirectory - The project directory
+ * @returns {string[]} Glob patterns for files with JSX
+ */
+export function detectJsxFilePatterns(workingDirectory = process.cwd()) {
+  const sourceFiles = JSX_SOURCE_DIRECTORIES.flatMap((directory) =>
+    listFiles(path.join(workingDirectory, directory), [".js", ".jsx", ".tsx"]),
+  );
+
+  const extensions = [
+    ...new Set(
+      sourceFiles
+        .filter(
+          (filePath) =>
+            path.extname(filePath) !== ".js" ||
+            containsJsx(fs.readFileSync(filePath, "utf-8")),
+        )
+        .map((filePath) => path.extname(filePath).slice(1)),
+    ),
+  ].sort();
+
+  if (extensions.length === 0) {
+    return ["**/*.{jsx,tsx}"];
+  }
+
+  return [
+    extensions.length === 1
+      ? `**/*.${extensions[0]}`
+      : `**/*.{${extensions.join(",")}}`,
+  ];
+}
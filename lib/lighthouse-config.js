@@ -0,0 +1,279 @@
+import path from "path";
+import YAML from "yaml";
+import {
+  LIGHTHOUSE_CONFIG_FILE_NAME,
+  LIGHTHOUSE_CONFIG_FILE_NAMES,
+  LIGHTHOUSE_CATEGORIES,
+  LIGHTHOUSE_PRESET_PROFILES,
+  LIGHTHOUSE_DEVICES,
+  LIGHTHOUSE_UPLOAD_TARGETS,
+  LIGHTHOUSE_REPORT_DIRECTORY,
+  DEFAULT_LIGHTHOUSE_OPTIONS,
+  LIGHTHOUSE_WCAG_AUDITS,
+  ACCESSIBILITY_STANDARD_PROFILES,
+  AUTH_SCRIPT_PATH,
+} from "./constants.js";
+import { fileExists, readFile } from "./file-utils.js";
+import {
+  writeGeneratedFile,
+  writeTrackedFile,
+  isCreatedFile,
+} from "./manifest.js";
+
+const CHROME_FLAGS =
+  "--no-sandbox --disable-setuid-sandbox --disable-dev-shm-usage --disable-gpu --headless";
+
+/**
+ * Fills in the defaults of Lighthouse options. Without thresholds the
+ * minimum scores of the preset are used
+ * @param {Object} lighthouseOptions - Options from the answers, may be partial or missing
+ * @returns {Object} Preset, thresholds, runs, device, upload target and server URL
+ */
+export function resolveLighthouseOptions(lighthouseOptions = {}) {
+  const options = { ...DEFAULT_LIGHTHOUSE_OPTIONS, ...lighthouseOptions };
+  const presetThresholds = Object.fromEntries(
+    Object.entries(LIGHTHOUSE_PRESET_PROFILES[options.preset].categories).map(
+      ([category, { minScore }]) => [category, minScore],
+    ),
+  );
+
+  return { ...options, thresholds: options.thresholds ?? presetThresholds };
+}
+
+/**
+ * Builds the upload settings for the chosen target. The token of an LHCI
+ * server is read from the LHCI_TOKEN environment variable, so it stays out
+ * of the config
+ * @param {Object} options - Resolved Lighthouse options
+ * @returns {Object} The "upload" settings
+ */
+function buildUploadSettings({ upload, serverUrl }) {
+  if (upload === LIGHTHOUSE_UPLOAD_TARGETS.FILESYSTEM) {
+    return { target: upload, outputDir: LIGHTHOUSE_REPORT_DIRECTORY };
+  }
+
+  if (upload === LIGHTHOUSE_UPLOAD_TARGETS.LHCI_SERVER) {
+    return { target: upload, serverBaseUrl: serverUrl };
+  }
+
+  return { target: upload };
+}
+
+/**
+ * Lists the accessibility audits that check criteria the standard does not
+ * include. Lighthouse always runs its own set of axe rules, so this is the
+ * only way to align it with the other tools
+ * @param {string} standard - Conformance target
+ * @returns {string[]} Audit ids to skip
+ */
+function findSkippedAudits(standard) {
+  const { axeTags } = ACCESSIBILITY_STANDARD_PROFILES[standard];
+
+  return Object.entries(LIGHTHOUSE_WCAG_AUDITS)
+    .filter(([, tag]) => !axeTags.includes(tag))
+    .map(([audit]) => audit);
+}
+
+/**
+ * Lists the settings the wizard controls, as key paths below "ci" with their
+ * values. An undefined value means the setting is removed, e.g. the
+ * assertion of a category the preset does not check
+ * @param {string[]} urls - URLs Lighthouse should collect
+ * @param {Object} options - Resolved Lighthouse options
+ * @param {string} standard - Conformance target
+ * @param {Object|null} auth - Login settings, if the pages are behind a login
+ * @returns {Array[]} Pairs of key path and value
+ */
+function buildConfigSettings(urls, options, standard, auth) {
+  const { preset, thresholds, runs, device } = options;
+  const skippedAudits = findSkippedAudits(standard);
+  const { categories, metrics } = LIGHTHOUSE_PRESET_PROFILES[preset];
+  const metricNames = new Set(
+    Object.values(LIGHTHOUSE_PRESET_PROFILES).flatMap((profile) =>
+      Object.keys(profile.metrics),
+    ),
+  );
+
+  return [
+    [["collect", "url"], urls],
+    [["collect", "numberOfRuns"], runs],
+    // The login script signs in before the pages are collected, and
+    // Lighthouse must not clear the session it leaves
+    [["collect", "puppeteerScript"], auth ? AUTH_SCRIPT_PATH : undefined],
+    [
+      ["collect", "settings", "disableStorageReset"],
+      auth ? true : undefined,
+    ],
+    [
+      ["collect", "settings", "preset"],
+      device === LIGHTHOUSE_DEVICES.DESKTOP ? "desktop" : undefined,
+    ],
+    [
+      ["collect", "settings", "skipAudits"],
+      skippedAudits.length > 0 ? skippedAudits : undefined,
+    ],
+    ...Object.values(LIGHTHOUSE_CATEGORIES).map((category) => [
+      ["assert", "assertions", `categories:${category}`],
+      thresholds[category]
+        ? [
+            categories[category]?.level ?? "error",
+            { minScore: thresholds[category] / 100 },
+          ]
+        : undefined,
+    ]),
+    ...[...metricNames].map((metric) => [
+      ["assert", "assertions", metric],
+      metrics[metric]
+        ? [
+            metrics[metric].level,
+            { maxNumericValue: metrics[metric].maxNumericValue },
+          ]
+        : undefined,
+    ]),
+    [["upload"], buildUploadSettings(options)],
+  ];
+}
+
+/**
+ * Applies settings to a parsed JSON config
+ * @param {Object} config - Parsed config, changed in place
+ * @param {Array[]} settings - Settings from buildConfigSettings
+ */
+function applySettingsToObject(config, settings) {
+  settings.forEach(([keys, value]) => {
+    const parentKeys = ["ci", ...keys.slice(0, -1)];
+    const key = keys.at(-1);
+
+    if (value === undefined) {
+      const parent = parentKeys.reduce(
+        (node, parentKey) => node?.[parentKey],
+        config,
+      );
+      if (parent) delete parent[key];
+      return;
+    }
+
+    const parent = parentKeys.reduce((node, parentKey) => {
+      node[parentKey] ??= {};
+      return node[parentKey];
+    }, config);
+    parent[key] = value;
+  });
+}
+
+/**
+ * Builds a new Lighthouse CI config
+ * @param {string[]} urls - URLs Lighthouse should collect
+ * @param {Object} options - Resolved Lighthouse options
+ * @param {string} standard - Conformance target
+ * @param {Object|null} auth - Login settings, if the pages are behind a login
+ * @returns {string} Config JSON
+ */
+function buildLighthouseConfig(urls, options, standard, auth) {
+  const config = {
+    ci: {
+      collect: {
+        url: [],
+        numberOfRuns: 1,
+        settings: { chromeFlags: CHROME_FLAGS },
+      },
+      assert: { assertions: {} },
+      upload: {},
+      healthcheck: { fatal: false, checks: ["githubToken"] },
+    },
+  };
+
+  applySettingsToObject(
+    config,
+    buildConfigSettings(urls, options, standard, auth),
+  );
+  return JSON.stringify(config, null, 2);
+}
+
+/**
+ * Merges the settings into an existing config, keeping everything else the
+ * user configured. YAML configs keep their comments
+ * @param {string} source - Content of the config file
+ * @param {string} configFile - Name of the config file
+ * @param {Array[]} settings - Settings from buildConfigSettings
+ * @returns {string} The merged config
+ */
+function mergeLighthouseConfig(source, configFile, settings) {
+  if (/\.ya?ml$/.test(configFile)) {
+    const document = YAML.parseDocument(source);
+
+    if (document.errors.length > 0) {
+      throw new Error(`${configFile} is not valid YAML.`);
+    }
+
+    settings.forEach(([keys, value]) => {
+      if (value !== undefined) {
+        document.setIn(["ci", ...keys], value);
+      } else if (document.hasIn(["ci", ...keys])) {
+        document.deleteIn(["ci", ...keys]);
+      }
+    });
+    return document.toString();
+  }
+
+  let config;
+
+  try {
+    config = JSON.parse(source);
+  } catch {
+    throw new Error(`${configFile} is not valid JSON.`);
+  }
+
+  applySettingsToObject(config, settings);
+
+  return `${JSON.stringify(config, null, 2)}${source.endsWith("\n") ? "\n" : ""}`;
+}
+
+/**
+ * Writes the Lighthouse CI config. An existing lighthouserc.* file of the
+ * project gets the chosen settings merged in; JavaScript configs cannot be
+ * merged and are left alone
+ * @param {string[]} urls - URLs Lighthouse should collect
+ * @param {Object} lighthouseOptions - Lighthouse options from the answers
+ * @param {string} standard - Conformance target the other tools check
+ * @param {Object|null} auth - Login settings, if the pages are behind a login
+ * @returns {Object} The config file name, whether an existing file was
+ * merged into and the WRITE_RESULTS value of the write
+ */
+export function writeLighthouseConfig(
+  urls,
+  lighthouseOptions,
+  standard,
+  auth,
+) {
+  const options = resolveLighthouseOptions(lighthouseOptions);
+  const configFile =
+    LIGHTHOUSE_CONFIG_FILE_NAMES.find((fileName) =>
+      fileExists(path.join(process.cwd(), fileName)),
+    ) ?? LIGHTHOUSE_CONFIG_FILE_NAME;
+  const configPath = path.join(process.cwd(), configFile);
+
+  if (!fileExists(configPath) || isCreatedFile(configPath)) {
+    const result = writeGeneratedFile(
+      configPath,
+      buildLighthouseConfig(urls, options, standard, auth),
+    );
+    return { configFile, merged: false, result };
+  }
+
+  if (/\.c?js$/.test(configFile)) {
+    throw new Error(
+      `${configFile} is JavaScript, so the settings cannot be merged into it.`,
+    );
+  }
+
+  const result = writeTrackedFile(
+    configPath,
+    mergeLighthouseConfig(
+      readFile(configPath),
+      configFile,
+      buildConfigSettings(urls, options, standard, auth),
+    ),
+  );
+  return { configFile, merged: true, result };
+}
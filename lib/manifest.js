@@ -0,0 +1,608 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { applyPatch, createPatch } from "diff";
+import {
+  MESSAGE_TYPES,
+  MANIFEST_FILE_NAME,
+  GENERATED_FILE_STATES,
+  WRITE_RESULTS,
+  LIGHTHOUSE_CONFIG_FILE_NAME,
+  PA11Y_CONFIG_FILE_NAME,
+  WORKFLOW_FILE_PATH,
+} from "./constants.js";
+import {
+  fileExists,
+  readFile,
+  writeFile,
+  deleteFile,
+  readPackageJson,
+  writePackageJson,
+} from "./file-utils.js";
+import { logMessage } from "./logger.js";
+
+const MANIFEST_VERSION = 1;
+
+const KNOWN_GENERATED_FILES = [
+  LIGHTHOUSE_CONFIG_FILE_NAME,
+  PA11Y_CONFIG_FILE_NAME,
+  WORKFLOW_FILE_PATH,
+];
+
+const wizardVersion = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8"),
+).version;
+
+let currentManifest = null;
+let updateMode = false;
+const recordedFiles = {};
+const recordedScripts = {};
+const originalScripts = {};
+const originalPackageJsonFields = {};
+const installedPackages = new Set();
+const pendingConflicts = [];
+
+/**
+ * Hashes generated content so later runs can tell whether the user changed it
+ * @param {string} content - File content or script
+ * @returns {string} SHA-256 checksum
+ */
+function getChecksum(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Converts a file path to the project relative form used as manifest key
+ * @param {string} filePath - Path to a generated file
+ * @returns {string} Path relative to the project, with forward slashes
+ */
+function toManifestPath(filePath) {
+  return path
+    .relative(process.cwd(), path.resolve(filePath))
+    .split(path.sep)
+    .join("/");
+}
+
+/**
+ * Records a file written by the wizard. The content the file had before the
+ * wizard first touched it is kept so "ally-wizard remove" can restore it;
+ * files the wizard created have no original
+ * @param {string} filePath - Path to the file
+ * @param {string} content - Content the wizard generated
+ * @param {string|undefined} previousContent - Content before this write
+ */
+function recordFile(filePath, content, previousContent) {
+  const manifestPath = toManifestPath(filePath);
+  const earlierEntry =
+    recordedFiles[manifestPath] ?? currentManifest?.files?.[manifestPath];
+  const original = earlierEntry ? earlierEntry.original : previousContent;
+
+  recordedFiles[manifestPath] = {
+    checksum: getChecksum(content),
+    content,
+    ...(original !== undefined && { original }),
+  };
+}
+
+/**
+ * Reads the content of a file, or undefined when it does not exist
+ * @param {string} filePath - Path to the file
+ * @returns {string|undefined} File content
+ */
+function readFileIfExists(filePath) {
+  return fileExists(filePath) ? readFile(filePath) : undefined;
+}
+
+/**
+ * Applies the difference between two versions of a file to the user's copy,
+ * e.g. a template update or taking the wizard's edits out again
+ * @param {string} currentContent - The file as the user has it
+ * @param {string} fromContent - Version the user's copy is based on
+ * @param {string} toContent - Version to move to
+ * @returns {string|false} The updated content, or false when the change does not apply cleanly
+ */
+function carryOverChanges(currentContent, fromContent, toContent) {
+  // One line of context keeps edits close to the changed lines from blocking it
+  const patch = createPatch("file", fromContent, toContent, "", "", {
+    context: 1,
+  });
+  return applyPatch(currentContent, patch);
+}
+
+/**
+ * Reads the manifest of a previous setup from the current project
+ * @returns {Object|null} The manifest, or null when the wizard has not been run here
+ */
+export function readManifest() {
+  const manifestPath = path.join(process.cwd(), MANIFEST_FILE_NAME);
+  if (!fileExists(manifestPath)) return null;
+
+  try {
+    return JSON.parse(readFile(manifestPath));
+  } catch (error) {
+    throw new Error(`Could not read ${MANIFEST_FILE_NAME}: ${error.message}`);
+  }
+}
+
+/**
+ * Works out whether a generated file still matches what the wizard wrote
+ * @param {string} filePath - Path to the file
+ * @param {Object|null} manifest - Manifest from readManifest
+ * @returns {string} One of GENERATED_FILE_STATES
+ */
+export function getFileState(filePath, manifest) {
+  if (!fileExists(filePath)) return GENERATED_FILE_STATES.MISSING;
+
+  const entry = manifest?.files?.[toManifestPath(filePath)];
+  if (!entry) return GENERATED_FILE_STATES.UNTRACKED;
+
+  return getChecksum(readFile(filePath)) === entry.checksum
+    ? GENERATED_FILE_STATES.UNCHANGED
+    : GENERATED_FILE_STATES.MODIFIED;
+}
+
+/**
+ * Works out whether a package.json script still matches what the wizard wrote
+ * @param {string|undefined} currentValue - Script in package.json
+ * @param {string|undefined} recordedValue - Script recorded in the manifest
+ * @returns {string} One of GENERATED_FILE_STATES
+ */
+function getScriptState(currentValue, recordedValue) {
+  if (currentValue === undefined) return GENERATED_FILE_STATES.MISSING;
+  if (recordedValue === undefined) return GENERATED_FILE_STATES.UNTRACKED;
+  return currentValue === recordedValue
+    ? GENERATED_FILE_STATES.UNCHANGED
+    : GENERATED_FILE_STATES.MODIFIED;
+}
+
+/**
+ * Collects what a previous run set up: the generated files and scripts and
+ * whether they were changed since. Without a manifest, files and a11y scripts
+ * the wizard usually creates are reported as untracked
+ * @param {Object|null} manifest - Manifest from readManifest
+ * @returns {Object|null} Previous answers, files and scripts, or null when nothing was found
+ */
+export function detectExistingSetup(manifest) {
+  const scripts = readPackageJson().scripts ?? {};
+  const filePaths = [
+    ...new Set([...Object.keys(manifest?.files ?? {}), ...KNOWN_GENERATED_FILES]),
+  ];
+  const scriptNames = [
+    ...new Set([
+      ...Object.keys(manifest?.scripts ?? {}),
+      ...Object.keys(scripts).filter((name) => name.startsWith("a11y:")),
+    ]),
+  ];
+
+  const files = filePaths
+    .map((filePath) => ({
+      path: filePath,
+      state: getFileState(filePath, manifest),
+    }))
+    .filter(
+      (file) =>
+        manifest?.files?.[file.path] ||
+        file.state !== GENERATED_FILE_STATES.MISSING,
+    );
+
+  if (!manifest && files.length === 0 && scriptNames.length === 0) return null;
+
+  return {
+    version: manifest?.version ?? null,
+    answers: manifest?.answers ?? null,
+    files,
+    scripts: scriptNames.map((name) => ({
+      name,
+      state: getScriptState(scripts[name], manifest?.scripts?.[name]),
+    })),
+  };
+}
+
+/**
+ * Starts tracking generated files and scripts for this run. Anything
+ * recorded for another project before (another workspace package) is dropped
+ * @param {Object|null} manifest - Manifest of the previous run
+ * @param {Object} options - Tracking options
+ * @param {boolean} options.update - Merge template changes into files the user edited instead of asking
+ */
+export function beginGeneratedChanges(manifest, { update = false } = {}) {
+  currentManifest = manifest;
+  updateMode = update;
+
+  [
+    recordedFiles,
+    recordedScripts,
+    originalScripts,
+    originalPackageJsonFields,
+  ].forEach((records) => {
+    Object.keys(records).forEach((key) => delete records[key]);
+  });
+  installedPackages.clear();
+  pendingConflicts.length = 0;
+}
+
+/**
+ * Sums up the results of writing several generated files: unchanged when
+ * none changed, otherwise the most notable result
+ * @param {string[]} results - WRITE_RESULTS of the files
+ * @returns {string} One of WRITE_RESULTS
+ */
+export function summarizeWriteResults(results) {
+  if (results.every((result) => result === WRITE_RESULTS.UNCHANGED)) {
+    return WRITE_RESULTS.UNCHANGED;
+  }
+
+  return [WRITE_RESULTS.WRITTEN, WRITE_RESULTS.MERGED, WRITE_RESULTS.KEPT].find(
+    (result) => results.includes(result),
+  );
+}
+
+/**
+ * Logs what a setup step did with its generated files. Merged files and kept
+ * versions are left out, as the manifest reports them
+ * @param {string} result - One of WRITE_RESULTS
+ * @param {Object} messages - Messages for the results that are logged here
+ * @param {string} messages.written - Message when the files were written
+ * @param {string} messages.unchanged - Message when nothing changed
+ */
+export function logWriteResult(result, { written, unchanged }) {
+  if (result === WRITE_RESULTS.WRITTEN) {
+    logMessage(written, MESSAGE_TYPES.SUCCESS);
+  } else if (result === WRITE_RESULTS.UNCHANGED) {
+    logMessage(unchanged, MESSAGE_TYPES.INFO);
+  }
+}
+
+/**
+ * Writes a generated file and records it in the manifest. Files the user
+ * changed since the last run are not overwritten: in update mode the
+ * template changes are merged into them, otherwise they are queued for
+ * resolveConflicts
+ * @param {string} filePath - Path to the generated file
+ * @param {string} content - Generated content
+ * @returns {string} One of WRITE_RESULTS
+ */
+export function writeGeneratedFile(filePath, content) {
+  const manifestPath = toManifestPath(filePath);
+  const entry = currentManifest?.files?.[manifestPath];
+  const state = getFileState(filePath, currentManifest);
+
+  if (state === GENERATED_FILE_STATES.MISSING && updateMode && entry) {
+    logMessage(`${manifestPath} was deleted, leaving it out`, MESSAGE_TYPES.INFO);
+    return WRITE_RESULTS.KEPT;
+  }
+
+  if (
+    state === GENERATED_FILE_STATES.MISSING ||
+    state === GENERATED_FILE_STATES.UNCHANGED ||
+    readFile(filePath) === content
+  ) {
+    const previousContent = readFileIfExists(filePath);
+    recordFile(filePath, content, previousContent);
+    writeFile(filePath, content);
+    return previousContent === content
+      ? WRITE_RESULTS.UNCHANGED
+      : WRITE_RESULTS.WRITTEN;
+  }
+
+  if (updateMode && entry && entry.content !== content) {
+    const merged = carryOverChanges(readFile(filePath), entry.content, content);
+
+    if (merged !== false) {
+      recordFile(filePath, content, undefined);
+      writeFile(filePath, merged);
+      logMessage(
+        `Merged the latest template into ${manifestPath}, keeping your changes`,
+        MESSAGE_TYPES.SUCCESS,
+      );
+      return WRITE_RESULTS.MERGED;
+    }
+  }
+
+  // In update mode the user's changes are kept without asking when the
+  // template has not changed since
+  pendingConflicts.push({
+    type: "file",
+    label: manifestPath,
+    untracked: state === GENERATED_FILE_STATES.UNTRACKED,
+    preserved: updateMode && entry?.content === content,
+    filePath,
+    content,
+  });
+  return WRITE_RESULTS.KEPT;
+}
+
+/**
+ * Checks whether a file was created by the wizard, as opposed to a file of
+ * the project the wizard edited
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} True if the manifest has the file without original content
+ */
+export function isCreatedFile(filePath) {
+  const manifestPath = toManifestPath(filePath);
+  const entry =
+    recordedFiles[manifestPath] ?? currentManifest?.files?.[manifestPath];
+
+  return entry !== undefined && entry.original === undefined;
+}
+
+/**
+ * Writes a file the wizard edits rather than generates (like an ESLint
+ * config) and records the edit so "ally-wizard remove" can revert it
+ * @param {string} filePath - Path to the file
+ * @param {string} content - New content
+ * @returns {string} WRITE_RESULTS.WRITTEN, or UNCHANGED when the file already had the content
+ */
+export function writeTrackedFile(filePath, content) {
+  const previousContent = readFileIfExists(filePath);
+  recordFile(filePath, content, previousContent);
+  writeFile(filePath, content);
+  return previousContent === content
+    ? WRITE_RESULTS.UNCHANGED
+    : WRITE_RESULTS.WRITTEN;
+}
+
+/**
+ * Records the value a package.json field had before the wizard changed it
+ * @param {string} field - Top level package.json field
+ * @param {*} value - Value before the change
+ */
+export function recordPackageJsonField(field, value) {
+  if (field in originalPackageJsonFields) return;
+  if (field in (currentManifest?.packageJson ?? {})) return;
+
+  originalPackageJsonFields[field] = structuredClone(value);
+}
+
+/**
+ * Records packages the wizard installed that the project did not have before
+ * @param {string[]} packages - Package names
+ */
+export function recordInstalledPackages(packages) {
+  packages.forEach((packageName) => installedPackages.add(packageName));
+}
+
+/**
+ * Records a script set by the wizard, remembering the user's version it replaced
+ * @param {string} name - Script name
+ * @param {string} value - Generated script
+ * @param {string|undefined} currentValue - Script before the change
+ */
+function recordScript(name, value, currentValue) {
+  const isTracked =
+    name in recordedScripts || currentManifest?.scripts?.[name] !== undefined;
+
+  if (!isTracked && currentValue !== undefined) {
+    originalScripts[name] = currentValue;
+  }
+  recordedScripts[name] = value;
+}
+
+/**
+ * Sets generated package.json scripts and records them in the manifest.
+ * Scripts the user changed (or wrote before the wizard ran) are queued for
+ * resolveConflicts; in update mode they are kept without asking
+ * @param {Object} scripts - The "scripts" object of package.json, changed in place
+ * @param {Object} generatedScripts - Script names and their generated values
+ * @returns {string} One of WRITE_RESULTS, for all the scripts together
+ */
+export function applyGeneratedScripts(scripts, generatedScripts) {
+  const results = Object.entries(generatedScripts).map(([name, value]) => {
+    const currentValue = scripts[name];
+    const recordedValue = currentManifest?.scripts?.[name];
+
+    if (
+      currentValue === undefined ||
+      currentValue === value ||
+      currentValue === recordedValue
+    ) {
+      recordScript(name, value, currentValue);
+      scripts[name] = value;
+      return currentValue === value
+        ? WRITE_RESULTS.UNCHANGED
+        : WRITE_RESULTS.WRITTEN;
+    }
+
+    pendingConflicts.push({
+      type: "script",
+      label: `the "${name}" script in package.json`,
+      untracked: recordedValue === undefined,
+      preserved: updateMode,
+      name,
+      value,
+      currentValue,
+    });
+    return WRITE_RESULTS.KEPT;
+  });
+
+  return summarizeWriteResults(results);
+}
+
+/**
+ * Asks about every generated file and script the user changed, then
+ * overwrites the ones they agree to
+ * @param {Function} confirmDiscard - Resolves to true when the user's changes may be overwritten
+ * @returns {Promise<Object[]>} Conflicts where the user's version was kept
+ */
+export async function resolveConflicts(confirmDiscard) {
+  const keptConflicts = [];
+  const overwrittenScripts = {};
+
+  for (const conflict of pendingConflicts) {
+    if (!(await confirmDiscard(conflict))) {
+      keptConflicts.push(conflict);
+      continue;
+    }
+
+    if (conflict.type === "file") {
+      recordFile(conflict.filePath, conflict.content, readFile(conflict.filePath));
+      writeFile(conflict.filePath, conflict.content);
+    } else {
+      recordScript(conflict.name, conflict.value, conflict.currentValue);
+      overwrittenScripts[conflict.name] = conflict.value;
+    }
+  }
+
+  if (Object.keys(overwrittenScripts).length > 0) {
+    const packageData = readPackageJson();
+    packageData.scripts = { ...packageData.scripts, ...overwrittenScripts };
+    writePackageJson(packageData);
+  }
+
+  keptConflicts.forEach(({ label, untracked }) => {
+    logMessage(
+      untracked
+        ? `Kept ${label}, which ally-wizard did not create`
+        : `Kept your changes to ${label}`,
+      MESSAGE_TYPES.WARNING,
+    );
+  });
+
+  pendingConflicts.length = 0;
+  return keptConflicts;
+}
+
+/**
+ * Writes the manifest with the answers of this run and every generated
+ * file and script. Entries from earlier runs that were kept are carried over
+ * @param {Object} answers - Answers the setup was generated from
+ */
+export function saveManifest(answers) {
+  const manifest = {
+    version: wizardVersion,
+    manifestVersion: MANIFEST_VERSION,
+    updatedAt: new Date().toISOString(),
+    answers,
+    files: { ...currentManifest?.files, ...recordedFiles },
+    scripts: { ...currentManifest?.scripts, ...recordedScripts },
+    originalScripts: { ...currentManifest?.originalScripts, ...originalScripts },
+    packageJson: { ...currentManifest?.packageJson, ...originalPackageJsonFields },
+    packages: [
+      ...new Set([...(currentManifest?.packages ?? []), ...installedPackages]),
+    ],
+  };
+
+  writeFile(
+    path.join(process.cwd(), MANIFEST_FILE_NAME),
+    `${JSON.stringify(manifest, null, 2)}\n`,
+  );
+}
+
+/**
+ * Reverts a file the wizard created or edited: created files are deleted and
+ * edited files get their original content back. When the user changed the
+ * file since, only the wizard's changes are taken out; if that does not apply
+ * cleanly, confirmDiscard decides
+ * @param {string} manifestPath - File path from the manifest
+ * @param {Object} entry - Manifest entry of the file
+ * @param {Object} manifest - Manifest from readManifest
+ * @param {Function} confirmDiscard - Resolves to true when the user's changes may be discarded
+ * @returns {Promise<boolean>} False when the file was kept as it is
+ */
+async function revertFile(manifestPath, entry, manifest, confirmDiscard) {
+  const filePath = path.join(process.cwd(), manifestPath);
+  const state = getFileState(filePath, manifest);
+
+  if (state === GENERATED_FILE_STATES.MISSING) return true;
+  if (entry.original !== undefined && readFile(filePath) === entry.original) {
+    return true;
+  }
+
+  if (state === GENERATED_FILE_STATES.MODIFIED && entry.original !== undefined) {
+    const reverted = carryOverChanges(
+      readFile(filePath),
+      entry.content,
+      entry.original,
+    );
+
+    if (reverted !== false) {
+      writeFile(filePath, reverted);
+      logMessage(
+        `Took the wizard's changes out of ${manifestPath}, keeping yours`,
+        MESSAGE_TYPES.SUCCESS,
+      );
+      return true;
+    }
+  }
+
+  if (
+    state === GENERATED_FILE_STATES.MODIFIED &&
+    !(await confirmDiscard({
+      label: manifestPath,
+      action: entry.original === undefined ? "Delete it" : "Restore the original",
+    }))
+  ) {
+    return false;
+  }
+
+  if (entry.original === undefined) {
+    deleteFile(filePath);
+    logMessage(`Deleted ${manifestPath}`, MESSAGE_TYPES.SUCCESS);
+  } else {
+    writeFile(filePath, entry.original);
+    logMessage(`Restored ${manifestPath}`, MESSAGE_TYPES.SUCCESS);
+  }
+  return true;
+}
+
+/**
+ * Reverts everything recorded in the manifest except installed packages:
+ * scripts are removed or restored, package.json fields restored and files
+ * deleted or restored. Scripts and files the user changed are only
+ * discarded when confirmDiscard agrees
+ * @param {Object} manifest - Manifest from readManifest
+ * @param {Function} confirmDiscard - Resolves to true when the user's changes may be discarded
+ * @returns {Promise<string[]>} Files and scripts that were kept
+ */
+export async function revertGeneratedChanges(manifest, confirmDiscard) {
+  const keptChanges = [];
+  const packageData = readPackageJson();
+  const scripts = packageData.scripts ?? {};
+  let packageJsonChanged = false;
+
+  for (const [name, value] of Object.entries(manifest.scripts ?? {})) {
+    const label = `the "${name}" script in package.json`;
+
+    if (scripts[name] === undefined) continue;
+    if (
+      scripts[name] !== value &&
+      !(await confirmDiscard({ label, action: "Remove it" }))
+    ) {
+      keptChanges.push(label);
+      continue;
+    }
+
+    const original = manifest.originalScripts?.[name];
+    if (original === undefined) {
+      delete scripts[name];
+    } else {
+      scripts[name] = original;
+    }
+    packageJsonChanged = true;
+  }
+
+  Object.entries(manifest.packageJson ?? {}).forEach(([field, original]) => {
+    packageData[field] = original;
+    packageJsonChanged = true;
+  });
+
+  // A workspace root only has the CI workflow, so its package.json stays as it is
+  if (packageJsonChanged) {
+    writePackageJson(packageData);
+  }
+
+  for (const [manifestPath, entry] of Object.entries(manifest.files ?? {})) {
+    if (!(await revertFile(manifestPath, entry, manifest, confirmDiscard))) {
+      keptChanges.push(manifestPath);
+    }
+  }
+
+  return keptChanges;
+}
+
+/**
+ * Deletes the manifest once the setup has been removed
+ */
+export function deleteManifest() {
+  deleteFile(path.join(process.cwd(), MANIFEST_FILE_NAME));
+}
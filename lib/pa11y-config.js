@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+import {
+  ACCESSIBILITY_TOOLS,
+  ACCESSIBILITY_STANDARD_PROFILES,
+  TOOL_RESULT_PATHS,
+  PA11Y_CONFIG_FILE_NAME,
+  PA11Y_RUNTIME_CONFIG_PATH,
+  PA11Y_ACTION_PATTERNS,
+  DEFAULT_PA11Y_OPTIONS,
+  AUTH_PROFILE_DIRECTORY,
+} from "./constants.js";
+import { writeGeneratedFile } from "./manifest.js";
+
+/**
+ * Checks that an action is one Pa11y understands
+ * @param {string} action - Action such as "click element #menu"
+ * @returns {boolean} True if Pa11y can run the action
+ */
+export function isPa11yAction(action) {
+  return PA11Y_ACTION_PATTERNS.some((pattern) => pattern.test(action));
+}
+
+/**
+ * Builds the pa11y-ci config: the shared defaults and one entry per page.
+ * Pages with actions get an object with their URL and actions, the others
+ * just their URL. Behind a login, Chrome opens the profile the login script
+ * signed in
+ * @param {string} baseUrl - Base URL the app is served on
+ * @param {string[]} routes - Routes to test
+ * @param {Object} pa11yOptions - Pa11y options from the answers, may be partial or missing
+ * @param {string} standard - Conformance target to test against
+ * @param {Object|null} auth - Login settings, if the pages are behind a login
+ * @returns {Object} The pa11y-ci config
+ */
+function buildPa11yConfig(baseUrl, routes, pa11yOptions, standard, auth) {
+  const { runners, ignore, viewport, timeout, wait, actions } = {
+    ...DEFAULT_PA11Y_OPTIONS,
+    ...pa11yOptions,
+  };
+
+  return {
+    defaults: {
+      standard: ACCESSIBILITY_STANDARD_PROFILES[standard].pa11yStandard,
+      runners,
+      timeout,
+      wait,
+      viewport,
+      ignore,
+      ...(auth && {
+        chromeLaunchConfig: { userDataDir: AUTH_PROFILE_DIRECTORY },
+      }),
+      reporters: [
+        "cli",
+        ["json", { fileName: TOOL_RESULT_PATHS[ACCESSIBILITY_TOOLS.PA11Y] }],
+      ],
+    },
+    urls: routes.map((route) =>
+      actions[route]?.length > 0
+        ? { url: `${baseUrl}${route}`, actions: actions[route] }
+        : `${baseUrl}${route}`,
+    ),
+  };
+}
+
+/**
+ * Writes the pa11y-ci config
+ * @param {string} baseUrl - Base URL the app is served on
+ * @param {string[]} routes - Routes to test
+ * @param {Object} pa11yOptions - Pa11y options from the answers
+ * @param {string} standard - Conformance target to test against
+ * @param {Object|null} auth - Login settings, if the pages are behind a login
+ * @returns {string} One of WRITE_RESULTS
+ */
+export function writePa11yConfig(
+  baseUrl,
+  routes,
+  pa11yOptions,
+  standard,
+  auth,
+) {
+  return writeGeneratedFile(
+    PA11Y_CONFIG_FILE_NAME,
+    JSON.stringify(
+      buildPa11yConfig(baseUrl, routes, pa11yOptions, standard, auth),
+      null,
+      2,
+    ),
+  );
+}
+
+/**
+ * Writes a copy of the pa11y-ci config that tests the app on another base
+ * URL, e.g. on the free port "ally-wizard run" found. URLs in actions such
+ * as "navigate to" are moved as well
+ * @param {string} configuredBaseUrl - Base URL the config was written for
+ * @param {string} baseUrl - Base URL the app is served on now
+ */
+export function writeRuntimePa11yConfig(configuredBaseUrl, baseUrl) {
+  const configPath = path.join(process.cwd(), PA11Y_CONFIG_FILE_NAME);
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(
+      `${PA11Y_CONFIG_FILE_NAME} not found. Run "ally-wizard" to set up Pa11y.`,
+    );
+  }
+
+  const config = fs
+    .readFileSync(configPath, "utf-8")
+    .replaceAll(configuredBaseUrl, baseUrl);
+
+  fs.mkdirSync(path.dirname(PA11Y_RUNTIME_CONFIG_PATH), { recursive: true });
+  fs.writeFileSync(PA11Y_RUNTIME_CONFIG_PATH, config);
+}
@@ -1,8 +1,38 @@
 import fs from "fs";
 import path from "path";
 import { execSync } from "child_process";
-import { PACKAGE_MANAGERS, LOCK_FILES, COLORS } from "./constants.js";
+import {
+  PACKAGE_MANAGERS,
+  LOCK_FILES,
+  PNPM_LOCKFILE_VERSIONS,
+  DEFAULT_PNPM_VERSION,
+  COLORS,
+} from "./constants.js";
 import { formatExternalOutput } from "./logger.js";
+import { isDryRun, planCommand } from "./change-planner.js";
+import { readPackageJson } from "./file-utils.js";
+import { recordInstalledPackages } from "./manifest.js";
+import { findWorkspace, findWorkspacePackage } from "./workspace.js";
+
+/**
+ * Finds the directory holding the lock file: the project itself, or the
+ * workspace root for packages of a workspace
+ * @param {string} workingDirectory - The project directory
+ * @returns {string|null} Directory with a lock file, or null if there is none
+ */
+export function findLockFileDirectory(workingDirectory = process.cwd()) {
+  const directories = [workingDirectory, findWorkspace(workingDirectory)?.root];
+
+  return (
+    directories.find(
+      (directory) =>
+        directory &&
+        Object.values(LOCK_FILES)
+          .flat()
+          .some((lockFile) => fs.existsSync(path.join(directory, lockFile))),
+    ) ?? null
+  );
+}
 
 /**
  * Detects the package manager being used in the current project
@@ -10,61 +40,184 @@ import { formatExternalOutput } from "./logger.js";
  * @returns {string} The detected package manager
  */
 export function detectPackageManager(workingDirectory = process.cwd()) {
-  for (const [manager, lockFile] of Object.entries(LOCK_FILES)) {
-    if (fs.existsSync(path.join(workingDirectory, lockFile))) {
+  const lockFileDirectory = findLockFileDirectory(workingDirectory);
+  if (!lockFileDirectory) return PACKAGE_MANAGERS.NPM;
+
+  for (const [manager, lockFiles] of Object.entries(LOCK_FILES)) {
+    if (
+      lockFiles.some((lockFile) =>
+        fs.existsSync(path.join(lockFileDirectory, lockFile)),
+      )
+    ) {
       return manager;
     }
   }
   return PACKAGE_MANAGERS.NPM;
 }
 
+/**
+ * Works out the pnpm major version that reads the project's lock file
+ * @param {string} workingDirectory - The project directory
+ * @returns {number} pnpm major version
+ */
+export function detectPnpmVersion(workingDirectory = process.cwd()) {
+  const lockFileDirectory = findLockFileDirectory(workingDirectory);
+  const lockFilePath =
+    lockFileDirectory &&
+    path.join(lockFileDirectory, LOCK_FILES[PACKAGE_MANAGERS.PNPM][0]);
+  if (!lockFilePath || !fs.existsSync(lockFilePath)) return DEFAULT_PNPM_VERSION;
+
+  const [, lockFileVersion] =
+    fs
+      .readFileSync(lockFilePath, "utf-8")
+      .match(/^lockfileVersion:\s*['"]?(\d+)/m) ?? [];
+
+  return PNPM_LOCKFILE_VERSIONS[lockFileVersion] ?? DEFAULT_PNPM_VERSION;
+}
+
+/**
+ * Builds the arguments that point a package manager command at one package
+ * of a workspace, for commands run from the workspace root
+ * @param {Object|null} workspacePackage - Package from findWorkspacePackage, or null outside a workspace
+ * @param {string} packageManager - The package manager to use
+ * @returns {string} Arguments followed by a space, or an empty string
+ */
+function buildWorkspaceArguments(workspacePackage, packageManager) {
+  if (!workspacePackage) return "";
+
+  const workspaceArguments = {
+    [PACKAGE_MANAGERS.YARN]: `workspace ${workspacePackage.name}`,
+    [PACKAGE_MANAGERS.PNPM]: `--filter ${workspacePackage.name}`,
+    [PACKAGE_MANAGERS.NPM]: `-w ${workspacePackage.name}`,
+    [PACKAGE_MANAGERS.BUN]: `--cwd ${workspacePackage.directory}`,
+  };
+
+  return `${workspaceArguments[packageManager]} `;
+}
+
 /**
  * Builds the install command for the detected package manager
  * @param {string|string[]} packages - Package(s) to install
  * @param {boolean} isDevelopmentDependency - Whether to install as dev dependency
  * @param {string} packageManager - The package manager to use
+ * @param {Object|null} workspacePackage - Workspace package to install into, run from the workspace root
  * @returns {string} The install command
  */
 export function buildInstallCommand(
   packages,
   isDevelopmentDependency = true,
   packageManager,
+  workspacePackage = null,
 ) {
   const packagesList = Array.isArray(packages) ? packages.join(" ") : packages;
+  const workspaceArguments = buildWorkspaceArguments(
+    workspacePackage,
+    packageManager,
+  );
 
   const commands = {
-    [PACKAGE_MANAGERS.YARN]: `yarn add ${isDevelopmentDependency ? "-D " : ""}${packagesList}`,
-    [PACKAGE_MANAGERS.PNPM]: `pnpm add ${isDevelopmentDependency ? "-D " : ""}${packagesList}`,
-    [PACKAGE_MANAGERS.NPM]: `npm install ${isDevelopmentDependency ? "--save-dev " : ""}${packagesList}`,
+    [PACKAGE_MANAGERS.YARN]: `yarn ${workspaceArguments}add ${isDevelopmentDependency ? "-D " : ""}${packagesList}`,
+    [PACKAGE_MANAGERS.PNPM]: `pnpm ${workspaceArguments}add ${isDevelopmentDependency ? "-D " : ""}${packagesList}`,
+    [PACKAGE_MANAGERS.NPM]: `npm ${workspaceArguments}install ${isDevelopmentDependency ? "--save-dev " : ""}${packagesList}`,
+    [PACKAGE_MANAGERS.BUN]: `bun ${workspaceArguments}add ${isDevelopmentDependency ? "-d " : ""}${packagesList}`,
   };
 
   return commands[packageManager];
 }
 
 /**
- * Installs packages using the detected package manager
- * @param {string|string[]} packages - Package(s) to install
- * @param {boolean} isDevelopmentDependency - Whether to install as dev dependency
+ * Builds the install command that fails instead of updating the lockfile,
+ * as used in CI
  * @param {string} packageManager - The package manager to use
+ * @param {string} workingDirectory - The project directory
+ * @returns {string} The frozen install command
  */
-export function installPackages(
+export function buildFrozenInstallCommand(
+  packageManager,
+  workingDirectory = process.cwd(),
+) {
+  const isYarnBerry = fs.existsSync(path.join(workingDirectory, ".yarnrc.yml"));
+
+  const commands = {
+    [PACKAGE_MANAGERS.YARN]: isYarnBerry
+      ? "yarn install --immutable"
+      : "yarn install --frozen-lockfile",
+    [PACKAGE_MANAGERS.PNPM]: "pnpm install --frozen-lockfile",
+    [PACKAGE_MANAGERS.NPM]: "npm ci",
+    [PACKAGE_MANAGERS.BUN]: "bun install --frozen-lockfile",
+  };
+
+  return commands[packageManager];
+}
+
+/**
+ * Builds the uninstall command for the detected package manager
+ * @param {string[]} packages - Packages to remove
+ * @param {string} packageManager - The package manager to use
+ * @param {Object|null} workspacePackage - Workspace package to remove them from, run from the workspace root
+ * @returns {string} The uninstall command
+ */
+export function buildUninstallCommand(
   packages,
-  isDevelopmentDependency = true,
   packageManager,
+  workspacePackage = null,
 ) {
-  const command = buildInstallCommand(
-    packages,
-    isDevelopmentDependency,
+  const packagesList = packages.join(" ");
+  const workspaceArguments = buildWorkspaceArguments(
+    workspacePackage,
     packageManager,
   );
 
-  try {
-    console.log();
-    console.log(
-      `${COLORS.GRAY}${COLORS.DIM}┌─ Package manager output:${COLORS.RESET}`,
-    );
+  const commands = {
+    [PACKAGE_MANAGERS.YARN]: `yarn ${workspaceArguments}remove ${packagesList}`,
+    [PACKAGE_MANAGERS.PNPM]: `pnpm ${workspaceArguments}remove ${packagesList}`,
+    [PACKAGE_MANAGERS.NPM]: `npm ${workspaceArguments}uninstall ${packagesList}`,
+    [PACKAGE_MANAGERS.BUN]: `bun ${workspaceArguments}remove ${packagesList}`,
+  };
+
+  return commands[packageManager];
+}
+
+/**
+ * Strips the version range from a package specifier
+ * @param {string} packageSpecifier - Package name, optionally with @version
+ * @returns {string} The package name
+ */
+function getPackageName(packageSpecifier) {
+  return packageSpecifier.replace(/(?<=.)@.*$/, "");
+}
+
+/**
+ * Lists which of the given packages are declared in package.json
+ * @param {string[]} packages - Package names
+ * @returns {string[]} Packages found in dependencies or devDependencies
+ */
+export function findDeclaredPackages(packages) {
+  const { dependencies = {}, devDependencies = {} } = readPackageJson();
+  return packages.filter(
+    (packageName) => packageName in dependencies || packageName in devDependencies,
+  );
+}
+
+/**
+ * Runs a package manager command and prints its output
+ * @param {string} command - The command to run
+ * @param {string} description - What the command does, for the output frame
+ * @param {string} workingDirectory - Directory to run the command in
+ */
+function runPackageManagerCommand(
+  command,
+  description,
+  workingDirectory = process.cwd(),
+) {
+  console.log();
+  console.log(
+    `${COLORS.GRAY}${COLORS.DIM}┌─ Package manager output:${COLORS.RESET}`,
+  );
 
+  try {
     const output = execSync(command, {
+      cwd: workingDirectory,
       encoding: "utf8",
       stdio: "pipe",
     });
@@ -75,22 +228,118 @@ export function installPackages(
     }
 
     console.log(
-      `${COLORS.GRAY}${COLORS.DIM}└─ Package installation completed${COLORS.RESET}`,
+      `${COLORS.GRAY}${COLORS.DIM}└─ ${description} completed${COLORS.RESET}`,
     );
     console.log();
   } catch (error) {
+    const errorOutput = `${error.stdout ?? ""}${error.stderr ?? ""}`.trim();
+    if (errorOutput) {
+      console.log(formatExternalOutput(errorOutput));
+    }
+
     console.log(
-      `${COLORS.GRAY}${COLORS.DIM}└─ Package installation completed with warnings${COLORS.RESET}`,
+      `${COLORS.GRAY}${COLORS.DIM}└─ ${description} failed${COLORS.RESET}`,
     );
     console.log();
+
+    throw new Error(
+      `"${command}" failed${error.status ? ` with exit code ${error.status}` : `: ${error.message}`}.`,
+    );
   }
 }
 
+/**
+ * Installs packages using the detected package manager and records the ones
+ * the project did not have yet, so "ally-wizard remove" can uninstall them.
+ * In a workspace package the command runs from the workspace root.
+ * In dry-run mode the install command is only printed.
+ * @param {string|string[]} packages - Package(s) to install
+ * @param {boolean} isDevelopmentDependency - Whether to install as dev dependency
+ * @param {string} packageManager - The package manager to use
+ */
+export function installPackages(
+  packages,
+  isDevelopmentDependency = true,
+  packageManager,
+) {
+  const packageNames = [].concat(packages).map(getPackageName);
+
+  if (packageNames.length === 0) return;
+
+  const workspacePackage = findWorkspacePackage();
+  const command = buildInstallCommand(
+    packages,
+    isDevelopmentDependency,
+    packageManager,
+    workspacePackage,
+  );
+  const declaredPackages = findDeclaredPackages(packageNames);
+
+  recordInstalledPackages(
+    packageNames.filter((packageName) => !declaredPackages.includes(packageName)),
+  );
+
+  if (isDryRun()) {
+    planCommand(command);
+    return;
+  }
+
+  runPackageManagerCommand(
+    command,
+    "Package installation",
+    workspacePackage?.root,
+  );
+}
+
+/**
+ * Runs a binary of an installed package through npx, for setup steps like
+ * downloading browsers. In dry-run mode the command is only printed.
+ * @param {string} command - Binary and its arguments
+ * @param {string} description - What the command does, for the output frame
+ */
+export function runPackageBinary(command, description) {
+  const fullCommand = `npx ${command}`;
+
+  if (isDryRun()) {
+    planCommand(fullCommand);
+    return;
+  }
+
+  runPackageManagerCommand(fullCommand, description);
+}
+
+/**
+ * Uninstalls packages using the detected package manager. In a workspace
+ * package the command runs from the workspace root.
+ * In dry-run mode the uninstall command is only printed.
+ * @param {string[]} packages - Packages to remove
+ * @param {string} packageManager - The package manager to use
+ */
+export function uninstallPackages(packages, packageManager) {
+  if (packages.length === 0) return;
+
+  const workspacePackage = findWorkspacePackage();
+  const command = buildUninstallCommand(
+    packages,
+    packageManager,
+    workspacePackage,
+  );
+
+  if (isDryRun()) {
+    planCommand(command);
+    return;
+  }
+
+  runPackageManagerCommand(command, "Package removal", workspacePackage?.root);
+}
+
 /**
  * Gets the command prefix for running scripts with the package manager
  * @param {string} packageManager - The package manager being used
  * @returns {string} The command prefix (e.g., "npm run", "yarn")
  */
 export function getPackageManagerCommand(packageManager) {
-  return packageManager === PACKAGE_MANAGERS.NPM ? "npm run" : packageManager;
+  if (packageManager === PACKAGE_MANAGERS.NPM) return "npm run";
+  if (packageManager === PACKAGE_MANAGERS.BUN) return "bun run";
+  return packageManager;
 }
@@ -0,0 +1,164 @@
+import path from "path";
+import {
+  ACCESSIBILITY_TOOLS,
+  TOOL_RESULT_PATHS,
+  PLAYWRIGHT_CONFIG_FILE_NAME,
+  PLAYWRIGHT_TEST_DIRECTORY,
+  ACCESSIBILITY_STANDARD_PROFILES,
+  AUTH_STORAGE_STATE_PATH,
+} from "./constants.js";
+import { writeGeneratedFile, summarizeWriteResults } from "./manifest.js";
+
+const HELPER_FILE_NAME = "axe-helper.mjs";
+
+/**
+ * Builds the spec file name for a route ("/" becomes home.spec.mjs)
+ * @param {string} route - Route path
+ * @returns {string} Spec file name
+ */
+function getSpecFileName(route) {
+  const name = route
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+
+  return `${name || "home"}.spec.mjs`;
+}
+
+/**
+ * Builds the Playwright config used only for the accessibility specs, so an
+ * existing playwright.config is left alone. Behind a login, the specs start
+ * with the session the login script saved
+ * @param {string} baseUrl - Base URL the app is served on
+ * @param {Object|null} auth - Login settings, if the pages are behind a login
+ * @returns {string} Config module source
+ */
+function buildConfigContent(baseUrl, auth) {
+  return `import { defineConfig, devices } from "@playwright/test";
+
+// Accessibility specs generated by ally-wizard. Serve the app before running
+// them, or set A11Y_BASE_URL to test a deployed preview.
+export default defineConfig({
+  testDir: "./${PLAYWRIGHT_TEST_DIRECTORY}",
+  outputDir: "./test-results/a11y",
+  reporter: "list",
+  use: {
+    baseURL: process.env.A11Y_BASE_URL || "${baseUrl}",
+    trace: "retain-on-failure",${
+      auth
+        ? `
+    storageState: "${AUTH_STORAGE_STATE_PATH}",`
+        : ""
+    }
+  },
+  projects: [{ name: "chromium", use: { ...devices["Desktop Chrome"] } }],
+});
+`;
+}
+
+/**
+ * Builds the helper the specs use to scan a page with axe. Every scan is also
+ * saved to the Playwright result directory for "ally-wizard report"
+ * @param {string} standard - Conformance target whose axe rules are run
+ * @returns {string} Helper module source
+ */
+function buildHelperContent(standard) {
+  return `import fs from "fs";
+import path from "path";
+import AxeBuilder from "@axe-core/playwright";
+import { expect } from "@playwright/test";
+
+const RESULTS_DIRECTORY = "${TOOL_RESULT_PATHS[ACCESSIBILITY_TOOLS.PLAYWRIGHT]}";
+const WCAG_TAGS = [${ACCESSIBILITY_STANDARD_PROFILES[standard].axeTags
+    .map((tag) => JSON.stringify(tag))
+    .join(", ")}];
+
+/**
+ * Scans the page, or the part of it matching include, and fails the test
+ * when axe finds violations
+ * @param {import("@playwright/test").Page} page - Page to scan
+ * @param {import("@playwright/test").TestInfo} testInfo - Info of the running test
+ * @param {Object} options - Scan options
+ * @param {string} options.include - Only scan elements matching this selector
+ * @param {string} options.exclude - Skip elements matching this selector
+ */
+export async function expectNoAccessibilityViolations(
+  page,
+  testInfo,
+  { include, exclude } = {},
+) {
+  let builder = new AxeBuilder({ page }).withTags(WCAG_TAGS);
+  if (include) builder = builder.include(include);
+  if (exclude) builder = builder.exclude(exclude);
+
+  const results = await builder.analyze();
+
+  fs.mkdirSync(RESULTS_DIRECTORY, { recursive: true });
+  fs.writeFileSync(
+    path.join(RESULTS_DIRECTORY, \`\${testInfo.testId}.json\`),
+    JSON.stringify(results, null, 2),
+  );
+  await testInfo.attach("axe-violations", {
+    body: JSON.stringify(results.violations, null, 2),
+    contentType: "application/json",
+  });
+
+  expect(results.violations).toEqual([]);
+}
+`;
+}
+
+/**
+ * Builds the example spec for a route: a scan of the page as it loads and a
+ * fixme test to fill in with the interactions that reveal other states
+ * @param {string} route - Route path
+ * @returns {string} Spec module source
+ */
+function buildSpecContent(route) {
+  return `import { test } from "@playwright/test";
+import { expectNoAccessibilityViolations } from "./${HELPER_FILE_NAME}";
+
+test.describe(${JSON.stringify(route)}, () => {
+  test("has no accessibility violations on load", async ({ page }, testInfo) => {
+    await page.goto(${JSON.stringify(route)});
+    await expectNoAccessibilityViolations(page, testInfo);
+  });
+
+  // Modals, menus and form errors only show up after user interaction.
+  // Replace the steps below with the ones for this page and remove .fixme
+  test.fixme("has no accessibility violations when the menu is open", async ({ page }, testInfo) => {
+    await page.goto(${JSON.stringify(route)});
+    await page.getByRole("button", { name: "Menu" }).click();
+    await expectNoAccessibilityViolations(page, testInfo, { include: "[role=menu]" });
+  });
+});
+`;
+}
+
+/**
+ * Writes the Playwright config, the axe helper and an example spec per route
+ * @param {Object} project - Project settings
+ * @param {string} project.baseUrl - Base URL the app is served on
+ * @param {string[]} project.routes - Routes to write specs for
+ * @param {string} project.standard - Conformance target the specs check
+ * @param {Object|null} project.auth - Login settings, if the pages are behind a login
+ * @returns {string} One of WRITE_RESULTS, for all the files together
+ */
+export function writePlaywrightFiles({ baseUrl, routes, standard, auth }) {
+  return summarizeWriteResults([
+    writeGeneratedFile(
+      PLAYWRIGHT_CONFIG_FILE_NAME,
+      buildConfigContent(baseUrl, auth),
+    ),
+    writeGeneratedFile(
+      path.join(PLAYWRIGHT_TEST_DIRECTORY, HELPER_FILE_NAME),
+      buildHelperContent(standard),
+    ),
+    ...routes.map((route) =>
+      writeGeneratedFile(
+        path.join(PLAYWRIGHT_TEST_DIRECTORY, getSpecFileName(route)),
+        buildSpecContent(route),
+      ),
+    ),
+  ]);
+}
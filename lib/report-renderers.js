@@ -0,0 +1,385 @@
+import {
+  REPORT_FORMATS,
+  IMPACT_LEVELS,
+  PR_COMMENT_MARKER,
+} from "./constants.js";
+import { getCriterionUrl, WCAG_CRITERIA } from "./wcag.js";
+
+const REPORT_FILE_NAMES = {
+  [REPORT_FORMATS.HTML]: "accessibility-report.html",
+  [REPORT_FORMATS.MARKDOWN]: "accessibility-report.md",
+  [REPORT_FORMATS.JSON]: "accessibility-report.json",
+  [REPORT_FORMATS.COMMENT]: "pr-comment.md",
+};
+
+const IMPACT_EMOJIS = {
+  critical: "🔴",
+  serious: "🟠",
+  moderate: "🟡",
+  minor: "🔵",
+};
+
+const TOP_RULES_LIMIT = 10;
+const EXAMPLE_SELECTORS_LIMIT = 3;
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Escapes text for use inside a Markdown table cell
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownCell(text = "") {
+  return String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+/**
+ * Formats WCAG criteria as "1.4.3 Contrast (Minimum)"
+ * @param {string[]} criteria - Success criteria numbers
+ * @returns {Object[]} Label and link for each criterion
+ */
+function describeCriteria(criteria) {
+  return criteria.map((criterion) => ({
+    label: WCAG_CRITERIA[criterion]
+      ? `${criterion} ${WCAG_CRITERIA[criterion].name}`
+      : criterion,
+    url: getCriterionUrl(criterion),
+  }));
+}
+
+/**
+ * Describes how the issues compare with the baseline
+ * @param {Object} baseline - Baseline counts from applyBaseline
+ * @returns {string} Plain text summary
+ */
+function describeBaseline(baseline) {
+  const fixedNote =
+    baseline.fixed > 0
+      ? ` ${baseline.fixed} baseline entries are fixed; run "ally-wizard baseline --prune" to remove them.`
+      : "";
+
+  return `${baseline.new} issues not in the baseline, ${baseline.known} known from the baseline.${fixedNote}`;
+}
+
+/**
+ * Renders the report as Markdown
+ * @param {Object} report - Report from buildReport
+ * @returns {string} Markdown document
+ */
+function renderMarkdown(report) {
+  const { summary, issues } = report;
+  const lines = [
+    "# Accessibility Report",
+    "",
+    `Generated ${report.generatedAt} from ${report.tools.join(", ") || "no tool results"}.`,
+    "",
+    `**${summary.total}** unique issues on **${summary.pages}** pages.`,
+    "",
+    ...(report.baseline ? [describeBaseline(report.baseline), ""] : []),
+    "| Impact | Issues |",
+    "|--------|--------|",
+    ...IMPACT_LEVELS.map((impact) => `| ${impact} | ${summary.byImpact[impact]} |`),
+    "",
+  ];
+
+  if (issues.length > 0) {
+    lines.push(
+      "| Impact | Rule | WCAG | Page | Selector | Tools |",
+      "|--------|------|------|------|----------|-------|",
+      ...issues.map((issue) => {
+        const criteria = describeCriteria(issue.wcag)
+          .map(({ label, url }) => (url ? `[${label}](${url})` : label))
+          .join(", ");
+        const rule = issue.helpUrl
+          ? `[${issue.ruleId}](${issue.helpUrl})`
+          : issue.ruleId;
+
+        const impact = issue.baselined ? `${issue.impact} (baseline)` : issue.impact;
+
+        return `| ${impact} | ${escapeMarkdownCell(rule)} | ${escapeMarkdownCell(criteria) || "-"} | ${escapeMarkdownCell(issue.page)} | \`${escapeMarkdownCell(issue.selector)}\` | ${issue.tools.join(", ")} |`;
+      }),
+      "",
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Renders the report as a self-contained HTML page
+ * @param {Object} report - Report from buildReport
+ * @returns {string} HTML document
+ */
+function renderHtml(report) {
+  const { summary, issues } = report;
+
+  const summaryRows = IMPACT_LEVELS.map(
+    (impact) =>
+      `<tr><th scope="row">${impact}</th><td>${summary.byImpact[impact]}</td></tr>`,
+  ).join("\n          ");
+
+  const issueRows = issues
+    .map((issue) => {
+      const criteria = describeCriteria(issue.wcag)
+        .map(({ label, url }) =>
+          url
+            ? `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`
+            : escapeHtml(label),
+        )
+        .join("<br>");
+      const rule = issue.helpUrl
+        ? `<a href="${escapeHtml(issue.helpUrl)}">${escapeHtml(issue.ruleId)}</a>`
+        : escapeHtml(issue.ruleId);
+
+      return `<tr>
+            <td class="impact-${issue.impact}">${issue.impact}${issue.baselined ? "<br><small>baseline</small>" : ""}</td>
+            <td>${rule}<br><small>${escapeHtml(issue.message)}</small></td>
+            <td>${criteria || "-"}</td>
+            <td>${escapeHtml(issue.page)}</td>
+            <td><code>${escapeHtml(issue.selector)}</code></td>
+            <td>${issue.tools.join(", ")}</td>
+          </tr>`;
+    })
+    .join("\n          ");
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Accessibility Report</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 2rem; color: #1a1a1a; }
+      table { border-collapse: collapse; margin-bottom: 2rem; }
+      th, td { border: 1px solid #767676; padding: 0.5rem; text-align: left; vertical-align: top; }
+      code { word-break: break-all; }
+      .impact-critical { background: #fde2e1; }
+      .impact-serious { background: #fdecd2; }
+      .impact-moderate { background: #fdf6d2; }
+      .impact-minor { background: #e7f0fd; }
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>Accessibility Report</h1>
+      <p>Generated ${escapeHtml(report.generatedAt)} from ${escapeHtml(report.tools.join(", ") || "no tool results")}.</p>
+      <p><strong>${summary.total}</strong> unique issues on <strong>${summary.pages}</strong> pages.</p>${
+        report.baseline
+          ? `
+      <p>${escapeHtml(describeBaseline(report.baseline))}</p>`
+          : ""
+      }
+
+      <table>
+        <caption>Issues by impact</caption>
+        <tbody>
+          ${summaryRows}
+        </tbody>
+      </table>
+
+      <table>
+        <caption>Issues</caption>
+        <thead>
+          <tr>
+            <th scope="col">Impact</th>
+            <th scope="col">Rule</th>
+            <th scope="col">WCAG</th>
+            <th scope="col">Page</th>
+            <th scope="col">Selector</th>
+            <th scope="col">Tools</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${issueRows}
+        </tbody>
+      </table>
+    </main>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Formats a count change as "+2", "-1" or "±0"
+ * @param {number} delta - Change in count
+ * @returns {string} Signed delta
+ */
+function formatDelta(delta) {
+  if (delta > 0) return `+${delta}`;
+  if (delta < 0) return String(delta);
+  return "±0";
+}
+
+/**
+ * Groups issues by rule, most severe and most frequent first
+ * @param {Object[]} issues - De-duplicated issues
+ * @returns {Object[]} Rules with their occurrences and example selectors
+ */
+function groupIssuesByRule(issues) {
+  const rules = new Map();
+
+  issues.forEach((issue) => {
+    const rule = rules.get(issue.ruleId) ?? {
+      ruleId: issue.ruleId,
+      impact: issue.impact,
+      wcag: issue.wcag,
+      helpUrl: issue.helpUrl,
+      selectors: [],
+      occurrences: 0,
+    };
+
+    rule.occurrences += 1;
+    if (issue.selector && !rule.selectors.includes(issue.selector)) {
+      rule.selectors.push(issue.selector);
+    }
+    rules.set(issue.ruleId, rule);
+  });
+
+  return [...rules.values()].sort(
+    (first, second) =>
+      IMPACT_LEVELS.indexOf(first.impact) - IMPACT_LEVELS.indexOf(second.impact) ||
+      second.occurrences - first.occurrences,
+  );
+}
+
+/**
+ * Renders the pull request comment: counts by severity, the top offending
+ * rules, Lighthouse scores and the change compared to the base branch
+ * @param {Object} report - Report from buildReport, optionally with a comparison
+ * @returns {string} Markdown comment body
+ */
+function renderComment(report) {
+  const { summary, comparison, lighthouseScores = [] } = report;
+  const lines = [
+    PR_COMMENT_MARKER,
+    "## 🔍 Accessibility Test Results",
+    "",
+  ];
+
+  if (summary.total === 0) {
+    lines.push(`✅ No accessibility issues found by ${report.tools.join(", ")}.`, "");
+  } else {
+    lines.push(
+      `Found **${summary.total}** unique issues on **${summary.pages}** pages with ${report.tools.join(", ")}.`,
+      "",
+    );
+  }
+
+  if (report.baseline) {
+    lines.push(
+      `${report.baseline.new > 0 ? "❌" : "✅"} ${describeBaseline(report.baseline)}`,
+      "",
+    );
+  }
+
+  if (comparison) {
+    lines.push(
+      `Compared to the base branch: **${comparison.newIssues.length}** new, **${comparison.fixedIssues.length}** fixed (${formatDelta(comparison.totalDelta)} overall).`,
+      "",
+      "| Severity | Issues | Change |",
+      "|----------|--------|--------|",
+      ...IMPACT_LEVELS.map(
+        (impact) =>
+          `| ${IMPACT_EMOJIS[impact]} ${impact} | ${summary.byImpact[impact]} | ${formatDelta(comparison.impactDelta[impact])} |`,
+      ),
+      "",
+    );
+  } else {
+    lines.push(
+      "| Severity | Issues |",
+      "|----------|--------|",
+      ...IMPACT_LEVELS.map(
+        (impact) => `| ${IMPACT_EMOJIS[impact]} ${impact} | ${summary.byImpact[impact]} |`,
+      ),
+      "",
+    );
+  }
+
+  const listedIssues = report.baseline
+    ? report.issues.filter((issue) => !issue.baselined)
+    : report.issues;
+  const topRules = groupIssuesByRule(listedIssues).slice(0, TOP_RULES_LIMIT);
+
+  if (topRules.length > 0) {
+    lines.push(
+      report.baseline ? "### Top new issues" : "### Top issues",
+      "",
+      "| Rule | Severity | WCAG | Occurrences | Example selectors |",
+      "|------|----------|------|-------------|-------------------|",
+      ...topRules.map((rule) => {
+        const criteria = describeCriteria(rule.wcag)
+          .map(({ label, url }) => (url ? `[${label}](${url})` : label))
+          .join(", ");
+        const ruleName = rule.helpUrl
+          ? `[${rule.ruleId}](${rule.helpUrl})`
+          : rule.ruleId;
+        const selectors = rule.selectors
+          .slice(0, EXAMPLE_SELECTORS_LIMIT)
+          .map((selector) => `\`${escapeMarkdownCell(selector)}\``)
+          .join("<br>");
+
+        return `| ${escapeMarkdownCell(ruleName)} | ${rule.impact} | ${escapeMarkdownCell(criteria) || "-"} | ${rule.occurrences} | ${selectors || "-"} |`;
+      }),
+      "",
+    );
+  }
+
+  if (lighthouseScores.length > 0) {
+    const categoryIds = Object.keys(lighthouseScores[0].categories);
+
+    lines.push(
+      "### Lighthouse scores",
+      "",
+      `| Page | ${categoryIds.join(" | ")} |`,
+      `|------|${categoryIds.map(() => "------").join("|")}|`,
+      ...lighthouseScores.map(
+        ({ page, categories }) =>
+          `| ${escapeMarkdownCell(page)} | ${categoryIds
+            .map((categoryId) => categories[categoryId] ?? "-")
+            .join(" | ")} |`,
+      ),
+      "",
+    );
+  }
+
+  lines.push(
+    "The full HTML report is in the **accessibility-report** artifact of this workflow run.",
+    "",
+    "---",
+    "<sub>🤖 This comment was automatically generated by the accessibility testing workflow</sub>",
+    "",
+  );
+
+  return lines.join("\n");
+}
+
+/**
+ * Renders a report in the given format
+ * @param {Object} report - Report from buildReport
+ * @param {string} format - Output format (from REPORT_FORMATS)
+ * @returns {Object} File name and rendered content
+ */
+export function renderReport(report, format) {
+  const renderers = {
+    [REPORT_FORMATS.HTML]: renderHtml,
+    [REPORT_FORMATS.MARKDOWN]: renderMarkdown,
+    [REPORT_FORMATS.COMMENT]: renderComment,
+    [REPORT_FORMATS.JSON]: (data) => `${JSON.stringify(data, null, 2)}\n`,
+  };
+
+  return {
+    fileName: REPORT_FILE_NAMES[format],
+    content: renderers[format](report),
+  };
+}
@@ -0,0 +1,409 @@
+import fs from "fs";
+import path from "path";
+import {
+  ACCESSIBILITY_TOOLS,
+  IMPACT_LEVELS,
+  TOOL_RESULT_PATHS,
+  EXIT_CODE_FILE_NAME,
+  DEFAULT_REPORT_FORMATS,
+} from "./constants.js";
+import { writeFile } from "./file-utils.js";
+import { criteriaFromAxeTags, criteriaFromHtmlcsCode } from "./wcag.js";
+import { renderReport } from "./report-renderers.js";
+
+const PA11Y_TYPE_IMPACTS = {
+  error: "serious",
+  warning: "moderate",
+  notice: "minor",
+};
+
+/**
+ * Normalizes a page URL so the same page from different tools matches
+ * @param {string} url - Page URL
+ * @returns {string} URL without hash and trailing slash
+ */
+function normalizePage(url = "") {
+  return url.replace(/#.*$/, "").replace(/\/+$/, "");
+}
+
+/**
+ * Reads a JSON file, returning null when it does not exist
+ * @param {string} filePath - Path to the JSON file
+ * @returns {*} Parsed content or null
+ */
+function readJsonIfExists(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+/**
+ * Parses results saved by the axe CLI (--save) or by the Playwright specs
+ * @param {Array|Object} axeResults - Parsed axe-results.json
+ * @param {string} tool - Tool the results came from
+ * @returns {Object[]} Normalized issues
+ */
+export function parseAxeResults(axeResults, tool = ACCESSIBILITY_TOOLS.AXE) {
+  const pages = Array.isArray(axeResults) ? axeResults : [axeResults];
+
+  return pages.flatMap((page) =>
+    (page.violations ?? []).flatMap((violation) =>
+      violation.nodes.map((node) => ({
+        ruleId: violation.id,
+        wcag: criteriaFromAxeTags(violation.tags),
+        impact: node.impact ?? violation.impact ?? "moderate",
+        selector: [].concat(node.target ?? []).flat().join(" "),
+        page: normalizePage(page.url),
+        tool,
+        message: violation.help,
+        helpUrl: violation.helpUrl,
+      })),
+    ),
+  );
+}
+
+/**
+ * Parses pa11y-ci JSON output (--json or the json reporter)
+ * @param {Object} pa11yResults - Parsed pa11y results
+ * @returns {Object[]} Normalized issues
+ */
+export function parsePa11yResults(pa11yResults) {
+  return Object.entries(pa11yResults.results ?? {}).flatMap(([url, issues]) =>
+    issues
+      .filter((issue) => issue.code)
+      .map((issue) => ({
+        ruleId: issue.code,
+        wcag:
+          issue.runner === "axe"
+            ? criteriaFromAxeTags(issue.runnerExtras?.tags)
+            : criteriaFromHtmlcsCode(issue.code),
+        impact:
+          issue.runnerExtras?.impact ??
+          PA11Y_TYPE_IMPACTS[issue.type] ??
+          "moderate",
+        selector: issue.selector ?? "",
+        page: normalizePage(url),
+        tool: ACCESSIBILITY_TOOLS.PA11Y,
+        message: issue.message,
+        helpUrl: issue.runnerExtras?.helpUrl ?? null,
+      })),
+  );
+}
+
+/**
+ * Parses a Lighthouse result (LHR) into failed accessibility audits
+ * @param {Object} lhr - Parsed Lighthouse result
+ * @returns {Object[]} Normalized issues
+ */
+export function parseLighthouseResult(lhr) {
+  const accessibilityAudits =
+    lhr.categories?.accessibility?.auditRefs.map((ref) => ref.id) ?? [];
+  const page = normalizePage(lhr.finalDisplayedUrl ?? lhr.finalUrl ?? lhr.requestedUrl);
+
+  return accessibilityAudits
+    .map((auditId) => lhr.audits[auditId])
+    .filter((audit) => audit && audit.score === 0)
+    .flatMap((audit) => {
+      const debugData = audit.details?.debugData ?? {};
+      const items = audit.details?.items?.length ? audit.details.items : [{}];
+
+      return items.map((item) => ({
+        ruleId: audit.id,
+        wcag: criteriaFromAxeTags(debugData.tags),
+        impact: debugData.impact ?? "moderate",
+        selector: item.node?.selector ?? "",
+        page,
+        tool: ACCESSIBILITY_TOOLS.LIGHTHOUSE,
+        message: audit.title,
+        helpUrl: null,
+      }));
+    });
+}
+
+/**
+ * Reads every Lighthouse result in a directory (lhr-*.json files)
+ * @param {string} directory - Directory with Lighthouse results
+ * @returns {Object[]} Parsed Lighthouse results
+ */
+function readLighthouseDirectory(directory) {
+  if (!directory || !fs.existsSync(directory)) return [];
+
+  return fs
+    .readdirSync(directory)
+    .filter((fileName) => /^lhr-.*\.json$/.test(fileName))
+    .map((fileName) => readJsonIfExists(path.join(directory, fileName)));
+}
+
+/**
+ * Reads the axe results the Playwright specs saved, one file per scan
+ * @param {string} directory - Directory with the saved results
+ * @returns {Object[]} Parsed axe results
+ */
+function readPlaywrightDirectory(directory) {
+  if (!directory || !fs.existsSync(directory)) return [];
+
+  return fs
+    .readdirSync(directory)
+    .filter((fileName) => fileName.endsWith(".json"))
+    .map((fileName) => readJsonIfExists(path.join(directory, fileName)));
+}
+
+/**
+ * Averages the Lighthouse category scores of every run per page
+ * @param {Object[]} lighthouseResults - Parsed Lighthouse results
+ * @returns {Object[]} Page and its category scores (0-100) keyed by category title
+ */
+function summarizeLighthouseScores(lighthouseResults) {
+  const runsByPage = new Map();
+
+  lighthouseResults.forEach((lhr) => {
+    const page = normalizePage(lhr.finalDisplayedUrl ?? lhr.finalUrl ?? lhr.requestedUrl);
+    runsByPage.set(page, [...(runsByPage.get(page) ?? []), lhr]);
+  });
+
+  return [...runsByPage.entries()].map(([page, runs]) => {
+    const categoryIds = Object.keys(runs[0].categories ?? {});
+
+    return {
+      page,
+      categories: Object.fromEntries(
+        categoryIds.map((categoryId) => {
+          const scores = runs
+            .map((lhr) => lhr.categories?.[categoryId]?.score)
+            .filter((score) => typeof score === "number");
+          const average = scores.length
+            ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100)
+            : null;
+          return [runs[0].categories[categoryId].title ?? categoryId, average];
+        }),
+      ),
+    };
+  });
+}
+
+/**
+ * Builds the key that identifies the same issue across tools and runs
+ * @param {Object} issue - Normalized issue
+ * @returns {string} Issue key
+ */
+export function getIssueKey(issue) {
+  const criterionKey = issue.wcag.length > 0 ? issue.wcag.join(",") : issue.ruleId;
+  return [issue.page, issue.selector, criterionKey].join("|");
+}
+
+/**
+ * Reduces a page URL to its path so issues match on any host or port
+ * @param {string} page - Page URL
+ * @returns {string} Path and query of the page
+ */
+export function getPagePath(page) {
+  try {
+    const url = new URL(page);
+    return `${url.pathname}${url.search}`.replace(/\/+$/, "") || "/";
+  } catch {
+    return page;
+  }
+}
+
+/**
+ * Builds the key that matches an issue across runs on different hosts or
+ * ports, e.g. a preview deployment and the base branch
+ * @param {Object} issue - Issue or baseline entry
+ * @returns {string} Issue key with the page path instead of its URL
+ */
+export function getPageIssueKey(issue) {
+  return getIssueKey({ ...issue, page: getPagePath(issue.page) });
+}
+
+/**
+ * Merges issues reported by several tools for the same element and criterion
+ * @param {Object[]} issues - Normalized issues
+ * @returns {Object[]} De-duplicated issues, each listing every tool that found it
+ */
+export function deduplicateIssues(issues) {
+  const merged = new Map();
+  const criteriaByRule = new Map(
+    issues
+      .filter((issue) => issue.wcag.length > 0)
+      .map((issue) => [issue.ruleId, issue.wcag]),
+  );
+
+  issues
+    .map((issue) =>
+      issue.wcag.length > 0
+        ? issue
+        : { ...issue, wcag: criteriaByRule.get(issue.ruleId) ?? [] },
+    )
+    .forEach((issue) => {
+      const key = getIssueKey(issue);
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, { ...issue, tools: [issue.tool] });
+        return;
+      }
+
+      if (!existing.tools.includes(issue.tool)) {
+        existing.tools.push(issue.tool);
+      }
+      if (IMPACT_LEVELS.indexOf(issue.impact) < IMPACT_LEVELS.indexOf(existing.impact)) {
+        existing.impact = issue.impact;
+      }
+      existing.helpUrl = existing.helpUrl ?? issue.helpUrl;
+    });
+
+  return [...merged.values()]
+    .map(({ tool, ...issue }) => issue)
+    .sort(
+      (first, second) =>
+        IMPACT_LEVELS.indexOf(first.impact) - IMPACT_LEVELS.indexOf(second.impact) ||
+        first.ruleId.localeCompare(second.ruleId),
+    );
+}
+
+/**
+ * Counts issues per impact level and per tool
+ * @param {Object[]} issues - De-duplicated issues
+ * @returns {Object} Summary counts
+ */
+function summarizeIssues(issues) {
+  const byImpact = Object.fromEntries(IMPACT_LEVELS.map((impact) => [impact, 0]));
+  const byTool = {};
+
+  issues.forEach((issue) => {
+    byImpact[issue.impact] = (byImpact[issue.impact] ?? 0) + 1;
+    issue.tools.forEach((tool) => {
+      byTool[tool] = (byTool[tool] ?? 0) + 1;
+    });
+  });
+
+  return {
+    total: issues.length,
+    pages: new Set(issues.map((issue) => issue.page)).size,
+    byImpact,
+    byTool,
+  };
+}
+
+/**
+ * Collects the results of every tool into one normalized report
+ * @param {Object} resultPaths - Paths to each tool's results (defaults to TOOL_RESULT_PATHS)
+ * @returns {Object} Report with summary and de-duplicated issues
+ */
+export function buildReport(resultPaths = {}) {
+  const paths = { ...TOOL_RESULT_PATHS, ...resultPaths };
+  const axeResults = readJsonIfExists(paths[ACCESSIBILITY_TOOLS.AXE]);
+  const pa11yResults = readJsonIfExists(paths[ACCESSIBILITY_TOOLS.PA11Y]);
+  const lighthouseResults = readLighthouseDirectory(
+    paths[ACCESSIBILITY_TOOLS.LIGHTHOUSE],
+  );
+  const playwrightResults = readPlaywrightDirectory(
+    paths[ACCESSIBILITY_TOOLS.PLAYWRIGHT],
+  );
+
+  const tools = [
+    axeResults && ACCESSIBILITY_TOOLS.AXE,
+    pa11yResults && ACCESSIBILITY_TOOLS.PA11Y,
+    fs.existsSync(paths[ACCESSIBILITY_TOOLS.LIGHTHOUSE]) &&
+      ACCESSIBILITY_TOOLS.LIGHTHOUSE,
+    playwrightResults.length > 0 && ACCESSIBILITY_TOOLS.PLAYWRIGHT,
+  ].filter(Boolean);
+
+  const issues = deduplicateIssues([
+    ...(axeResults ? parseAxeResults(axeResults) : []),
+    ...(pa11yResults ? parsePa11yResults(pa11yResults) : []),
+    ...lighthouseResults.flatMap(parseLighthouseResult),
+    ...playwrightResults.flatMap((result) =>
+      parseAxeResults(result, ACCESSIBILITY_TOOLS.PLAYWRIGHT),
+    ),
+  ]);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    tools,
+    summary: summarizeIssues(issues),
+    lighthouseScores: summarizeLighthouseScores(lighthouseResults),
+    issues,
+  };
+}
+
+/**
+ * Reads the exit codes CI tool jobs saved next to the results of the tools
+ * that failed
+ * @param {Object} resultPaths - Paths to each tool's results (defaults to TOOL_RESULT_PATHS)
+ * @returns {Object} Exit code per failed tool
+ */
+export function readToolExitCodes(resultPaths = {}) {
+  const paths = { ...TOOL_RESULT_PATHS, ...resultPaths };
+
+  return Object.fromEntries(
+    Object.values(ACCESSIBILITY_TOOLS)
+      .map((tool) => {
+        const resultDirectory = path.extname(paths[tool])
+          ? path.dirname(paths[tool])
+          : paths[tool];
+        const exitCodePath = path.join(resultDirectory, EXIT_CODE_FILE_NAME);
+
+        return fs.existsSync(exitCodePath)
+          ? [tool, Number(fs.readFileSync(exitCodePath, "utf-8").trim()) || 1]
+          : null;
+      })
+      .filter(Boolean),
+  );
+}
+
+/**
+ * Reads a report previously written in JSON format
+ * @param {string} filePath - Path to accessibility-report.json
+ * @returns {Object|null} The report, or null when the file does not exist
+ */
+export function readReport(filePath) {
+  return readJsonIfExists(filePath);
+}
+
+/**
+ * Compares a report with the report of the base branch. Issues are matched
+ * by page path, as the base branch may have been tested on another host
+ * @param {Object} report - Report for the current changes
+ * @param {Object} baseReport - Report for the base branch
+ * @returns {Object} New and fixed issues and the change in counts per impact
+ */
+export function compareReports(report, baseReport) {
+  const baseKeys = new Set(baseReport.issues.map(getPageIssueKey));
+  const currentKeys = new Set(report.issues.map(getPageIssueKey));
+
+  return {
+    newIssues: report.issues.filter(
+      (issue) => !baseKeys.has(getPageIssueKey(issue)),
+    ),
+    fixedIssues: baseReport.issues.filter(
+      (issue) => !currentKeys.has(getPageIssueKey(issue)),
+    ),
+    totalDelta: report.summary.total - baseReport.summary.total,
+    impactDelta: Object.fromEntries(
+      IMPACT_LEVELS.map((impact) => [
+        impact,
+        report.summary.byImpact[impact] - (baseReport.summary.byImpact[impact] ?? 0),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Renders a report in each requested format and writes it to disk
+ * @param {Object} report - Report from buildReport
+ * @param {string} outputDirectory - Directory to write the reports to
+ * @param {string[]} formats - Formats to render (from REPORT_FORMATS)
+ * @returns {string[]} Paths of the written reports
+ */
+export function writeReports(
+  report,
+  outputDirectory,
+  formats = DEFAULT_REPORT_FORMATS,
+) {
+  return formats.map((format) => {
+    const { fileName, content } = renderReport(report, format);
+    const filePath = path.join(outputDirectory, fileName);
+    writeFile(filePath, content);
+    return filePath;
+  });
+}
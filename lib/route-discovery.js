@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import { listFiles } from "./file-utils.js";
+
+const SOURCE_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx"];
+
+/**
+ * Normalizes a route so it starts with a slash and has no trailing slash
+ * @param {string} route - Route path
+ * @returns {string} Normalized route
+ */
+export function normalizeRoute(route) {
+  const trimmed = route.trim().replace(/^\/+|\/+$/g, "");
+  return `/${trimmed}`;
+}
+
+/**
+ * Checks whether a route can be scanned as-is (no params or wildcards)
+ * @param {string} route - Route path
+ * @returns {boolean} True if the route is static
+ */
+function isStaticRoute(route) {
+  return !route.includes(":") && !route.includes("*");
+}
+
+/**
+ * Finds static routes declared with react-router (<Route path> or route objects)
+ * @param {string} workingDirectory - The project directory
+ * @returns {string[]} Discovered routes
+ */
+function discoverRouterRoutes(workingDirectory) {
+  const routes = [];
+  const routePatterns = [
+    /<Route\b[^>]*?\spath=\{?["'`]([^"'`]+)["'`]/g,
+    /\bpath\s*:\s*["'`]([^"'`]+)["'`]/g,
+  ];
+
+  listFiles(path.join(workingDirectory, "src"), SOURCE_EXTENSIONS).forEach(
+    (filePath) => {
+      const content = fs.readFileSync(filePath, "utf-8");
+      if (!content.includes("react-router")) return;
+
+      routePatterns.forEach((pattern) => {
+        for (const match of content.matchAll(pattern)) {
+          routes.push(match[1]);
+        }
+      });
+    },
+  );
+
+  return routes;
+}
+
+/**
+ * Reads page paths from public/sitemap.xml
+ * @param {string} workingDirectory - The project directory
+ * @returns {string[]} Discovered routes
+ */
+function discoverSitemapRoutes(workingDirectory) {
+  const sitemapPath = path.join(workingDirectory, "public", "sitemap.xml");
+  if (!fs.existsSync(sitemapPath)) return [];
+
+  const content = fs.readFileSync(sitemapPath, "utf-8");
+
+  return [...content.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/g)].map(
+    ([, location]) => {
+      try {
+        return new URL(location).pathname;
+      } catch {
+        return location;
+      }
+    },
+  );
+}
+
+/**
+ * Lists HTML files in public/ as routes
+ * @param {string} workingDirectory - The project directory
+ * @returns {string[]} Discovered routes
+ */
+function discoverPublicHtmlRoutes(workingDirectory) {
+  const publicDirectory = path.join(workingDirectory, "public");
+
+  return listFiles(publicDirectory, [".html"]).map((filePath) => {
+    const relativePath = path
+      .relative(publicDirectory, filePath)
+      .split(path.sep)
+      .join("/");
+
+    return relativePath === "index.html" || relativePath.endsWith("/index.html")
+      ? relativePath.replace(/index\.html$/, "")
+      : relativePath;
+  });
+}
+
+/**
+ * Discovers the routes of the app from react-router definitions,
+ * public/sitemap.xml and HTML files in public/
+ * @param {string} workingDirectory - The project directory
+ * @returns {string[]} Unique static routes, starting with "/"
+ */
+export function discoverRoutes(workingDirectory = process.cwd()) {
+  const routes = [
+    "/",
+    ...discoverRouterRoutes(workingDirectory),
+    ...discoverSitemapRoutes(workingDirectory),
+    ...discoverPublicHtmlRoutes(workingDirectory),
+  ]
+    .filter(isStaticRoute)
+    .map(normalizeRoute);
+
+  return [...new Set(routes)];
+}
+
+/**
+ * Builds the full URLs to test from a base URL and a list of routes
+ * @param {string} baseUrl - Base URL without a trailing slash
+ * @param {string[]} routes - Routes starting with "/"
+ * @returns {string[]} Absolute URLs
+ */
+export function buildTestUrls(baseUrl, routes) {
+  return routes.map((route) => `${baseUrl}${route}`);
+}
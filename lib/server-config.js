@@ -0,0 +1,145 @@
+import fs from "fs";
+import path from "path";
+
+const VITE_CONFIG_FILES = [
+  "vite.config.js",
+  "vite.config.mjs",
+  "vite.config.cjs",
+  "vite.config.ts",
+  "vite.config.mts",
+];
+
+/**
+ * Reads the preview port from vite.config.* if one is set
+ * @param {string} workingDirectory - The project directory
+ * @returns {number|null} The configured port, or null if none is set
+ */
+function readVitePreviewPort(workingDirectory) {
+  for (const fileName of VITE_CONFIG_FILES) {
+    const configPath = path.join(workingDirectory, fileName);
+    if (!fs.existsSync(configPath)) continue;
+
+    const content = fs.readFileSync(configPath, "utf-8");
+    const match = content.match(/preview\s*:\s*{[^}]*?\bport\s*:\s*(\d+)/s);
+
+    return match ? Number(match[1]) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Reads the port passed to the serve script in package.json
+ * @param {Object} framework - The detected framework profile
+ * @param {Object} packageData - Parsed package.json content
+ * @returns {number|null} The port, or null if the script sets none
+ */
+function readScriptPort(framework, packageData) {
+  const script = packageData.scripts?.[framework.serveScript];
+  if (!script) return null;
+
+  const match = script.match(/(?:--port|-p|-l|--listen)[=\s]+(\d+)/);
+
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Detects the port the production build is served on, from the serve script
+ * in package.json, then vite.config.*, then the framework default
+ * @param {Object} framework - The detected framework profile
+ * @param {Object} packageData - Parsed package.json content
+ * @param {string} workingDirectory - The project directory
+ * @returns {number} The detected port
+ */
+export function detectServerPort(
+  framework,
+  packageData,
+  workingDirectory = process.cwd(),
+) {
+  return (
+    readScriptPort(framework, packageData) ??
+    (framework.serveCommand.startsWith("vite")
+      ? readVitePreviewPort(workingDirectory)
+      : null) ??
+    framework.defaultPort
+  );
+}
+
+/**
+ * Builds the base URL for a port on localhost
+ * @param {number} port - The port the app is served on
+ * @returns {string} Base URL without a trailing slash
+ */
+export function getLocalBaseUrl(port) {
+  return `http://localhost:${port}`;
+}
+
+/**
+ * Validates a base URL and removes any trailing slash
+ * @param {string} baseUrl - Base URL entered by the user
+ * @returns {string} Normalized base URL
+ */
+export function normalizeBaseUrl(baseUrl) {
+  let url;
+
+  try {
+    url = new URL(String(baseUrl).trim());
+  } catch {
+    throw new Error(
+      `Invalid base URL "${baseUrl}". Use a full URL such as http://localhost:4173.`,
+    );
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error(`Base URL must use http or https: ${baseUrl}`);
+  }
+
+  return `${url.origin}${url.pathname}`.replace(/\/+$/, "");
+}
+
+/**
+ * Checks whether a base URL points at a server started on this machine
+ * @param {string} baseUrl - Base URL to check
+ * @returns {boolean} True for localhost and loopback addresses
+ */
+export function isLocalBaseUrl(baseUrl) {
+  const { hostname } = new URL(baseUrl);
+  return ["localhost", "127.0.0.1", "[::1]", "0.0.0.0"].includes(hostname);
+}
+
+/**
+ * Reads the port from a base URL, falling back to the protocol default
+ * @param {string} baseUrl - Base URL
+ * @returns {number} The port
+ */
+export function getBaseUrlPort(baseUrl) {
+  const url = new URL(baseUrl);
+  return Number(url.port) || (url.protocol === "https:" ? 443 : 80);
+}
+
+/**
+ * Builds the package.json serve script for a port
+ * @param {Object} framework - The detected framework profile
+ * @param {number} port - The port to serve on
+ * @returns {string} The serve script
+ */
+export function buildServeScript(framework, port) {
+  if (port === framework.defaultPort || !framework.portFlag) {
+    return framework.serveCommand;
+  }
+  return `${framework.serveCommand} ${framework.portFlag} ${port}`;
+}
+
+/**
+ * Builds the command that runs the package.json serve script. The port is
+ * already part of the script for frameworks with a port flag; PORT is only
+ * set for servers that read it from the environment, such as remix-serve.
+ * @param {Object} framework - The detected framework profile
+ * @param {string} runCommand - Command prefix for running package scripts (e.g. "yarn")
+ * @param {number} port - The port to serve on
+ * @returns {string} The serve command
+ */
+export function buildServeCommand(framework, runCommand, port) {
+  const command = `${runCommand} ${framework.serveScript}`;
+  return framework.readsPortVariable ? `PORT=${port} ${command}` : command;
+}
@@ -4,14 +4,45 @@ import {
   SCRIPT_MAPPINGS,
   RESOURCE_LINKS,
   MESSAGE_TYPES,
+  LINT_PLUGIN_CONFIGS,
+  COMPONENT_LIBRARY_PROFILES,
+  PA11Y_CONFIG_FILE_NAME,
+  PLAYWRIGHT_TEST_DIRECTORY,
+  RUNNER_PACKAGE_NAME,
+  GENERATED_FILE_STATES,
+  WRITE_RESULTS,
+  CI_PROVIDERS,
+  CI_PROVIDER_PROFILES,
+  TEST_RUNNER_PROFILES,
+  STORYBOOK_OUTPUT_DIRECTORY,
+  STORYBOOK_PORT,
+  DEV_AUDIT_MODES,
+  ACCESSIBILITY_STANDARD_PROFILES,
+  DEFAULT_ACCESSIBILITY_STANDARD,
+  AUTH_METHODS,
+  AUTH_SCRIPT_PATH,
+  AUTH_SECRETS,
+  AUTH_DEPENDENCIES,
 } from "./constants.js";
+import { readPackageJson, writePackageJson } from "./file-utils.js";
 import {
-  copyTemplateFile,
-  readPackageJson,
-  writePackageJson,
-} from "./file-utils.js";
+  writeGeneratedFile,
+  applyGeneratedScripts,
+  logWriteResult,
+} from "./manifest.js";
+import { buildTestUrls } from "./route-discovery.js";
+import { writePlaywrightFiles } from "./playwright-scaffold.js";
+import { writeLighthouseConfig } from "./lighthouse-config.js";
+import { writePa11yConfig } from "./pa11y-config.js";
+import { buildLoginCommand, writeLoginScript } from "./auth-config.js";
+import {
+  isLocalBaseUrl,
+  getBaseUrlPort,
+  buildServeScript,
+} from "./server-config.js";
 import {
   installPackages,
+  runPackageBinary,
   getPackageManagerCommand,
 } from "./package-manager.js";
 import { logMessage } from "./logger.js";
@@ -19,9 +50,16 @@ import { logMessage } from "./logger.js";
 /**
  * Installs selected accessibility tools and sets up their configurations
  * @param {string[]} selectedTools - Array of selected accessibility tools
- * @param {string} packageManager - The package manager to use
+ * @param {Object} project - Project settings
+ * @param {string} project.packageManager - The package manager to use
+ * @param {Object} project.framework - The detected framework profile
+ * @param {string} project.baseUrl - Base URL the app is served on
+ * @param {string[]} project.routes - Routes to test
+ * @param {Object|null} project.auth - Login settings, if the pages are behind a login
  */
-export function installSelectedTools(selectedTools, packageManager) {
+export function installSelectedTools(selectedTools, project) {
+  const { packageManager, framework, auth } = project;
+
   if (selectedTools.length === 0) return;
 
   logMessage("Installing accessibility testing tools", MESSAGE_TYPES.SECTION);
@@ -30,58 +68,250 @@ export function installSelectedTools(selectedTools, packageManager) {
     MESSAGE_TYPES.INFO,
   );
 
-  const toolDependencies = selectedTools.map((tool) => TOOL_DEPENDENCIES[tool]);
-  installPackages(toolDependencies, true, packageManager);
+  const toolDependencies = selectedTools.flatMap(
+    (tool) => TOOL_DEPENDENCIES[tool],
+  );
+  installPackages(
+    [
+      ...toolDependencies,
+      ...framework.serveDependencies,
+      ...(auth ? AUTH_DEPENDENCIES : []),
+    ],
+    true,
+    packageManager,
+  );
+
+  if (selectedTools.includes(ACCESSIBILITY_TOOLS.PLAYWRIGHT)) {
+    runPackageBinary("playwright install chromium", "Browser installation");
+  }
+
+  writeToolConfigs(selectedTools, project);
+}
+
+/**
+ * Writes the config files of the selected tools
+ * @param {string[]} selectedTools - Array of selected accessibility tools
+ * @param {Object} project - Project settings
+ * @param {string} project.baseUrl - Base URL the app is served on
+ * @param {string[]} project.routes - Routes to test
+ * @param {string} project.standard - Conformance target the tools check
+ * @param {Object} project.lighthouseOptions - Lighthouse preset, thresholds, runs, device and upload target
+ * @param {Object} project.pa11yOptions - Pa11y runners, ignored rules, viewport, timing and page actions
+ * @param {Object|null} project.auth - Login settings, if the pages are behind a login
+ */
+export function writeToolConfigs(selectedTools, project) {
+  const urls = buildTestUrls(project.baseUrl, project.routes);
+
+  if (project.auth && selectedTools.length > 0) {
+    logMessage("Setting up the login script", MESSAGE_TYPES.SECTION);
+    logWriteResult(writeLoginScript(project.auth), {
+      written: `${AUTH_SCRIPT_PATH} created successfully!`,
+      unchanged: `${AUTH_SCRIPT_PATH} is unchanged`,
+    });
+  }
 
   if (selectedTools.includes(ACCESSIBILITY_TOOLS.LIGHTHOUSE)) {
     logMessage("Setting up Lighthouse configuration", MESSAGE_TYPES.SECTION);
-    copyTemplateFile("lighthouserc.json");
-    logMessage(
-      "Lighthouse config file created successfully!",
-      MESSAGE_TYPES.SUCCESS,
+
+    try {
+      const { configFile, merged, result } = writeLighthouseConfig(
+        urls,
+        project.lighthouseOptions,
+        project.standard,
+        project.auth,
+      );
+      logWriteResult(result, {
+        written: merged
+          ? `Merged the Lighthouse settings into ${configFile}`
+          : `${configFile} created successfully!`,
+        unchanged: `${configFile} is unchanged`,
+      });
+    } catch (error) {
+      logMessage(
+        `Warning: Could not update the Lighthouse config: ${error.message} Please set the URLs, assertions and upload target in it manually.`,
+        MESSAGE_TYPES.WARNING,
+      );
+    }
+  }
+
+  if (selectedTools.includes(ACCESSIBILITY_TOOLS.PA11Y)) {
+    logMessage("Setting up Pa11y CI configuration", MESSAGE_TYPES.SECTION);
+    const result = writePa11yConfig(
+      project.baseUrl,
+      project.routes,
+      project.pa11yOptions,
+      project.standard,
+      project.auth,
     );
+    logWriteResult(result, {
+      written: `${PA11Y_CONFIG_FILE_NAME} created successfully!`,
+      unchanged: `${PA11Y_CONFIG_FILE_NAME} is unchanged`,
+    });
+  }
+
+  if (selectedTools.includes(ACCESSIBILITY_TOOLS.PLAYWRIGHT)) {
+    logMessage("Setting up Playwright accessibility specs", MESSAGE_TYPES.SECTION);
+    logWriteResult(writePlaywrightFiles(project), {
+      written: `Example specs created in ${PLAYWRIGHT_TEST_DIRECTORY}/, one per page`,
+      unchanged: `The Playwright specs in ${PLAYWRIGHT_TEST_DIRECTORY}/ are unchanged`,
+    });
   }
 }
 
 /**
  * Updates package.json with accessibility testing scripts
  * @param {string[]} selectedTools - Array of selected accessibility tools
- * @param {string} packageManager - The package manager being used
- * @returns {string} The package manager command prefix
+ * @param {Object} project - Project settings (packageManager, framework, baseUrl, routes)
+ * @returns {string} One of WRITE_RESULTS, for the scripts
+ */
+export function updatePackageJsonWithScripts(selectedTools, project) {
+  const { packageManager } = project;
+
+  const result = writeAccessibilityScripts(selectedTools, project);
+
+  if (selectedTools.length > 0) {
+    installPackages([RUNNER_PACKAGE_NAME], true, packageManager);
+  }
+
+  return result;
+}
+
+/**
+ * Adds the build, serve and a11y scripts to package.json. Scripts the user
+ * changed are left to the manifest to resolve
+ * @param {string[]} selectedTools - Array of selected accessibility tools
+ * @param {Object} project - Project settings (framework, baseUrl, routes, standard, auth, storybook)
+ * @returns {string} One of WRITE_RESULTS, for all the scripts together
  */
-export function updatePackageJsonWithScripts(selectedTools, packageManager) {
+export function writeAccessibilityScripts(selectedTools, project) {
+  const { framework, baseUrl, routes, standard, auth, storybook } = project;
+
+  if (selectedTools.length === 0 && !storybook) return WRITE_RESULTS.UNCHANGED;
+
   const packageData = readPackageJson();
 
   if (!packageData.scripts) {
     packageData.scripts = {};
   }
 
+  const generatedScripts = {};
+
   if (selectedTools.length > 0) {
-    packageData.scripts["preview"] = "vite preview";
-  }
+    const urls = buildTestUrls(baseUrl, routes);
 
-  selectedTools.forEach((tool) => {
-    if (SCRIPT_MAPPINGS[tool]) {
-      packageData.scripts[`a11y:${tool}`] = SCRIPT_MAPPINGS[tool];
+    if (!packageData.scripts.build) {
+      generatedScripts.build = framework.buildCommand;
     }
-  });
+    generatedScripts[framework.serveScript] = isLocalBaseUrl(baseUrl)
+      ? buildServeScript(framework, getBaseUrlPort(baseUrl))
+      : framework.serveCommand;
 
-  const packageManagerCommand = getPackageManagerCommand(packageManager);
-  const commands = selectedTools.map(
-    (tool) => `${packageManagerCommand} a11y:${tool}`,
-  );
+    selectedTools.forEach((tool) => {
+      if (!SCRIPT_MAPPINGS[tool]) return;
+
+      const script = SCRIPT_MAPPINGS[tool](urls, standard, Boolean(auth));
+      // Lighthouse signs in through its puppeteerScript, the other tools
+      // need the login script to run first
+      generatedScripts[`a11y:${tool}`] =
+        auth && tool !== ACCESSIBILITY_TOOLS.LIGHTHOUSE
+          ? `${buildLoginCommand(baseUrl)} && ${script}`
+          : script;
+    });
+
+    generatedScripts["a11y:all"] = buildRunnerScript(selectedTools, project);
+  }
 
-  if (commands.length > 0) {
-    packageData.scripts["a11y:all"] = `concurrently "${commands.join('" "')}"`;
+  if (storybook) {
+    generatedScripts["a11y:storybook"] = buildStorybookScript();
   }
 
+  const result = applyGeneratedScripts(packageData.scripts, generatedScripts);
   writePackageJson(packageData);
+  return result;
+}
+
+/**
+ * Builds the a11y:storybook script: builds Storybook, serves the static
+ * build and runs the test-runner against it, stopping the server when the
+ * tests finish
+ * @returns {string} The Storybook script
+ */
+function buildStorybookScript() {
+  const storybookUrl = `http://127.0.0.1:${STORYBOOK_PORT}`;
+
+  return [
+    "concurrently -k -s first -n storybook,a11y",
+    `"storybook build --quiet --output-dir ${STORYBOOK_OUTPUT_DIRECTORY} && http-server ${STORYBOOK_OUTPUT_DIRECTORY} --port ${STORYBOOK_PORT} --silent"`,
+    `"wait-on tcp:127.0.0.1:${STORYBOOK_PORT} && test-storybook --url ${storybookUrl}"`,
+  ].join(" ");
+}
+
+/**
+ * Builds the a11y:all script that runs every tool through "ally-wizard run"
+ * @param {string[]} selectedTools - Array of selected accessibility tools
+ * @param {Object} project - Project settings (baseUrl, routes, standard)
+ * @returns {string} The runner script
+ */
+function buildRunnerScript(selectedTools, { baseUrl, routes, standard }) {
+  const runnerArguments = [
+    `--tools ${selectedTools.join(",")}`,
+    `--routes ${routes.join(",")}`,
+  ];
+
+  if (standard !== DEFAULT_ACCESSIBILITY_STANDARD) {
+    runnerArguments.push(`--standard ${standard}`);
+  }
+
+  if (!isLocalBaseUrl(baseUrl)) {
+    runnerArguments.push(`--base-url ${baseUrl}`);
+  }
+
+  return `ally-wizard run ${runnerArguments.join(" ")}`;
+}
 
-  if (commands.length > 0) {
-    installPackages(["concurrently"], true, packageManager);
+const FILE_STATE_LABELS = {
+  [GENERATED_FILE_STATES.MISSING]: "deleted",
+  [GENERATED_FILE_STATES.UNCHANGED]: "unchanged",
+  [GENERATED_FILE_STATES.MODIFIED]: "changed by you",
+  [GENERATED_FILE_STATES.UNTRACKED]: "not created by this version of the wizard",
+};
+
+/**
+ * Displays what a previous run already set up
+ * @param {Object|null} existingSetup - Result of detectExistingSetup
+ */
+export function displayExistingSetup(existingSetup) {
+  if (!existingSetup) return;
+
+  logMessage("Existing setup", MESSAGE_TYPES.SECTION);
+
+  if (existingSetup.answers) {
+    const {
+      tools = [],
+      ci,
+      ciProvider = CI_PROVIDERS.GITHUB,
+      lint,
+    } = existingSetup.answers;
+    logMessage(
+      `Set up with ally-wizard ${existingSetup.version}: ${tools.length > 0 ? tools.join(", ") : "no tools"}, CI ${ci ? `enabled (${CI_PROVIDER_PROFILES[ciProvider].name})` : "disabled"}, linting ${lint ? "enabled" : "disabled"}`,
+      MESSAGE_TYPES.INFO,
+    );
   }
 
-  return packageManagerCommand;
+  existingSetup.files.forEach(({ path, state }) => {
+    logMessage(`${path}: ${FILE_STATE_LABELS[state]}`, MESSAGE_TYPES.INFO);
+  });
+  existingSetup.scripts.forEach(({ name, state }) => {
+    logMessage(
+      `"${name}" script: ${FILE_STATE_LABELS[state]}`,
+      MESSAGE_TYPES.INFO,
+    );
+  });
+
+  logMessage(
+    'Files and scripts you changed are only overwritten after you confirm. Use "ally-wizard update" to upgrade them to the latest templates and keep your changes.',
+    MESSAGE_TYPES.INFO,
+  );
 }
 
 /**
@@ -89,21 +319,114 @@ export function updatePackageJsonWithScripts(selectedTools, packageManager) {
  * @param {string[]} selectedTools - Array of selected accessibility tools
  * @param {boolean} hasCI - Whether CI integration is enabled
  * @param {boolean} hasLinting - Whether accessibility linting is enabled
+ * @param {Object} project - Project settings
+ * @param {Object} project.framework - The detected framework profile
+ * @param {string} project.baseUrl - Base URL that will be tested
+ * @param {string[]} project.routes - Routes that will be tested
+ * @param {string} project.standard - Conformance target the tools check
+ * @param {Object} project.lighthouseOptions - Lighthouse preset, runs, device and upload target, if asked
+ * @param {Object} project.pa11yOptions - Pa11y runners, viewport and page actions, if asked
+ * @param {Object|null} project.auth - Login settings, if the pages are behind a login
+ * @param {Object} project.lintOptions - jsx-a11y level and component library, if asked
+ * @param {string} project.ciProvider - CI provider the config is generated for
+ * @param {string|null} project.testRunner - Unit test runner of the project, if any
+ * @param {boolean} project.componentTests - Whether axe checks are added to component tests
+ * @param {boolean} project.hasStorybook - Whether the project has a Storybook setup
+ * @param {boolean} project.storybook - Whether stories are checked with axe
+ * @param {boolean} project.devAudit - Whether violations are logged to the browser console in development
+ * @param {string} project.devAuditMode - How the development audit is loaded
  */
-export function displayConfigurationSummary(selectedTools, hasCI, hasLinting) {
+export function displayConfigurationSummary(
+  selectedTools,
+  hasCI,
+  hasLinting,
+  {
+    framework,
+    baseUrl,
+    routes = [],
+    standard,
+    lighthouseOptions,
+    pa11yOptions,
+    auth,
+    lintOptions,
+    ciProvider = CI_PROVIDERS.GITHUB,
+    testRunner,
+    componentTests,
+    hasStorybook,
+    storybook,
+    devAudit,
+    devAuditMode,
+  } = {},
+) {
   logMessage("Configuration Summary", MESSAGE_TYPES.SECTION);
   logMessage(
     `Selected tools: ${selectedTools.length > 0 ? selectedTools.join(", ") : "none"}`,
     MESSAGE_TYPES.INFO,
   );
+  if (routes.length > 0) {
+    logMessage(`Base URL: ${baseUrl}`, MESSAGE_TYPES.INFO);
+    logMessage(`Pages to test: ${routes.join(", ")}`, MESSAGE_TYPES.INFO);
+  }
+  if (standard && (selectedTools.length > 0 || hasLinting)) {
+    logMessage(
+      `Standard: ${ACCESSIBILITY_STANDARD_PROFILES[standard].name}`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
+  if (lighthouseOptions) {
+    const { preset, runs, device, upload } = lighthouseOptions;
+    logMessage(
+      `Lighthouse: ${preset} preset, ${runs} run(s) per page on ${device}, reports to ${upload}`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
+  if (pa11yOptions) {
+    const { runners, viewport, actions } = pa11yOptions;
+    logMessage(
+      `Pa11y: ${runners.join(" and ")} runners at ${viewport.width}x${viewport.height}, actions on ${Object.keys(actions).length} page(s)`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
+  if (auth && selectedTools.length > 0) {
+    logMessage(
+      `Login: ${auth.method === AUTH_METHODS.FORM ? `form at ${auth.loginUrl}` : `saved session from ${auth.storageState}`}`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
   logMessage(
-    `CI integration: ${hasCI ? "enabled" : "disabled"}`,
+    `CI integration: ${hasCI ? `enabled (${CI_PROVIDER_PROFILES[ciProvider].name})` : "disabled"}`,
     MESSAGE_TYPES.INFO,
   );
   logMessage(
     `Accessibility linting: ${hasLinting ? "enabled" : "disabled"}`,
     MESSAGE_TYPES.INFO,
   );
+  if (hasLinting && lintOptions) {
+    const libraryName =
+      COMPONENT_LIBRARY_PROFILES[lintOptions.componentLibrary]?.name;
+    logMessage(
+      `Lint rules: ${lintOptions.level}${libraryName ? `, ${libraryName} components mapped` : ""}`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
+  if (testRunner) {
+    logMessage(
+      `Component test checks: ${componentTests ? `enabled (${TEST_RUNNER_PROFILES[testRunner].packageName})` : "disabled"}`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
+  if (hasStorybook) {
+    logMessage(
+      `Storybook checks: ${storybook ? "enabled" : "disabled"}`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
+  if (framework?.devAudit) {
+    logMessage(
+      `Development audit: ${devAudit ? `enabled (${devAuditMode === DEV_AUDIT_MODES.VITE_PLUGIN ? "Vite plugin" : "app entry"})` : "disabled"}`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
 }
 
 /**
@@ -112,21 +435,74 @@ export function displayConfigurationSummary(selectedTools, hasCI, hasLinting) {
  * @param {string} packageManagerCommand - The package manager command prefix
  * @param {boolean} hasCI - Whether CI integration is enabled
  * @param {boolean} hasLinting - Whether accessibility linting is enabled
+ * @param {Object} framework - The detected framework profile
+ * @param {boolean} hasComponentTests - Whether axe checks were added to component tests
+ * @param {boolean} hasStorybookTests - Whether stories are checked with axe
+ * @param {boolean} hasDevAudit - Whether violations are logged to the browser console in development
+ * @param {Object|null} auth - Login settings, if the pages are behind a login
+ * @param {string} ciProvider - CI provider the config was generated for
  */
 export function displayNextSteps(
   selectedTools,
   packageManagerCommand,
   hasCI,
   hasLinting,
+  framework,
+  hasComponentTests,
+  hasStorybookTests,
+  hasDevAudit,
+  auth,
+  ciProvider = CI_PROVIDERS.GITHUB,
 ) {
   logMessage("Setup completed successfully!", MESSAGE_TYPES.HEADER);
 
   if (selectedTools.length > 0) {
-    displayTestingInstructions(selectedTools, packageManagerCommand);
+    displayTestingInstructions(selectedTools, packageManagerCommand, framework);
+  }
+
+  if (auth && selectedTools.length > 0) {
+    displayLoginInstructions(auth, hasCI, ciProvider);
   }
 
   if (hasLinting) {
-    displayLintingInstructions(packageManagerCommand);
+    displayLintingInstructions(packageManagerCommand, framework);
+  }
+
+  if (hasComponentTests) {
+    logMessage("Component Tests Setup Complete:", MESSAGE_TYPES.SECTION);
+    logMessage(
+      "Use axe(container) and toHaveNoViolations() in your component tests, as in the sample *.a11y.test file.",
+      MESSAGE_TYPES.INFO,
+    );
+    logMessage(
+      `Run them with your tests: ${packageManagerCommand} test`,
+      MESSAGE_TYPES.COMMAND,
+    );
+  }
+
+  if (hasStorybookTests) {
+    logMessage("Storybook Setup Complete:", MESSAGE_TYPES.SECTION);
+    logMessage(
+      "The Accessibility panel shows axe results for the open story. Build Storybook and check every story:",
+      MESSAGE_TYPES.INFO,
+    );
+    logMessage(
+      `   • ${packageManagerCommand} a11y:storybook`,
+      MESSAGE_TYPES.COMMAND,
+    );
+    logMessage(
+      "Or run npx test-storybook while Storybook is running.",
+      MESSAGE_TYPES.INFO,
+    );
+    logMessage(RESOURCE_LINKS.STORYBOOK, MESSAGE_TYPES.INFO);
+  }
+
+  if (hasDevAudit) {
+    logMessage("Development Audit Setup Complete:", MESSAGE_TYPES.SECTION);
+    logMessage(
+      "Start your dev server and open the browser console; violations are logged as the page changes. Production builds leave the audit out.",
+      MESSAGE_TYPES.INFO,
+    );
   }
 
   if (selectedTools.length > 0) {
@@ -138,11 +514,24 @@ export function displayNextSteps(
  * Displays instructions for running accessibility tests
  * @param {string[]} selectedTools - Array of selected accessibility tools
  * @param {string} packageManagerCommand - The package manager command prefix
+ * @param {Object} framework - The detected framework profile
  */
-function displayTestingInstructions(selectedTools, packageManagerCommand) {
+function displayTestingInstructions(
+  selectedTools,
+  packageManagerCommand,
+  framework,
+) {
   logMessage("Next steps:", MESSAGE_TYPES.SECTION);
-  logMessage("1. Start your development server", MESSAGE_TYPES.INFO);
-  logMessage("2. Run your accessibility tests:", MESSAGE_TYPES.INFO);
+  logMessage(
+    "Build, serve and test your app in one go (the server is stopped afterwards):",
+    MESSAGE_TYPES.INFO,
+  );
+  logMessage(`   • ${packageManagerCommand} a11y:all`, MESSAGE_TYPES.COMMAND);
+
+  logMessage(
+    `Or serve it yourself (${packageManagerCommand} build && ${packageManagerCommand} ${framework.serveScript}) and run a single tool:`,
+    MESSAGE_TYPES.INFO,
+  );
 
   selectedTools.forEach((tool) => {
     logMessage(
@@ -150,11 +539,30 @@ function displayTestingInstructions(selectedTools, packageManagerCommand) {
       MESSAGE_TYPES.COMMAND,
     );
   });
+}
 
-  if (selectedTools.length > 1) {
+/**
+ * Displays where the login script reads its credentials or session from
+ * @param {Object} auth - Login settings
+ * @param {boolean} hasCI - Whether CI integration is enabled
+ * @param {string} ciProvider - CI provider the config was generated for
+ */
+function displayLoginInstructions(auth, hasCI, ciProvider) {
+  const variables = AUTH_SECRETS[auth.method].join(" and ");
+
+  logMessage("Logging in:", MESSAGE_TYPES.SECTION);
+  logMessage(
+    auth.method === AUTH_METHODS.FORM
+      ? `The tools log in with the credentials in ${variables}. Set them before running the scripts.`
+      : `The tools restore the session saved in ${auth.storageState}, or in ${variables} when it is set. Keep the file out of git; sessions expire, so save it again when the pages show the login.`,
+    MESSAGE_TYPES.INFO,
+  );
+
+  if (hasCI) {
+    const { name, secrets, secretsDocs } = CI_PROVIDER_PROFILES[ciProvider];
     logMessage(
-      `   • ${packageManagerCommand} a11y:all (runs all tests)`,
-      MESSAGE_TYPES.COMMAND,
+      `Add ${variables} to the ${secrets} of ${name}: ${secretsDocs}`,
+      MESSAGE_TYPES.INFO,
     );
   }
 }
@@ -162,11 +570,12 @@ function displayTestingInstructions(selectedTools, packageManagerCommand) {
 /**
  * Displays linting setup instructions
  * @param {string} packageManagerCommand - The package manager command prefix
+ * @param {Object} framework - The detected framework profile
  */
-function displayLintingInstructions(packageManagerCommand) {
+function displayLintingInstructions(packageManagerCommand, framework) {
   logMessage("Linting Setup Complete:", MESSAGE_TYPES.SECTION);
   logMessage(
-    "Your editor will now show accessibility warnings in JSX files.",
+    `Your editor will now show accessibility warnings from ${LINT_PLUGIN_CONFIGS[framework.lintPlugin].packageName}.`,
     MESSAGE_TYPES.INFO,
   );
   logMessage(
@@ -0,0 +1,213 @@
+import path from "path";
+import { fileExists, readFile, readPackageJson } from "./file-utils.js";
+import { writeGeneratedFile, writeTrackedFile } from "./manifest.js";
+import {
+  installPackages,
+  findDeclaredPackages,
+  runPackageBinary,
+} from "./package-manager.js";
+import { findConfigFile } from "./framework-detector.js";
+import { logMessage } from "./logger.js";
+import {
+  MESSAGE_TYPES,
+  STORYBOOK_CONFIG_DIRECTORY,
+  STORYBOOK_A11Y_ADDON,
+  STORYBOOK_TEST_DEPENDENCIES,
+} from "./constants.js";
+import {
+  parseModule,
+  findExportedValue,
+  resolveConfigObject,
+  findProperty,
+  matchQuoteStyle,
+  buildAppendEdit,
+  applyEdits,
+} from "./ast-utils.js";
+
+/**
+ * Adds accessibility checks to Storybook: installs and registers the a11y
+ * addon for the addon panel, and sets up the test-runner to check every
+ * story with axe
+ * @param {string} packageManager - The package manager to use for installation
+ */
+export function setupStorybookTests(packageManager) {
+  logMessage("Setting up Storybook accessibility checks", MESSAGE_TYPES.SECTION);
+
+  const packages = [STORYBOOK_A11Y_ADDON, ...STORYBOOK_TEST_DEPENDENCIES];
+  const declaredPackages = findDeclaredPackages(packages);
+  installPackages(
+    packages
+      .filter((packageName) => !declaredPackages.includes(packageName))
+      .map((packageName) =>
+        packageName === STORYBOOK_A11Y_ADDON ? getAddonSpecifier() : packageName,
+      ),
+    true,
+    packageManager,
+  );
+  runPackageBinary("playwright install chromium", "Browser installation");
+
+  try {
+    const configFile = registerAddon();
+    logMessage(
+      configFile
+        ? `Registered ${STORYBOOK_A11Y_ADDON} in ${configFile}`
+        : `${STORYBOOK_A11Y_ADDON} is already registered`,
+      MESSAGE_TYPES.SUCCESS,
+    );
+  } catch (error) {
+    logMessage(
+      `Warning: Could not register the addon: ${error.message} Please add "${STORYBOOK_A11Y_ADDON}" to the addons in your Storybook config manually.`,
+      MESSAGE_TYPES.WARNING,
+    );
+  }
+
+  const testRunnerFile = writeStorybookTestRunner();
+  logMessage(
+    `Created ${testRunnerFile} to check every story with axe`,
+    MESSAGE_TYPES.SUCCESS,
+  );
+}
+
+/**
+ * Builds the install specifier of the a11y addon, matching the version of
+ * Storybook because its addons are released together with it
+ * @returns {string} Package specifier
+ */
+function getAddonSpecifier() {
+  const { dependencies = {}, devDependencies = {} } = readPackageJson();
+  const storybookVersion = devDependencies.storybook ?? dependencies.storybook;
+
+  return storybookVersion && /^[\^~]?\d/.test(storybookVersion)
+    ? `${STORYBOOK_A11Y_ADDON}@${storybookVersion}`
+    : STORYBOOK_A11Y_ADDON;
+}
+
+/**
+ * Returns the package name of an entry of the addons list: a string, an
+ * object with a name, or a wrapper call like getAbsolutePath("...")
+ * @param {Object|null} element - Element of the addons array
+ * @returns {string|null} Addon package name, or null when it is not a literal
+ */
+function getAddonName(element) {
+  switch (element?.type) {
+    case "StringLiteral":
+      return element.value;
+    case "ObjectExpression":
+      return getAddonName(findProperty(element, "name")?.value);
+    case "CallExpression":
+      return getAddonName(element.arguments[0]);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Adds the a11y addon to the addons of .storybook/main.*
+ * @returns {string|null} The edited config file, or null when the addon was already registered
+ */
+function registerAddon() {
+  const configDirectory = path.join(process.cwd(), STORYBOOK_CONFIG_DIRECTORY);
+  const configFile = findConfigFile("main", configDirectory);
+
+  if (!configFile) {
+    throw new Error(`no main config found in ${STORYBOOK_CONFIG_DIRECTORY}/.`);
+  }
+
+  const configPath = path.join(configDirectory, configFile);
+  const displayPath = `${STORYBOOK_CONFIG_DIRECTORY}/${configFile}`;
+  const source = readFile(configPath);
+  const ast = parseModule(source, configFile);
+  const config = resolveConfigObject(findExportedValue(ast), ast);
+
+  if (!config) {
+    throw new Error(`the config exported by ${displayPath} is not an object.`);
+  }
+
+  const addons = findProperty(config, "addons")?.value;
+
+  if (addons && addons.type !== "ArrayExpression") {
+    throw new Error(`the "addons" option in ${displayPath} is not a list.`);
+  }
+
+  if (
+    addons?.elements.some(
+      (element) => getAddonName(element) === STORYBOOK_A11Y_ADDON,
+    )
+  ) {
+    return null;
+  }
+
+  // Monorepo and pnpm setups wrap every addon in getAbsolutePath(...)
+  const wrappedAddon = addons?.elements.find(
+    (element) => element?.type === "CallExpression",
+  );
+  const addonCode = matchQuoteStyle(
+    wrappedAddon
+      ? `${source.slice(wrappedAddon.callee.start, wrappedAddon.callee.end)}("${STORYBOOK_A11Y_ADDON}")`
+      : `"${STORYBOOK_A11Y_ADDON}"`,
+    source,
+  );
+
+  writeTrackedFile(
+    configPath,
+    applyEdits(source, [
+      addons
+        ? buildAppendEdit(source, addons, addonCode)
+        : buildAppendEdit(source, config, `addons: [${addonCode}]`),
+    ]),
+  );
+
+  return displayPath;
+}
+
+/**
+ * Writes the test-runner config that runs axe against every story after it
+ * renders. Stories configure or turn off the check with the same a11y
+ * parameters the addon panel uses
+ * @returns {string} Path of the test-runner config, relative to the project
+ */
+export function writeStorybookTestRunner() {
+  const typescript = fileExists(path.join(process.cwd(), "tsconfig.json"));
+  const testRunnerPath = `${STORYBOOK_CONFIG_DIRECTORY}/test-runner.${typescript ? "ts" : "js"}`;
+  const configType = typescript
+    ? `import type { TestRunnerConfig } from "@storybook/test-runner";
+`
+    : "";
+  const configDeclaration = typescript
+    ? "const config: TestRunnerConfig = {"
+    : `/** @type {import("@storybook/test-runner").TestRunnerConfig} */
+const config = {`;
+
+  writeGeneratedFile(
+    path.join(process.cwd(), testRunnerPath),
+    `${configType}import { getStoryContext } from "@storybook/test-runner";
+import { injectAxe, configureAxe, checkA11y } from "axe-playwright";
+
+${configDeclaration}
+  async preVisit(page) {
+    await injectAxe(page);
+  },
+  async postVisit(page, context) {
+    const { parameters } = await getStoryContext(page, context);
+    const a11y = parameters?.a11y ?? {};
+
+    if (a11y.disable || a11y.test === "off") return;
+
+    if (a11y.config) {
+      await configureAxe(page, a11y.config);
+    }
+
+    await checkA11y(page, "#storybook-root", {
+      axeOptions: a11y.options,
+      detailedReport: true,
+      detailedReportOptions: { html: true },
+    });
+  },
+};
+
+export default config;
+`,
+  );
+
+  return testRunnerPath;
+}
@@ -0,0 +1,490 @@
+import http from "http";
+import https from "https";
+import net from "net";
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import {
+  ACCESSIBILITY_TOOLS,
+  TOOL_DEPENDENCIES,
+  RUNNER_COMMANDS,
+  MESSAGE_TYPES,
+  COLORS,
+  TOOL_RESULT_PATHS,
+  AUTH_SCRIPT_PATH,
+  REPORT_OUTPUT_DIRECTORY,
+  DEFAULT_ACCESSIBILITY_STANDARD,
+} from "./constants.js";
+import { readPackageJson, ensureDirectoryExists } from "./file-utils.js";
+import { buildReport, writeReports } from "./report.js";
+import { readBaseline, applyBaseline } from "./baseline.js";
+import { logMessage } from "./logger.js";
+import { detectFramework } from "./framework-detector.js";
+import {
+  detectPackageManager,
+  getPackageManagerCommand,
+} from "./package-manager.js";
+import {
+  detectServerPort,
+  getLocalBaseUrl,
+  isLocalBaseUrl,
+  getBaseUrlPort,
+  normalizeBaseUrl,
+  buildServeScript,
+} from "./server-config.js";
+import { buildTestUrls } from "./route-discovery.js";
+import { findWorkspace } from "./workspace.js";
+import { writeRuntimePa11yConfig } from "./pa11y-config.js";
+import { buildLoginCommand } from "./auth-config.js";
+
+const SERVER_READY_TIMEOUT = 60000;
+const PORT_SEARCH_RANGE = 20;
+
+/**
+ * Builds the environment for child processes with local binaries on PATH.
+ * In a workspace package the binaries hoisted to the workspace root are
+ * added after the package's own
+ * @param {Object} variables - Additional environment variables
+ * @returns {Object} Environment variables
+ */
+function buildChildEnvironment(variables = {}) {
+  const binDirectories = [process.cwd(), findWorkspace()?.root]
+    .filter(Boolean)
+    .map((directory) => path.join(directory, "node_modules", ".bin"));
+
+  return {
+    ...process.env,
+    ...variables,
+    PATH: [...new Set(binDirectories), process.env.PATH].join(path.delimiter),
+  };
+}
+
+/**
+ * Runs a shell command, prefixing its output with a label
+ * @param {string} command - The command to run
+ * @param {string} label - Label shown before each output line
+ * @param {Object} variables - Additional environment variables for the command
+ * @returns {Promise<number>} The exit code
+ */
+function runLabelledCommand(command, label, variables) {
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      shell: true,
+      env: buildChildEnvironment(variables),
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    const printLines = (chunk) => {
+      chunk
+        .toString()
+        .split("\n")
+        .filter((line) => line.trim().length > 0)
+        .forEach((line) => {
+          console.log(`${COLORS.GRAY}[${label}]${COLORS.RESET} ${line}`);
+        });
+    };
+
+    child.stdout.on("data", printLines);
+    child.stderr.on("data", printLines);
+    child.on("error", () => resolve(1));
+    child.on("close", (code) => resolve(code ?? 1));
+  });
+}
+
+/**
+ * Checks whether a port is free on localhost
+ * @param {number} port - Port to check
+ * @returns {Promise<boolean>} True if nothing is listening on the port
+ */
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once("error", () => resolve(false));
+    server.once("listening", () => server.close(() => resolve(true)));
+    server.listen(port, "localhost");
+  });
+}
+
+/**
+ * Finds a free port, starting with the preferred one
+ * @param {number} preferredPort - Port to try first
+ * @returns {Promise<number>} A free port
+ */
+export async function findFreePort(preferredPort) {
+  for (let port = preferredPort; port < preferredPort + PORT_SEARCH_RANGE; port++) {
+    if (await isPortFree(port)) {
+      return port;
+    }
+  }
+
+  throw new Error(
+    `No free port found between ${preferredPort} and ${preferredPort + PORT_SEARCH_RANGE - 1}.`,
+  );
+}
+
+/**
+ * Sends a single request to check whether a server responds
+ * @param {string} url - URL to request
+ * @returns {Promise<boolean>} True if the server answered without a 5xx error
+ */
+function isServerResponding(url) {
+  const client = url.startsWith("https:") ? https : http;
+
+  return new Promise((resolve) => {
+    const request = client.get(url, (response) => {
+      response.resume();
+      resolve(response.statusCode < 500);
+    });
+    request.on("error", () => resolve(false));
+    request.setTimeout(2000, () => {
+      request.destroy();
+      resolve(false);
+    });
+  });
+}
+
+/**
+ * Waits until a server responds or the timeout is reached
+ * @param {string} url - URL to poll
+ * @param {Object} server - The spawned server process
+ * @returns {Promise<void>}
+ */
+async function waitForServer(url, server) {
+  const deadline = Date.now() + SERVER_READY_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) {
+      throw new Error(
+        `Preview server exited with code ${server.exitCode} before it was ready.`,
+      );
+    }
+    if (await isServerResponding(url)) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+
+  throw new Error(
+    `Preview server did not respond at ${url} within ${SERVER_READY_TIMEOUT / 1000} seconds.`,
+  );
+}
+
+/**
+ * Starts the preview server in the background
+ * @param {string} command - The serve command
+ * @param {number} port - The port the server should listen on
+ * @returns {Object} The spawned server process
+ */
+function startServer(command, port) {
+  const server = spawn(command, {
+    shell: true,
+    env: { ...buildChildEnvironment(), PORT: String(port) },
+    stdio: "ignore",
+    detached: process.platform !== "win32",
+  });
+  server.on("error", () => {});
+  return server;
+}
+
+/**
+ * Stops the preview server and every process it started
+ * @param {Object} server - The spawned server process
+ */
+function stopServer(server) {
+  if (!server || server.exitCode !== null) return;
+
+  try {
+    if (process.platform === "win32") {
+      server.kill();
+    } else {
+      process.kill(-server.pid, "SIGTERM");
+    }
+  } catch {
+    // The server already exited
+  }
+}
+
+/**
+ * Replaces the port of a base URL
+ * @param {string} baseUrl - Base URL
+ * @param {number} port - New port
+ * @returns {string} Base URL using the new port
+ */
+function withPort(baseUrl, port) {
+  const url = new URL(baseUrl);
+  url.port = String(port);
+  return normalizeBaseUrl(url.href);
+}
+
+/**
+ * Works out which tools to run: explicit selection, or every tool installed in the project
+ * @param {string[]|undefined} presetTools - Tools from flags or the config file
+ * @param {Object} packageData - Parsed package.json content
+ * @returns {string[]} Tools to run
+ */
+function resolveTools(presetTools, packageData) {
+  if (presetTools) return presetTools;
+
+  const dependencies = {
+    ...packageData.dependencies,
+    ...packageData.devDependencies,
+  };
+
+  return Object.values(ACCESSIBILITY_TOOLS).filter((tool) =>
+    TOOL_DEPENDENCIES[tool].every((packageName) => dependencies[packageName]),
+  );
+}
+
+/**
+ * Runs the selected tools one after another or all at once
+ * @param {string[]} tools - Tools to run
+ * @param {string} baseUrl - Base URL the app is served on
+ * @param {string[]} urls - URLs to test
+ * @param {string} standard - Conformance target to test against
+ * @param {boolean} authenticated - Whether the login script signed in first.
+ * axe then uses the Chrome and ChromeDriver in CHROME_PATH and
+ * CHROMEDRIVER_PATH when they are set, e.g. the Chrome the login used
+ * @param {boolean} parallel - Whether to run tools in parallel
+ * @returns {Promise<Object>} Exit code per tool
+ */
+async function runTools(
+  tools,
+  baseUrl,
+  urls,
+  standard,
+  authenticated,
+  parallel,
+) {
+  const runTool = async (tool) => {
+    const resultPath = TOOL_RESULT_PATHS[tool];
+    if (path.extname(resultPath)) {
+      ensureDirectoryExists(path.dirname(resultPath));
+      fs.rmSync(resultPath, { force: true });
+    } else if (tool !== ACCESSIBILITY_TOOLS.LIGHTHOUSE) {
+      // lhci clears .lighthouseci itself; other result directories would
+      // keep the results of tests that no longer exist
+      fs.rmSync(resultPath, { recursive: true, force: true });
+    }
+
+    logMessage(`Running ${tool}`, MESSAGE_TYPES.SECTION);
+    return [
+      tool,
+      await runLabelledCommand(
+        RUNNER_COMMANDS[tool](urls, standard, authenticated, {
+          chromePath: process.env.CHROME_PATH,
+          chromedriverPath: process.env.CHROMEDRIVER_PATH,
+        }),
+        tool,
+        { A11Y_BASE_URL: baseUrl },
+      ),
+    ];
+  };
+
+  if (parallel) {
+    return Object.fromEntries(await Promise.all(tools.map(runTool)));
+  }
+
+  const results = {};
+  for (const tool of tools) {
+    const [, exitCode] = await runTool(tool);
+    results[tool] = exitCode;
+  }
+  return results;
+}
+
+/**
+ * Writes the combined report for the tools that were run
+ * @param {string[]} tools - Tools that were run
+ * @param {Object|null} baseline - Known issues from the baseline file
+ * @returns {Object} The report
+ */
+function writeRunReport(tools, baseline) {
+  const resultPaths = Object.fromEntries(
+    Object.values(ACCESSIBILITY_TOOLS).map((tool) => [
+      tool,
+      tools.includes(tool) ? TOOL_RESULT_PATHS[tool] : null,
+    ]),
+  );
+  let report = buildReport(resultPaths);
+
+  if (report.tools.length === 0) return report;
+
+  if (baseline) {
+    report = applyBaseline(report, baseline);
+  }
+
+  const [htmlReportPath] = writeReports(report, REPORT_OUTPUT_DIRECTORY);
+  logMessage(
+    `${report.summary.total} unique issues - full report: ${htmlReportPath}`,
+    MESSAGE_TYPES.INFO,
+  );
+  return report;
+}
+
+/**
+ * Works out the exit code. Without a baseline any failing tool fails the run;
+ * with one, only tools that produced no results, failed Lighthouse score
+ * assertions (the baseline holds issues, not scores) or issues missing from
+ * the baseline do
+ * @param {Object} results - Exit code per tool
+ * @param {Object} report - Report from writeRunReport or buildReport
+ * @returns {number} Process exit code
+ */
+export function getRunExitCode(results, report) {
+  const failedTools = Object.keys(results).filter((tool) => results[tool] !== 0);
+
+  if (!report.baseline) {
+    return failedTools.length === 0 ? 0 : 1;
+  }
+
+  const toolsWithoutResults = failedTools.filter(
+    (tool) => !report.tools.includes(tool),
+  );
+  toolsWithoutResults.forEach((tool) => {
+    logMessage(`${tool} failed without producing results`, MESSAGE_TYPES.ERROR);
+  });
+
+  const failedAssertions =
+    failedTools.includes(ACCESSIBILITY_TOOLS.LIGHTHOUSE) &&
+    !toolsWithoutResults.includes(ACCESSIBILITY_TOOLS.LIGHTHOUSE);
+  if (failedAssertions) {
+    logMessage("Lighthouse scores are below their thresholds", MESSAGE_TYPES.ERROR);
+  }
+
+  logMessage(
+    `${report.baseline.new} issues not in the baseline, ${report.baseline.known} known`,
+    report.baseline.new === 0 ? MESSAGE_TYPES.SUCCESS : MESSAGE_TYPES.ERROR,
+  );
+  if (report.baseline.fixed > 0) {
+    logMessage(
+      `${report.baseline.fixed} baseline entries are fixed - run "ally-wizard baseline --prune" to remove them`,
+      MESSAGE_TYPES.INFO,
+    );
+  }
+
+  return toolsWithoutResults.length === 0 &&
+    !failedAssertions &&
+    report.baseline.new === 0
+    ? 0
+    : 1;
+}
+
+/**
+ * Builds the app, serves it, runs the accessibility tools against it and
+ * stops the server again
+ * @param {Object} presetAnswers - Tools, routes, base URL and standard from flags or the config file
+ * @param {Object} options - Runner options
+ * @param {boolean} options.parallel - Run the tools in parallel instead of sequentially
+ * @param {boolean} options.skipBuild - Reuse the existing build output
+ * @param {string} options.baselinePath - Baseline file with known issues
+ * @returns {Promise<number>} Process exit code (0 when every tool passed)
+ */
+export async function runAccessibilityTests(
+  presetAnswers,
+  { parallel = false, skipBuild = false, baselinePath } = {},
+) {
+  const packageData = readPackageJson();
+  const baseline = readBaseline(baselinePath);
+  const tools = resolveTools(presetAnswers.tools, packageData);
+  const routes = presetAnswers.routes ?? ["/"];
+
+  if (tools.length === 0) {
+    throw new Error(
+      'No accessibility tools to run. Pass --tools or run "ally-wizard" to install some.',
+    );
+  }
+
+  let server = null;
+  let baseUrl = presetAnswers.baseUrl;
+  // Base URL the tool configs were written for, before a free port is picked
+  let configuredBaseUrl = baseUrl;
+
+  const stopOnSignal = () => {
+    stopServer(server);
+    process.exit(130);
+  };
+  process.once("SIGINT", stopOnSignal);
+  process.once("SIGTERM", stopOnSignal);
+
+  try {
+    if (!baseUrl || isLocalBaseUrl(baseUrl)) {
+      const framework = detectFramework(packageData);
+      if (!framework) {
+        throw new Error(
+          "Could not detect the framework to build and serve the app. Pass --base-url with a deployed URL instead.",
+        );
+      }
+
+      const runCommand = getPackageManagerCommand(detectPackageManager());
+
+      if (!skipBuild) {
+        logMessage("Building the app", MESSAGE_TYPES.SECTION);
+        const buildExitCode = await runLabelledCommand(
+          `${runCommand} build`,
+          "build",
+        );
+        if (buildExitCode !== 0) {
+          throw new Error(`Build failed with exit code ${buildExitCode}.`);
+        }
+      }
+
+      const preferredPort = baseUrl
+        ? getBaseUrlPort(baseUrl)
+        : detectServerPort(framework, packageData);
+      configuredBaseUrl ??= getLocalBaseUrl(preferredPort);
+      const port = await findFreePort(preferredPort);
+      baseUrl = withPort(baseUrl ?? getLocalBaseUrl(port), port);
+
+      logMessage("Starting preview server", MESSAGE_TYPES.SECTION);
+      server = startServer(buildServeScript(framework, port), port);
+      await waitForServer(baseUrl, server);
+      logMessage(`Preview server ready at ${baseUrl}`, MESSAGE_TYPES.SUCCESS);
+    }
+
+    if (tools.includes(ACCESSIBILITY_TOOLS.PA11Y)) {
+      writeRuntimePa11yConfig(configuredBaseUrl, baseUrl);
+    }
+
+    // The login script exists when the wizard was told the pages are behind
+    // a login; Lighthouse runs it by itself
+    const authenticated = fs.existsSync(AUTH_SCRIPT_PATH);
+    if (
+      authenticated &&
+      tools.some((tool) => tool !== ACCESSIBILITY_TOOLS.LIGHTHOUSE)
+    ) {
+      logMessage("Logging in", MESSAGE_TYPES.SECTION);
+      const loginExitCode = await runLabelledCommand(
+        buildLoginCommand(`"${baseUrl}"`),
+        "login",
+      );
+      if (loginExitCode !== 0) {
+        throw new Error(
+          `Login failed with exit code ${loginExitCode}. Check the credentials and the login settings in ${AUTH_SCRIPT_PATH}.`,
+        );
+      }
+    }
+
+    const results = await runTools(
+      tools,
+      baseUrl,
+      buildTestUrls(baseUrl, routes),
+      presetAnswers.standard ?? DEFAULT_ACCESSIBILITY_STANDARD,
+      authenticated,
+      parallel,
+    );
+
+    logMessage("Accessibility test results", MESSAGE_TYPES.SECTION);
+    Object.entries(results).forEach(([tool, exitCode]) => {
+      logMessage(
+        `${tool}: ${exitCode === 0 ? "passed" : `failed (exit code ${exitCode})`}`,
+        exitCode === 0 ? MESSAGE_TYPES.SUCCESS : MESSAGE_TYPES.ERROR,
+      );
+    });
+
+    return getRunExitCode(results, writeRunReport(tools, baseline));
+  } finally {
+    stopServer(server);
+    process.removeListener("SIGINT", stopOnSignal);
+    process.removeListener("SIGTERM", stopOnSignal);
+  }
+}
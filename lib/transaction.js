@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+
+const backups = new Map();
+const createdDirectories = [];
+let transactionActive = false;
+
+/**
+ * Starts recording file changes so they can be rolled back
+ * @param {string[]} filePaths - Files changed outside writeFile (like
+ * package.json and lock files during an install) to back up right away
+ */
+export function beginTransaction(filePaths = []) {
+  backups.clear();
+  createdDirectories.length = 0;
+  transactionActive = true;
+  filePaths.forEach(backupFile);
+}
+
+/**
+ * Keeps the content a file had before its first change in the transaction.
+ * Does nothing outside a transaction
+ * @param {string} filePath - File that is about to change
+ */
+export function backupFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+  if (!transactionActive || backups.has(absolutePath)) return;
+
+  backups.set(
+    absolutePath,
+    fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath) : null,
+  );
+}
+
+/**
+ * Remembers a directory created during the transaction
+ * @param {string|undefined} directoryPath - First directory created by
+ * fs.mkdirSync (undefined when it already existed)
+ */
+export function recordCreatedDirectory(directoryPath) {
+  if (transactionActive && directoryPath) {
+    createdDirectories.push(directoryPath);
+  }
+}
+
+/**
+ * Ends the transaction and keeps every change
+ */
+export function commitTransaction() {
+  transactionActive = false;
+  backups.clear();
+  createdDirectories.length = 0;
+}
+
+/**
+ * Checks whether a file still has the content it was backed up with
+ * @param {string} absolutePath - Path to the file
+ * @param {Buffer|null} content - Backed up content, null if the file did not exist
+ * @returns {boolean} True if the file is unchanged
+ */
+function isUnchanged(absolutePath, content) {
+  if (!fs.existsSync(absolutePath)) return content === null;
+  return content !== null && fs.readFileSync(absolutePath).equals(content);
+}
+
+/**
+ * Puts every file changed during the transaction back the way it was:
+ * changed files get their old content, created files and directories are removed
+ * @returns {Object[]} Rolled back files with the action taken ("restored" or "removed")
+ */
+export function rollbackTransaction() {
+  const rolledBackFiles = [...backups.entries()]
+    .filter(([absolutePath, content]) => !isUnchanged(absolutePath, content))
+    .map(([absolutePath, content]) => {
+      if (content === null) {
+        fs.rmSync(absolutePath, { force: true });
+      } else {
+        fs.writeFileSync(absolutePath, content);
+      }
+
+      return {
+        path: path.relative(process.cwd(), absolutePath),
+        action: content === null ? "removed" : "restored",
+      };
+    });
+
+  // Everything inside these directories was created during the transaction
+  [...createdDirectories].reverse().forEach((directoryPath) => {
+    fs.rmSync(directoryPath, { recursive: true, force: true });
+  });
+
+  commitTransaction();
+  return rolledBackFiles;
+}
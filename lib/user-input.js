@@ -1,70 +1,1047 @@
 import prompts from "prompts";
-import { ACCESSIBILITY_TOOLS } from "./constants.js";
+import {
+  ACCESSIBILITY_TOOLS,
+  CONFIG_FILE_NAME,
+  LINT_PLUGINS,
+  LINT_LEVELS,
+  JSX_A11Y_RULES,
+  ACCESSIBILITY_STANDARD_PROFILES,
+  DEFAULT_ACCESSIBILITY_STANDARD,
+  COMPONENT_LIBRARIES,
+  COMPONENT_LIBRARY_PROFILES,
+  CI_PROVIDERS,
+  CI_PROVIDER_PROFILES,
+  TEST_RUNNER_PROFILES,
+  DEV_AUDIT_MODES,
+  LIGHTHOUSE_CATEGORIES,
+  LIGHTHOUSE_PRESET_PROFILES,
+  LIGHTHOUSE_DEVICES,
+  LIGHTHOUSE_UPLOAD_TARGETS,
+  DEFAULT_LIGHTHOUSE_OPTIONS,
+  DEFAULT_PA11Y_OPTIONS,
+  AUTH_METHODS,
+  AUTH_SECRETS,
+  DEFAULT_LOGIN_FORM,
+} from "./constants.js";
+import { normalizeRoute } from "./route-discovery.js";
+import { normalizeBaseUrl } from "./server-config.js";
+import { isPa11yAction } from "./pa11y-config.js";
+import { normalizeLoginUrl } from "./auth-config.js";
+
+// Flags that answer each question. pa11yActions has none: per-page actions
+// are only set in the config file
+const PREFERENCE_FLAGS = {
+  tools: "--tools",
+  routes: "--routes",
+  standard: "--standard",
+  lighthousePreset: "--lighthouse-preset",
+  lighthouseThresholds: "--lighthouse-thresholds",
+  lighthouseRuns: "--lighthouse-runs",
+  lighthouseDevice: "--lighthouse-device",
+  lighthouseUpload: "--lighthouse-upload",
+  lighthouseServer: "--lighthouse-server",
+  pa11yIgnore: "--pa11y-ignore",
+  auth: "--auth-login-url, --auth-storage-state or --no-auth",
+  baseUrl: "--base-url",
+  packages: "--packages",
+  ci: "--ci or --no-ci",
+  ciProvider: "--ci-provider",
+  lint: "--lint or --no-lint",
+  lintLevel: "--lint-level",
+  lintRules: "--lint-level recommended or strict",
+  componentLibrary: "--component-library",
+  componentTests: "--component-tests or --no-component-tests",
+  storybook: "--storybook or --no-storybook",
+  devAudit: "--dev-audit or --no-dev-audit",
+  devAuditMode: "--dev-audit-mode",
+};
 
 /**
- * Prompts user for their accessibility tool preferences
- * @returns {Promise<Object>} Object containing selectedTools and additional preferences
+ * Answers a single question with its default or an interactive prompt
+ * @param {Object} question - prompts question object
+ * @param {string} preferenceName - Name of the preference the question answers
+ * @param {Object} options - Additional options
+ * @param {boolean} options.assumeYes - Accept the question's default answer
+ * @param {*} defaultAnswer - Answer used with --yes (defaults to the question's initial value)
+ * @returns {Promise<*>} The answer to the question
+ */
+async function askQuestion(
+  question,
+  preferenceName,
+  { assumeYes },
+  defaultAnswer = question.initial,
+) {
+  if (assumeYes) {
+    return defaultAnswer;
+  }
+
+  if (!process.stdin.isTTY) {
+    const flag = PREFERENCE_FLAGS[preferenceName];
+    throw new Error(
+      `No answer for "${preferenceName}" and stdin is not interactive. ${flag ? `Pass ${flag}, set` : "Set"} "${preferenceName}" in ${CONFIG_FILE_NAME}, or use --yes to accept defaults.`,
+    );
+  }
+
+  const answers = await prompts(question);
+  return answers[question.name];
+}
+
+/**
+ * Lets the user confirm discovered routes and add more
+ * @param {string[]} discoveredRoutes - Routes found in the project
+ * @param {Object} askOptions - Options passed to askQuestion
+ * @returns {Promise<string[]>} Routes to test
  */
-export async function getUserPreferences() {
-  const toolPreferences = await prompts([
+async function askRoutes(discoveredRoutes, askOptions) {
+  const confirmedRoutes = await askQuestion(
     {
-      type: "toggle",
-      name: ACCESSIBILITY_TOOLS.AXE,
-      message: "Would you like to add Axe accessibility testing?",
-      initial: true,
-      active: "yes",
-      inactive: "no",
+      type: "multiselect",
+      name: "routes",
+      message: "Which pages should be tested?",
+      choices: discoveredRoutes.map((route) => ({
+        title: route,
+        value: route,
+        selected: true,
+      })),
+      instructions: false,
+      hint: "- Space to toggle, Enter to confirm",
     },
+    "routes",
+    askOptions,
+    discoveredRoutes,
+  );
+
+  const additionalRoutes = await askQuestion(
     {
-      type: "toggle",
-      name: ACCESSIBILITY_TOOLS.PA11Y,
-      message: "Would you like to add Pa11y accessibility testing?",
-      initial: true,
-      active: "yes",
-      inactive: "no",
+      type: "text",
+      name: "additionalRoutes",
+      message: "Any other pages to test? (comma separated, e.g. /about,/contact)",
+      initial: "",
     },
+    "routes",
+    askOptions,
+  );
+
+  const routes = [
+    ...(confirmedRoutes ?? []),
+    ...(additionalRoutes ?? "")
+      .split(",")
+      .map((route) => route.trim())
+      .filter((route) => route.length > 0)
+      .map(normalizeRoute),
+  ];
+
+  return routes.length > 0 ? [...new Set(routes)] : ["/"];
+}
+
+/**
+ * Asks how strict jsx-a11y should be and which component library to map
+ * @param {Object} presetAnswers - Answers provided by CLI flags or a config file
+ * @param {string} defaultComponentLibrary - Component library detected in the project
+ * @param {string} standard - Conformance target, which decides the default rule set
+ * @param {Object} askOptions - Options passed to askQuestion
+ * @returns {Promise<Object>} Lint level, component library and rule overrides
+ */
+async function askJsxA11yOptions(
+  presetAnswers,
+  defaultComponentLibrary,
+  standard,
+  askOptions,
+) {
+  const { lintLevel: defaultLevel } = ACCESSIBILITY_STANDARD_PROFILES[standard];
+  const levelChoices = [
+    { title: "Recommended", value: LINT_LEVELS.RECOMMENDED },
+    { title: "Strict", value: LINT_LEVELS.STRICT },
+    { title: "Custom - pick the rules", value: LINT_LEVELS.CUSTOM },
+  ];
+  const level =
+    presetAnswers.lintLevel ??
+    (await askQuestion(
+      {
+        type: "select",
+        name: "lintLevel",
+        message: "Which jsx-a11y rules should be enabled?",
+        choices: levelChoices,
+        initial: levelChoices.findIndex(
+          (choice) => choice.value === defaultLevel,
+        ),
+      },
+      "lintLevel",
+      askOptions,
+      defaultLevel,
+    )) ??
+    defaultLevel;
+
+  let rules = {};
+
+  if (level === LINT_LEVELS.CUSTOM && !presetAnswers.lintRules) {
+    const recommendedRules = Object.keys(JSX_A11Y_RULES).filter(
+      (rule) => JSX_A11Y_RULES[rule],
+    );
+    const selectedRules = await askQuestion(
+      {
+        type: "multiselect",
+        name: "lintRules",
+        message: "Which jsx-a11y rules should report errors?",
+        choices: Object.keys(JSX_A11Y_RULES).map((rule) => ({
+          title: rule,
+          value: rule,
+          selected: JSX_A11Y_RULES[rule],
+        })),
+        instructions: false,
+        hint: "- Space to toggle, Enter to confirm",
+      },
+      "lintRules",
+      askOptions,
+      recommendedRules,
+    );
+
+    rules = Object.fromEntries(
+      Object.keys(JSX_A11Y_RULES).map((rule) => [
+        `jsx-a11y/${rule}`,
+        (selectedRules ?? []).includes(rule) ? "error" : "off",
+      ]),
+    );
+  }
+
+  const libraryChoices = [
+    ...Object.entries(COMPONENT_LIBRARY_PROFILES).map(([value, { name }]) => ({
+      title: name,
+      value,
+    })),
+    { title: "None / other", value: COMPONENT_LIBRARIES.NONE },
+  ];
+
+  const componentLibrary =
+    presetAnswers.componentLibrary ??
+    (await askQuestion(
+      {
+        type: "select",
+        name: "componentLibrary",
+        message: "Which component library does the project use?",
+        choices: libraryChoices,
+        initial: libraryChoices.findIndex(
+          (choice) => choice.value === defaultComponentLibrary,
+        ),
+      },
+      "componentLibrary",
+      askOptions,
+      defaultComponentLibrary,
+    )) ??
+    defaultComponentLibrary;
+
+  return {
+    level,
+    componentLibrary,
+    rules: { ...rules, ...presetAnswers.lintRules },
+  };
+}
+
+/**
+ * Asks which Lighthouse assertions to use, how often and on which device to
+ * collect and where to upload the reports
+ * @param {Object} presetAnswers - Answers provided by CLI flags or a config file
+ * @param {Object} askOptions - Options passed to askQuestion
+ * @returns {Promise<Object>} Preset, category thresholds, runs, device, upload target and server URL
+ */
+async function askLighthouseOptions(presetAnswers, askOptions) {
+  const presetChoices = Object.entries(LIGHTHOUSE_PRESET_PROFILES).map(
+    ([value, { name }]) => ({ title: name, value }),
+  );
+
+  const preset =
+    presetAnswers.lighthousePreset ??
+    (await askQuestion(
+      {
+        type: "select",
+        name: "lighthousePreset",
+        message: "Which Lighthouse assertions should be used?",
+        choices: presetChoices,
+        initial: presetChoices.findIndex(
+          (choice) => choice.value === DEFAULT_LIGHTHOUSE_OPTIONS.preset,
+        ),
+      },
+      "lighthousePreset",
+      askOptions,
+      DEFAULT_LIGHTHOUSE_OPTIONS.preset,
+    )) ??
+    DEFAULT_LIGHTHOUSE_OPTIONS.preset;
+
+  const { categories } = LIGHTHOUSE_PRESET_PROFILES[preset];
+  let thresholds = Object.fromEntries(
+    Object.values(LIGHTHOUSE_CATEGORIES).map((category) => [
+      category,
+      categories[category]?.minScore ?? 0,
+    ]),
+  );
+
+  if (presetAnswers.lighthouseThresholds) {
+    thresholds = { ...thresholds, ...presetAnswers.lighthouseThresholds };
+  } else {
+    const adjustThresholds = await askQuestion(
+      {
+        type: "toggle",
+        name: "lighthouseThresholds",
+        message: "Adjust the minimum category scores of the preset?",
+        initial: false,
+        active: "yes",
+        inactive: "no",
+      },
+      "lighthouseThresholds",
+      askOptions,
+    );
+
+    if (adjustThresholds) {
+      for (const category of Object.values(LIGHTHOUSE_CATEGORIES)) {
+        thresholds[category] =
+          (await askQuestion(
+            {
+              type: "number",
+              name: "lighthouseThresholds",
+              message: `Minimum ${category} score (0-100, 0 to not check it)`,
+              initial: thresholds[category],
+              min: 0,
+              max: 100,
+            },
+            "lighthouseThresholds",
+            askOptions,
+          )) ?? thresholds[category];
+      }
+    }
+  }
+
+  const runs =
+    presetAnswers.lighthouseRuns ??
+    (await askQuestion(
+      {
+        type: "number",
+        name: "lighthouseRuns",
+        message:
+          "How many times should Lighthouse check each page? (the median run is asserted)",
+        initial: DEFAULT_LIGHTHOUSE_OPTIONS.runs,
+        min: 1,
+      },
+      "lighthouseRuns",
+      askOptions,
+    )) ??
+    DEFAULT_LIGHTHOUSE_OPTIONS.runs;
+
+  const device =
+    presetAnswers.lighthouseDevice ??
+    (await askQuestion(
+      {
+        type: "select",
+        name: "lighthouseDevice",
+        message: "Which device should Lighthouse emulate?",
+        choices: [
+          { title: "Mobile", value: LIGHTHOUSE_DEVICES.MOBILE },
+          { title: "Desktop", value: LIGHTHOUSE_DEVICES.DESKTOP },
+        ],
+        initial: 0,
+      },
+      "lighthouseDevice",
+      askOptions,
+      DEFAULT_LIGHTHOUSE_OPTIONS.device,
+    )) ??
+    DEFAULT_LIGHTHOUSE_OPTIONS.device;
+
+  const upload =
+    presetAnswers.lighthouseUpload ??
+    (await askQuestion(
+      {
+        type: "select",
+        name: "lighthouseUpload",
+        message: "Where should the Lighthouse reports be uploaded?",
+        choices: [
+          {
+            title: "Temporary public storage",
+            value: LIGHTHOUSE_UPLOAD_TARGETS.TEMPORARY_PUBLIC_STORAGE,
+            description: "Public links, kept for a few days",
+          },
+          {
+            title: "Local files",
+            value: LIGHTHOUSE_UPLOAD_TARGETS.FILESYSTEM,
+            description: "Saved in the project, e.g. as CI artifacts",
+          },
+          {
+            title: "Your own LHCI server",
+            value: LIGHTHOUSE_UPLOAD_TARGETS.LHCI_SERVER,
+          },
+        ],
+        initial: 0,
+      },
+      "lighthouseUpload",
+      askOptions,
+      DEFAULT_LIGHTHOUSE_OPTIONS.upload,
+    )) ??
+    DEFAULT_LIGHTHOUSE_OPTIONS.upload;
+
+  if (upload !== LIGHTHOUSE_UPLOAD_TARGETS.LHCI_SERVER) {
+    return { preset, thresholds, runs, device, upload };
+  }
+
+  // With --yes or a cancelled prompt there is no URL to fall back to
+  const serverUrl =
+    presetAnswers.lighthouseServer ??
+    (await askQuestion(
+      {
+        type: "text",
+        name: "lighthouseServer",
+        message: "What is the URL of your LHCI server?",
+        validate: (value) => {
+          try {
+            normalizeBaseUrl(value);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+      },
+      "lighthouseServer",
+      askOptions,
+    ));
+
+  if (!serverUrl) {
+    throw new Error(
+      `Uploading to an LHCI server needs its URL. Pass ${PREFERENCE_FLAGS.lighthouseServer} or set "lighthouseServer" in ${CONFIG_FILE_NAME}.`,
+    );
+  }
+
+  return {
+    preset,
+    thresholds,
+    runs,
+    device,
+    upload,
+    serverUrl: normalizeBaseUrl(serverUrl),
+  };
+}
+
+/**
+ * Asks which rules Pa11y should ignore and which actions, such as logging in
+ * or opening a menu, it should run on pages before testing them. Runners,
+ * viewport, timeout and wait are only set by flags or the config file
+ * @param {Object} presetAnswers - Answers provided by CLI flags or a config file
+ * @param {string[]} routes - Routes to test
+ * @param {Object} askOptions - Options passed to askQuestion
+ * @returns {Promise<Object>} Runners, ignored rules, viewport, timeout, wait and actions by route
+ */
+async function askPa11yOptions(presetAnswers, routes, askOptions) {
+  const ignore =
+    presetAnswers.pa11yIgnore ??
+    (
+      (await askQuestion(
+        {
+          type: "text",
+          name: "pa11yIgnore",
+          message:
+            "Which rule codes or issue types should Pa11y ignore? (comma separated, leave empty for none)",
+          initial: "",
+        },
+        "pa11yIgnore",
+        askOptions,
+      )) ?? ""
+    )
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter((entry) => entry.length > 0);
+
+  let actions = presetAnswers.pa11yActions;
+
+  if (actions) {
+    const unknownRoutes = Object.keys(actions).filter(
+      (route) => !routes.includes(route),
+    );
+    if (unknownRoutes.length > 0) {
+      throw new Error(
+        `"pa11yActions" in ${CONFIG_FILE_NAME} has actions for routes that are not tested: ${unknownRoutes.join(", ")}.`,
+      );
+    }
+  } else {
+    actions = {};
+
+    const addActions = await askQuestion(
+      {
+        type: "toggle",
+        name: "pa11yActions",
+        message:
+          "Do any pages need actions before they are tested, e.g. opening a menu?",
+        initial: false,
+        active: "yes",
+        inactive: "no",
+      },
+      "pa11yActions",
+      askOptions,
+    );
+
+    if (addActions) {
+      for (const route of routes) {
+        const routeActions = (
+          (await askQuestion(
+            {
+              type: "text",
+              name: "pa11yActions",
+              message: `Actions for ${route} (separated by ";", leave empty for none)`,
+              initial: "",
+              validate: (value) => {
+                const unknownActions = value
+                  .split(";")
+                  .map((action) => action.trim())
+                  .filter((action) => action && !isPa11yAction(action));
+                return unknownActions.length === 0
+                  ? true
+                  : `Unknown action: ${unknownActions[0]}. See https://github.com/pa11y/pa11y#actions`;
+              },
+            },
+            "pa11yActions",
+            askOptions,
+          )) ?? ""
+        )
+          .split(";")
+          .map((action) => action.trim())
+          .filter((action) => action.length > 0);
+
+        if (routeActions.length > 0) actions[route] = routeActions;
+      }
+    }
+  }
+
+  return {
+    runners: presetAnswers.pa11yRunners ?? DEFAULT_PA11Y_OPTIONS.runners,
+    ignore,
+    viewport: presetAnswers.pa11yViewport ?? DEFAULT_PA11Y_OPTIONS.viewport,
+    timeout: presetAnswers.pa11yTimeout ?? DEFAULT_PA11Y_OPTIONS.timeout,
+    wait: presetAnswers.pa11yWait ?? DEFAULT_PA11Y_OPTIONS.wait,
+    actions,
+  };
+}
+
+/**
+ * Asks whether the pages are behind a login and how the tools sign in: by
+ * filling in the login form or by restoring a saved session
+ * @param {Object} presetAnswers - Answers provided by CLI flags or a config file
+ * @param {Object} askOptions - Options passed to askQuestion
+ * @returns {Promise<Object|null>} Login settings, or null when the pages are public
+ */
+async function askAuthOptions(presetAnswers, askOptions) {
+  if (presetAnswers.auth !== undefined) return presetAnswers.auth;
+
+  const needsLogin = await askQuestion(
     {
       type: "toggle",
-      name: ACCESSIBILITY_TOOLS.LIGHTHOUSE,
-      message: "Would you like to add Lighthouse accessibility testing?",
-      initial: true,
+      name: "auth",
+      message: "Are the pages behind a login?",
+      initial: false,
       active: "yes",
       inactive: "no",
     },
-  ]);
+    "auth",
+    askOptions,
+  );
 
-  const selectedTools = Object.entries(toolPreferences)
-    .filter(([_, isSelected]) => isSelected)
-    .map(([toolName]) => toolName);
+  if (!needsLogin) return null;
+
+  const method = await askQuestion(
+    {
+      type: "select",
+      name: "auth",
+      message: "How should the tools log in?",
+      choices: [
+        {
+          title: "Fill in the login form",
+          value: AUTH_METHODS.FORM,
+          description: `Credentials from ${AUTH_SECRETS[AUTH_METHODS.FORM].join(" and ")}`,
+        },
+        {
+          title: "Restore a saved session",
+          value: AUTH_METHODS.STORAGE_STATE,
+          description: "A Playwright storage state file with the cookies",
+        },
+      ],
+      initial: 0,
+    },
+    "auth",
+    askOptions,
+  );
+
+  // A cancelled prompt answers undefined, which keeps the default
+  if (method === AUTH_METHODS.STORAGE_STATE) {
+    const defaultStorageState = "auth-state.json";
+    const storageState = await askQuestion(
+      {
+        type: "text",
+        name: "auth",
+        message:
+          'Which file holds the session? (save it with "npx playwright codegen --save-storage <file>")',
+        initial: defaultStorageState,
+        validate: (value) =>
+          value.trim().length > 0 ? true : "Enter the path of the file",
+      },
+      "auth",
+      askOptions,
+    );
+    return {
+      method,
+      storageState: (storageState ?? defaultStorageState).trim(),
+    };
+  }
+
+  const loginUrl = normalizeLoginUrl(
+    (await askQuestion(
+      {
+        type: "text",
+        name: "auth",
+        message: "Which page has the login form? (a route or a full URL)",
+        initial: DEFAULT_LOGIN_FORM.loginUrl,
+      },
+      "auth",
+      askOptions,
+    )) ?? DEFAULT_LOGIN_FORM.loginUrl,
+  );
+
+  const form = { method, loginUrl };
+  for (const [name, label] of [
+    ["usernameSelector", "username or email field"],
+    ["passwordSelector", "password field"],
+    ["submitSelector", "submit button"],
+  ]) {
+    form[name] =
+      (await askQuestion(
+        {
+          type: "text",
+          name: "auth",
+          message: `CSS selector of the ${label}`,
+          initial: DEFAULT_LOGIN_FORM[name],
+        },
+        "auth",
+        askOptions,
+      )) ?? DEFAULT_LOGIN_FORM[name];
+  }
+
+  return form;
+}
+
+/**
+ * Prompts user for their accessibility tool preferences
+ * @param {Object} presetAnswers - Answers provided by CLI flags or a config file
+ * @param {Object} options - Additional options
+ * @param {boolean} options.assumeYes - Accept defaults for unanswered questions
+ * @param {string|null} options.lintPlugin - Accessibility lint plugin for the framework, or null if none
+ * @param {string[]} options.discoveredRoutes - Routes found in the project, offered for confirmation
+ * @param {string} options.defaultBaseUrl - Base URL offered as the default answer
+ * @param {string} options.defaultComponentLibrary - Component library detected in the project
+ * @param {string} options.defaultCIProvider - CI provider detected from the repository
+ * @param {string|null} options.testRunner - Unit test runner of the project, or null if none
+ * @param {boolean} options.hasStorybook - Whether the project has a Storybook setup
+ * @param {Object|null} options.devAudit - Development audit support of the framework, or null if none
+ * @returns {Promise<Object>} Object containing selectedTools and additional preferences
+ */
+export async function getUserPreferences(
+  presetAnswers = {},
+  {
+    assumeYes = false,
+    lintPlugin = LINT_PLUGINS.JSX_A11Y,
+    discoveredRoutes = ["/"],
+    defaultBaseUrl = "http://localhost:4173",
+    defaultComponentLibrary = COMPONENT_LIBRARIES.NONE,
+    defaultCIProvider = CI_PROVIDERS.GITHUB,
+    testRunner = null,
+    hasStorybook = false,
+    devAudit = null,
+  } = {},
+) {
+  const askOptions = { assumeYes };
+  let selectedTools = presetAnswers.tools;
+
+  if (selectedTools === undefined) {
+    const toolQuestions = [
+      {
+        name: ACCESSIBILITY_TOOLS.AXE,
+        message: "Would you like to add Axe accessibility testing?",
+      },
+      {
+        name: ACCESSIBILITY_TOOLS.PA11Y,
+        message: "Would you like to add Pa11y accessibility testing?",
+      },
+      {
+        name: ACCESSIBILITY_TOOLS.LIGHTHOUSE,
+        message: "Would you like to add Lighthouse accessibility testing?",
+      },
+      {
+        name: ACCESSIBILITY_TOOLS.PLAYWRIGHT,
+        message:
+          "Would you like to add Playwright specs to test interactive states (modals, menus, form errors)?",
+        // Downloads a browser, so it is only added when asked for
+        initial: false,
+      },
+    ];
+
+    selectedTools = [];
+
+    for (const { name, message, initial = true } of toolQuestions) {
+      const isSelected = await askQuestion(
+        {
+          type: "toggle",
+          name,
+          message,
+          initial,
+          active: "yes",
+          inactive: "no",
+        },
+        "tools",
+        askOptions,
+      );
+
+      if (isSelected) {
+        selectedTools.push(name);
+      }
+    }
+  }
 
   const additionalPreferences = {};
 
+  if (selectedTools.length > 0 || lintPlugin) {
+    const standardChoices = Object.entries(ACCESSIBILITY_STANDARD_PROFILES).map(
+      ([value, { name }]) => ({ title: name, value }),
+    );
+
+    additionalPreferences.standard =
+      presetAnswers.standard ??
+      (await askQuestion(
+        {
+          type: "select",
+          name: "standard",
+          message: "Which accessibility standard should the tools check against?",
+          choices: standardChoices,
+          initial: standardChoices.findIndex(
+            (choice) => choice.value === DEFAULT_ACCESSIBILITY_STANDARD,
+          ),
+        },
+        "standard",
+        askOptions,
+        DEFAULT_ACCESSIBILITY_STANDARD,
+      )) ??
+      DEFAULT_ACCESSIBILITY_STANDARD;
+  } else {
+    additionalPreferences.standard =
+      presetAnswers.standard ?? DEFAULT_ACCESSIBILITY_STANDARD;
+  }
+
   if (selectedTools.length > 0) {
-    const ciPreference = await prompts({
-      type: "toggle",
-      name: "ci",
-      message: "Would you like to integrate them into your CI workflow?",
-      initial: true,
-      active: "yes",
-      inactive: "no",
-    });
-    additionalPreferences.ci = ciPreference.ci;
+    additionalPreferences.baseUrl =
+      presetAnswers.baseUrl ??
+      normalizeBaseUrl(
+        (await askQuestion(
+          {
+            type: "text",
+            name: "baseUrl",
+            message:
+              "Which URL should be tested? (use a deployed preview URL to skip starting a local server)",
+            initial: defaultBaseUrl,
+            validate: (value) => {
+              try {
+                normalizeBaseUrl(value);
+                return true;
+              } catch (error) {
+                return error.message;
+              }
+            },
+          },
+          "baseUrl",
+          askOptions,
+        )) ?? defaultBaseUrl,
+      );
+
+    additionalPreferences.routes =
+      presetAnswers.routes ?? (await askRoutes(discoveredRoutes, askOptions));
+
+    if (selectedTools.includes(ACCESSIBILITY_TOOLS.LIGHTHOUSE)) {
+      additionalPreferences.lighthouseOptions = await askLighthouseOptions(
+        presetAnswers,
+        askOptions,
+      );
+    }
+
+    if (selectedTools.includes(ACCESSIBILITY_TOOLS.PA11Y)) {
+      additionalPreferences.pa11yOptions = await askPa11yOptions(
+        presetAnswers,
+        additionalPreferences.routes,
+        askOptions,
+      );
+    }
+
+    additionalPreferences.auth = await askAuthOptions(
+      presetAnswers,
+      askOptions,
+    );
+
+    additionalPreferences.ci =
+      presetAnswers.ci ??
+      (await askQuestion(
+        {
+          type: "toggle",
+          name: "ci",
+          message: "Would you like to integrate them into your CI workflow?",
+          initial: true,
+          active: "yes",
+          inactive: "no",
+        },
+        "ci",
+        askOptions,
+      ));
+
+    if (additionalPreferences.ci) {
+      const providerChoices = Object.entries(CI_PROVIDER_PROFILES).map(
+        ([value, { name, filePath }]) => ({
+          title: name,
+          value,
+          description: filePath,
+        }),
+      );
+
+      additionalPreferences.ciProvider =
+        presetAnswers.ciProvider ??
+        (await askQuestion(
+          {
+            type: "select",
+            name: "ciProvider",
+            message: "Which CI service runs your pipelines?",
+            choices: providerChoices,
+            initial: providerChoices.findIndex(
+              (choice) => choice.value === defaultCIProvider,
+            ),
+          },
+          "ciProvider",
+          askOptions,
+          defaultCIProvider,
+        ));
+    }
   } else {
+    additionalPreferences.baseUrl = defaultBaseUrl;
+    additionalPreferences.routes = [];
+    additionalPreferences.auth = null;
     additionalPreferences.ci = false;
   }
 
-  const lintPreference = await prompts({
-    type: "toggle",
-    name: "lint",
-    message: "Enable accessibility linting (jsx-a11y)?",
-    initial: true,
-    active: "yes",
-    inactive: "no",
-  });
-  additionalPreferences.lint = lintPreference.lint;
+  if (lintPlugin) {
+    additionalPreferences.lint =
+      presetAnswers.lint ??
+      (await askQuestion(
+        {
+          type: "toggle",
+          name: "lint",
+          message: `Enable accessibility linting (${lintPlugin})?`,
+          initial: true,
+          active: "yes",
+          inactive: "no",
+        },
+        "lint",
+        askOptions,
+      ));
+  } else {
+    additionalPreferences.lint = false;
+  }
+
+  if (additionalPreferences.lint && lintPlugin === LINT_PLUGINS.JSX_A11Y) {
+    additionalPreferences.lintOptions = await askJsxA11yOptions(
+      presetAnswers,
+      defaultComponentLibrary,
+      additionalPreferences.standard,
+      askOptions,
+    );
+  }
+
+  if (testRunner) {
+    const { name, packageName } = TEST_RUNNER_PROFILES[testRunner];
+
+    additionalPreferences.componentTests =
+      presetAnswers.componentTests ??
+      (await askQuestion(
+        {
+          type: "toggle",
+          name: "componentTests",
+          message: `Add axe checks to your ${name} component tests (${packageName})?`,
+          initial: true,
+          active: "yes",
+          inactive: "no",
+        },
+        "componentTests",
+        askOptions,
+      ));
+  } else {
+    additionalPreferences.componentTests = false;
+  }
+
+  if (hasStorybook) {
+    additionalPreferences.storybook =
+      presetAnswers.storybook ??
+      (await askQuestion(
+        {
+          type: "toggle",
+          name: "storybook",
+          message:
+            "Add the Storybook a11y addon and check every story with axe?",
+          initial: true,
+          active: "yes",
+          inactive: "no",
+        },
+        "storybook",
+        askOptions,
+      ));
+  } else {
+    additionalPreferences.storybook = false;
+  }
+
+  if (devAudit) {
+    additionalPreferences.devAudit =
+      presetAnswers.devAudit ??
+      (await askQuestion(
+        {
+          type: "toggle",
+          name: "devAudit",
+          message:
+            "Log accessibility violations to the browser console while developing?",
+          // Changes the app source, so it is only added when asked for
+          initial: false,
+          active: "yes",
+          inactive: "no",
+        },
+        "devAudit",
+        askOptions,
+      ));
+  } else {
+    additionalPreferences.devAudit = false;
+  }
+
+  if (additionalPreferences.devAudit) {
+    if (
+      presetAnswers.devAuditMode &&
+      !devAudit.modes.includes(presetAnswers.devAuditMode)
+    ) {
+      throw new Error(
+        `Dev audit mode "${presetAnswers.devAuditMode}" is not available for this project. Use ${devAudit.modes.join(" or ")}.`,
+      );
+    }
+
+    additionalPreferences.devAuditMode =
+      presetAnswers.devAuditMode ??
+      (devAudit.modes.length === 1
+        ? devAudit.modes[0]
+        : await askQuestion(
+            {
+              type: "select",
+              name: "devAuditMode",
+              message: "How should the audit be loaded?",
+              choices: [
+                {
+                  title: "Import it from the app entry in development",
+                  value: DEV_AUDIT_MODES.ENTRY,
+                },
+                {
+                  title: "Vite plugin that adds it to the dev server only",
+                  value: DEV_AUDIT_MODES.VITE_PLUGIN,
+                },
+              ].filter((choice) => devAudit.modes.includes(choice.value)),
+              initial: 0,
+            },
+            "devAuditMode",
+            askOptions,
+            DEV_AUDIT_MODES.ENTRY,
+          ));
+  }
 
   return {
     selectedTools,
     ...additionalPreferences,
   };
 }
+
+/**
+ * Asks which apps of a workspace to set up
+ * @param {Object[]} apps - Apps from listWorkspaceApps
+ * @param {string[]|undefined} presetPackages - Package names or directories from flags or the config file
+ * @param {Object} options - Additional options
+ * @param {boolean} options.assumeYes - Set up every app without asking
+ * @returns {Promise<Object[]>} The selected apps
+ */
+export async function askForWorkspaceApps(
+  apps,
+  presetPackages,
+  { assumeYes = false } = {},
+) {
+  if (presetPackages) {
+    const presetApps = presetPackages.map((entry) => {
+      const app = apps.find(
+        ({ name, directory }) => entry === name || entry === directory,
+      );
+
+      if (!app) {
+        throw new Error(
+          `"${entry}" is not an app in this workspace. Available apps: ${apps.map(({ name }) => name).join(", ")}.`,
+        );
+      }
+      return app;
+    });
+
+    return [...new Set(presetApps)];
+  }
+
+  const selectedApps = await askQuestion(
+    {
+      type: "multiselect",
+      name: "packages",
+      message: "Which apps should be set up?",
+      choices: apps.map((app) => ({
+        title: `${app.name} (${app.directory}, ${app.framework.name})`,
+        value: app,
+        selected: true,
+      })),
+      instructions: false,
+      hint: "- Space to toggle, Enter to confirm",
+    },
+    "packages",
+    { assumeYes },
+    apps,
+  );
+
+  if (!selectedApps || selectedApps.length === 0) {
+    throw new Error("No apps selected.");
+  }
+
+  return selectedApps;
+}
+
+/**
+ * Asks whether the changes the user made to a generated file or script may
+ * be discarded, or whether a file or script the wizard did not create may be
+ * replaced. Without a terminal the user's version is kept
+ * @param {Object} conflict - File or script the user changed or wrote
+ * @param {string} conflict.label - Description of the file or script
+ * @param {boolean} conflict.untracked - Whether the wizard did not create it
+ * @param {boolean} conflict.preserved - Keep the user's version unless forced, as "update" does
+ * @param {string} conflict.action - What would happen to it (defaults to overwriting)
+ * @param {Object} options - Additional options
+ * @param {boolean} options.assumeYes - Keep the user's version without asking
+ * @param {boolean} options.force - Discard the changes without asking
+ * @returns {Promise<boolean>} True when the changes may be discarded
+ */
+export async function askToDiscardChanges(
+  { label, untracked = false, preserved = false, action = "Overwrite it" },
+  { assumeYes = false, force = false } = {},
+) {
+  if (force) return true;
+  if (preserved || assumeYes || !process.stdin.isTTY) return false;
+
+  const { discard } = await prompts({
+    type: "toggle",
+    name: "discard",
+    message: untracked
+      ? `${label[0].toUpperCase()}${label.slice(1)} already exists and was not created by ally-wizard. ${action}?`
+      : `You changed ${label} since ally-wizard generated it. ${action} anyway?`,
+    initial: false,
+    active: "yes",
+    inactive: "no",
+  });
+
+  return Boolean(discard);
+}
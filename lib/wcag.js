@@ -0,0 +1,138 @@
+const UNDERSTANDING_BASE_URL = "https://www.w3.org/WAI/WCAG22/Understanding/";
+
+/**
+ * WCAG success criteria with their conformance level and the WCAG version
+ * that introduced them
+ */
+export const WCAG_CRITERIA = {
+  "1.1.1": { name: "Non-text Content", level: "A", version: "2.0" },
+  "1.2.1": { name: "Audio-only and Video-only (Prerecorded)", level: "A", version: "2.0" },
+  "1.2.2": { name: "Captions (Prerecorded)", level: "A", version: "2.0" },
+  "1.2.3": { name: "Audio Description or Media Alternative (Prerecorded)", level: "A", version: "2.0" },
+  "1.2.4": { name: "Captions (Live)", level: "AA", version: "2.0" },
+  "1.2.5": { name: "Audio Description (Prerecorded)", level: "AA", version: "2.0" },
+  "1.2.6": { name: "Sign Language (Prerecorded)", level: "AAA", version: "2.0" },
+  "1.2.7": { name: "Extended Audio Description (Prerecorded)", level: "AAA", version: "2.0" },
+  "1.2.8": { name: "Media Alternative (Prerecorded)", level: "AAA", version: "2.0" },
+  "1.2.9": { name: "Audio-only (Live)", level: "AAA", version: "2.0" },
+  "1.3.1": { name: "Info and Relationships", level: "A", version: "2.0" },
+  "1.3.2": { name: "Meaningful Sequence", level: "A", version: "2.0" },
+  "1.3.3": { name: "Sensory Characteristics", level: "A", version: "2.0" },
+  "1.3.4": { name: "Orientation", level: "AA", version: "2.1" },
+  "1.3.5": { name: "Identify Input Purpose", level: "AA", version: "2.1" },
+  "1.3.6": { name: "Identify Purpose", level: "AAA", version: "2.1" },
+  "1.4.1": { name: "Use of Color", level: "A", version: "2.0" },
+  "1.4.2": { name: "Audio Control", level: "A", version: "2.0" },
+  "1.4.3": { name: "Contrast (Minimum)", level: "AA", version: "2.0" },
+  "1.4.4": { name: "Resize Text", level: "AA", version: "2.0" },
+  "1.4.5": { name: "Images of Text", level: "AA", version: "2.0" },
+  "1.4.6": { name: "Contrast (Enhanced)", level: "AAA", version: "2.0" },
+  "1.4.7": { name: "Low or No Background Audio", level: "AAA", version: "2.0" },
+  "1.4.8": { name: "Visual Presentation", level: "AAA", version: "2.0" },
+  "1.4.9": { name: "Images of Text (No Exception)", level: "AAA", version: "2.0" },
+  "1.4.10": { name: "Reflow", level: "AA", version: "2.1" },
+  "1.4.11": { name: "Non-text Contrast", level: "AA", version: "2.1" },
+  "1.4.12": { name: "Text Spacing", level: "AA", version: "2.1" },
+  "1.4.13": { name: "Content on Hover or Focus", level: "AA", version: "2.1" },
+  "2.1.1": { name: "Keyboard", level: "A", version: "2.0" },
+  "2.1.2": { name: "No Keyboard Trap", level: "A", version: "2.0" },
+  "2.1.3": { name: "Keyboard (No Exception)", level: "AAA", version: "2.0" },
+  "2.1.4": { name: "Character Key Shortcuts", level: "A", version: "2.1" },
+  "2.2.1": { name: "Timing Adjustable", level: "A", version: "2.0" },
+  "2.2.2": { name: "Pause, Stop, Hide", level: "A", version: "2.0" },
+  "2.2.3": { name: "No Timing", level: "AAA", version: "2.0" },
+  "2.2.4": { name: "Interruptions", level: "AAA", version: "2.0" },
+  "2.2.5": { name: "Re-authenticating", level: "AAA", version: "2.0" },
+  "2.2.6": { name: "Timeouts", level: "AAA", version: "2.1" },
+  "2.3.1": { name: "Three Flashes or Below Threshold", level: "A", version: "2.0" },
+  "2.3.2": { name: "Three Flashes", level: "AAA", version: "2.0" },
+  "2.3.3": { name: "Animation from Interactions", level: "AAA", version: "2.1" },
+  "2.4.1": { name: "Bypass Blocks", level: "A", version: "2.0" },
+  "2.4.2": { name: "Page Titled", level: "A", version: "2.0" },
+  "2.4.3": { name: "Focus Order", level: "A", version: "2.0" },
+  "2.4.4": { name: "Link Purpose (In Context)", level: "A", version: "2.0" },
+  "2.4.5": { name: "Multiple Ways", level: "AA", version: "2.0" },
+  "2.4.6": { name: "Headings and Labels", level: "AA", version: "2.0" },
+  "2.4.7": { name: "Focus Visible", level: "AA", version: "2.0" },
+  "2.4.8": { name: "Location", level: "AAA", version: "2.0" },
+  "2.4.9": { name: "Link Purpose (Link Only)", level: "AAA", version: "2.0" },
+  "2.4.10": { name: "Section Headings", level: "AAA", version: "2.0" },
+  "2.4.11": { name: "Focus Not Obscured (Minimum)", level: "AA", version: "2.2" },
+  "2.4.12": { name: "Focus Not Obscured (Enhanced)", level: "AAA", version: "2.2" },
+  "2.4.13": { name: "Focus Appearance", level: "AAA", version: "2.2" },
+  "2.5.1": { name: "Pointer Gestures", level: "A", version: "2.1" },
+  "2.5.2": { name: "Pointer Cancellation", level: "A", version: "2.1" },
+  "2.5.3": { name: "Label in Name", level: "A", version: "2.1" },
+  "2.5.4": { name: "Motion Actuation", level: "A", version: "2.1" },
+  "2.5.5": { name: "Target Size (Enhanced)", level: "AAA", version: "2.1" },
+  "2.5.6": { name: "Concurrent Input Mechanisms", level: "AAA", version: "2.1" },
+  "2.5.7": { name: "Dragging Movements", level: "AA", version: "2.2" },
+  "2.5.8": { name: "Target Size (Minimum)", level: "AA", version: "2.2" },
+  "3.1.1": { name: "Language of Page", level: "A", version: "2.0" },
+  "3.1.2": { name: "Language of Parts", level: "AA", version: "2.0" },
+  "3.1.3": { name: "Unusual Words", level: "AAA", version: "2.0" },
+  "3.1.4": { name: "Abbreviations", level: "AAA", version: "2.0" },
+  "3.1.5": { name: "Reading Level", level: "AAA", version: "2.0" },
+  "3.1.6": { name: "Pronunciation", level: "AAA", version: "2.0" },
+  "3.2.1": { name: "On Focus", level: "A", version: "2.0" },
+  "3.2.2": { name: "On Input", level: "A", version: "2.0" },
+  "3.2.3": { name: "Consistent Navigation", level: "AA", version: "2.0" },
+  "3.2.4": { name: "Consistent Identification", level: "AA", version: "2.0" },
+  "3.2.5": { name: "Change on Request", level: "AAA", version: "2.0" },
+  "3.2.6": { name: "Consistent Help", level: "A", version: "2.2" },
+  "3.3.1": { name: "Error Identification", level: "A", version: "2.0" },
+  "3.3.2": { name: "Labels or Instructions", level: "A", version: "2.0" },
+  "3.3.3": { name: "Error Suggestion", level: "AA", version: "2.0" },
+  "3.3.4": { name: "Error Prevention (Legal, Financial, Data)", level: "AA", version: "2.0" },
+  "3.3.5": { name: "Help", level: "AAA", version: "2.0" },
+  "3.3.6": { name: "Error Prevention (All)", level: "AAA", version: "2.0" },
+  "3.3.7": { name: "Redundant Entry", level: "A", version: "2.2" },
+  "3.3.8": { name: "Accessible Authentication (Minimum)", level: "AA", version: "2.2" },
+  "3.3.9": { name: "Accessible Authentication (Enhanced)", level: "AAA", version: "2.2" },
+  "4.1.1": { name: "Parsing", level: "A", version: "2.0" },
+  "4.1.2": { name: "Name, Role, Value", level: "A", version: "2.0" },
+  "4.1.3": { name: "Status Messages", level: "AA", version: "2.1" },
+};
+
+/**
+ * Extracts WCAG success criteria from axe tags (e.g. "wcag143" -> "1.4.3")
+ * @param {string[]} tags - axe rule tags
+ * @returns {string[]} Success criteria numbers
+ */
+export function criteriaFromAxeTags(tags = []) {
+  return tags
+    .map((tag) => tag.match(/^wcag(\d)(\d)(\d+)$/))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) =>
+      [principle, guideline, criterion].join("."),
+    );
+}
+
+/**
+ * Extracts the WCAG success criterion from an HTML_CodeSniffer code
+ * (e.g. "WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail" -> "1.4.3")
+ * @param {string} code - HTML_CodeSniffer issue code
+ * @returns {string[]} Success criteria numbers
+ */
+export function criteriaFromHtmlcsCode(code = "") {
+  const segment = code.split(".").find((part) => /^\d+_\d+_\d+$/.test(part));
+  return segment ? [segment.replace(/_/g, ".")] : [];
+}
+
+/**
+ * Builds the "Understanding WCAG" link for a success criterion
+ * @param {string} criterion - Success criterion number (e.g. "1.4.3")
+ * @returns {string|null} Link, or null for unknown criteria
+ */
+export function getCriterionUrl(criterion) {
+  const details = WCAG_CRITERIA[criterion];
+  if (!details) return null;
+
+  const slug = details.name
+    .toLowerCase()
+    .replace(/[()]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+  return `${UNDERSTANDING_BASE_URL}${slug}`;
+}
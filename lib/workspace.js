@@ -0,0 +1,227 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { PNPM_WORKSPACE_FILE_NAME } from "./constants.js";
+import { detectFramework } from "./framework-detector.js";
+
+const IGNORED_DIRECTORIES = ["node_modules", ".git"];
+
+/**
+ * Reads the package patterns of a workspace root: the "packages" of
+ * pnpm-workspace.yaml or the "workspaces" field of package.json (a list, or
+ * an object with "packages" in Yarn classic)
+ * @param {string} directory - Directory to check
+ * @returns {string[]|null} Package patterns, or null when the directory is no workspace root
+ */
+function readWorkspacePatterns(directory) {
+  try {
+    const pnpmWorkspacePath = path.join(directory, PNPM_WORKSPACE_FILE_NAME);
+    if (fs.existsSync(pnpmWorkspacePath)) {
+      const { packages } =
+        YAML.parse(fs.readFileSync(pnpmWorkspacePath, "utf-8")) ?? {};
+      return Array.isArray(packages) ? packages : null;
+    }
+
+    const packageJsonPath = path.join(directory, "package.json");
+    if (!fs.existsSync(packageJsonPath)) return null;
+
+    const { workspaces } = JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    return Array.isArray(patterns) ? patterns : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the workspace root at or above a directory
+ * @param {string} startDirectory - Directory to start from
+ * @returns {Object|null} Absolute root and package patterns, or null outside a workspace
+ */
+export function findWorkspace(startDirectory = process.cwd()) {
+  let directory = path.resolve(startDirectory);
+
+  while (true) {
+    const patterns = readWorkspacePatterns(directory);
+    if (patterns) return { root: directory, patterns };
+
+    const parentDirectory = path.dirname(directory);
+    if (parentDirectory === directory) return null;
+    directory = parentDirectory;
+  }
+}
+
+/**
+ * Lists the subdirectories of a directory, without node_modules and hidden ones
+ * @param {string} directory - Directory to read
+ * @returns {string[]} Absolute paths of the subdirectories
+ */
+function listSubdirectories(directory) {
+  return fs
+    .readdirSync(directory, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        !entry.name.startsWith(".") &&
+        !IGNORED_DIRECTORIES.includes(entry.name),
+    )
+    .map((entry) => path.join(directory, entry.name));
+}
+
+/**
+ * Finds the directories matching a workspace pattern. Supports "*" within a
+ * path segment and "**" for any number of directories
+ * @param {string} directory - Directory the remaining segments are matched from
+ * @param {string[]} segments - Remaining pattern segments
+ * @returns {string[]} Absolute paths of the matching directories
+ */
+function matchDirectories(directory, segments) {
+  if (segments.length === 0) return [directory];
+
+  const [segment, ...remainingSegments] = segments;
+
+  if (segment === "**") {
+    return [
+      ...matchDirectories(directory, remainingSegments),
+      ...listSubdirectories(directory).flatMap((subdirectory) =>
+        matchDirectories(subdirectory, segments),
+      ),
+    ];
+  }
+
+  if (!segment.includes("*")) {
+    const nextDirectory = path.join(directory, segment);
+    return fs.existsSync(nextDirectory)
+      ? matchDirectories(nextDirectory, remainingSegments)
+      : [];
+  }
+
+  const segmentPattern = new RegExp(
+    `^${segment
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`,
+  );
+
+  return listSubdirectories(directory)
+    .filter((subdirectory) => segmentPattern.test(path.basename(subdirectory)))
+    .flatMap((subdirectory) => matchDirectories(subdirectory, remainingSegments));
+}
+
+/**
+ * Expands workspace patterns into directories. Patterns starting with "!"
+ * exclude directories again
+ * @param {string} root - Workspace root
+ * @param {string[]} patterns - Package patterns
+ * @returns {string[]} Absolute paths of the matched directories
+ */
+function expandPatterns(root, patterns) {
+  const expand = (pattern) =>
+    matchDirectories(
+      root,
+      pattern
+        .replace(/^!/, "")
+        .replace(/^\.\//, "")
+        .split("/")
+        .filter((segment) => segment.length > 0),
+    );
+
+  const excludedDirectories = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .flatMap(expand);
+
+  return [
+    ...new Set(
+      patterns.filter((pattern) => !pattern.startsWith("!")).flatMap(expand),
+    ),
+  ].filter((directory) => !excludedDirectories.includes(directory));
+}
+
+/**
+ * Lists the packages of a workspace
+ * @param {Object} workspace - Workspace from findWorkspace
+ * @returns {Object[]} Packages with their name, directory relative to the root
+ * (with forward slashes) and package.json content, sorted by directory
+ */
+export function listWorkspacePackages({ root, patterns }) {
+  return expandPatterns(root, patterns)
+    .filter((directory) => fs.existsSync(path.join(directory, "package.json")))
+    .flatMap((directory) => {
+      const relativeDirectory = path
+        .relative(root, directory)
+        .split(path.sep)
+        .join("/");
+
+      try {
+        const packageData = JSON.parse(
+          fs.readFileSync(path.join(directory, "package.json"), "utf-8"),
+        );
+        return [
+          {
+            name: packageData.name ?? relativeDirectory,
+            directory: relativeDirectory,
+            packageData,
+          },
+        ];
+      } catch {
+        return [];
+      }
+    })
+    .sort((first, second) => first.directory.localeCompare(second.directory));
+}
+
+/**
+ * Lists the packages of a workspace that are apps of a supported framework
+ * @param {Object} workspace - Workspace from findWorkspace
+ * @returns {Object[]} Packages from listWorkspacePackages with their framework profile
+ */
+export function listWorkspaceApps(workspace) {
+  return listWorkspacePackages(workspace).flatMap((workspacePackage) => {
+    const framework = detectFramework(
+      workspacePackage.packageData,
+      path.join(workspace.root, workspacePackage.directory),
+    );
+    return framework ? [{ ...workspacePackage, framework }] : [];
+  });
+}
+
+/**
+ * Finds the workspace package a directory belongs to, so package manager
+ * commands can run from the workspace root and select it
+ * @param {string} directory - Package directory
+ * @returns {Object|null} Package from listWorkspacePackages with the workspace
+ * root, or null when the directory is not a workspace package
+ */
+export function findWorkspacePackage(directory = process.cwd()) {
+  const packageDirectory = path.resolve(directory);
+  const workspace = findWorkspace(packageDirectory);
+
+  if (!workspace || workspace.root === packageDirectory) return null;
+
+  const workspacePackage = listWorkspacePackages(workspace).find(
+    ({ directory: relativeDirectory }) =>
+      path.join(workspace.root, relativeDirectory) === packageDirectory,
+  );
+
+  return workspacePackage ? { ...workspacePackage, root: workspace.root } : null;
+}
+
+/**
+ * Runs a step with a workspace package as the working directory. Every
+ * setup step works on the current directory, so this is how they are
+ * pointed at one package
+ * @param {Object} workspace - Workspace from findWorkspace
+ * @param {string} directory - Package directory relative to the root
+ * @param {Function} step - The step, may be async
+ * @returns {Promise<*>} What the step returned
+ */
+export async function runInWorkspacePackage(workspace, directory, step) {
+  const previousDirectory = process.cwd();
+  process.chdir(path.join(workspace.root, directory));
+
+  try {
+    return await step();
+  } finally {
+    process.chdir(previousDirectory);
+  }
+}
@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  readBaseline,
+  writeBaseline,
+  pruneBaseline,
+  applyBaseline,
+} from "../lib/baseline.js";
+import { getRunExitCode } from "../lib/test-runner.js";
+
+/**
+ * Builds an issue as buildReport returns it
+ * @param {Object} overrides - Fields that differ from the defaults
+ * @returns {Object} Report issue
+ */
+function buildIssue(overrides) {
+  return {
+    ruleId: "image-alt",
+    wcag: ["1.1.1"],
+    impact: "critical",
+    selector: "img.logo",
+    page: "http://localhost:4173/",
+    tools: ["axe"],
+    message: "Images must have alternate text",
+    helpUrl: null,
+    ...overrides,
+  };
+}
+
+const knownIssue = buildIssue({});
+const newIssue = buildIssue({
+  ruleId: "label",
+  wcag: ["4.1.2"],
+  selector: "#email",
+  page: "http://localhost:4173/contact",
+});
+
+test("the baseline stores page paths and round-trips through the file", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ally-wizard-"));
+  const filePath = path.join(directory, "a11y-baseline.json");
+
+  try {
+    assert.equal(readBaseline(filePath), null);
+
+    writeBaseline([newIssue, knownIssue], filePath);
+    const baseline = readBaseline(filePath);
+
+    assert.deepEqual(baseline.issues, [
+      {
+        ruleId: "image-alt",
+        wcag: ["1.1.1"],
+        impact: "critical",
+        page: "/",
+        selector: "img.logo",
+      },
+      {
+        ruleId: "label",
+        wcag: ["4.1.2"],
+        impact: "critical",
+        page: "/contact",
+        selector: "#email",
+      },
+    ]);
+
+    fs.writeFileSync(filePath, "{}");
+    assert.throws(() => readBaseline(filePath), /"issues" must be an array/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test("baselined issues are matched on another host", () => {
+  const baseline = {
+    issues: [
+      { ...knownIssue, page: "/" },
+      { ...knownIssue, ruleId: "region", wcag: [], page: "/about" },
+    ],
+  };
+  const report = applyBaseline(
+    { issues: [buildIssue({ page: "https://preview.example.com" }), newIssue] },
+    baseline,
+  );
+
+  assert.deepEqual(
+    report.issues.map(({ ruleId, baselined }) => ({ ruleId, baselined })),
+    [
+      { ruleId: "image-alt", baselined: true },
+      { ruleId: "label", baselined: false },
+    ],
+  );
+  assert.deepEqual(report.baseline, { known: 1, new: 1, fixed: 1 });
+});
+
+test("pruning drops baseline entries that no longer occur", () => {
+  const baseline = {
+    issues: [
+      { ...knownIssue, page: "/" },
+      { ...knownIssue, page: "/about" },
+    ],
+  };
+
+  assert.deepEqual(
+    pruneBaseline(baseline, { issues: [knownIssue] }).map(({ page }) => page),
+    ["/"],
+  );
+});
+
+test("without a baseline the run fails when any tool failed", () => {
+  const report = { tools: ["axe", "pa11y"], issues: [] };
+
+  assert.equal(getRunExitCode({ axe: 0, pa11y: 0 }, report), 0);
+  assert.equal(getRunExitCode({ axe: 0, pa11y: 2 }, report), 1);
+});
+
+test("with a baseline the run only fails on new issues or broken tools", () => {
+  const report = {
+    tools: ["axe", "lighthouse"],
+    issues: [],
+    baseline: { known: 3, new: 0, fixed: 0 },
+  };
+
+  assert.equal(getRunExitCode({ axe: 1, lighthouse: 0 }, report), 0);
+  assert.equal(getRunExitCode({ axe: 1, pa11y: 1 }, report), 1);
+  assert.equal(getRunExitCode({ axe: 0, lighthouse: 1 }, report), 1);
+  assert.equal(
+    getRunExitCode(
+      { axe: 1 },
+      { ...report, baseline: { known: 3, new: 1, fixed: 0 } },
+    ),
+    1,
+  );
+});
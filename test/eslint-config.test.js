@@ -0,0 +1,163 @@
+import { test, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setupAccessibilityLinting } from "../lib/eslint-config.js";
+import { beginGeneratedChanges } from "../lib/manifest.js";
+import { enableDryRun, getPlannedContent } from "../lib/change-planner.js";
+import {
+  COMPONENT_LIBRARIES,
+  LINT_LEVELS,
+  LINT_PLUGINS,
+} from "../lib/constants.js";
+
+const react = { lintPlugin: LINT_PLUGINS.JSX_A11Y };
+const vue = { lintPlugin: LINT_PLUGINS.VUE_A11Y };
+
+const flatConfig = `import js from "@eslint/js";
+
+export default [
+  js.configs.recommended,
+];
+`;
+
+let projectDirectory;
+const startDirectory = process.cwd();
+
+/**
+ * Writes files into the project directory
+ * @param {Object} files - File names and their content
+ */
+function writeProjectFiles(files) {
+  Object.entries(files).forEach(([fileName, content]) => {
+    fs.writeFileSync(fileName, content);
+  });
+}
+
+// A dry run plans the config changes instead of writing them and skips the
+// package installation
+before(() => {
+  enableDryRun();
+});
+
+beforeEach(() => {
+  projectDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "ally-wizard-"));
+  process.chdir(projectDirectory);
+  writeProjectFiles({ "package.json": '{"name":"app","type":"module"}' });
+  beginGeneratedChanges(null);
+});
+
+afterEach(() => {
+  process.chdir(startDirectory);
+  fs.rmSync(projectDirectory, { recursive: true, force: true });
+});
+
+test("a flat config gets the plugin import, preset and rule overrides", () => {
+  writeProjectFiles({ "eslint.config.js": flatConfig });
+
+  setupAccessibilityLinting("npm", react, {
+    level: LINT_LEVELS.STRICT,
+    rules: { "jsx-a11y/no-autofocus": "off" },
+  });
+
+  assert.equal(
+    getPlannedContent("eslint.config.js"),
+    `import js from "@eslint/js";
+import jsxA11y from "eslint-plugin-jsx-a11y";
+
+export default [
+  js.configs.recommended,
+  {
+    files: ["**/*.{jsx,tsx}"],
+    ...jsxA11y.flatConfigs.strict,
+    rules: {
+      ...jsxA11y.flatConfigs.strict.rules,
+      "jsx-a11y/no-autofocus": "off",
+    },
+  },
+];
+`,
+  );
+});
+
+test("a different level replaces the preset an earlier run added", () => {
+  writeProjectFiles({ "eslint.config.js": flatConfig });
+  setupAccessibilityLinting("npm", react, { level: LINT_LEVELS.STRICT });
+  writeProjectFiles({
+    "eslint.config.js": getPlannedContent("eslint.config.js"),
+  });
+
+  setupAccessibilityLinting("npm", react, { level: LINT_LEVELS.RECOMMENDED });
+  const content = getPlannedContent("eslint.config.js");
+
+  assert.match(content, /\.\.\.jsxA11y\.flatConfigs\.recommended,/);
+  assert.doesNotMatch(content, /flatConfigs\.strict/);
+  assert.equal(content.match(/^import jsxA11y/gm).length, 1);
+});
+
+test("a config that already has the plugin is left alone", () => {
+  const config = `import jsxA11y from "eslint-plugin-jsx-a11y";
+
+export default [jsxA11y.flatConfigs.recommended];
+`;
+  writeProjectFiles({ "eslint.config.js": config });
+
+  setupAccessibilityLinting("npm", react, {});
+
+  assert.equal(getPlannedContent("eslint.config.js"), undefined);
+});
+
+test("without a config, one with only the plugin is created", () => {
+  writeProjectFiles({ "package.json": '{"name":"app"}' });
+
+  setupAccessibilityLinting("npm", vue, {});
+
+  assert.equal(
+    getPlannedContent("eslint.config.mjs"),
+    `import pluginVueA11y from "eslint-plugin-vuejs-accessibility";
+
+export default [
+  ...pluginVueA11y.configs["flat/recommended"],
+];
+`,
+  );
+});
+
+test("a legacy config swaps the preset and gets the component library settings", () => {
+  writeProjectFiles({
+    ".eslintrc.json": `{
+  "extends": ["eslint:recommended", "plugin:jsx-a11y/recommended"],
+  "rules": {}
+}
+`,
+  });
+
+  setupAccessibilityLinting("npm", react, {
+    level: LINT_LEVELS.STRICT,
+    componentLibrary: COMPONENT_LIBRARIES.MUI,
+  });
+  const config = JSON.parse(getPlannedContent(".eslintrc.json"));
+
+  assert.deepEqual(config.extends, [
+    "eslint:recommended",
+    "plugin:jsx-a11y/strict",
+  ]);
+  assert.equal(config.settings["jsx-a11y"].polymorphicPropName, "component");
+  assert.equal(config.settings["jsx-a11y"].components.Button, "button");
+});
+
+test("an eslintConfig in package.json gets the preset", () => {
+  writeProjectFiles({
+    "package.json": JSON.stringify({
+      name: "app",
+      eslintConfig: { extends: "eslint:recommended" },
+    }),
+  });
+
+  setupAccessibilityLinting("npm", vue, {});
+
+  assert.deepEqual(JSON.parse(getPlannedContent("package.json")).eslintConfig, {
+    extends: ["eslint:recommended", "plugin:vuejs-accessibility/recommended"],
+  });
+});
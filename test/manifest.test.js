@@ -0,0 +1,177 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  readManifest,
+  saveManifest,
+  beginGeneratedChanges,
+  writeGeneratedFile,
+  writeTrackedFile,
+  applyGeneratedScripts,
+  resolveConflicts,
+  isCreatedFile,
+  summarizeWriteResults,
+} from "../lib/manifest.js";
+import { WRITE_RESULTS } from "../lib/constants.js";
+
+const template = [
+  "{",
+  '  "defaults": {',
+  '    "runners": ["axe"],',
+  '    "timeout": 30000',
+  "  },",
+  '  "concurrency": 1,',
+  '  "urls": []',
+  "}",
+  "",
+].join("\n");
+const updatedTemplate = template.replace("30000", "60000");
+const userVersion = template.replace('"urls": []', '"urls": ["/about"]');
+
+let projectDirectory;
+const startDirectory = process.cwd();
+
+/**
+ * Runs the wizard once so later runs have a manifest to compare with
+ * @param {Function} generate - Writes the generated files and scripts
+ * @returns {Object} The saved manifest
+ */
+function runSetup(generate) {
+  beginGeneratedChanges(null);
+  generate();
+  saveManifest({});
+  return readManifest();
+}
+
+beforeEach(() => {
+  projectDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "ally-wizard-"));
+  process.chdir(projectDirectory);
+  fs.writeFileSync("package.json", '{"name":"app","scripts":{}}');
+});
+
+afterEach(() => {
+  beginGeneratedChanges(null);
+  process.chdir(startDirectory);
+  fs.rmSync(projectDirectory, { recursive: true, force: true });
+});
+
+test("files the wizard created are recorded without an original", () => {
+  fs.writeFileSync("eslint.config.js", "export default [];\n");
+  const manifest = runSetup(() => {
+    writeGeneratedFile(".pa11yci.json", template);
+    writeTrackedFile("eslint.config.js", "export default [jsxA11y];\n");
+  });
+
+  beginGeneratedChanges(manifest);
+  assert.equal(isCreatedFile(".pa11yci.json"), true);
+  assert.equal(isCreatedFile("eslint.config.js"), false);
+  assert.equal(
+    manifest.files["eslint.config.js"].original,
+    "export default [];\n",
+  );
+});
+
+test("writing the same content again is reported as unchanged", () => {
+  const manifest = runSetup(() =>
+    writeGeneratedFile(".pa11yci.json", template),
+  );
+
+  beginGeneratedChanges(manifest, { update: true });
+  assert.equal(
+    writeGeneratedFile(".pa11yci.json", template),
+    WRITE_RESULTS.UNCHANGED,
+  );
+  assert.equal(
+    writeGeneratedFile(".pa11yci.json", updatedTemplate),
+    WRITE_RESULTS.WRITTEN,
+  );
+});
+
+test("update merges template changes into a file the user edited", () => {
+  const manifest = runSetup(() =>
+    writeGeneratedFile(".pa11yci.json", template),
+  );
+  fs.writeFileSync(".pa11yci.json", userVersion);
+
+  beginGeneratedChanges(manifest, { update: true });
+  const result = writeGeneratedFile(".pa11yci.json", updatedTemplate);
+  saveManifest({});
+
+  assert.equal(result, WRITE_RESULTS.MERGED);
+  assert.equal(
+    fs.readFileSync(".pa11yci.json", "utf-8"),
+    userVersion.replace("30000", "60000"),
+  );
+  assert.equal(readManifest().files[".pa11yci.json"].content, updatedTemplate);
+});
+
+test("update keeps edited files whose template did not change without asking", async () => {
+  const manifest = runSetup(() =>
+    writeGeneratedFile(".pa11yci.json", template),
+  );
+  fs.writeFileSync(".pa11yci.json", userVersion);
+
+  beginGeneratedChanges(manifest, { update: true });
+  assert.equal(
+    writeGeneratedFile(".pa11yci.json", template),
+    WRITE_RESULTS.KEPT,
+  );
+
+  const kept = await resolveConflicts(async (conflict) => !conflict.preserved);
+  assert.deepEqual(
+    kept.map(({ label, preserved }) => ({ label, preserved })),
+    [{ label: ".pa11yci.json", preserved: true }],
+  );
+  assert.equal(fs.readFileSync(".pa11yci.json", "utf-8"), userVersion);
+});
+
+test("without update, edited files are overwritten once the user agrees", async () => {
+  const manifest = runSetup(() =>
+    writeGeneratedFile(".pa11yci.json", template),
+  );
+  fs.writeFileSync(".pa11yci.json", userVersion);
+
+  beginGeneratedChanges(manifest);
+  assert.equal(
+    writeGeneratedFile(".pa11yci.json", updatedTemplate),
+    WRITE_RESULTS.KEPT,
+  );
+  assert.equal(fs.readFileSync(".pa11yci.json", "utf-8"), userVersion);
+
+  assert.deepEqual(await resolveConflicts(async () => true), []);
+  assert.equal(fs.readFileSync(".pa11yci.json", "utf-8"), updatedTemplate);
+});
+
+test("scripts the user edited are kept in update mode and replaced when forced", async () => {
+  const generatedScripts = { "a11y:axe": "axe http://localhost:4173" };
+  const manifest = runSetup(() =>
+    applyGeneratedScripts({ lint: "eslint ." }, generatedScripts),
+  );
+  const scripts = { "a11y:axe": "axe http://localhost:4173 --exit" };
+  fs.writeFileSync("package.json", JSON.stringify({ name: "app", scripts }));
+
+  beginGeneratedChanges(manifest, { update: true });
+  assert.equal(
+    applyGeneratedScripts(scripts, generatedScripts),
+    WRITE_RESULTS.KEPT,
+  );
+  assert.deepEqual(await resolveConflicts(async () => true), []);
+  assert.deepEqual(
+    JSON.parse(fs.readFileSync("package.json", "utf-8")).scripts,
+    generatedScripts,
+  );
+
+  // The wizard created the script, so removing it must not restore the edit
+  saveManifest({});
+  assert.deepEqual(readManifest().originalScripts, {});
+});
+
+test("results of several files sum up to the most notable one", () => {
+  const { WRITTEN, MERGED, UNCHANGED, KEPT } = WRITE_RESULTS;
+
+  assert.equal(summarizeWriteResults([UNCHANGED, UNCHANGED]), UNCHANGED);
+  assert.equal(summarizeWriteResults([UNCHANGED, KEPT, MERGED]), MERGED);
+  assert.equal(summarizeWriteResults([KEPT, WRITTEN]), WRITTEN);
+});
@@ -0,0 +1,285 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  parseAxeResults,
+  parsePa11yResults,
+  parseLighthouseResult,
+  deduplicateIssues,
+  getPagePath,
+  buildReport,
+  readToolExitCodes,
+  compareReports,
+} from "../lib/report.js";
+
+const axeResults = [
+  {
+    url: "http://localhost:4173/about/",
+    violations: [
+      {
+        id: "color-contrast",
+        tags: ["wcag2aa", "wcag143"],
+        impact: "serious",
+        help: "Elements must meet minimum color contrast ratio thresholds",
+        helpUrl: "https://dequeuniversity.com/rules/axe/4.10/color-contrast",
+        nodes: [{ target: [".hero p"], impact: "serious" }],
+      },
+    ],
+  },
+];
+
+const pa11yResults = {
+  results: {
+    "http://localhost:4173/about": [
+      {
+        code: "WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail",
+        type: "error",
+        message: "This element has insufficient contrast",
+        selector: ".hero p",
+        runner: "htmlcs",
+      },
+      { code: "", type: "notice", message: "Not an issue" },
+    ],
+  },
+};
+
+/**
+ * Builds an issue as the parsers return it
+ * @param {Object} overrides - Fields that differ from the defaults
+ * @returns {Object} Normalized issue
+ */
+function buildIssue(overrides) {
+  return {
+    ruleId: "image-alt",
+    wcag: ["1.1.1"],
+    impact: "critical",
+    selector: "img.logo",
+    page: "http://localhost:4173",
+    tool: "axe",
+    message: "Images must have alternate text",
+    helpUrl: null,
+    ...overrides,
+  };
+}
+
+/**
+ * Builds a report with the summary compareReports reads
+ * @param {Object[]} issues - Report issues
+ * @returns {Object} Report
+ */
+function buildTestReport(issues) {
+  const byImpact = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  issues.forEach((issue) => {
+    byImpact[issue.impact] += 1;
+  });
+
+  return { issues, summary: { total: issues.length, byImpact } };
+}
+
+/**
+ * Runs a test in a temporary directory
+ * @param {Function} callback - Receives the directory path
+ */
+function inTemporaryDirectory(callback) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ally-wizard-"));
+
+  try {
+    callback(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test("axe results are normalized per node", () => {
+  assert.deepEqual(parseAxeResults(axeResults), [
+    {
+      ruleId: "color-contrast",
+      wcag: ["1.4.3"],
+      impact: "serious",
+      selector: ".hero p",
+      page: "http://localhost:4173/about",
+      tool: "axe",
+      message: "Elements must meet minimum color contrast ratio thresholds",
+      helpUrl: "https://dequeuniversity.com/rules/axe/4.10/color-contrast",
+    },
+  ]);
+});
+
+test("pa11y results map HTML_CodeSniffer codes to criteria and skip empty codes", () => {
+  const [issue, ...rest] = parsePa11yResults(pa11yResults);
+
+  assert.equal(rest.length, 0);
+  assert.deepEqual(issue.wcag, ["1.4.3"]);
+  assert.equal(issue.impact, "serious");
+  assert.equal(issue.page, "http://localhost:4173/about");
+});
+
+test("Lighthouse results only report failed accessibility audits", () => {
+  const issues = parseLighthouseResult({
+    finalDisplayedUrl: "http://localhost:4173/",
+    categories: {
+      accessibility: { auditRefs: [{ id: "image-alt" }, { id: "label" }] },
+    },
+    audits: {
+      "image-alt": {
+        id: "image-alt",
+        score: 0,
+        title: "Image elements do not have [alt] attributes",
+        details: {
+          debugData: { tags: ["wcag2a", "wcag111"], impact: "critical" },
+          items: [{ node: { selector: "img.logo" } }],
+        },
+      },
+      label: { id: "label", score: 1, title: "Form elements have labels" },
+    },
+  });
+
+  assert.deepEqual(
+    issues.map(({ ruleId, wcag, selector, page }) => ({
+      ruleId,
+      wcag,
+      selector,
+      page,
+    })),
+    [
+      {
+        ruleId: "image-alt",
+        wcag: ["1.1.1"],
+        selector: "img.logo",
+        page: "http://localhost:4173",
+      },
+    ],
+  );
+});
+
+test("issues found by several tools are merged into one", () => {
+  const issues = deduplicateIssues([
+    ...parseAxeResults(axeResults),
+    ...parsePa11yResults(pa11yResults),
+  ]);
+
+  assert.equal(issues.length, 1);
+  assert.deepEqual(issues[0].tools, ["axe", "pa11y"]);
+  assert.equal(issues[0].helpUrl, axeResults[0].violations[0].helpUrl);
+});
+
+test("merged issues keep the highest impact and are sorted by impact", () => {
+  const issues = deduplicateIssues([
+    buildIssue({
+      ruleId: "region",
+      wcag: [],
+      impact: "moderate",
+      selector: "main",
+    }),
+    buildIssue({ impact: "serious", tool: "pa11y" }),
+    buildIssue({ impact: "critical", tool: "lighthouse" }),
+  ]);
+
+  assert.deepEqual(
+    issues.map(({ ruleId, impact, tools }) => ({ ruleId, impact, tools })),
+    [
+      {
+        ruleId: "image-alt",
+        impact: "critical",
+        tools: ["pa11y", "lighthouse"],
+      },
+      { ruleId: "region", impact: "moderate", tools: ["axe"] },
+    ],
+  );
+});
+
+test("issues without criteria borrow them from the same rule of another tool", () => {
+  const issues = deduplicateIssues([
+    buildIssue({ tool: "axe" }),
+    buildIssue({ wcag: [], tool: "lighthouse" }),
+  ]);
+
+  assert.equal(issues.length, 1);
+  assert.deepEqual(issues[0].tools, ["axe", "lighthouse"]);
+});
+
+test("page paths ignore the host, port and trailing slash", () => {
+  assert.equal(getPagePath("http://localhost:4173/about/"), "/about");
+  assert.equal(
+    getPagePath("https://preview.example.com/about?tab=1"),
+    "/about?tab=1",
+  );
+  assert.equal(getPagePath("https://preview.example.com"), "/");
+  assert.equal(getPagePath("/about"), "/about");
+});
+
+test("comparing reports matches issues by page path", () => {
+  const baseReport = buildTestReport([
+    buildIssue({ page: "https://main.example.com" }),
+    buildIssue({
+      ruleId: "label",
+      wcag: ["4.1.2"],
+      page: "https://main.example.com/contact",
+    }),
+  ]);
+  const report = buildTestReport([
+    buildIssue({ page: "http://localhost:4173" }),
+    buildIssue({
+      ruleId: "region",
+      wcag: [],
+      impact: "moderate",
+      page: "http://localhost:4173",
+    }),
+  ]);
+
+  const comparison = compareReports(report, baseReport);
+
+  assert.deepEqual(
+    comparison.newIssues.map(({ ruleId }) => ruleId),
+    ["region"],
+  );
+  assert.deepEqual(
+    comparison.fixedIssues.map(({ ruleId }) => ruleId),
+    ["label"],
+  );
+  assert.equal(comparison.totalDelta, 0);
+  assert.deepEqual(comparison.impactDelta, {
+    critical: -1,
+    serious: 0,
+    moderate: 1,
+    minor: 0,
+  });
+});
+
+test("the report only lists tools that left results", () => {
+  inTemporaryDirectory((directory) => {
+    const axePath = path.join(directory, "axe-results.json");
+    fs.writeFileSync(axePath, JSON.stringify(axeResults));
+
+    const report = buildReport({
+      axe: axePath,
+      pa11y: path.join(directory, "missing.json"),
+      lighthouse: path.join(directory, "missing"),
+      playwright: path.join(directory, "missing"),
+    });
+
+    assert.deepEqual(report.tools, ["axe"]);
+    assert.equal(report.summary.total, 1);
+  });
+});
+
+test("exit codes are read from next to each tool's results", () => {
+  inTemporaryDirectory((directory) => {
+    fs.mkdirSync(path.join(directory, "axe-results"));
+    fs.writeFileSync(path.join(directory, "axe-results", "exit-code"), "2\n");
+    fs.mkdirSync(path.join(directory, "lighthouse"));
+    fs.writeFileSync(path.join(directory, "lighthouse", "exit-code"), "");
+
+    assert.deepEqual(
+      readToolExitCodes({
+        axe: path.join(directory, "axe-results", "axe-results.json"),
+        pa11y: path.join(directory, "pa11y-results", "pa11y-results.json"),
+        lighthouse: path.join(directory, "lighthouse"),
+        playwright: path.join(directory, "playwright"),
+      }),
+      { axe: 2, lighthouse: 1 },
+    );
+  });
+});
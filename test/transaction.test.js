@@ -0,0 +1,94 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  beginTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} from "../lib/transaction.js";
+import { writeFile } from "../lib/file-utils.js";
+
+let projectDirectory;
+const startDirectory = process.cwd();
+
+beforeEach(() => {
+  projectDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "ally-wizard-"));
+  process.chdir(projectDirectory);
+});
+
+afterEach(() => {
+  commitTransaction();
+  process.chdir(startDirectory);
+  fs.rmSync(projectDirectory, { recursive: true, force: true });
+});
+
+test("rollback restores changed files and removes created ones", () => {
+  fs.writeFileSync("package.json", '{"name":"app"}');
+  beginTransaction();
+
+  writeFile("package.json", '{"name":"app","scripts":{}}');
+  writeFile("lighthouserc.json", "{}");
+
+  assert.deepEqual(rollbackTransaction(), [
+    { path: "package.json", action: "restored" },
+    { path: "lighthouserc.json", action: "removed" },
+  ]);
+  assert.equal(fs.readFileSync("package.json", "utf-8"), '{"name":"app"}');
+  assert.equal(fs.existsSync("lighthouserc.json"), false);
+});
+
+test("rollback keeps the content a file had before its first change", () => {
+  fs.writeFileSync(".pa11yci.json", "original");
+  beginTransaction();
+
+  writeFile(".pa11yci.json", "first");
+  writeFile(".pa11yci.json", "second");
+  rollbackTransaction();
+
+  assert.equal(fs.readFileSync(".pa11yci.json", "utf-8"), "original");
+});
+
+test("rollback removes directories created during the transaction", () => {
+  fs.mkdirSync("tests");
+  beginTransaction();
+
+  writeFile(path.join("tests", "a11y", "home.spec.mjs"), "test");
+  writeFile(path.join(".github", "workflows", "accessibility.yml"), "on: push");
+  rollbackTransaction();
+
+  assert.deepEqual(fs.readdirSync(".").sort(), ["tests"]);
+  assert.deepEqual(fs.readdirSync("tests"), []);
+});
+
+test("rollback restores files backed up at the start, like the lock file", () => {
+  fs.writeFileSync("package-lock.json", "before install");
+  beginTransaction(["package-lock.json"]);
+
+  // The package manager writes the lock file itself, outside writeFile
+  fs.writeFileSync("package-lock.json", "after install");
+
+  assert.deepEqual(rollbackTransaction(), [
+    { path: "package-lock.json", action: "restored" },
+  ]);
+  assert.equal(fs.readFileSync("package-lock.json", "utf-8"), "before install");
+});
+
+test("files left unchanged are not reported", () => {
+  fs.writeFileSync("package.json", "{}");
+  beginTransaction(["package.json"]);
+
+  writeFile("package.json", "{}");
+
+  assert.deepEqual(rollbackTransaction(), []);
+});
+
+test("nothing is rolled back after a commit", () => {
+  beginTransaction();
+  writeFile("lighthouserc.json", "{}");
+  commitTransaction();
+
+  assert.deepEqual(rollbackTransaction(), []);
+  assert.equal(fs.readFileSync("lighthouserc.json", "utf-8"), "{}");
+});